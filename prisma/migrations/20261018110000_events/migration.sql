@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "events" (
+    "id" TEXT NOT NULL,
+    "slug" VARCHAR(50) NOT NULL,
+    "name" VARCHAR(200) NOT NULL,
+    "date" TIMESTAMP(3),
+    "address" VARCHAR(300),
+    "timezone" VARCHAR(50) NOT NULL DEFAULT 'Asia/Ho_Chi_Minh',
+    "rsvp_deadline" TIMESTAMP(3),
+    "invitation_path" VARCHAR(50),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "events_slug_key" ON "events"("slug");
+
+-- CreateIndex
+CREATE INDEX "events_date_idx" ON "events"("date");
+
+-- Seed the two events that used to be the Venue enum so existing rows keep
+-- a valid foreign key. Date/address can be filled in via /api/admin/events.
+INSERT INTO "events" ("id", "slug", "name", "timezone", "invitation_path", "updated_at") VALUES
+    (gen_random_uuid()::text, 'hue', 'Huế', 'Asia/Ho_Chi_Minh', 'hue', CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'hanoi', 'Hà Nội', 'Asia/Ho_Chi_Minh', 'hn', CURRENT_TIMESTAMP);
+
+-- AlterTable: Venue enum -> event slug
+ALTER TABLE "guests" ALTER COLUMN "venue" SET DATA TYPE VARCHAR(50) USING "venue"::text;
+
+-- AlterTable
+ALTER TABLE "rsvps" ALTER COLUMN "venue" SET DATA TYPE VARCHAR(50) USING "venue"::text;
+
+-- AlterTable
+ALTER TABLE "gallery_media" ADD COLUMN "venue" VARCHAR(50);
+
+-- DropEnum
+DROP TYPE "Venue";
+
+-- CreateIndex
+CREATE INDEX "gallery_media_venue_idx" ON "gallery_media"("venue");
+
+-- AddForeignKey
+ALTER TABLE "guests" ADD CONSTRAINT "guests_venue_fkey" FOREIGN KEY ("venue") REFERENCES "events"("slug") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "rsvps" ADD CONSTRAINT "rsvps_venue_fkey" FOREIGN KEY ("venue") REFERENCES "events"("slug") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gallery_media" ADD CONSTRAINT "gallery_media_venue_fkey" FOREIGN KEY ("venue") REFERENCES "events"("slug") ON DELETE SET NULL ON UPDATE CASCADE;
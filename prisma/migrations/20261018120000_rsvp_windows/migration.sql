@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN "rsvp_opens_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "guests" ADD COLUMN "rsvp_override_until" TIMESTAMP(3);
@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "guests" ADD COLUMN "household_id" TEXT,
+ADD COLUMN "plus_ones_allowed" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "households" (
+    "id" TEXT NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "notes" VARCHAR(500),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "households_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "rsvp_attendees" (
+    "id" TEXT NOT NULL,
+    "rsvp_id" TEXT NOT NULL,
+    "guest_id" TEXT,
+    "name" VARCHAR(100) NOT NULL,
+    "attending" BOOLEAN NOT NULL,
+    "is_plus_one" BOOLEAN NOT NULL DEFAULT false,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "rsvp_attendees_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "guests_household_id_idx" ON "guests"("household_id");
+
+-- CreateIndex
+CREATE INDEX "rsvp_attendees_rsvp_id_idx" ON "rsvp_attendees"("rsvp_id");
+
+-- CreateIndex
+CREATE INDEX "rsvp_attendees_guest_id_idx" ON "rsvp_attendees"("guest_id");
+
+-- AddForeignKey
+ALTER TABLE "guests" ADD CONSTRAINT "guests_household_id_fkey" FOREIGN KEY ("household_id") REFERENCES "households"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "rsvp_attendees" ADD CONSTRAINT "rsvp_attendees_rsvp_id_fkey" FOREIGN KEY ("rsvp_id") REFERENCES "rsvps"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "rsvp_attendees" ADD CONSTRAINT "rsvp_attendees_guest_id_fkey" FOREIGN KEY ("guest_id") REFERENCES "guests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "rsvp_attendees" ADD COLUMN "meal_option_id" TEXT,
+ADD COLUMN "dietary_restrictions" VARCHAR(300);
+
+-- CreateTable
+CREATE TABLE "meal_options" (
+    "id" TEXT NOT NULL,
+    "venue" VARCHAR(50) NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "description" VARCHAR(300),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "meal_options_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rsvp_attendees_meal_option_id_idx" ON "rsvp_attendees"("meal_option_id");
+
+-- CreateIndex
+CREATE INDEX "meal_options_venue_idx" ON "meal_options"("venue");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "meal_options_venue_name_key" ON "meal_options"("venue", "name");
+
+-- AddForeignKey
+ALTER TABLE "rsvp_attendees" ADD CONSTRAINT "rsvp_attendees_meal_option_id_fkey" FOREIGN KEY ("meal_option_id") REFERENCES "meal_options"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "meal_options" ADD CONSTRAINT "meal_options_venue_fkey" FOREIGN KEY ("venue") REFERENCES "events"("slug") ON DELETE CASCADE ON UPDATE CASCADE;
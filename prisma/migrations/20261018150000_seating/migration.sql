@@ -0,0 +1,58 @@
+-- CreateTable
+CREATE TABLE "seating_tables" (
+    "id" TEXT NOT NULL,
+    "venue" VARCHAR(50) NOT NULL,
+    "name" VARCHAR(50) NOT NULL,
+    "capacity" INTEGER NOT NULL,
+    "notes" VARCHAR(300),
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "seating_tables_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "seat_assignments" (
+    "id" TEXT NOT NULL,
+    "table_id" TEXT NOT NULL,
+    "guest_id" TEXT,
+    "attendee_id" TEXT,
+    "seat_number" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "seat_assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "seating_tables_venue_idx" ON "seating_tables"("venue");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seating_tables_venue_name_key" ON "seating_tables"("venue", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seat_assignments_guest_id_key" ON "seat_assignments"("guest_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seat_assignments_attendee_id_key" ON "seat_assignments"("attendee_id");
+
+-- CreateIndex
+CREATE INDEX "seat_assignments_table_id_idx" ON "seat_assignments"("table_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seat_assignments_table_id_seat_number_key" ON "seat_assignments"("table_id", "seat_number");
+
+-- AddForeignKey
+ALTER TABLE "seating_tables" ADD CONSTRAINT "seating_tables_venue_fkey" FOREIGN KEY ("venue") REFERENCES "events"("slug") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seat_assignments" ADD CONSTRAINT "seat_assignments_table_id_fkey" FOREIGN KEY ("table_id") REFERENCES "seating_tables"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seat_assignments" ADD CONSTRAINT "seat_assignments_guest_id_fkey" FOREIGN KEY ("guest_id") REFERENCES "guests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "seat_assignments" ADD CONSTRAINT "seat_assignments_attendee_id_fkey" FOREIGN KEY ("attendee_id") REFERENCES "rsvp_attendees"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Exactly one occupant per seat assignment
+ALTER TABLE "seat_assignments" ADD CONSTRAINT "seat_assignments_occupant_check" CHECK (("guest_id" IS NULL) <> ("attendee_id" IS NULL));
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "guests" ADD COLUMN "invitation_token" VARCHAR(64);
+
+-- Backfill a random token for existing guests (gen_random_uuid is a CSPRNG)
+UPDATE "guests" SET "invitation_token" = replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '');
+
+-- Point existing invitation links at the token instead of the guest id
+UPDATE "guests"
+SET "invitation_url" = left("invitation_url", length("invitation_url") - length("id")) || "invitation_token"
+WHERE "invitation_url" LIKE '%/' || "id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "guests_invitation_token_key" ON "guests"("invitation_token");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "invitation_views" (
+    "guest_id" TEXT NOT NULL,
+    "first_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "view_count" INTEGER NOT NULL DEFAULT 1,
+    "device_type" VARCHAR(20) NOT NULL,
+
+    CONSTRAINT "invitation_views_pkey" PRIMARY KEY ("guest_id")
+);
+
+-- CreateIndex
+CREATE INDEX "invitation_views_last_seen_at_idx" ON "invitation_views"("last_seen_at");
+
+-- AddForeignKey
+ALTER TABLE "invitation_views" ADD CONSTRAINT "invitation_views_guest_id_fkey" FOREIGN KEY ("guest_id") REFERENCES "guests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
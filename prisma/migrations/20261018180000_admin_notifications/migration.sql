@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "admin_users" ADD COLUMN "notify_on_rsvp" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "rsvp_digest" BOOLEAN NOT NULL DEFAULT false;
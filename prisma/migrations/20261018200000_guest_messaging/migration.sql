@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "MessageChannel" AS ENUM ('email', 'sms');
+
+-- CreateEnum
+CREATE TYPE "MessageStatus" AS ENUM ('queued', 'sent', 'delivered', 'failed');
+
+-- AlterTable
+ALTER TABLE "guests" ADD COLUMN "email" VARCHAR(255),
+ADD COLUMN "phone" VARCHAR(20);
+
+-- CreateTable
+CREATE TABLE "message_templates" (
+    "id" TEXT NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "channel" "MessageChannel" NOT NULL,
+    "subject" VARCHAR(200),
+    "body" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "message_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "guest_messages" (
+    "id" TEXT NOT NULL,
+    "guest_id" TEXT NOT NULL,
+    "template_id" TEXT,
+    "channel" "MessageChannel" NOT NULL,
+    "provider" VARCHAR(30) NOT NULL,
+    "recipient" VARCHAR(255) NOT NULL,
+    "subject" VARCHAR(200),
+    "body" TEXT NOT NULL,
+    "status" "MessageStatus" NOT NULL DEFAULT 'queued',
+    "provider_message_id" VARCHAR(200),
+    "error" VARCHAR(500),
+    "sent_by" VARCHAR(255),
+    "sent_at" TIMESTAMP(3),
+    "delivered_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "guest_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_templates_name_key" ON "message_templates"("name");
+
+-- CreateIndex
+CREATE INDEX "guest_messages_guest_id_created_at_idx" ON "guest_messages"("guest_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "guest_messages_status_idx" ON "guest_messages"("status");
+
+-- CreateIndex
+CREATE INDEX "guest_messages_provider_message_id_idx" ON "guest_messages"("provider_message_id");
+
+-- AddForeignKey
+ALTER TABLE "guest_messages" ADD CONSTRAINT "guest_messages_guest_id_fkey" FOREIGN KEY ("guest_id") REFERENCES "guests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "guest_messages" ADD CONSTRAINT "guest_messages_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "message_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN "reminder_days_before" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN "reminder_template_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "guests" ADD COLUMN "reminders_paused" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "last_reminded_at" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "events" ADD CONSTRAINT "events_reminder_template_id_fkey" FOREIGN KEY ("reminder_template_id") REFERENCES "message_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
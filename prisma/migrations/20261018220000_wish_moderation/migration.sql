@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "WishStatus" AS ENUM ('pending', 'approved', 'hidden', 'pinned');
+
+-- AlterTable
+ALTER TABLE "rsvps" ADD COLUMN "wish_status" "WishStatus" NOT NULL DEFAULT 'pending',
+ADD COLUMN "wish_flags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "wish_moderated_at" TIMESTAMP(3),
+ADD COLUMN "wish_moderated_by" VARCHAR(255);
+
+-- Wishes already on the public wall stay there
+UPDATE "rsvps" SET "wish_status" = 'approved' WHERE "wishes" IS NOT NULL AND "wishes" <> '';
+
+-- CreateTable
+CREATE TABLE "blocked_terms" (
+    "id" TEXT NOT NULL,
+    "term" VARCHAR(100) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "blocked_terms_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "blocked_terms_term_key" ON "blocked_terms"("term");
+
+-- CreateIndex
+CREATE INDEX "rsvps_wish_status_idx" ON "rsvps"("wish_status");
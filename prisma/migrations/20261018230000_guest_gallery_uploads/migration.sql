@@ -0,0 +1,17 @@
+-- CreateEnum
+CREATE TYPE "GalleryMediaStatus" AS ENUM ('pending', 'approved', 'rejected');
+
+-- AlterTable
+ALTER TABLE "gallery_media" ADD COLUMN "status" "GalleryMediaStatus" NOT NULL DEFAULT 'approved',
+ADD COLUMN "uploaded_by_guest_id" TEXT,
+ADD COLUMN "reviewed_at" TIMESTAMP(3),
+ADD COLUMN "reviewed_by" VARCHAR(255);
+
+-- CreateIndex
+CREATE INDEX "gallery_media_status_idx" ON "gallery_media"("status");
+
+-- CreateIndex
+CREATE INDEX "gallery_media_uploaded_by_guest_id_idx" ON "gallery_media"("uploaded_by_guest_id");
+
+-- AddForeignKey
+ALTER TABLE "gallery_media" ADD CONSTRAINT "gallery_media_uploaded_by_guest_id_fkey" FOREIGN KEY ("uploaded_by_guest_id") REFERENCES "guests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
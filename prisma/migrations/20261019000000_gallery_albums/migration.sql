@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "AlbumVisibility" AS ENUM ('public', 'unlisted', 'private');
+
+-- CreateTable
+CREATE TABLE "albums" (
+    "id" TEXT NOT NULL,
+    "slug" VARCHAR(100) NOT NULL,
+    "title" VARCHAR(200) NOT NULL,
+    "description" TEXT,
+    "cover_media_id" TEXT,
+    "visibility" "AlbumVisibility" NOT NULL DEFAULT 'public',
+    "display_order" INTEGER NOT NULL DEFAULT 0,
+    "venue" VARCHAR(50),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "albums_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "album_media" (
+    "album_id" TEXT NOT NULL,
+    "media_id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "added_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "album_media_pkey" PRIMARY KEY ("album_id","media_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "albums_slug_key" ON "albums"("slug");
+
+-- CreateIndex
+CREATE INDEX "albums_display_order_idx" ON "albums"("display_order");
+
+-- CreateIndex
+CREATE INDEX "albums_venue_idx" ON "albums"("venue");
+
+-- CreateIndex
+CREATE INDEX "album_media_media_id_idx" ON "album_media"("media_id");
+
+-- AddForeignKey
+ALTER TABLE "albums" ADD CONSTRAINT "albums_cover_media_id_fkey" FOREIGN KEY ("cover_media_id") REFERENCES "gallery_media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "albums" ADD CONSTRAINT "albums_venue_fkey" FOREIGN KEY ("venue") REFERENCES "events"("slug") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "album_media" ADD CONSTRAINT "album_media_album_id_fkey" FOREIGN KEY ("album_id") REFERENCES "albums"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "album_media" ADD CONSTRAINT "album_media_media_id_fkey" FOREIGN KEY ("media_id") REFERENCES "gallery_media"("id") ON DELETE CASCADE ON UPDATE CASCADE;
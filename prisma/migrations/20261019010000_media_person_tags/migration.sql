@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "media_person_tags" (
+    "id" TEXT NOT NULL,
+    "media_id" TEXT NOT NULL,
+    "guest_id" TEXT,
+    "name" VARCHAR(100) NOT NULL,
+    "region_x" DOUBLE PRECISION NOT NULL,
+    "region_y" DOUBLE PRECISION NOT NULL,
+    "region_width" DOUBLE PRECISION NOT NULL,
+    "region_height" DOUBLE PRECISION NOT NULL,
+    "created_by" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "media_person_tags_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "media_person_tags_media_id_idx" ON "media_person_tags"("media_id");
+
+-- CreateIndex
+CREATE INDEX "media_person_tags_guest_id_idx" ON "media_person_tags"("guest_id");
+
+-- AddForeignKey
+ALTER TABLE "media_person_tags" ADD CONSTRAINT "media_person_tags_media_id_fkey" FOREIGN KEY ("media_id") REFERENCES "gallery_media"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "media_person_tags" ADD CONSTRAINT "media_person_tags_guest_id_fkey" FOREIGN KEY ("guest_id") REFERENCES "guests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
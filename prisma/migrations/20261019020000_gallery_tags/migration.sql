@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "tags" (
+    "id" TEXT NOT NULL,
+    "slug" VARCHAR(60) NOT NULL,
+    "name" VARCHAR(50) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tags_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "gallery_media_tags" (
+    "media_id" TEXT NOT NULL,
+    "tag_id" TEXT NOT NULL,
+    "added_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "gallery_media_tags_pkey" PRIMARY KEY ("media_id","tag_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tags_slug_key" ON "tags"("slug");
+
+-- CreateIndex
+CREATE INDEX "gallery_media_tags_tag_id_idx" ON "gallery_media_tags"("tag_id");
+
+-- AddForeignKey
+ALTER TABLE "gallery_media_tags" ADD CONSTRAINT "gallery_media_tags_media_id_fkey" FOREIGN KEY ("media_id") REFERENCES "gallery_media"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "gallery_media_tags" ADD CONSTRAINT "gallery_media_tags_tag_id_fkey" FOREIGN KEY ("tag_id") REFERENCES "tags"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: each existing category (except the "general" default) becomes a tag
+INSERT INTO "tags" ("id", "slug", "name")
+SELECT gen_random_uuid()::text, "slug", initcap(replace("slug", '-', ' '))
+FROM (
+    SELECT DISTINCT trim(both '-' from lower(regexp_replace("category", '[^a-zA-Z0-9]+', '-', 'g'))) AS "slug"
+    FROM "gallery_media"
+    WHERE "category" <> 'general'
+) AS "categories"
+WHERE "slug" <> '';
+
+INSERT INTO "gallery_media_tags" ("media_id", "tag_id")
+SELECT "gallery_media"."id", "tags"."id"
+FROM "gallery_media"
+JOIN "tags" ON "tags"."slug" = trim(both '-' from lower(regexp_replace("gallery_media"."category", '[^a-zA-Z0-9]+', '-', 'g')));
@@ -0,0 +1,31 @@
+-- Accent-insensitive search: "hue" matches "Huế", "da lat" matches "Đà Lạt"
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- unaccent() is only STABLE (it depends on search_path); generated columns
+-- need an IMMUTABLE function, so pin the dictionary and search_path.
+CREATE OR REPLACE FUNCTION immutable_unaccent(text)
+    RETURNS text
+    LANGUAGE sql
+    IMMUTABLE PARALLEL SAFE STRICT
+    SET search_path = public, extensions
+AS $$ SELECT unaccent('unaccent'::regdictionary, $1) $$;
+
+-- AlterTable: weighted search document (title > caption > alt, location, photographer)
+ALTER TABLE "gallery_media" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', immutable_unaccent(coalesce("title", ''))), 'A') ||
+    setweight(to_tsvector('simple', immutable_unaccent(coalesce("caption", ''))), 'B') ||
+    setweight(to_tsvector('simple', immutable_unaccent(coalesce("alt", ''))), 'C') ||
+    setweight(to_tsvector('simple', immutable_unaccent(coalesce("location", '') || ' ' || coalesce("photographer", ''))), 'C')
+) STORED;
+
+-- AlterTable: wishes text, then the guest's name
+ALTER TABLE "rsvps" ADD COLUMN "wishes_search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', immutable_unaccent(coalesce("wishes", ''))), 'A') ||
+    setweight(to_tsvector('simple', immutable_unaccent("name")), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "gallery_media_search_vector_idx" ON "gallery_media" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "rsvps_wishes_search_vector_idx" ON "rsvps" USING GIN ("wishes_search_vector");
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "UploadSessionStatus" AS ENUM ('uploading', 'processing', 'completed', 'failed', 'aborted');
+
+-- CreateTable
+CREATE TABLE "upload_sessions" (
+    "id" TEXT NOT NULL,
+    "r2_key" VARCHAR(500) NOT NULL,
+    "r2_upload_id" VARCHAR(1024) NOT NULL,
+    "filename" VARCHAR(255) NOT NULL,
+    "mime_type" VARCHAR(100) NOT NULL,
+    "size" BIGINT NOT NULL,
+    "part_size" INTEGER NOT NULL,
+    "metadata" JSONB NOT NULL DEFAULT '{}',
+    "status" "UploadSessionStatus" NOT NULL DEFAULT 'uploading',
+    "error" VARCHAR(500),
+    "media_id" TEXT,
+    "created_by" VARCHAR(255),
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "upload_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "upload_session_parts" (
+    "session_id" TEXT NOT NULL,
+    "part_number" INTEGER NOT NULL,
+    "etag" VARCHAR(200) NOT NULL,
+    "size" INTEGER NOT NULL,
+    "uploaded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "upload_session_parts_pkey" PRIMARY KEY ("session_id","part_number")
+);
+
+-- CreateIndex
+CREATE INDEX "upload_sessions_status_expires_at_idx" ON "upload_sessions"("status", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "upload_sessions" ADD CONSTRAINT "upload_sessions_media_id_fkey" FOREIGN KEY ("media_id") REFERENCES "gallery_media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "upload_session_parts" ADD CONSTRAINT "upload_session_parts_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "upload_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
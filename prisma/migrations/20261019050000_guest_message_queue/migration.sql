@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "guest_messages" ADD COLUMN "next_attempt_at" TIMESTAMP(3);
+
+-- Messages left queued before delivery moved to the worker
+UPDATE "guest_messages" SET "next_attempt_at" = "created_at" WHERE "status" = 'queued';
+
+-- CreateIndex
+CREATE INDEX "guest_messages_status_next_attempt_at_idx" ON "guest_messages"("status", "next_attempt_at");
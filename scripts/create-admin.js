@@ -0,0 +1,45 @@
+/**
+ * Create Admin User
+ * Bootstraps an admin account so the first owner can log in
+ *
+ * Usage:
+ *   ADMIN_PASSWORD='...' node scripts/create-admin.js <email> "<name>" [role]
+ *
+ * Role defaults to "owner". Password is read from ADMIN_PASSWORD so it
+ * doesn't end up in shell history.
+ */
+
+import dotenv from 'dotenv'
+import { createAdminUser } from '../src/services/authService.js'
+import { disconnectDatabase } from '../src/utils/database.js'
+
+dotenv.config()
+
+const ROLES = ['owner', 'planner', 'photographer', 'viewer']
+
+async function createAdmin() {
+  const [email, name, role = 'owner'] = process.argv.slice(2)
+  const password = process.env.ADMIN_PASSWORD
+
+  if (!email || !name || !password) {
+    console.error('Usage: ADMIN_PASSWORD=<password> node scripts/create-admin.js <email> "<name>" [role]')
+    process.exit(1)
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Invalid role "${role}". Allowed: ${ROLES.join(', ')}`)
+    process.exit(1)
+  }
+
+  try {
+    const admin = await createAdminUser({ email, name, password, role })
+    console.log(`✅ Admin created: ${admin.email} (${admin.role})`)
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message)
+    process.exitCode = 1
+  } finally {
+    await disconnectDatabase()
+  }
+}
+
+createAdmin()
@@ -0,0 +1,34 @@
+/**
+ * Send RSVP Digest
+ * Emails the last 24 hours of RSVPs to admins who opted into the digest
+ *
+ * Usage:
+ *   node scripts/send-rsvp-digest.js
+ *
+ * For running from cron instead of the in-process schedule (RSVP_DIGEST_HOUR),
+ * e.g. when the API runs on more than one instance.
+ */
+
+import dotenv from 'dotenv'
+import { sendRsvpDigest } from '../src/services/notificationService.js'
+import { disconnectDatabase } from '../src/utils/database.js'
+
+dotenv.config()
+
+async function sendDigest() {
+  try {
+    const { sent, recipients, rsvpCount } = await sendRsvpDigest()
+    if (sent) {
+      console.log(`✅ Digest with ${rsvpCount} RSVPs sent to ${recipients} admin(s)`)
+    } else {
+      console.log(`ℹ️  Nothing sent (${recipients} subscribed admin(s), ${rsvpCount} RSVPs)`)
+    }
+  } catch (error) {
+    console.error('❌ Failed to send RSVP digest:', error.message)
+    process.exitCode = 1
+  } finally {
+    await disconnectDatabase()
+  }
+}
+
+sendDigest()
@@ -0,0 +1,45 @@
+/**
+ * Send RSVP Reminders
+ * Messages guests who haven't responded, for events with a reminder due today.
+ * Queues the reminders, then sends the queued messages before exiting.
+ *
+ * Usage:
+ *   node scripts/send-rsvp-reminders.js [venue]
+ *
+ * For running from cron instead of the in-process schedule (RSVP_REMINDER_HOUR),
+ * e.g. when the API runs on more than one instance.
+ */
+
+import dotenv from 'dotenv'
+import { processQueuedMessages } from '../src/services/messagingService.js'
+import { sendDueReminders } from '../src/services/reminderService.js'
+import { disconnectDatabase } from '../src/utils/database.js'
+
+dotenv.config()
+
+async function sendReminders() {
+  try {
+    const results = await sendDueReminders({ venue: process.argv[2] })
+    if (!results.length) {
+      console.log('ℹ️  No reminders due today')
+    }
+    for (const result of results) {
+      if (result.skipReason) {
+        console.log(`⚠️  ${result.venue}: skipped (${result.skipReason})`)
+      } else {
+        console.log(`✅ ${result.venue}: ${result.queued} queued, ${result.skipped.length} skipped`)
+      }
+    }
+
+    while (await processQueuedMessages() > 0) {
+      // Keep going until the queue is empty (another instance may share it)
+    }
+  } catch (error) {
+    console.error('❌ Failed to send RSVP reminders:', error.message)
+    process.exitCode = 1
+  } finally {
+    await disconnectDatabase()
+  }
+}
+
+sendReminders()
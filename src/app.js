@@ -20,6 +20,11 @@ import adminRoutes from './routes/admin/index.js'
 import publicRoutes from './routes/public/index.js'
 import proxyRoutes from './routes/proxy.js'
 import { disconnectDatabase } from './utils/database.js'
+import { startRsvpDigestSchedule } from './services/notificationService.js'
+import { startWebhookRetryWorker } from './services/webhookService.js'
+import { startMessageDeliveryWorker } from './services/messagingService.js'
+import { startUploadCleanupWorker } from './services/uploadSessionService.js'
+import { startReminderSchedule } from './services/reminderService.js'
 
 // Load environment variables
 dotenv.config()
@@ -88,6 +93,11 @@ app.get('/', (req, res) => {
           byId: '/api/guests/:id',
           create: 'POST /api/guests'
         },
+        invitations: {
+          byToken: 'GET /api/public/invitations/:token',
+          recordView: 'POST /api/public/invitations/:token/views',
+          photos: 'GET/POST /api/public/invitations/:token/photos'
+        },
         rsvp: {
           list: '/api/rsvp',
           byId: '/api/rsvp/:id',
@@ -97,21 +107,55 @@ app.get('/', (req, res) => {
           byVenue: '/api/rsvp/venue/:venue',
           stats: '/api/rsvp/stats/:venue'
         },
+        events: {
+          list: 'GET /api/public/events',
+          bySlug: 'GET /api/public/events/:slug',
+          rsvpWindow: 'GET /api/public/events/:slug/rsvp-window',
+          mealOptions: 'GET /api/public/events/:slug/meal-options'
+        },
         wishes: {
           list: 'GET /api/wishes',
-          description: 'Get paginated wishes with optional venue filter'
+          search: 'GET /api/wishes?search= (full-text, ranked, highlighted)',
+          scroll: 'GET /api/wishes?cursor= (infinite scroll, cursor from pagination.nextCursor)',
+          stream: 'GET /api/wishes/stream (Server-Sent Events)',
+          description: 'Get paginated approved wishes (pinned first) with optional venue filter'
         },
         gallery: {
-          list: 'GET /api/gallery',
+          list: 'GET /api/gallery (tag, date, type, photographer and location filters with facet counts)',
+          search: 'GET /api/gallery?search= (full-text, ranked, highlighted)',
+          scroll: 'GET /api/gallery?cursor= (infinite scroll, cursor from pagination.nextCursor)',
           featured: 'GET /api/gallery/featured',
           byId: 'GET /api/gallery/:id',
           upload: 'POST /api/gallery (admin)',
+          resumableUpload: '/api/admin/gallery/uploads (admin; chunked video uploads)',
           update: 'PUT /api/gallery/:id (admin)',
           delete: 'DELETE /api/gallery/:id (admin)',
-          reorder: 'PUT /api/gallery/reorder (admin)'
+          reorder: 'PUT /api/gallery/reorder (admin)',
+          review: 'POST /api/admin/gallery/review (admin)',
+          tags: '/api/admin/gallery/tags, POST /api/admin/gallery/bulk-tag (admin)',
+          albums: 'GET /api/public/gallery/albums, GET /api/public/gallery/albums/:slug, /api/admin/gallery/albums (admin)',
+          personTags: '/api/admin/gallery/:id/tags (admin), GET /api/public/invitations/:token/tagged-photos'
         },
         admin: {
-          stats: '/api/admin/stats'
+          login: 'POST /api/admin/auth/login',
+          refresh: 'POST /api/admin/auth/refresh',
+          logout: 'POST /api/admin/auth/logout',
+          me: 'GET /api/admin/auth/me',
+          notificationPreferences: 'PATCH /api/admin/auth/me',
+          stats: '/api/admin/stats',
+          statsStream: 'GET /api/admin/stats/stream (Server-Sent Events)',
+          audit: 'GET /api/admin/audit',
+          events: '/api/admin/events',
+          guestImport: 'POST /api/admin/guests/import, POST /api/admin/guests/import/commit',
+          exports: 'GET /api/admin/guests/export, GET /api/admin/rsvps/export',
+          rsvpDigest: 'GET /api/admin/rsvps/digest, POST /api/admin/rsvps/digest',
+          households: '/api/admin/households',
+          meals: '/api/admin/meals/:venue/options, /api/admin/meals/:venue/summary',
+          seating: '/api/admin/seating/:venue',
+          webhooks: '/api/admin/webhooks, GET /api/admin/webhooks/:id/deliveries',
+          messages: '/api/admin/messages/templates, POST /api/admin/messages/send, GET /api/admin/guests/:id/messages',
+          reminders: 'GET /api/admin/reminders, POST /api/admin/reminders/run, PUT /api/admin/guests/:id/reminders',
+          wishes: '/api/admin/wishes, POST /api/admin/wishes/bulk, /api/admin/wishes/blocklist'
         }
       }
     }
@@ -152,6 +196,21 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🗄️ Database health: http://localhost:${PORT}/api/health/database`)
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`)
   console.log(`\n💡 For HTTPS (Web Share API testing): npm run dev:https`)
+
+  // Daily RSVP digest (only when RSVP_DIGEST_HOUR is set)
+  startRsvpDigestSchedule()
+
+  // Retry failed webhook deliveries
+  startWebhookRetryWorker()
+
+  // Send queued guest messages
+  startMessageDeliveryWorker()
+
+  // Daily RSVP reminders (only when RSVP_REMINDER_HOUR is set)
+  startReminderSchedule()
+
+  // Abort resumable uploads that expired unfinished
+  startUploadCleanupWorker()
 })
 
 // Graceful shutdown (disconnectDatabase already imported at top)
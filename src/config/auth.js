@@ -0,0 +1,74 @@
+/**
+ * Admin Authentication Configuration
+ *
+ * Centralized settings for admin login, access tokens and refresh sessions.
+ *
+ * @module config/auth
+ */
+
+/**
+ * Authentication configuration object
+ */
+export const AUTH_CONFIG = {
+  /**
+   * Access token (JWT) settings
+   */
+  accessToken: {
+    // Secret used to sign access tokens (required). Read lazily because
+    // dotenv is loaded after ES module imports are evaluated.
+    get secret() {
+      return process.env.ADMIN_JWT_SECRET;
+    },
+
+    // Lifetime of an access token (jsonwebtoken duration format)
+    get expiresIn() {
+      return process.env.ADMIN_ACCESS_TOKEN_TTL || '15m';
+    },
+
+    // Issuer claim embedded in every token
+    issuer: 'wedding-guest-management-api',
+  },
+
+  /**
+   * Refresh session settings
+   */
+  session: {
+    // Days a refresh token stays valid without being used (read lazily,
+    // like the secret)
+    get refreshTokenTtlDays() {
+      return Number.parseInt(process.env.ADMIN_REFRESH_TOKEN_TTL_DAYS || '7');
+    },
+
+    // Random bytes in a refresh token (encoded as base64url)
+    refreshTokenBytes: 48,
+  },
+
+  /**
+   * Password hashing settings (scrypt)
+   */
+  password: {
+    minLength: 8,
+    keyLength: 64,
+    saltBytes: 16,
+    cost: 16384,
+    blockSize: 8,
+    parallelization: 1,
+  },
+
+  /**
+   * Login rate limiting
+   */
+  loginRateLimit: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 login attempts per IP per window
+  },
+};
+
+/**
+ * Check if admin authentication is configured
+ *
+ * @returns {boolean} True if a signing secret is available
+ */
+export const isAuthConfigured = () => {
+  return !!AUTH_CONFIG.accessToken.secret;
+};
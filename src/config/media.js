@@ -66,6 +66,28 @@ export const MEDIA_CONFIG = {
       height: 300,
       fit: 'cover',
     },
+
+    // Resumable (chunked) uploads, streamed to R2 instead of buffered.
+    // Read on use: this module is imported before app.js loads .env
+    resumable: {
+      // Maximum file size in bytes (2GB default)
+      get maxSize() {
+        return Number.parseInt(process.env.GALLERY_MAX_RESUMABLE_VIDEO_SIZE || '2147483648');
+      },
+
+      // Part size in bytes (8MB default; R2 needs at least 5MB for all but the last part)
+      get partSize() {
+        return Math.max(
+          Number.parseInt(process.env.GALLERY_UPLOAD_PART_SIZE || '8388608'),
+          5 * 1024 * 1024
+        );
+      },
+
+      // Hours an unfinished upload can be resumed before it is aborted
+      get expiryHours() {
+        return Number.parseInt(process.env.GALLERY_UPLOAD_EXPIRY_HOURS || '24');
+      },
+    },
   },
 
   /**
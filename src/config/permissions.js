@@ -0,0 +1,74 @@
+/**
+ * Admin Permission Configuration
+ *
+ * Defines the permissions checked by admin routes and which roles hold them.
+ *
+ * @module config/permissions
+ */
+
+/**
+ * Permission identifiers (resource:action)
+ */
+export const PERMISSIONS = {
+  STATS_READ: 'stats:read',
+  GUESTS_READ: 'guests:read',
+  GUESTS_WRITE: 'guests:write',
+  RSVPS_READ: 'rsvps:read',
+  RSVPS_WRITE: 'rsvps:write',
+  GALLERY_READ: 'gallery:read',
+  GALLERY_WRITE: 'gallery:write',
+  GALLERY_DELETE: 'gallery:delete',
+  ADMINS_MANAGE: 'admins:manage',
+  EVENTS_READ: 'events:read',
+  EVENTS_MANAGE: 'events:manage',
+  AUDIT_READ: 'audit:read',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+};
+
+/**
+ * Permissions granted to each admin role
+ *
+ * - owner: everything, including user management, events, webhooks and the audit log
+ * - planner: guests and RSVPs, plus dashboard stats and the event list
+ * - photographer: upload and edit gallery media only
+ * - viewer: dashboard stats only
+ */
+export const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  planner: [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.EVENTS_READ,
+    PERMISSIONS.GUESTS_READ,
+    PERMISSIONS.GUESTS_WRITE,
+    PERMISSIONS.RSVPS_READ,
+    PERMISSIONS.RSVPS_WRITE,
+  ],
+  photographer: [
+    PERMISSIONS.GALLERY_READ,
+    PERMISSIONS.GALLERY_WRITE,
+  ],
+  viewer: [
+    PERMISSIONS.STATS_READ,
+  ],
+};
+
+/**
+ * Get all permissions for a role
+ *
+ * @param {string} role - Admin role
+ * @returns {string[]} Permission identifiers (empty for unknown roles)
+ */
+export const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Check whether a role holds a permission
+ *
+ * @param {string} role - Admin role
+ * @param {string} permission - Permission identifier
+ * @returns {boolean} True if granted
+ */
+export const hasPermission = (role, permission) => {
+  return getRolePermissions(role).includes(permission);
+};
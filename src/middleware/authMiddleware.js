@@ -1,63 +1,179 @@
 /**
  * Authentication Middleware
- * 
- * Basic authentication middleware for admin endpoints.
- * Currently implemented as a pass-through stub for future enhancement.
- * 
+ *
+ * Bearer token authentication for admin endpoints. Tokens are issued by
+ * POST /api/admin/auth/login and verified against the admin session store.
+ *
  * @module middleware/authMiddleware
  */
 
+import { verifyAccessToken } from '../services/authService.js'
+import { hasPermission } from '../config/permissions.js'
+
 /**
- * Authentication middleware stub
- * 
- * Currently logs authentication attempts but does not enforce authentication.
- * This allows API endpoints to be tested and developed while authentication
- * implementation is pending.
- * 
- * Future enhancement: Implement JWT token validation or session-based auth
- * 
+ * Extract bearer token from the Authorization header
+ *
+ * @param {Request} req - Express request object
+ * @returns {string|null} Raw token or null if absent
+ */
+export const extractBearerToken = (req) => {
+  const authHeader = req.headers.authorization
+
+  if (!authHeader) {
+    return null
+  }
+
+  const [scheme, token] = authHeader.split(' ')
+  if (scheme?.toLowerCase() !== 'bearer' || !token) {
+    return null
+  }
+
+  return token.trim()
+}
+
+/**
+ * Send a 401 response in the API error format
+ *
+ * @param {Response} res - Express response object
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendUnauthorized = (res, code, message) => {
+  res
+    .status(401)
+    .set('WWW-Authenticate', 'Bearer')
+    .json({
+      success: false,
+      error: {
+        code,
+        message,
+        timestamp: new Date().toISOString()
+      }
+    })
+}
+
+/**
+ * Authentication middleware for admin endpoints
+ *
+ * Requires a valid `Authorization: Bearer <accessToken>` header.
+ * On success sets `req.admin` (public admin fields) and `req.adminSessionId`.
+ * Responds 401 if the token is missing, invalid, expired or its session
+ * has been revoked.
+ *
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-export const authenticateAdmin = (req, res, next) => {
-  // Log authentication attempt for debugging
-  console.log('[Auth] Admin endpoint accessed:', {
-    method: req.method,
-    path: req.path,
-    ip: req.ip,
-    timestamp: new Date().toISOString()
-  })
-
-  // Stub implementation: Allow all requests through
-  // Future enhancement will implement JWT token validation or session-based auth
-  // Example implementation:
-  // - Extract token from Authorization header
-  // - Validate token signature and expiration
-  // - Set req.user with decoded user info
-  // - Return 401 if invalid/missing
-  next()
+export const authenticateAdmin = async (req, res, next) => {
+  const token = extractBearerToken(req)
+
+  if (!token) {
+    return sendUnauthorized(res, 'AUTH_REQUIRED', 'Authentication required')
+  }
+
+  try {
+    const { admin, sessionId } = await verifyAccessToken(token)
+
+    req.admin = admin
+    req.adminSessionId = sessionId
+    next()
+  } catch (error) {
+    if (error.code === 'AUTH_NOT_CONFIGURED') {
+      console.error('[Auth] Admin authentication is not configured:', error.message)
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'AUTH_NOT_CONFIGURED',
+          message: 'Authentication is not configured on this server',
+          timestamp: new Date().toISOString()
+        }
+      })
+    }
+
+    if (['INVALID_TOKEN', 'TOKEN_EXPIRED', 'SESSION_REVOKED'].includes(error.code)) {
+      console.warn('[Auth] Rejected admin request:', {
+        code: error.code,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip
+      })
+      return sendUnauthorized(res, error.code, error.message)
+    }
+
+    next(error)
+  }
+}
+
+/**
+ * Permission check middleware factory
+ *
+ * Must be used after authenticateAdmin. Responds 403 naming the first
+ * permission the admin's role is missing.
+ *
+ * @param {...string} permissions - Required permissions (all must be held)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.put('/:id', authenticateAdmin, requirePermission(PERMISSIONS.GUESTS_WRITE), handler)
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return sendUnauthorized(res, 'AUTH_REQUIRED', 'Authentication required')
+    }
+
+    const missing = permissions.find(permission => !hasPermission(req.admin.role, permission))
+
+    if (missing) {
+      console.warn('[Auth] Permission denied:', {
+        admin: req.admin.email,
+        role: req.admin.role,
+        missingPermission: missing,
+        method: req.method,
+        path: req.originalUrl
+      })
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: `Missing permission: ${missing}`,
+          missingPermission: missing,
+          role: req.admin.role,
+          timestamp: new Date().toISOString()
+        }
+      })
+    }
+
+    next()
+  }
 }
 
 /**
  * Optional authentication middleware
- * 
+ *
  * Attempts to authenticate but doesn't block if authentication fails.
  * Useful for endpoints that should work differently for authenticated users.
- * 
+ * Sets `req.admin` only when a valid token is presented.
+ *
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-export const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers.authorization
+export const optionalAuth = async (req, res, next) => {
+  const token = extractBearerToken(req)
 
-  if (authHeader) {
-    console.log('[Auth] Optional auth header present:', {
-      path: req.path,
-      timestamp: new Date().toISOString()
-    })
-    // Future: Parse and validate token, set req.user if valid
+  if (token) {
+    try {
+      const { admin, sessionId } = await verifyAccessToken(token)
+      req.admin = admin
+      req.adminSessionId = sessionId
+    } catch (error) {
+      console.log('[Auth] Optional auth token ignored:', {
+        code: error.code,
+        path: req.path
+      })
+    }
   }
 
   // Always proceed regardless of authentication status
@@ -87,6 +87,28 @@ const upload = multer({
   }
 })
 
+/**
+ * Multer upload instance for guest photos
+ * 
+ * Images only, capped at the image size limit before buffering more.
+ */
+const guestPhotoUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.image.includes(file.mimetype)) {
+      const allowedExtensions = ALLOWED_TYPES.image.map(type => type.split('/')[1]).join(', ')
+      return cb(new Error(`Invalid file type. Allowed types: ${allowedExtensions}`), false)
+    }
+
+    req.mediaType = 'image'
+    cb(null, true)
+  },
+  limits: {
+    fileSize: FILE_SIZE_LIMITS.image,
+    files: 1
+  }
+})
+
 /**
  * Middleware to validate file size based on media type
  * 
@@ -134,6 +156,13 @@ export const validateFileSize = (req, res, next) => {
  */
 export const uploadGalleryMedia = upload.single('file')
 
+/**
+ * Single photo upload for guests
+ * 
+ * Handles an image with field name 'file'.
+ */
+export const uploadGuestPhoto = guestPhotoUpload.single('file')
+
 /**
  * Error handling middleware for multer errors
  * 
@@ -8,6 +8,48 @@
  */
 
 import { body, query, param, validationResult } from 'express-validator'
+import { EVENT_SLUG_PATTERN, assertEventExists } from '../services/eventService.js'
+import { TAG_SLUG_PATTERN } from '../services/galleryTagService.js'
+import { MEDIA_CONFIG } from '../config/media.js'
+
+/**
+ * Read a list filter given as `a,b` and/or repeated (`?x=a&x=b`)
+ *
+ * @param {string|string[]} value - Raw query value
+ * @returns {string[]} Trimmed, non-empty values
+ */
+const toList = (value) => [value].flat()
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean)
+
+/**
+ * Validation rules for a list filter
+ *
+ * @param {string} field - Query parameter
+ * @param {Function} isValid - Check for one value
+ * @param {string} message - Error message
+ * @returns {ValidationChain} Rule
+ */
+const listFilter = (field, isValid, message) => query(field)
+  .optional()
+  .customSanitizer(toList)
+  .custom(values => values.length <= 20 && values.every(isValid))
+  .withMessage(message)
+
+/**
+ * Read an ISO 8601 date; a bare date (YYYY-MM-DD) is the start of that UTC day,
+ * or its end with `endOfDay`
+ *
+ * @param {boolean} [endOfDay=false] - Use the last millisecond of a bare date
+ * @returns {Function} Sanitizer returning a Date
+ */
+const toRangeDate = (endOfDay = false) => (value) => {
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T23:59:59.999Z`)
+  }
+  return new Date(value)
+}
 
 /**
  * Validation rules for GET /api/gallery query parameters
@@ -25,6 +67,12 @@ export const validateGalleryQuery = [
     .withMessage('Limit must be between 1 and 50')
     .toInt(),
 
+  query('cursor')
+    .optional()
+    .isLength({ max: 1000 })
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor'),
+
   query('category')
     .optional()
     .trim()
@@ -38,17 +86,53 @@ export const validateGalleryQuery = [
     .withMessage('Featured must be true or false')
     .toBoolean(),
 
+  query('venue')
+    .optional()
+    .matches(EVENT_SLUG_PATTERN)
+    .withMessage('Venue must be an event slug'),
+
+  // Not escaped: the query is split into words and never echoed back
   query('search')
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Search query too long')
-    .escape(), // Prevent XSS
+    .withMessage('Search query too long'),
+
+  listFilter('tags', tag => TAG_SLUG_PATTERN.test(tag), 'Tags must be up to 20 tag slugs'),
+
+  query('tagMode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tagMode must be any or all'),
+
+  listFilter('mediaType', type => ['image', 'video'].includes(type), 'mediaType must be image and/or video'),
+
+  listFilter('photographer', name => name.length <= 100, 'Photographer names must be at most 100 characters'),
+
+  listFilter('location', name => name.length <= 200, 'Locations must be at most 200 characters'),
+
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('dateFrom must be an ISO 8601 date')
+    .customSanitizer(toRangeDate()),
+
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('dateTo must be an ISO 8601 date')
+    .customSanitizer(toRangeDate(true)),
+
+  query('facets')
+    .optional()
+    .isBoolean()
+    .withMessage('Facets must be true or false')
+    .toBoolean(),
 
   query('sortBy')
     .optional()
-    .isIn(['createdAt', 'displayOrder', 'dateTaken', 'updatedAt'])
-    .withMessage('Invalid sort field. Allowed: createdAt, displayOrder, dateTaken, updatedAt'),
+    .isIn(['relevance', 'createdAt', 'displayOrder', 'dateTaken', 'updatedAt'])
+    .withMessage('Invalid sort field. Allowed: relevance, createdAt, displayOrder, dateTaken, updatedAt'),
 
   query('sortOrder')
     .optional()
@@ -121,6 +205,38 @@ export const validateGalleryUpload = [
     .isISO8601()
     .withMessage('Invalid date format (use ISO 8601)')
     .toDate(),
+
+  body('venue')
+    .optional({ values: 'falsy' })
+    .custom(assertEventExists)
+    .withMessage('Venue must be an existing event slug'),
+]
+
+/**
+ * Validation rules for POST /api/admin/gallery/uploads (start a resumable
+ * video upload): the file's details plus the same fields as an upload
+ */
+export const validateUploadInit = [
+  body('filename')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Filename must be between 1-255 characters'),
+
+  body('mimeType')
+    .isIn(MEDIA_CONFIG.videos.allowedTypes)
+    .withMessage(`mimeType must be one of: ${MEDIA_CONFIG.videos.allowedTypes.join(', ')}`),
+
+  // The limit is read per request (see MEDIA_CONFIG.videos.resumable)
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('Size must be a positive integer')
+    .bail()
+    .custom(size => Number(size) <= MEDIA_CONFIG.videos.resumable.maxSize)
+    .withMessage(() => `Size must be between 1 and ${MEDIA_CONFIG.videos.resumable.maxSize} bytes`)
+    .toInt(),
+
+  ...validateGalleryUpload,
 ]
 
 /**
@@ -191,6 +307,12 @@ export const validateGalleryUpdate = [
     .isISO8601()
     .withMessage('Invalid date format (use ISO 8601)')
     .toDate(),
+
+  // null un-scopes the media (shared across all events)
+  body('venue')
+    .optional({ values: 'null' })
+    .custom(assertEventExists)
+    .withMessage('Venue must be an existing event slug'),
 ]
 
 /**
@@ -0,0 +1,84 @@
+/**
+ * Import Upload Middleware
+ *
+ * Multer configuration for spreadsheet imports (CSV or XLSX), kept in memory
+ * and parsed by the import service.
+ *
+ * @module middleware/importUpload
+ */
+
+import multer from 'multer'
+import path from 'path'
+
+/**
+ * Accepted spreadsheet extensions
+ */
+export const IMPORT_EXTENSIONS = ['.csv', '.xlsx']
+
+// Read per request: this module is imported before app.js loads .env
+const getMaxImportSize = () => parseInt(process.env.MAX_IMPORT_SIZE || '2097152') // 2MB default
+
+// Browsers report CSV under several MIME types, so the extension decides
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase()
+
+  if (IMPORT_EXTENSIONS.includes(extension)) {
+    cb(null, true)
+  } else {
+    cb(new Error(`Invalid file type: ${extension || file.mimetype}. Allowed: ${IMPORT_EXTENSIONS.join(', ')}`), false)
+  }
+}
+
+let upload = null
+
+/**
+ * Middleware for a single spreadsheet in the 'file' field
+ */
+export const uploadSpreadsheet = (req, res, next) => {
+  if (!upload) {
+    upload = multer({
+      storage: multer.memoryStorage(),
+      fileFilter,
+      limits: {
+        fileSize: getMaxImportSize(),
+        files: 1
+      }
+    }).single('file')
+  }
+  return upload(req, res, next)
+}
+
+/**
+ * Error handling middleware for spreadsheet uploads
+ */
+export const handleImportUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxMB = (getMaxImportSize() / 1024 / 1024).toFixed(2)
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `File too large. Maximum size: ${maxMB}MB`
+        }
+      })
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Upload error: ${err.message}`
+      }
+    })
+  }
+
+  if (err) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: err.message
+      }
+    })
+  }
+
+  next()
+}
@@ -0,0 +1,131 @@
+/**
+ * Admin Audit Log Routes
+ *
+ * Read-only access to the audit trail of admin mutations.
+ *
+ * @module routes/admin/audit
+ */
+
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, getAuditLogs } from '../../services/auditService.js';
+
+const router = express.Router();
+
+/**
+ * Validation Rules
+ */
+const validateAuditQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100')
+    .toInt(),
+
+  query('actorId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid actor ID format'),
+
+  query('action')
+    .optional()
+    .isIn(Object.values(AUDIT_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.values(AUDIT_ACTIONS).join(', ')}`),
+
+  query('entityType')
+    .optional()
+    .isIn(Object.values(AUDIT_ENTITY_TYPES))
+    .withMessage(`Entity type must be one of: ${Object.values(AUDIT_ENTITY_TYPES).join(', ')}`),
+
+  query('entityId')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Entity ID too long'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .toDate(),
+];
+
+/**
+ * GET /api/admin/audit - Get paginated audit log
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max: 100)
+ * - actorId: Filter by admin user id
+ * - action: Filter by action (guest.update, rsvp.delete, gallery.reorder, ...)
+ * - entityType: guest | household | rsvp | mealOption | table | seatAssignment | galleryMedia | album | mediaTag | tag | event | webhook | messageTemplate | blockedTerm
+ * - entityId: Filter by entity id
+ * - search: Match entity label (e.g. guest name) or actor email
+ * - from / to: ISO 8601 time range
+ *
+ * @example
+ * // Who deleted Aunt Lan's invitation?
+ * GET /api/admin/audit?action=guest.delete&search=Lan
+ */
+router.get('/', requirePermission(PERMISSIONS.AUDIT_READ), validateAuditQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const result = await getAuditLogs({
+      page: req.query.page || 1,
+      limit: req.query.limit || 50,
+      actorId: req.query.actorId,
+      action: req.query.action,
+      entityType: req.query.entityType,
+      entityId: req.query.entityId,
+      search: req.query.search,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/audit] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch audit log',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,268 @@
+/**
+ * Admin Authentication Routes
+ *
+ * Login, logout, token refresh and current-admin endpoints.
+ * Login and refresh are public; logout and me require a valid access token.
+ * Admins can change their own notification preferences via PATCH /me.
+ *
+ * @module routes/admin/auth
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body, validationResult } from 'express-validator';
+import { AUTH_CONFIG } from '../../config/auth.js';
+import { getRolePermissions } from '../../config/permissions.js';
+import { authenticateAdmin } from '../../middleware/authMiddleware.js';
+import { login, refreshSession, revokeSession, updateAdminUser } from '../../services/authService.js';
+
+const router = express.Router();
+
+/**
+ * Rate limiter for login attempts
+ */
+const loginRateLimiter = rateLimit({
+  windowMs: AUTH_CONFIG.loginRateLimit.windowMs,
+  max: AUTH_CONFIG.loginRateLimit.max,
+  message: {
+    success: false,
+    error: {
+      code: 'TOO_MANY_LOGIN_ATTEMPTS',
+      message: 'Too many login attempts, please try again later',
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Validation Rules
+ */
+const validateLogin = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required'),
+
+  body('password')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Password is required'),
+];
+
+const validateRefresh = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Refresh token is required'),
+];
+
+const validateUpdateMe = [
+  body(['notifyOnRsvp', 'rsvpDigest'])
+    .optional()
+    .isBoolean()
+    .withMessage('Notification preferences must be true or false')
+    .toBoolean(),
+];
+
+/**
+ * Respond with 400 if express-validator found errors
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * POST /api/admin/auth/login - Log in with email and password
+ *
+ * Request body:
+ * { email: string, password: string }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   data: {
+ *     accessToken, tokenType: 'Bearer', expiresIn,
+ *     refreshToken, refreshExpiresAt,
+ *     admin: { id, email, name, role, ... }
+ *   }
+ * }
+ */
+router.post('/login', loginRateLimiter, validateLogin, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const tokens = await login({
+      email: req.body.email,
+      password: req.body.password,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    });
+
+    console.log(`🔐 Admin logged in: ${tokens.admin.email}`);
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CREDENTIALS') {
+      console.warn('⚠️ [POST /api/admin/auth/login] Failed login:', req.body.email);
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    console.error('❌ [POST /api/admin/auth/login] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: error.code || 'LOGIN_FAILED',
+        message: 'Failed to log in',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/auth/refresh - Exchange a refresh token for new tokens
+ *
+ * The refresh token is rotated; the old one stops working.
+ *
+ * Request body:
+ * { refreshToken: string }
+ */
+router.post('/refresh', validateRefresh, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const tokens = await refreshSession(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    console.error('❌ [POST /api/admin/auth/refresh] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: error.code || 'REFRESH_FAILED',
+        message: 'Failed to refresh session',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/auth/logout - Revoke the current session
+ *
+ * Access tokens issued for the session stop working immediately.
+ */
+router.post('/logout', authenticateAdmin, async (req, res) => {
+  try {
+    await revokeSession(req.adminSessionId);
+
+    console.log(`🔒 Admin logged out: ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Logged out successfully',
+      },
+    });
+  } catch (error) {
+    console.error('❌ [POST /api/admin/auth/logout] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to log out',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/auth/me - Get the currently authenticated admin
+ *
+ * Includes the permissions granted by the admin's role so the dashboard
+ * can hide actions the admin can't perform.
+ */
+router.get('/me', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...req.admin,
+      permissions: getRolePermissions(req.admin.role),
+    },
+  });
+});
+
+/**
+ * PATCH /api/admin/auth/me - Update the current admin's notification preferences
+ *
+ * Request body (all optional):
+ * { notifyOnRsvp: boolean, rsvpDigest: boolean }
+ *
+ * notifyOnRsvp sends an email for every new or changed RSVP; rsvpDigest sends
+ * one email a day summarizing the last 24 hours. Both only reach admins whose
+ * role can read RSVPs.
+ */
+router.patch('/me', authenticateAdmin, validateUpdateMe, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  try {
+    const { notifyOnRsvp, rsvpDigest } = req.body;
+    const admin = await updateAdminUser(req.admin.id, { notifyOnRsvp, rsvpDigest });
+
+    res.json({
+      success: true,
+      data: {
+        ...admin,
+        permissions: getRolePermissions(admin.role),
+      },
+    });
+  } catch (error) {
+    console.error('❌ [PATCH /api/admin/auth/me] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update preferences',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      },
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,343 @@
+/**
+ * Admin Event Routes
+ *
+ * Manage the events (ceremonies, receptions, other couples' weddings) that
+ * guests, RSVPs and gallery media are scoped to.
+ *
+ * @module routes/admin/events
+ */
+
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../../services/auditService.js';
+import {
+  EVENT_SLUG_PATTERN,
+  createEvent,
+  deleteEvent,
+  getEventBySlug,
+  isValidTimezone,
+  listEvents,
+  updateEvent,
+} from '../../services/eventService.js';
+import { getMessageTemplate } from '../../services/messagingService.js';
+
+const router = express.Router();
+
+/**
+ * HTTP status for each event service error code
+ */
+const EVENT_ERROR_STATUS = {
+  EVENT_NOT_FOUND: 404,
+  EVENT_SLUG_TAKEN: 409,
+  EVENT_IN_USE: 409,
+  INVALID_RSVP_WINDOW: 400,
+};
+
+/**
+ * Validation Rules
+ *
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} express-validator chain
+ */
+const eventFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('slug'))
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Slug must be between 2-50 characters')
+      .matches(EVENT_SLUG_PATTERN)
+      .withMessage('Slug may only contain lowercase letters, digits and dashes'),
+
+    required(body('name'))
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Name must be between 2-200 characters'),
+
+    body('date')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Date must be an ISO 8601 date')
+      .toDate(),
+
+    body('address')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Address must be under 300 characters'),
+
+    body('timezone')
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be an IANA timezone (e.g. Asia/Ho_Chi_Minh)'),
+
+    body('rsvpOpensAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('RSVP opening time must be an ISO 8601 date')
+      .toDate(),
+
+    body('rsvpDeadline')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('RSVP deadline must be an ISO 8601 date')
+      .toDate(),
+
+    body('invitationPath')
+      .optional({ values: 'null' })
+      .trim()
+      .matches(EVENT_SLUG_PATTERN)
+      .withMessage('Invitation path may only contain lowercase letters, digits and dashes'),
+
+    body('reminderDaysBefore')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('reminderDaysBefore must be an array of up to 10 day counts'),
+
+    body('reminderDaysBefore.*')
+      .isInt({ min: 0, max: 90 })
+      .withMessage('Each reminder day must be between 0-90')
+      .toInt(),
+
+    body('reminderTemplateId')
+      .optional({ values: 'null' })
+      .isUUID()
+      .withMessage('Invalid reminder template ID format')
+      .bail()
+      .custom(async (id) => {
+        if (!await getMessageTemplate(id)) throw new Error('Unknown message template');
+        return true;
+      })
+      .withMessage('reminderTemplateId must be an existing message template'),
+  ];
+};
+
+const validateSlugParam = param('slug').matches(EVENT_SLUG_PATTERN).withMessage('Invalid event slug');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Map an event service error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleEventError = (error, res) => {
+  const status = EVENT_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.counts && { counts: error.counts }),
+    },
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/events - List events with guest/RSVP/media counts
+ */
+router.get('/', requirePermission(PERMISSIONS.EVENTS_READ), async (req, res) => {
+  try {
+    const events = await listEvents({ includeCounts: true });
+
+    res.json({
+      success: true,
+      data: events,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/events] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch events',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/events/:slug - Get a single event
+ */
+router.get('/:slug', requirePermission(PERMISSIONS.EVENTS_READ), validateSlugParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const event = await getEventBySlug(req.params.slug);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'EVENT_NOT_FOUND',
+          message: 'Event not found',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/events/:slug] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch event',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/events - Create an event (events:manage)
+ *
+ * Request body:
+ * { slug, name, date?, address?, timezone?, rsvpOpensAt?, rsvpDeadline?, invitationPath?,
+ *   reminderDaysBefore?, reminderTemplateId? }
+ *
+ * rsvpOpensAt / rsvpDeadline bound the window in which POST /api/rsvp accepts
+ * submissions for this event (null = unbounded). Guests who haven't responded
+ * are sent reminderTemplateId reminderDaysBefore days (e.g. [7, 2]) before
+ * the deadline.
+ *
+ * @example
+ * POST /api/admin/events
+ * { "slug": "saigon", "name": "Tiệc cưới Sài Gòn", "date": "2026-12-20T11:00:00+07:00" }
+ */
+router.post('/', requirePermission(PERMISSIONS.EVENTS_MANAGE), eventFieldRules(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const event = await createEvent(req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.EVENT_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.EVENT,
+      entityId: event.id,
+      entityLabel: event.name,
+      after: event,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    if (handleEventError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/events] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create event',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/events/:slug - Update an event (events:manage)
+ *
+ * Changing the slug is allowed; guests, RSVPs and gallery media follow it.
+ */
+router.patch('/:slug', requirePermission(PERMISSIONS.EVENTS_MANAGE), validateSlugParam, eventFieldRules(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await getEventBySlug(req.params.slug);
+    const event = await updateEvent(req.params.slug, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.EVENT_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.EVENT,
+      entityId: event.id,
+      entityLabel: event.name,
+      before,
+      after: event,
+    });
+
+    res.json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    if (handleEventError(error, res)) return;
+
+    console.error('❌ [PATCH /api/admin/events/:slug] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update event',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/events/:slug - Delete an event (events:manage)
+ *
+ * Only events without guests or RSVPs can be deleted (409 EVENT_IN_USE).
+ */
+router.delete('/:slug', requirePermission(PERMISSIONS.EVENTS_MANAGE), validateSlugParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const event = await deleteEvent(req.params.slug);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.EVENT_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.EVENT,
+      entityId: event.id,
+      entityLabel: event.name,
+      before: event,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Event deleted successfully',
+        slug: event.slug,
+      },
+    });
+  } catch (error) {
+    if (handleEventError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/events/:slug] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete event',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
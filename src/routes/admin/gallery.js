@@ -1,18 +1,87 @@
 /**
  * Gallery Admin Routes
  * 
- * Routes for managing gallery media items including upload, reordering,
- * categorization, and bulk operations.
+ * Routes for managing gallery media items including upload, resumable video
+ * uploads, reordering, categorization, tags, review of guest uploads, albums,
+ * person tags, and bulk operations.
  * 
  * @module routes/admin/gallery
  */
 
 import express from 'express';
+import { body, param, validationResult } from 'express-validator';
 import { PrismaClient } from '@prisma/client';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit, recordAuditBatch } from '../../services/auditService.js';
+import { assertEventExists, getEventBySlug } from '../../services/eventService.js';
+import {
+  ALBUM_SLUG_PATTERN,
+  ALBUM_VISIBILITIES,
+  addAlbumMedia,
+  createAlbum,
+  deleteAlbum,
+  getAlbum,
+  listAlbums,
+  reorderAlbums,
+  setAlbumMedia,
+  updateAlbum,
+} from '../../services/albumService.js';
+import { addMediaTag, listMediaTags, removeMediaTag } from '../../services/mediaTagService.js';
+import {
+  MAX_TAGS_PER_MEDIA,
+  TAG_SLUG_PATTERN,
+  deleteTag,
+  listTags,
+  updateMediaTags,
+  updateTag,
+} from '../../services/galleryTagService.js';
+import { galleryMediaService } from '../../services/galleryMediaService.js';
+import {
+  abortUploadSession,
+  completeUploadSession,
+  createUploadSession,
+  getUploadSession,
+  listActiveUploadSessions,
+  uploadPart,
+} from '../../services/uploadSessionService.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent, emitWebhookEvents } from '../../services/webhookService.js';
+import { validateUploadInit } from '../../middleware/galleryValidation.js';
+import { formatGalleryItem } from '../../utils/galleryHelpers.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const MEDIA_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Build audit entries for items whose display order or category changed
+ *
+ * @param {Object[]} previousItems - Items before the reorder
+ * @param {Object[]} updatedItems - Items after the reorder
+ * @returns {Object[]} Audit entries (unchanged items are skipped)
+ */
+const buildReorderAuditEntries = (previousItems, updatedItems) => {
+  const previousById = new Map(previousItems.map(item => [item.id, item]));
+
+  return updatedItems
+    .filter(item => {
+      const previous = previousById.get(item.id);
+      return previous && (previous.displayOrder !== item.displayOrder || previous.category !== item.category);
+    })
+    .map(item => {
+      const previous = previousById.get(item.id);
+      return {
+        action: AUDIT_ACTIONS.GALLERY_REORDER,
+        entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+        entityId: item.id,
+        entityLabel: item.filename,
+        before: { displayOrder: previous.displayOrder, category: previous.category },
+        after: { displayOrder: item.displayOrder, category: item.category },
+      };
+    });
+};
+
 /**
  * GET /api/admin/gallery
  * Get all media items with optional filtering
@@ -21,24 +90,39 @@ const prisma = new PrismaClient();
  * - category: Filter by category
  * - type: Filter by media type (image/video)
  * - featured: Filter by featured status (true/false)
+ * - venue: Filter by event slug
+ * - status: Review state - approved (default), pending (guest uploads to
+ *   review) or rejected
  * - limit: Limit number of results
  * - offset: Offset for pagination
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.GALLERY_READ), async (req, res) => {
   try {
-    const { category, type, featured, limit, offset } = req.query;
+    const { category, type, featured, venue, status = 'approved', limit, offset } = req.query;
+    
+    if (!MEDIA_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${MEDIA_STATUSES.join(', ')}`,
+      });
+    }
     
     const where = {
       deletedAt: null, // Exclude soft-deleted records
+      status,
     };
     if (category) where.category = category;
     if (type) where.mediaType = type;
     if (featured !== undefined) where.featured = featured === 'true';
+    if (venue) where.venue = venue;
     
     const [mediaItems, totalCount] = await Promise.all([
       prisma.galleryMedia.findMany({
         where,
         orderBy: { displayOrder: 'asc' },
+        include: status === 'approved' ? undefined : {
+          uploadedByGuest: { select: { id: true, name: true, venue: true } },
+        },
         take: limit ? Number.parseInt(limit, 10) : undefined,
         skip: offset ? Number.parseInt(offset, 10) : undefined,
       }),
@@ -85,7 +169,7 @@ router.get('/', async (req, res) => {
  *   }
  * }
  */
-router.put('/reorder', async (req, res) => {
+router.put('/reorder', requirePermission(PERMISSIONS.GALLERY_WRITE), async (req, res) => {
   try {
     console.log('🔄 /api/admin/gallery/reorder called');
     console.log('📦 req.body:', JSON.stringify(req.body, null, 2));
@@ -118,6 +202,11 @@ router.put('/reorder', async (req, res) => {
       });
     }
     
+    const previousItems = await prisma.galleryMedia.findMany({
+      where: { id: { in: items.map(item => item.id) } },
+      select: { id: true, displayOrder: true, category: true },
+    });
+    
     // Perform bulk update in a transaction
     const updatedItems = await prisma.$transaction(
       items.map(item =>
@@ -131,6 +220,8 @@ router.put('/reorder', async (req, res) => {
       )
     );
     
+    await recordAuditBatch(req, buildReorderAuditEntries(previousItems, updatedItems));
+    
     res.json({
       success: true,
       data: {
@@ -178,7 +269,7 @@ router.put('/reorder', async (req, res) => {
  *   }
  * }
  */
-router.post('/quick-sort', async (req, res) => {
+router.post('/quick-sort', requirePermission(PERMISSIONS.GALLERY_WRITE), async (req, res) => {
   try {
     const { action, itemIds, category } = req.body;
     
@@ -269,6 +360,8 @@ router.post('/quick-sort', async (req, res) => {
       )
     );
     
+    await recordAuditBatch(req, buildReorderAuditEntries(allItems, updatedItems));
+    
     res.json({
       success: true,
       data: {
@@ -286,6 +379,1006 @@ router.post('/quick-sort', async (req, res) => {
   }
 });
 
+/**
+ * HTTP status for each album service error code
+ */
+const ALBUM_ERROR_STATUS = {
+  ALBUM_NOT_FOUND: 404,
+  ALBUM_SLUG_TAKEN: 409,
+  INVALID_ALBUM_SLUG: 400,
+  MEDIA_NOT_FOUND: 400,
+};
+
+/**
+ * Rules for a list of media IDs in `mediaIds`
+ *
+ * @param {boolean} [optional=false] - Allow the field to be absent
+ * @returns {Array} express-validator chain
+ */
+const albumMediaRules = (optional = false) => [
+  (optional ? body('mediaIds').optional() : body('mediaIds'))
+    .isArray({ max: 1000 })
+    .withMessage('mediaIds must be an array of up to 1000 media IDs'),
+
+  body('mediaIds.*')
+    .isUUID()
+    .withMessage('Invalid media ID format'),
+];
+
+/**
+ * Album validation rules
+ *
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} express-validator chain
+ */
+const albumFieldRules = (isUpdate) => [
+  (isUpdate ? body('title').optional() : body('title'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1-200 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Slug must be between 1-100 characters')
+    .matches(ALBUM_SLUG_PATTERN)
+    .withMessage('Slug may only contain lowercase letters, digits and dashes'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be under 2000 characters'),
+
+  body('coverMediaId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid cover media ID format'),
+
+  body('visibility')
+    .optional()
+    .isIn(ALBUM_VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${ALBUM_VISIBILITIES.join(', ')}`),
+
+  body('venue')
+    .optional({ values: 'null' })
+    .custom(assertEventExists),
+
+  ...(isUpdate ? [] : albumMediaRules(true)),
+];
+
+const validateAlbumId = param('albumId').isUUID().withMessage('Invalid album ID format');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Build a sender for a service's route errors
+ *
+ * Errors whose code is in the map get that status with { code, message };
+ * anything else is logged and answered with a 500.
+ *
+ * @param {Object<string, number>} statusByCode - HTTP status per error code
+ * @returns {Function} (error, res, route, message) => void, where route is
+ *   used for the log line and message for unexpected errors
+ */
+const serviceErrorSender = (statusByCode) => (error, res, route, message) => {
+  const status = statusByCode[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+      },
+    });
+  }
+
+  console.error(`❌ [${route}] Error:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      message,
+      details: error.message,
+    },
+  });
+};
+
+const sendAlbumError = serviceErrorSender(ALBUM_ERROR_STATUS);
+
+/**
+ * Audit snapshot of an album (without its media and cover relations)
+ */
+const albumSnapshot = ({ items, coverMedia, ...album }) => album;
+
+/**
+ * GET /api/admin/gallery/albums
+ * List albums in display order with their cover and media count
+ *
+ * Query params:
+ * - venue: Filter by event slug
+ * - visibility: public, unlisted or private
+ */
+router.get('/albums', requirePermission(PERMISSIONS.GALLERY_READ), async (req, res) => {
+  try {
+    const { venue, visibility } = req.query;
+    const albums = await listAlbums({
+      venue: typeof venue === 'string' ? venue : undefined,
+      visibility: ALBUM_VISIBILITIES.includes(visibility) ? visibility : undefined,
+    });
+
+    res.json({
+      success: true,
+      data: { albums },
+    });
+  } catch (error) {
+    sendAlbumError(error, res, 'GET /api/admin/gallery/albums', 'Failed to fetch albums');
+  }
+});
+
+/**
+ * POST /api/admin/gallery/albums
+ * Create an album
+ *
+ * Request body:
+ * { title, slug?, description?, coverMediaId?, visibility?, venue?, mediaIds? }
+ *
+ * The slug defaults to the title without diacritics ("Lễ Vu Quy" -> "le-vu-quy").
+ * New albums go after the existing ones.
+ */
+router.post('/albums', requirePermission(PERMISSIONS.GALLERY_WRITE), albumFieldRules(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const album = await createAlbum(req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ALBUM_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.ALBUM,
+      entityId: album.id,
+      entityLabel: album.title,
+      after: { ...albumSnapshot(album), mediaIds: album.items.map(item => item.mediaId) },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: album,
+    });
+  } catch (error) {
+    sendAlbumError(error, res, 'POST /api/admin/gallery/albums', 'Failed to create album');
+  }
+});
+
+/**
+ * PUT /api/admin/gallery/albums/reorder
+ * Set the order albums are listed in
+ *
+ * Request body:
+ * { albumIds: string[] } - albums in their new order
+ */
+router.put(
+  '/albums/reorder',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  body('albumIds').isArray({ min: 1 }).withMessage('albumIds must be a non-empty array'),
+  body('albumIds.*').isUUID().withMessage('Invalid album ID format'),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const changes = await reorderAlbums(req.body.albumIds);
+
+      await recordAuditBatch(req, changes.map(change => ({
+        action: AUDIT_ACTIONS.ALBUM_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.ALBUM,
+        entityId: change.id,
+        entityLabel: change.title,
+        before: { displayOrder: change.before },
+        after: { displayOrder: change.after },
+      })));
+
+      res.json({
+        success: true,
+        data: {
+          updatedCount: changes.length,
+          albums: await listAlbums(),
+        },
+      });
+    } catch (error) {
+      sendAlbumError(error, res, 'PUT /api/admin/gallery/albums/reorder', 'Failed to reorder albums');
+    }
+  },
+);
+
+/**
+ * GET /api/admin/gallery/albums/:albumId
+ * Get an album with its media in album order (including media awaiting review)
+ */
+router.get('/albums/:albumId', requirePermission(PERMISSIONS.GALLERY_READ), validateAlbumId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const album = await getAlbum(req.params.albumId);
+    if (!album) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ALBUM_NOT_FOUND',
+          message: 'Album not found',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: album,
+    });
+  } catch (error) {
+    sendAlbumError(error, res, 'GET /api/admin/gallery/albums/:albumId', 'Failed to fetch album');
+  }
+});
+
+/**
+ * PATCH /api/admin/gallery/albums/:albumId
+ * Update an album's title, slug, description, cover, visibility or event
+ */
+router.patch(
+  '/albums/:albumId',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  validateAlbumId,
+  albumFieldRules(true),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { before, after } = await updateAlbum(req.params.albumId, req.body);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ALBUM_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.ALBUM,
+        entityId: after.id,
+        entityLabel: after.title,
+        before,
+        after: albumSnapshot(after),
+      });
+
+      res.json({
+        success: true,
+        data: after,
+      });
+    } catch (error) {
+      sendAlbumError(error, res, 'PATCH /api/admin/gallery/albums/:albumId', 'Failed to update album');
+    }
+  },
+);
+
+/**
+ * PUT /api/admin/gallery/albums/:albumId/media
+ * Replace the album's media with `mediaIds`, in that order
+ *
+ * Used to reorder, remove or add media in one request. Media removed from
+ * the album stays in the gallery.
+ *
+ * Request body:
+ * { mediaIds: string[] }
+ */
+router.put(
+  '/albums/:albumId/media',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  validateAlbumId,
+  albumMediaRules(),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { before, after } = await setAlbumMedia(req.params.albumId, req.body.mediaIds);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ALBUM_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.ALBUM,
+        entityId: after.id,
+        entityLabel: after.title,
+        before: { mediaIds: before },
+        after: { mediaIds: after.items.map(item => item.mediaId) },
+      });
+
+      res.json({
+        success: true,
+        data: after,
+      });
+    } catch (error) {
+      sendAlbumError(error, res, 'PUT /api/admin/gallery/albums/:albumId/media', 'Failed to update album media');
+    }
+  },
+);
+
+/**
+ * POST /api/admin/gallery/albums/:albumId/media
+ * Add media to the end of the album (media already in it keeps its place)
+ *
+ * Request body:
+ * { mediaIds: string[] }
+ */
+router.post(
+  '/albums/:albumId/media',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  validateAlbumId,
+  albumMediaRules(),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { added, album } = await addAlbumMedia(req.params.albumId, req.body.mediaIds);
+
+      if (added) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.ALBUM_UPDATE,
+          entityType: AUDIT_ENTITY_TYPES.ALBUM,
+          entityId: album.id,
+          entityLabel: album.title,
+          after: { addedMediaIds: req.body.mediaIds },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { added, album },
+      });
+    } catch (error) {
+      sendAlbumError(error, res, 'POST /api/admin/gallery/albums/:albumId/media', 'Failed to add album media');
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/gallery/albums/:albumId
+ * Delete an album; its media stays in the gallery
+ */
+router.delete('/albums/:albumId', requirePermission(PERMISSIONS.GALLERY_DELETE), validateAlbumId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const album = await deleteAlbum(req.params.albumId);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ALBUM_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.ALBUM,
+      entityId: album.id,
+      entityLabel: album.title,
+      before: album,
+    });
+
+    res.json({
+      success: true,
+      message: 'Album deleted successfully',
+    });
+  } catch (error) {
+    sendAlbumError(error, res, 'DELETE /api/admin/gallery/albums/:albumId', 'Failed to delete album');
+  }
+});
+
+/**
+ * POST /api/admin/gallery/review
+ * Approve or reject media (guest uploads start pending)
+ * 
+ * Request body:
+ * {
+ *   itemIds: string[],
+ *   status: 'approved' | 'rejected' | 'pending'
+ * }
+ * 
+ * Approved media appears in the public gallery; approving a guest upload
+ * sends the gallery.media.uploaded webhook. Rejected media stays hidden
+ * until deleted or approved.
+ */
+router.post('/review', requirePermission(PERMISSIONS.GALLERY_WRITE), async (req, res) => {
+  try {
+    const { itemIds, status } = req.body;
+    
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: itemIds array is required',
+      });
+    }
+    if (!MEDIA_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${MEDIA_STATUSES.join(', ')}`,
+      });
+    }
+    
+    const { updated, before } = await galleryMediaService.reviewMedia(itemIds, status, req.admin.email);
+    
+    const beforeById = new Map(before.map(item => [item.id, item]));
+    await recordAuditBatch(req, updated.map(item => ({
+      action: AUDIT_ACTIONS.GALLERY_REVIEW,
+      entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+      entityId: item.id,
+      entityLabel: item.filename,
+      before: beforeById.get(item.id),
+      after: item,
+    })));
+    
+    const newlyApproved = updated.filter(item =>
+      item.status === 'approved' && item.uploadedByGuestId && beforeById.get(item.id).status !== 'approved'
+    );
+    if (newlyApproved.length) {
+      emitWebhookEvents(WEBHOOK_EVENTS.GALLERY_MEDIA_UPLOADED, newlyApproved.map(formatGalleryItem));
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        updatedCount: updated.length,
+        items: updated,
+      },
+    });
+  } catch (error) {
+    console.error('Error reviewing media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review media items',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * HTTP status for each gallery tag service error code
+ */
+const TAG_ERROR_STATUS = {
+  TAG_NOT_FOUND: 404,
+  TAG_SLUG_TAKEN: 409,
+  MEDIA_NOT_FOUND: 404,
+  INVALID_TAG: 400,
+  TOO_MANY_TAGS: 400,
+};
+
+const sendTagError = serviceErrorSender(TAG_ERROR_STATUS);
+
+/**
+ * Validation rules for a list of tag names in the request body
+ *
+ * @param {string} field - Body field
+ * @returns {ValidationChain[]} Rules
+ */
+const tagNameRules = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: MAX_TAGS_PER_MEDIA })
+    .withMessage(`${field} must be an array of at most ${MAX_TAGS_PER_MEDIA} tag names`),
+
+  body(`${field}.*`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag names must be 1-50 characters'),
+];
+
+const validateTagId = param('tagId').isUUID().withMessage('Invalid tag ID format');
+
+/**
+ * Audit each media item whose tags changed
+ *
+ * @param {Request} req - Express request of the acting admin
+ * @param {Object[]} changes - From updateMediaTags
+ */
+const auditTagChanges = (req, changes) => recordAuditBatch(req, changes.map(change => ({
+  action: AUDIT_ACTIONS.GALLERY_UPDATE,
+  entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+  entityId: change.id,
+  entityLabel: change.filename,
+  before: { tags: change.before },
+  after: { tags: change.after },
+})));
+
+/**
+ * GET /api/admin/gallery/tags
+ * List gallery tags with the number of media items carrying each
+ */
+router.get('/tags', requirePermission(PERMISSIONS.GALLERY_READ), async (req, res) => {
+  try {
+    const tags = await listTags();
+
+    res.json({
+      success: true,
+      data: { tags },
+    });
+  } catch (error) {
+    sendTagError(error, res, 'GET /api/admin/gallery/tags', 'Failed to fetch tags');
+  }
+});
+
+/**
+ * PATCH /api/admin/gallery/tags/:tagId
+ * Rename a tag or change its slug
+ *
+ * Request body:
+ * { name?, slug? }
+ *
+ * Changing the slug changes the value used in ?tags= filters.
+ */
+router.patch(
+  '/tags/:tagId',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  validateTagId,
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be 1-50 characters'),
+  body('slug')
+    .optional()
+    .isLength({ max: 60 })
+    .matches(TAG_SLUG_PATTERN)
+    .withMessage('Slug must be up to 60 lowercase letters, digits and dashes'),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { before, after } = await updateTag(req.params.tagId, req.body);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.TAG_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.TAG,
+        entityId: after.id,
+        entityLabel: after.name,
+        before,
+        after,
+      });
+
+      res.json({
+        success: true,
+        data: after,
+      });
+    } catch (error) {
+      sendTagError(error, res, 'PATCH /api/admin/gallery/tags/:tagId', 'Failed to update tag');
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/gallery/tags/:tagId
+ * Delete a tag and remove it from all media
+ */
+router.delete('/tags/:tagId', requirePermission(PERMISSIONS.GALLERY_WRITE), validateTagId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const tag = await deleteTag(req.params.tagId);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.TAG_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.TAG,
+      entityId: tag.id,
+      entityLabel: tag.name,
+      before: tag,
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully',
+    });
+  } catch (error) {
+    sendTagError(error, res, 'DELETE /api/admin/gallery/tags/:tagId', 'Failed to delete tag');
+  }
+});
+
+/**
+ * POST /api/admin/gallery/bulk-tag
+ * Add and remove tags on several media items
+ *
+ * Request body:
+ * {
+ *   itemIds: string[],
+ *   add?: string[],     // tag names, created if new
+ *   remove?: string[]   // tag names or slugs
+ * }
+ *
+ * data.updated lists { id, filename, before, after } (tag slugs) for the
+ * items whose tags changed.
+ */
+router.post(
+  '/bulk-tag',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  body('itemIds').isArray({ min: 1, max: 500 }).withMessage('itemIds must be an array of 1-500 media IDs'),
+  body('itemIds.*').isUUID().withMessage('Invalid media ID format'),
+  tagNameRules('add'),
+  tagNameRules('remove'),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { itemIds, add, remove } = req.body;
+      const updated = await updateMediaTags(itemIds, { add, remove });
+
+      await auditTagChanges(req, updated);
+
+      res.json({
+        success: true,
+        data: {
+          updated,
+          count: updated.length,
+        },
+      });
+    } catch (error) {
+      sendTagError(error, res, 'POST /api/admin/gallery/bulk-tag', 'Failed to update tags');
+    }
+  },
+);
+
+/**
+ * HTTP status for each media tag service error code
+ */
+const PERSON_TAG_ERROR_STATUS = {
+  MEDIA_NOT_FOUND: 404,
+  MEDIA_TAG_NOT_FOUND: 404,
+  GUEST_NOT_FOUND: 400,
+  INVALID_TAG: 400,
+  INVALID_TAG_REGION: 400,
+  GUEST_ALREADY_TAGGED: 409,
+};
+
+const validateMediaId = param('id').isUUID().withMessage('Invalid media ID format');
+
+const validateMediaTag = [
+  body('guestId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Invalid guest ID format'),
+
+  body('name')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1-100 characters'),
+
+  body('region')
+    .isObject()
+    .withMessage('region { x, y, width, height } is required'),
+
+  body(['region.x', 'region.y', 'region.width', 'region.height'])
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Region values must be fractions between 0 and 1')
+    .toFloat(),
+];
+
+const sendPersonTagError = serviceErrorSender(PERSON_TAG_ERROR_STATUS);
+
+/**
+ * GET /api/admin/gallery/:id/tags
+ * List the people tagged in a media item
+ *
+ * Each tag: { id, mediaId, guest: { id, name, venue } | null, name,
+ * region: { x, y, width, height }, createdBy, createdAt }. Regions are
+ * fractions of the media's width/height from the top-left corner.
+ */
+router.get('/:id/tags', requirePermission(PERMISSIONS.GALLERY_READ), validateMediaId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const tags = await listMediaTags(req.params.id);
+
+    res.json({
+      success: true,
+      data: { tags },
+    });
+  } catch (error) {
+    sendPersonTagError(error, res, 'GET /api/admin/gallery/:id/tags', 'Failed to fetch tags');
+  }
+});
+
+/**
+ * POST /api/admin/gallery/:id/tags
+ * Tag a person in a media item
+ *
+ * Request body:
+ * { guestId?, name?, region: { x, y, width, height } }
+ *
+ * Tag an invited guest with guestId (name defaults to the guest's), or
+ * someone else with a free-text name. A guest can only be tagged once per
+ * media item.
+ */
+router.post('/:id/tags', requirePermission(PERMISSIONS.GALLERY_WRITE), validateMediaId, validateMediaTag, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { guestId, name, region } = req.body;
+    const tag = await addMediaTag(req.params.id, { guestId, name, region }, { createdBy: req.admin.email });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MEDIA_TAG_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.MEDIA_TAG,
+      entityId: tag.id,
+      entityLabel: tag.name,
+      after: tag,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: tag,
+    });
+  } catch (error) {
+    sendPersonTagError(error, res, 'POST /api/admin/gallery/:id/tags', 'Failed to add tag');
+  }
+});
+
+/**
+ * DELETE /api/admin/gallery/:id/tags/:tagId
+ * Remove a tag from a media item
+ */
+router.delete(
+  '/:id/tags/:tagId',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  validateMediaId,
+  param('tagId').isUUID().withMessage('Invalid tag ID format'),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const tag = await removeMediaTag(req.params.id, req.params.tagId);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.MEDIA_TAG_DELETE,
+        entityType: AUDIT_ENTITY_TYPES.MEDIA_TAG,
+        entityId: tag.id,
+        entityLabel: tag.name,
+        before: tag,
+      });
+
+      res.json({
+        success: true,
+        message: 'Tag removed successfully',
+      });
+    } catch (error) {
+      sendPersonTagError(error, res, 'DELETE /api/admin/gallery/:id/tags/:tagId', 'Failed to remove tag');
+    }
+  },
+);
+
+/**
+ * HTTP status for each upload session service error code
+ */
+const UPLOAD_ERROR_STATUS = {
+  UPLOAD_NOT_FOUND: 404,
+  UPLOAD_NOT_ACTIVE: 409,
+  UPLOAD_EXPIRED: 410,
+  UPLOAD_INCOMPLETE: 409,
+  UPLOAD_PROCESSING: 409,
+  UPLOAD_PROCESSING_FAILED: 422,
+  INVALID_PART: 400,
+  PART_SIZE_MISMATCH: 400,
+  INVALID_FILE_TYPE: 400,
+  FILE_TOO_LARGE: 413,
+};
+
+const validateUploadId = param('uploadId').isUUID().withMessage('Invalid upload ID format');
+
+const sendUploadError = serviceErrorSender(UPLOAD_ERROR_STATUS);
+
+/**
+ * GET /api/admin/gallery/uploads
+ * List resumable uploads that can still be resumed, newest first
+ *
+ * For a client that lost track of its upload (e.g. the app was restarted).
+ */
+router.get('/uploads', requirePermission(PERMISSIONS.GALLERY_WRITE), async (req, res) => {
+  try {
+    const uploads = await listActiveUploadSessions();
+
+    res.json({
+      success: true,
+      data: { uploads },
+    });
+  } catch (error) {
+    sendUploadError(error, res, 'GET /api/admin/gallery/uploads', 'Failed to fetch uploads');
+  }
+});
+
+/**
+ * POST /api/admin/gallery/uploads
+ * Start a resumable video upload
+ *
+ * Request body:
+ * {
+ *   filename: string,
+ *   mimeType: string (video/mp4, video/quicktime, video/x-msvideo),
+ *   size: number (bytes, up to GALLERY_MAX_RESUMABLE_VIDEO_SIZE),
+ *   title?, caption?, alt?, category?, featured?, displayOrder?, location?,
+ *   photographer?, dateTaken?, venue? (as for POST /api/gallery)
+ * }
+ *
+ * Returns the upload with `partSize` and `partCount`: send the file as
+ * parts 1..partCount of partSize bytes (the last one holds the rest) to
+ * PUT /uploads/:uploadId/parts/:partNumber, then POST /uploads/:uploadId/complete.
+ * The upload can be resumed until `expiresAt`.
+ */
+router.post('/uploads', requirePermission(PERMISSIONS.GALLERY_WRITE), validateUploadInit, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { filename, mimeType, size } = req.body;
+    const metadata = {
+      title: req.body.title || null,
+      caption: req.body.caption || null,
+      alt: req.body.alt || filename,
+      category: req.body.category || null,
+      featured: req.body.featured === true,
+      displayOrder: req.body.displayOrder || 0,
+      location: req.body.location || null,
+      photographer: req.body.photographer || null,
+      dateTaken: req.body.dateTaken || null,
+      venue: req.body.venue || null,
+    };
+
+    const upload = await createUploadSession({ filename, mimeType, size, metadata }, { createdBy: req.admin.email });
+
+    res.status(201).json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    sendUploadError(error, res, 'POST /api/admin/gallery/uploads', 'Failed to start upload');
+  }
+});
+
+/**
+ * GET /api/admin/gallery/uploads/:uploadId
+ * Get an upload's status and progress
+ *
+ * After reconnecting, send the parts in `missingParts` again (a part cut off
+ * mid-transfer is not listed in `uploadedParts`). Once completed, `mediaId`
+ * is the created gallery media.
+ */
+router.get('/uploads/:uploadId', requirePermission(PERMISSIONS.GALLERY_WRITE), validateUploadId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const upload = await getUploadSession(req.params.uploadId);
+
+    res.json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    sendUploadError(error, res, 'GET /api/admin/gallery/uploads/:uploadId', 'Failed to fetch upload');
+  }
+});
+
+/**
+ * PUT /api/admin/gallery/uploads/:uploadId/parts/:partNumber
+ * Upload one part
+ *
+ * The body is the raw bytes of the part (Content-Type:
+ * application/octet-stream) with a Content-Length of exactly the part's
+ * size. It is streamed to storage as it arrives. Sending a part again
+ * replaces it; parts can be sent in any order.
+ */
+router.put(
+  '/uploads/:uploadId/parts/:partNumber',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  validateUploadId,
+  param('partNumber').isInt({ min: 1 }).withMessage('Part number must be a positive integer').toInt(),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      // Parsed bodies (JSON, forms) have already been consumed
+      if (req.is(['application/json', 'application/x-www-form-urlencoded', 'multipart/form-data'])) {
+        return res.status(415).json({
+          success: false,
+          error: 'Send the part as raw bytes (Content-Type: application/octet-stream)',
+        });
+      }
+
+      const contentLength = Number.parseInt(req.get('content-length'), 10);
+      if (Number.isNaN(contentLength)) {
+        return res.status(411).json({
+          success: false,
+          error: 'Content-Length header is required',
+        });
+      }
+
+      const part = await uploadPart(req.params.uploadId, req.params.partNumber, req, contentLength);
+
+      res.json({
+        success: true,
+        data: part,
+      });
+    } catch (error) {
+      // The client went away mid-part: it will send the part again
+      if (req.destroyed) return;
+
+      sendUploadError(error, res, 'PUT /api/admin/gallery/uploads/:uploadId/parts/:partNumber', 'Failed to upload part');
+    }
+  },
+);
+
+/**
+ * POST /api/admin/gallery/uploads/:uploadId/complete
+ * Assemble the parts and create the gallery media
+ *
+ * Extracts the video's metadata and a thumbnail from the assembled file,
+ * then returns the created media item (201). Calling it again after it
+ * succeeded returns the same item (200), so a client that lost the
+ * response can retry safely. On 409 UPLOAD_INCOMPLETE, GET the upload for
+ * its `missingParts`.
+ */
+router.post(
+  '/uploads/:uploadId/complete',
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
+  validateUploadId,
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { session, media, alreadyCompleted } = await completeUploadSession(req.params.uploadId);
+
+      if (!alreadyCompleted) {
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.GALLERY_CREATE,
+          entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+          entityId: media.id,
+          entityLabel: media.filename,
+          after: media,
+        });
+
+        emitWebhookEvent(WEBHOOK_EVENTS.GALLERY_MEDIA_UPLOADED, formatGalleryItem(media));
+      }
+
+      res.status(alreadyCompleted ? 200 : 201).json({
+        success: true,
+        data: {
+          upload: session,
+          media: formatGalleryItem(media),
+        },
+      });
+    } catch (error) {
+      sendUploadError(error, res, 'POST /api/admin/gallery/uploads/:uploadId/complete', 'Failed to complete upload');
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/gallery/uploads/:uploadId
+ * Abort an upload and discard the parts sent so far
+ */
+router.delete('/uploads/:uploadId', requirePermission(PERMISSIONS.GALLERY_WRITE), validateUploadId, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const upload = await abortUploadSession(req.params.uploadId);
+
+    res.json({
+      success: true,
+      data: upload,
+    });
+  } catch (error) {
+    sendUploadError(error, res, 'DELETE /api/admin/gallery/uploads/:uploadId', 'Failed to abort upload');
+  }
+});
+
 /**
  * PATCH /api/admin/gallery/:id
  * Update a single media item
@@ -295,17 +1388,32 @@ router.post('/quick-sort', async (req, res) => {
  *   category?: string,
  *   isFeatured?: boolean,
  *   displayOrder?: number,
- *   dateTaken?: string (ISO date)
+ *   dateTaken?: string (ISO date),
+ *   tags?: string[] (tag names; replaces the item's tags)
  * }
  */
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requirePermission(PERMISSIONS.GALLERY_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
     console.log('🔄 PATCH /api/admin/gallery/:id called');
     console.log('📦 ID:', id);
     console.log('📦 Body:', JSON.stringify(req.body, null, 2));
     
-    const { category, featured, displayOrder, dateTaken, title, caption, alt, location, photographer } = req.body;
+    const { category, featured, displayOrder, dateTaken, title, caption, alt, location, photographer, venue, tags } = req.body;
+    
+    if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS_PER_MEDIA || !tags.every(tag => typeof tag === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: `tags must be an array of at most ${MAX_TAGS_PER_MEDIA} tag names`,
+      });
+    }
+    
+    if (venue && !await getEventBySlug(venue)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown event: ${venue}`,
+      });
+    }
     
     const data = {};
     if (category !== undefined) data.category = category;
@@ -317,16 +1425,30 @@ router.patch('/:id', async (req, res) => {
     if (alt !== undefined) data.alt = alt;
     if (location !== undefined) data.location = location;
     if (photographer !== undefined) data.photographer = photographer;
+    if (venue !== undefined) data.venue = venue || null;
     
     console.log('📝 Update data:', data);
     
+    const existingMedia = await prisma.galleryMedia.findUnique({ where: { id } });
+    
     const updatedMedia = await prisma.galleryMedia.update({
       where: { id },
       data,
     });
     
+    const [tagChange] = tags === undefined ? [] : await updateMediaTags([id], { set: tags });
+    
     console.log('✅ Media updated successfully:', updatedMedia.id);
     
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.GALLERY_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+      entityId: id,
+      entityLabel: updatedMedia.filename,
+      before: tagChange ? { ...existingMedia, tags: tagChange.before } : existingMedia,
+      after: tagChange ? { ...updatedMedia, tags: tagChange.after } : updatedMedia,
+    });
+    
     res.json({
       success: true,
       data: {
@@ -336,6 +1458,13 @@ router.patch('/:id', async (req, res) => {
   } catch (error) {
     console.error('❌ Error updating media:', error);
     
+    if (TAG_ERROR_STATUS[error.code]) {
+      return res.status(TAG_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    
     if (error.code === 'P2025') {
       return res.status(404).json({
         success: false,
@@ -355,17 +1484,28 @@ router.patch('/:id', async (req, res) => {
  * DELETE /api/admin/gallery/:id
  * Soft delete a single media item
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.GALLERY_DELETE), async (req, res) => {
   try {
     const { id } = req.params;
     
-    await prisma.galleryMedia.update({
+    const existingMedia = await prisma.galleryMedia.findUnique({ where: { id } });
+    
+    const deletedMedia = await prisma.galleryMedia.update({
       where: { id },
       data: {
         deletedAt: new Date(),
       },
     });
     
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.GALLERY_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+      entityId: id,
+      entityLabel: deletedMedia.filename,
+      before: existingMedia,
+      after: deletedMedia,
+    });
+    
     res.json({
       success: true,
       message: 'Media item deleted successfully',
@@ -397,7 +1537,7 @@ router.delete('/:id', async (req, res) => {
  *   itemIds: string[]
  * }
  */
-router.post('/bulk-delete', async (req, res) => {
+router.post('/bulk-delete', requirePermission(PERMISSIONS.GALLERY_DELETE), async (req, res) => {
   try {
     const { itemIds } = req.body;
     
@@ -408,15 +1548,31 @@ router.post('/bulk-delete', async (req, res) => {
       });
     }
     
+    const existingItems = await prisma.galleryMedia.findMany({
+      where: {
+        id: { in: itemIds },
+      },
+    });
+    
+    const deletedAt = new Date();
     const result = await prisma.galleryMedia.updateMany({
       where: {
         id: { in: itemIds },
       },
       data: {
-        deletedAt: new Date(),
+        deletedAt,
       },
     });
     
+    await recordAuditBatch(req, existingItems.map(item => ({
+      action: AUDIT_ACTIONS.GALLERY_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+      entityId: item.id,
+      entityLabel: item.filename,
+      before: item,
+      after: { ...item, deletedAt },
+    })));
+    
     res.json({
       success: true,
       data: {
@@ -10,6 +10,23 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { getPrismaClient } from '../../utils/database.js';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit, recordAuditBatch } from '../../services/auditService.js';
+import { WEBHOOK_EVENTS, emitWebhookEvents } from '../../services/webhookService.js';
+import { EVENT_SLUG_PATTERN, assertEventExists, getEventBySlug } from '../../services/eventService.js';
+import { assertHouseholdExists } from '../../services/householdService.js';
+import { commitGuestImport, previewGuestImport } from '../../services/guestImportService.js';
+import { uploadSpreadsheet, handleImportUploadError } from '../../middleware/importUpload.js';
+import {
+  EXPORT_CONTENT_TYPES,
+  GUEST_EXPORT_FORMATS,
+  exportFileName,
+  streamGuestExport,
+} from '../../services/exportService.js';
+import { listGuestMessages } from '../../services/messagingService.js';
+import { buildInvitationUrl, generateInvitationToken } from '../../utils/invitation.js';
+import { normalizePhone } from '../../utils/phone.js';
 
 const router = express.Router();
 
@@ -39,8 +56,8 @@ const validateGuestQuery = [
   
   query('venue')
     .optional()
-    .isIn(['hue', 'hanoi'])
-    .withMessage('Venue must be either hue or hanoi'),
+    .matches(EVENT_SLUG_PATTERN)
+    .withMessage('Venue must be an event slug'),
   
   query('search')
     .optional()
@@ -49,6 +66,30 @@ const validateGuestQuery = [
     .withMessage('Search query too long'),
 ];
 
+const validateGuestExport = [
+  query('format')
+    .optional()
+    .isIn(GUEST_EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${GUEST_EXPORT_FORMATS.join(', ')}`),
+
+  query('venue')
+    .optional()
+    .matches(EVENT_SLUG_PATTERN)
+    .withMessage('Venue must be an event slug'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long'),
+
+  query('willAttend')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('willAttend must be "true" or "false"')
+    .toBoolean(),
+];
+
 const validateUpdateGuest = [
   param('id').isUUID().withMessage('Invalid guest ID format'),
   
@@ -60,16 +101,128 @@ const validateUpdateGuest = [
 
   body('venue')
     .optional()
-    .isIn(['hue', 'hanoi'])
-    .withMessage('Venue must be either "hue" or "hanoi"'),
+    .custom(assertEventExists)
+    .withMessage('Venue must be an existing event slug'),
 
   body('secondaryNote')
     .optional()
     .trim()
     .isLength({ max: 200 })
     .withMessage('Secondary note must be under 200 characters'),
+
+  body('householdId')
+    .optional({ values: 'null' })
+    .custom(assertHouseholdExists)
+    .withMessage('Household must be an existing household ID'),
+
+  body('email')
+    .optional({ values: 'null' })
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 255 })
+    .withMessage('Email must be under 255 characters')
+    .toLowerCase(),
+
+  body('phone')
+    .optional({ values: 'null' })
+    .custom((value) => normalizePhone(value) !== null)
+    .withMessage('Invalid phone number')
+    .customSanitizer(normalizePhone),
+
+  body('plusOnesAllowed')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Plus-ones allowed must be between 0-10')
+    .toInt(),
 ];
 
+const validateImportOptions = [
+  body('mapping')
+    .optional()
+    .custom((value) => {
+      const mapping = typeof value === 'string' ? JSON.parse(value) : value;
+      return mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+    })
+    .withMessage('mapping must be a JSON object like {"name": "Họ tên", "venue": "Địa điểm"}')
+    .bail()
+    .customSanitizer((value) => (typeof value === 'string' ? JSON.parse(value) : value)),
+
+  body('defaultVenue')
+    .optional({ values: 'falsy' })
+    .custom(assertEventExists)
+    .withMessage('defaultVenue must be an existing event slug'),
+
+  body('skipInvalid')
+    .optional()
+    .isBoolean()
+    .withMessage('skipInvalid must be true or false')
+    .toBoolean(),
+];
+
+/**
+ * HTTP status for each guest import error code
+ */
+const IMPORT_ERROR_STATUS = {
+  IMPORT_UNREADABLE: 400,
+  IMPORT_EMPTY: 400,
+  IMPORT_TOO_MANY_ROWS: 400,
+  IMPORT_MISSING_COLUMNS: 400,
+  IMPORT_HAS_ERRORS: 422,
+};
+
+/**
+ * Validate the uploaded spreadsheet and import options
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidImport = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+      },
+    });
+    return true;
+  }
+
+  if (!req.file) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'A CSV or XLSX file is required in the "file" field',
+      },
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Map a guest import error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleImportError = (error, res) => {
+  const status = IMPORT_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.missing && { missing: error.missing, headers: error.headers }),
+      ...(error.preview && { preview: error.preview }),
+    },
+  });
+  return true;
+};
+
 /**
  * GET /api/admin/guests - Get paginated guest list with filters
  * 
@@ -78,10 +231,14 @@ const validateUpdateGuest = [
  * - limit: Items per page (default: 20, max: 100)
  * - sortBy: Sort field (name, venue, createdAt, updatedAt)
  * - sortOrder: Sort direction (asc, desc)
- * - venue: Filter by venue (hue, hanoi)
+ * - venue: Filter by event slug (e.g. hue, hanoi)
  * - search: Search by name (case-insensitive partial match)
+ *
+ * Each guest includes `lastMessage` (channel, status, times) of the latest
+ * template message sent to them, or null, and their RSVP reminder state
+ * (remindersPaused, lastRemindedAt).
  */
-router.get('/', validateGuestQuery, async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.GUESTS_READ), validateGuestQuery, async (req, res) => {
   try {
     // Validate query params
     const errors = validationResult(req);
@@ -140,6 +297,32 @@ router.get('/', validateGuestQuery, async (req, res) => {
           invitationUrl: true,
           invitationImageFrontUrl: true,
           invitationImageMainUrl: true,
+          rsvpOverrideUntil: true,
+          householdId: true,
+          plusOnesAllowed: true,
+          email: true,
+          phone: true,
+          remindersPaused: true,
+          lastRemindedAt: true,
+          invitationView: {
+            select: {
+              firstSeenAt: true,
+              lastSeenAt: true,
+              viewCount: true,
+              deviceType: true,
+            },
+          },
+          messages: {
+            orderBy: { createdAt: 'desc' },
+            take: 1,
+            select: {
+              channel: true,
+              status: true,
+              sentAt: true,
+              deliveredAt: true,
+              createdAt: true,
+            },
+          },
           createdAt: true,
           updatedAt: true,
         },
@@ -156,7 +339,10 @@ router.get('/', validateGuestQuery, async (req, res) => {
     res.json({
       success: true,
       data: {
-        guests,
+        guests: guests.map(({ messages, ...guest }) => ({
+          ...guest,
+          lastMessage: messages[0] || null,
+        })),
         pagination: {
           page,
           limit,
@@ -180,13 +366,188 @@ router.get('/', validateGuestQuery, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/guests/export - Download the full filtered guest list
+ *
+ * Query Parameters:
+ * - format: csv (default), xlsx, or pdf (printable attendance sheet, one
+ *   section per event with a signature column)
+ * - venue: Filter by event slug
+ * - search: Search by name (case-insensitive partial match)
+ * - willAttend: 'true' / 'false' - guests whose RSVP is attending / declined
+ *
+ * Every matching guest is streamed (no pagination), with their household and
+ * RSVP status (Attending, Declined or No response), party size and attendees
+ * from their most recent RSVP.
+ */
+router.get('/export', requirePermission(PERMISSIONS.GUESTS_READ), validateGuestExport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const { venue, search, willAttend } = req.query;
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('guests', format, venue)}"`);
+
+    const count = await streamGuestExport(res, format, { venue, search, willAttend });
+
+    console.log(`📤 Exported ${count} guests as ${format}`);
+  } catch (error) {
+    console.error('❌ [GET /api/admin/guests/export] Error:', error);
+
+    // Once the download has started the status can't change; cut it short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to export guests',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/guests/import - Preview a CSV/XLSX guest import (dry run)
+ *
+ * multipart/form-data:
+ * - file: .csv or .xlsx (first sheet), header row first
+ * - mapping: optional JSON { name, venue, secondaryNote } naming the header of
+ *   each column; by default common English/Vietnamese headers are recognized
+ *   (Name / Họ tên, Venue / Địa điểm / Sự kiện, Note / Ghi chú)
+ * - defaultVenue: optional event slug for files without a venue column
+ *
+ * Nothing is written. The response lists every row with its parsed data,
+ * errors (row can't be imported) and warnings (e.g. a guest with the same
+ * name already exists).
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     columns: { name: 'Họ tên', venue: 'Địa điểm', secondaryNote: null },
+ *     totalRows: 120, validRows: 118, invalidRows: 2,
+ *     rows: [{ row: 2, data: { name, venue, secondaryNote }, errors: [], warnings: [] }]
+ *   }
+ * }
+ */
+router.post(
+  '/import',
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
+  uploadSpreadsheet,
+  handleImportUploadError,
+  validateImportOptions,
+  async (req, res) => {
+    try {
+      if (rejectInvalidImport(req, res)) return;
+
+      const preview = await previewGuestImport(req.file, {
+        mapping: req.body.mapping,
+        defaultVenue: req.body.defaultVenue,
+      });
+
+      res.json({
+        success: true,
+        data: preview,
+      });
+    } catch (error) {
+      if (handleImportError(error, res)) return;
+
+      console.error('❌ [POST /api/admin/guests/import] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to preview import',
+          details: error.message,
+        },
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/guests/import/commit - Create the guests of a previewed file
+ *
+ * Same form fields as the preview, plus:
+ * - skipInvalid: 'true' to import the valid rows when some rows have errors
+ *
+ * The file is validated again. If any row has errors and skipInvalid isn't
+ * set, nothing is created (422 IMPORT_HAS_ERRORS with the preview). Otherwise
+ * all guests are created in one transaction with their invitation URLs.
+ */
+router.post(
+  '/import/commit',
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
+  uploadSpreadsheet,
+  handleImportUploadError,
+  validateImportOptions,
+  async (req, res) => {
+    try {
+      if (rejectInvalidImport(req, res)) return;
+
+      const { guests, skippedRows } = await commitGuestImport(req.file, {
+        mapping: req.body.mapping,
+        defaultVenue: req.body.defaultVenue,
+        skipInvalid: req.body.skipInvalid,
+      });
+
+      console.log(`✅ Imported ${guests.length} guests from ${req.file.originalname}`);
+
+      await recordAuditBatch(req, guests.map((guest) => ({
+        action: AUDIT_ACTIONS.GUEST_CREATE,
+        entityType: AUDIT_ENTITY_TYPES.GUEST,
+        entityId: guest.id,
+        entityLabel: guest.name,
+        after: guest,
+      })));
+
+      emitWebhookEvents(WEBHOOK_EVENTS.GUEST_CREATED, guests);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          created: guests.length,
+          skippedRows,
+          guests: guests.map(({ id, name, venue, invitationUrl }) => ({ id, name, venue, invitationUrl })),
+        },
+      });
+    } catch (error) {
+      if (handleImportError(error, res)) return;
+
+      console.error('❌ [POST /api/admin/guests/import/commit] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to import guests',
+          details: error.message,
+        },
+      });
+    }
+  },
+);
+
 /**
  * PUT /api/admin/guests/:id - Update guest information
  * 
- * Updates basic guest information (name, venue, secondaryNote).
+ * Updates basic guest information (name, venue, secondaryNote, householdId,
+ * plusOnesAllowed, email, phone). Send null to clear email or phone.
  * Does not handle invitation image updates (use /api/guests/:id for that).
  */
-router.put('/:id', validateUpdateGuest, async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateUpdateGuest, async (req, res) => {
   try {
     // Validate request
     const errors = validationResult(req);
@@ -201,13 +562,17 @@ router.put('/:id', validateUpdateGuest, async (req, res) => {
     }
 
     const { id } = req.params;
-    const { name, venue, secondaryNote } = req.body;
+    const { name, venue, secondaryNote, householdId, plusOnesAllowed, email, phone } = req.body;
 
     // Build update data (only include provided fields)
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (venue !== undefined) updateData.venue = venue;
     if (secondaryNote !== undefined) updateData.secondaryNote = secondaryNote;
+    if (householdId !== undefined) updateData.householdId = householdId;
+    if (plusOnesAllowed !== undefined) updateData.plusOnesAllowed = plusOnesAllowed;
+    if (email !== undefined) updateData.email = email;
+    if (phone !== undefined) updateData.phone = phone;
 
     // Check if there's anything to update
     if (Object.keys(updateData).length === 0) {
@@ -236,6 +601,16 @@ router.put('/:id', validateUpdateGuest, async (req, res) => {
       });
     }
 
+    // Moving the guest to another event changes their invitation link
+    if (updateData.venue && updateData.venue !== existingGuest.venue) {
+      const event = await getEventBySlug(updateData.venue);
+      updateData.invitationUrl = existingGuest.invitationToken
+        ? buildInvitationUrl(event, existingGuest.invitationToken)
+        : '';
+      // Their seat belongs to the old event's seating plan
+      await prisma.seatAssignment.deleteMany({ where: { guestId: id } });
+    }
+
     // Update guest
     const updatedGuest = await prisma.guest.update({
       where: { id },
@@ -248,11 +623,24 @@ router.put('/:id', validateUpdateGuest, async (req, res) => {
         invitationUrl: true,
         invitationImageFrontUrl: true,
         invitationImageMainUrl: true,
+        householdId: true,
+        plusOnesAllowed: true,
+        email: true,
+        phone: true,
         createdAt: true,
         updatedAt: true,
       },
     });
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.GUEST_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.GUEST,
+      entityId: id,
+      entityLabel: updatedGuest.name,
+      before: existingGuest,
+      after: { ...existingGuest, ...updatedGuest },
+    });
+
     res.json({
       success: true,
       data: updatedGuest,
@@ -270,13 +658,337 @@ router.put('/:id', validateUpdateGuest, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/admin/guests/:id/rsvp-override - Let a guest RSVP outside the window
+ * 
+ * Request body:
+ * { until: ISO 8601 date | null }
+ * 
+ * While `until` is in the future the guest can submit POST /api/rsvp even if
+ * their event's RSVP window hasn't opened or has closed. `null` removes the override.
+ */
+router.put(
+  '/:id/rsvp-override',
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
+  param('id').isUUID().withMessage('Invalid guest ID format'),
+  body('until')
+    .custom((value) => value === null || (typeof value === 'string' && !Number.isNaN(Date.parse(value))))
+    .withMessage('until must be an ISO 8601 date, or null to remove the override'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { id } = req.params;
+      const until = req.body.until === null ? null : new Date(req.body.until);
+
+      const prisma = getPrismaClient();
+
+      const existingGuest = await prisma.guest.findUnique({
+        where: { id },
+      });
+
+      if (!existingGuest) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Guest not found',
+          },
+        });
+      }
+
+      const updatedGuest = await prisma.guest.update({
+        where: { id },
+        data: { rsvpOverrideUntil: until },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GUEST_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.GUEST,
+        entityId: id,
+        entityLabel: updatedGuest.name,
+        before: existingGuest,
+        after: updatedGuest,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          id: updatedGuest.id,
+          name: updatedGuest.name,
+          venue: updatedGuest.venue,
+          rsvpOverrideUntil: updatedGuest.rsvpOverrideUntil,
+        },
+      });
+
+    } catch (error) {
+      console.error('❌ [PUT /api/admin/guests/:id/rsvp-override] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to update RSVP override',
+          details: error.message,
+        },
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/guests/:id/reminders - Pause or resume RSVP reminders
+ *
+ * Request body:
+ * { paused: boolean }
+ *
+ * Paused guests are left out of the automatic RSVP reminders (e.g. they
+ * answered by phone). Manual sends from /api/admin/messages are unaffected.
+ */
+router.put(
+  '/:id/reminders',
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
+  param('id').isUUID().withMessage('Invalid guest ID format'),
+  body('paused').isBoolean({ strict: true }).withMessage('paused must be true or false'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { id } = req.params;
+      const prisma = getPrismaClient();
+
+      const existingGuest = await prisma.guest.findUnique({
+        where: { id },
+      });
+
+      if (!existingGuest) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Guest not found',
+          },
+        });
+      }
+
+      const updatedGuest = await prisma.guest.update({
+        where: { id },
+        data: { remindersPaused: req.body.paused },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GUEST_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.GUEST,
+        entityId: id,
+        entityLabel: updatedGuest.name,
+        before: existingGuest,
+        after: updatedGuest,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          id: updatedGuest.id,
+          name: updatedGuest.name,
+          remindersPaused: updatedGuest.remindersPaused,
+          lastRemindedAt: updatedGuest.lastRemindedAt,
+        },
+      });
+
+    } catch (error) {
+      console.error('❌ [PUT /api/admin/guests/:id/reminders] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to update reminders',
+          details: error.message,
+        },
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/guests/:id/invitation-token - Issue a new invitation link
+ *
+ * Replaces the guest's invitation token (or restores a revoked one). The old
+ * link stops working immediately, so the new invitationUrl must be re-sent.
+ */
+router.post(
+  '/:id/invitation-token',
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
+  param('id').isUUID().withMessage('Invalid guest ID format'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { id } = req.params;
+      const prisma = getPrismaClient();
+
+      const existingGuest = await prisma.guest.findUnique({
+        where: { id },
+        include: { event: true },
+      });
+
+      if (!existingGuest) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Guest not found',
+          },
+        });
+      }
+
+      const { event, ...before } = existingGuest;
+      const invitationToken = generateInvitationToken();
+
+      const updatedGuest = await prisma.guest.update({
+        where: { id },
+        data: {
+          invitationToken,
+          invitationUrl: buildInvitationUrl(event, invitationToken),
+        },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GUEST_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.GUEST,
+        entityId: id,
+        entityLabel: updatedGuest.name,
+        before,
+        after: updatedGuest,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          id: updatedGuest.id,
+          name: updatedGuest.name,
+          venue: updatedGuest.venue,
+          invitationUrl: updatedGuest.invitationUrl,
+        },
+      });
+
+    } catch (error) {
+      console.error('❌ [POST /api/admin/guests/:id/invitation-token] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to regenerate invitation link',
+          details: error.message,
+        },
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/guests/:id/invitation-token - Revoke the invitation link
+ *
+ * The guest's link stops resolving and can no longer be used to RSVP until a
+ * new one is issued with POST.
+ */
+router.delete(
+  '/:id/invitation-token',
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
+  param('id').isUUID().withMessage('Invalid guest ID format'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { id } = req.params;
+      const prisma = getPrismaClient();
+
+      const existingGuest = await prisma.guest.findUnique({
+        where: { id },
+      });
+
+      if (!existingGuest) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Guest not found',
+          },
+        });
+      }
+
+      const updatedGuest = await prisma.guest.update({
+        where: { id },
+        data: {
+          invitationToken: null,
+          invitationUrl: '',
+        },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GUEST_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.GUEST,
+        entityId: id,
+        entityLabel: updatedGuest.name,
+        before: existingGuest,
+        after: updatedGuest,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          message: 'Invitation link revoked',
+          id: updatedGuest.id,
+        },
+      });
+
+    } catch (error) {
+      console.error('❌ [DELETE /api/admin/guests/:id/invitation-token] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to revoke invitation link',
+          details: error.message,
+        },
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/admin/guests/:id - Delete guest
  * 
  * Deletes a guest and all associated RSVPs (cascade).
  * Returns count of deleted RSVPs for confirmation.
  */
-router.delete('/:id', param('id').isUUID(), async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), param('id').isUUID(), async (req, res) => {
   try {
     // Validate request
     const errors = validationResult(req);
@@ -319,6 +1031,14 @@ router.delete('/:id', param('id').isUUID(), async (req, res) => {
       where: { id },
     });
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.GUEST_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.GUEST,
+      entityId: id,
+      entityLabel: guest.name,
+      before: { ...guest, rsvpCount },
+    });
+
     res.json({
       success: true,
       data: {
@@ -339,12 +1059,79 @@ router.delete('/:id', param('id').isUUID(), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/guests/:id/messages - Guest's message history
+ *
+ * Messages sent to the guest from templates, newest first, with delivery
+ * status.
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ */
+router.get(
+  '/:id/messages',
+  requirePermission(PERMISSIONS.GUESTS_READ),
+  param('id').isUUID().withMessage('Invalid guest ID format'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation failed',
+            details: errors.array(),
+          },
+        });
+      }
+
+      const prisma = getPrismaClient();
+      const guest = await prisma.guest.findUnique({
+        where: { id: req.params.id },
+        select: { id: true },
+      });
+
+      if (!guest) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Guest not found',
+          },
+        });
+      }
+
+      const history = await listGuestMessages(req.params.id, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+      });
+
+      res.json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      console.error('❌ [GET /api/admin/guests/:id/messages] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch guest messages',
+          details: error.message,
+        },
+      });
+    }
+  },
+);
+
 /**
  * GET /api/admin/guests/:id/check-rsvps - Check if guest has RSVPs
  * 
- * Returns RSVP count and warning message for delete confirmation.
+ * Returns RSVP count and warning message for delete confirmation, plus the
+ * guest's RSVP reminder state.
  */
-router.get('/:id/check-rsvps', param('id').isUUID(), async (req, res) => {
+router.get('/:id/check-rsvps', requirePermission(PERMISSIONS.GUESTS_READ), param('id').isUUID(), async (req, res) => {
   try {
     // Validate request
     const errors = validationResult(req);
@@ -369,6 +1156,8 @@ router.get('/:id/check-rsvps', param('id').isUUID(), async (req, res) => {
       select: {
         id: true,
         name: true,
+        remindersPaused: true,
+        lastRemindedAt: true,
       },
     });
 
@@ -393,6 +1182,8 @@ router.get('/:id/check-rsvps', param('id').isUUID(), async (req, res) => {
       data: {
         hasRSVPs,
         rsvpCount,
+        remindersPaused: guest.remindersPaused,
+        lastRemindedAt: guest.lastRemindedAt,
         message: hasRSVPs
           ? `Guest "${guest.name}" has ${rsvpCount} RSVP${rsvpCount > 1 ? 's' : ''} that will also be deleted.`
           : `Guest "${guest.name}" has no RSVPs.`,
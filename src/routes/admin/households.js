@@ -0,0 +1,313 @@
+/**
+ * Admin Household Routes
+ *
+ * Group guests into households so that one invitation can RSVP for the
+ * whole family. Membership is managed here; a guest's own householdId can
+ * also be set through the guest update endpoints.
+ *
+ * @module routes/admin/households
+ */
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../../services/auditService.js';
+import {
+  createHousehold,
+  deleteHousehold,
+  getHouseholdById,
+  listHouseholds,
+  updateHousehold,
+} from '../../services/householdService.js';
+
+const router = express.Router();
+
+/**
+ * HTTP status for each household service error code
+ */
+const HOUSEHOLD_ERROR_STATUS = {
+  HOUSEHOLD_NOT_FOUND: 404,
+  HOUSEHOLD_GUEST_NOT_FOUND: 400,
+};
+
+/**
+ * Validation Rules
+ *
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} express-validator chain
+ */
+const householdFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+
+  body('notes')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be under 500 characters'),
+
+  body('guestIds')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('guestIds must be an array of at most 50 guest IDs'),
+
+  body('guestIds.*')
+    .isUUID()
+    .withMessage('Each guest ID must be a valid UUID'),
+];
+
+const validateHouseholdQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long'),
+];
+
+const validateIdParam = param('id').isUUID().withMessage('Invalid household ID format');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Map a household service error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleHouseholdError = (error, res) => {
+  const status = HOUSEHOLD_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.guestIds && { guestIds: error.guestIds }),
+    },
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/households - List households with their guests
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ * - search: Search by household name (case-insensitive partial match)
+ */
+router.get('/', requirePermission(PERMISSIONS.GUESTS_READ), validateHouseholdQuery, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const data = await listHouseholds({
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      search: req.query.search,
+    });
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/households] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch households',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/households/:id - Get a household with its guests
+ */
+router.get('/:id', requirePermission(PERMISSIONS.GUESTS_READ), validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const household = await getHouseholdById(req.params.id);
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_NOT_FOUND',
+          message: 'Household not found',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: household,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/households/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch household',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/households - Create a household
+ *
+ * Request body:
+ * { name, notes?, guestIds? }
+ *
+ * Listed guests are moved into the new household.
+ *
+ * @example
+ * POST /api/admin/households
+ * { "name": "Gia đình chú Hai", "guestIds": ["…", "…"] }
+ */
+router.post('/', requirePermission(PERMISSIONS.GUESTS_WRITE), householdFieldRules(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const household = await createHousehold(req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.HOUSEHOLD_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.HOUSEHOLD,
+      entityId: household.id,
+      entityLabel: household.name,
+      after: household,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: household,
+    });
+  } catch (error) {
+    if (handleHouseholdError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/households] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create household',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/households/:id - Update a household
+ *
+ * When guestIds is sent it replaces the membership; guests left out are
+ * unlinked (not deleted).
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateIdParam, householdFieldRules(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await getHouseholdById(req.params.id);
+    const household = await updateHousehold(req.params.id, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.HOUSEHOLD_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.HOUSEHOLD,
+      entityId: household.id,
+      entityLabel: household.name,
+      before,
+      after: household,
+    });
+
+    res.json({
+      success: true,
+      data: household,
+    });
+  } catch (error) {
+    if (handleHouseholdError(error, res)) return;
+
+    console.error('❌ [PATCH /api/admin/households/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update household',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/households/:id - Delete a household
+ *
+ * Member guests are kept and unlinked from the household.
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const household = await deleteHousehold(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.HOUSEHOLD_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.HOUSEHOLD,
+      entityId: household.id,
+      entityLabel: household.name,
+      before: household,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Household deleted successfully',
+        id: household.id,
+      },
+    });
+  } catch (error) {
+    if (handleHouseholdError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/households/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete household',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
@@ -2,24 +2,52 @@
  * Admin Routes Aggregator
  * 
  * Combines all admin-related routes into a single router.
+ * Everything except /auth requires a valid admin access token.
  * 
  * @module routes/admin
  */
 
 import express from 'express'
+import { authenticateAdmin } from '../../middleware/authMiddleware.js'
+import authRoutes from './auth.js'
 import statsRoutes from './stats.js'
 import guestsRoutes from './guests.js'
 import galleryRoutes from './gallery.js'
+import usersRoutes from './users.js'
+import auditRoutes from './audit.js'
+import eventsRoutes from './events.js'
+import householdsRoutes from './households.js'
+import mealsRoutes from './meals.js'
+import seatingRoutes from './seating.js'
+import rsvpsRoutes from './rsvps.js'
+import webhooksRoutes from './webhooks.js'
+import messagesRoutes from './messages.js'
+import remindersRoutes from './reminders.js'
+import wishesRoutes from './wishes.js'
 
 const router = express.Router()
 
+// Authentication routes handle their own auth (login/refresh are public)
+router.use('/auth', authRoutes)
+
+// All remaining admin routes require authentication; each route
+// additionally checks the permission it needs (see config/permissions.js)
+router.use(authenticateAdmin)
+
 // Register admin sub-routes
 router.use('/stats', statsRoutes)
 router.use('/guests', guestsRoutes)
 router.use('/gallery', galleryRoutes)
-
-// Future admin routes can be added here:
-// router.use('/rsvps', rsvpAdminRoutes)
-// router.use('/auth', authRoutes)
+router.use('/users', usersRoutes)
+router.use('/audit', auditRoutes)
+router.use('/events', eventsRoutes)
+router.use('/households', householdsRoutes)
+router.use('/meals', mealsRoutes)
+router.use('/seating', seatingRoutes)
+router.use('/rsvps', rsvpsRoutes)
+router.use('/webhooks', webhooksRoutes)
+router.use('/messages', messagesRoutes)
+router.use('/reminders', remindersRoutes)
+router.use('/wishes', wishesRoutes)
 
 export default router
@@ -0,0 +1,338 @@
+/**
+ * Admin Meal Routes
+ *
+ * Configure each event's menu and produce the caterer's summary: headcount
+ * per meal option and the list of allergy / dietary notes.
+ *
+ * @module routes/admin/meals
+ */
+
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../../services/auditService.js';
+import { EVENT_SLUG_PATTERN, getEventBySlug } from '../../services/eventService.js';
+import {
+  createMealOption,
+  deleteMealOption,
+  getCateringSummary,
+  getMealOptionById,
+  listMealOptions,
+  updateMealOption,
+} from '../../services/mealService.js';
+
+const router = express.Router();
+
+/**
+ * HTTP status for each meal service error code
+ */
+const MEAL_ERROR_STATUS = {
+  MEAL_OPTION_NOT_FOUND: 404,
+  MEAL_OPTION_NAME_TAKEN: 409,
+  MEAL_OPTION_IN_USE: 409,
+};
+
+/**
+ * Validation Rules
+ *
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} express-validator chain
+ */
+const mealOptionFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description must be under 300 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('sortOrder must be a non-negative integer')
+    .toInt(),
+];
+
+const validateVenueParam = param('venue').matches(EVENT_SLUG_PATTERN).withMessage('Invalid event slug');
+const validateIdParam = param('id').isUUID().withMessage('Invalid meal option ID format');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Send a 404 response unless the :venue event exists
+ *
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectUnknownEvent = async (req, res) => {
+  if (await getEventBySlug(req.params.venue)) return false;
+
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'EVENT_NOT_FOUND',
+      message: 'Event not found',
+    },
+  });
+  return true;
+};
+
+/**
+ * Load the :id meal option, sending a 404 if it doesn't belong to :venue
+ *
+ * @returns {Promise<Object|null>} Meal option, or null if a response was sent
+ */
+const findVenueMealOption = async (req, res) => {
+  const mealOption = await getMealOptionById(req.params.id);
+  if (mealOption && mealOption.venue === req.params.venue) return mealOption;
+
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'MEAL_OPTION_NOT_FOUND',
+      message: 'Meal option not found',
+    },
+  });
+  return null;
+};
+
+/**
+ * Map a meal service error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleMealError = (error, res) => {
+  const status = MEAL_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.count !== undefined && { count: error.count }),
+    },
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/meals/:venue/options - List an event's meal options (including inactive)
+ */
+router.get('/:venue/options', requirePermission(PERMISSIONS.RSVPS_READ), validateVenueParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    if (await rejectUnknownEvent(req, res)) return;
+
+    const mealOptions = await listMealOptions(req.params.venue);
+
+    res.json({
+      success: true,
+      data: mealOptions,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/meals/:venue/options] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch meal options',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/meals/:venue/options - Add a meal option to an event's menu
+ *
+ * Request body:
+ * { name, description?, isActive?, sortOrder? }
+ *
+ * @example
+ * POST /api/admin/meals/hue/options
+ * { "name": "Cơm chay", "description": "Thực đơn chay", "sortOrder": 2 }
+ */
+router.post('/:venue/options', requirePermission(PERMISSIONS.RSVPS_WRITE), validateVenueParam, mealOptionFieldRules(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    if (await rejectUnknownEvent(req, res)) return;
+
+    const mealOption = await createMealOption({ ...req.body, venue: req.params.venue });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MEAL_OPTION_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.MEAL_OPTION,
+      entityId: mealOption.id,
+      entityLabel: mealOption.name,
+      after: mealOption,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: mealOption,
+    });
+  } catch (error) {
+    if (handleMealError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/meals/:venue/options] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create meal option',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/meals/:venue/options/:id - Update a meal option
+ *
+ * Set isActive to false to stop offering an option without losing the
+ * answers that already chose it.
+ */
+router.patch('/:venue/options/:id', requirePermission(PERMISSIONS.RSVPS_WRITE), validateVenueParam, validateIdParam, mealOptionFieldRules(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await findVenueMealOption(req, res);
+    if (!before) return;
+
+    const mealOption = await updateMealOption(req.params.id, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MEAL_OPTION_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.MEAL_OPTION,
+      entityId: mealOption.id,
+      entityLabel: mealOption.name,
+      before,
+      after: mealOption,
+    });
+
+    res.json({
+      success: true,
+      data: mealOption,
+    });
+  } catch (error) {
+    if (handleMealError(error, res)) return;
+
+    console.error('❌ [PATCH /api/admin/meals/:venue/options/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update meal option',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/meals/:venue/options/:id - Delete a meal option
+ *
+ * Only options nobody has chosen can be deleted (409 MEAL_OPTION_IN_USE).
+ */
+router.delete('/:venue/options/:id', requirePermission(PERMISSIONS.RSVPS_WRITE), validateVenueParam, validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    if (!await findVenueMealOption(req, res)) return;
+
+    const mealOption = await deleteMealOption(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MEAL_OPTION_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.MEAL_OPTION,
+      entityId: mealOption.id,
+      entityLabel: mealOption.name,
+      before: mealOption,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Meal option deleted successfully',
+        id: mealOption.id,
+      },
+    });
+  } catch (error) {
+    if (handleMealError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/meals/:venue/options/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete meal option',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/meals/:venue/summary - Caterer summary for an event
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     venue: 'hue',
+ *     totalAttending: 120,
+ *     meals: [{ id, name, isActive, count }],
+ *     noMealSelected: 3,
+ *     withoutAttendeeList: 5,
+ *     dietaryRestrictions: [{ name, rsvpName, meal, note }]
+ *   }
+ * }
+ */
+router.get('/:venue/summary', requirePermission(PERMISSIONS.RSVPS_READ), validateVenueParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    if (await rejectUnknownEvent(req, res)) return;
+
+    const summary = await getCateringSummary(req.params.venue);
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/meals/:venue/summary] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to build catering summary',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,428 @@
+/**
+ * Admin Messaging Routes
+ *
+ * Message templates and sending them (invitation links, practical info) to
+ * guests by email or SMS. A guest's send history is at
+ * GET /api/admin/guests/:id/messages.
+ *
+ * @module routes/admin/messages
+ */
+
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../../services/auditService.js';
+import { EVENT_SLUG_PATTERN } from '../../services/eventService.js';
+import {
+  MAX_RECIPIENTS,
+  TEMPLATE_VARIABLES,
+  createMessageTemplate,
+  deleteMessageTemplate,
+  getMessageTemplate,
+  listMessageTemplates,
+  previewMessage,
+  queueTemplateMessages,
+  updateMessageTemplate,
+} from '../../services/messagingService.js';
+
+const router = express.Router();
+
+/**
+ * HTTP status for each messaging service error code
+ */
+const MESSAGING_ERROR_STATUS = {
+  TEMPLATE_NOT_FOUND: 404,
+  GUEST_NOT_FOUND: 404,
+  TEMPLATE_NAME_TAKEN: 409,
+  TEMPLATE_SUBJECT_REQUIRED: 400,
+  TEMPLATE_UNKNOWN_VARIABLE: 400,
+  MESSAGE_TOO_MANY_RECIPIENTS: 400,
+  MESSAGE_PROVIDER_NOT_FOUND: 503,
+  MESSAGE_PROVIDER_NOT_CONFIGURED: 503,
+};
+
+/**
+ * Validation Rules
+ *
+ * @param {boolean} isUpdate - Make every field optional (channel can't change)
+ * @returns {Array} express-validator chain
+ */
+const templateFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+
+  ...(isUpdate ? [] : [
+    body('channel')
+      .isIn(['email', 'sms'])
+      .withMessage('Channel must be email or sms'),
+  ]),
+
+  body('subject')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Subject must be under 200 characters'),
+
+  (isUpdate ? body('body').optional() : body('body'))
+    .isString()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Body must be between 1-5000 characters'),
+];
+
+const validatePreview = [
+  body('templateId').isUUID().withMessage('Invalid template ID format'),
+  body('guestId').isUUID().withMessage('Invalid guest ID format'),
+];
+
+const validateSend = [
+  body('templateId').isUUID().withMessage('Invalid template ID format'),
+
+  body('guestIds')
+    .optional()
+    .isArray({ min: 1, max: MAX_RECIPIENTS })
+    .withMessage(`guestIds must be an array of 1-${MAX_RECIPIENTS} guest IDs`),
+
+  body('guestIds.*')
+    .isUUID()
+    .withMessage('Each guest ID must be a valid UUID'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('filters must be an object'),
+
+  body('filters.venue')
+    .optional()
+    .matches(EVENT_SLUG_PATTERN)
+    .withMessage('Venue must be an event slug'),
+
+  body('filters.search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long'),
+
+  body()
+    .custom((value) => Boolean(value.guestIds) !== Boolean(value.filters))
+    .withMessage('Send either guestIds or filters'),
+];
+
+const validateIdParam = param('id').isUUID().withMessage('Invalid template ID format');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Map a messaging service error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleMessagingError = (error, res) => {
+  const status = MESSAGING_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.variables && { variables: error.variables }),
+      ...(error.matched !== undefined && { matched: error.matched }),
+    },
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/messages/templates - List message templates
+ *
+ * Also returns the placeholders templates can use.
+ */
+router.get('/templates', requirePermission(PERMISSIONS.GUESTS_READ), async (req, res) => {
+  try {
+    const templates = await listMessageTemplates();
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        variables: TEMPLATE_VARIABLES,
+      },
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/messages/templates] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch message templates',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/messages/templates/:id - Get a message template
+ */
+router.get('/templates/:id', requirePermission(PERMISSIONS.GUESTS_READ), validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const template = await getMessageTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TEMPLATE_NOT_FOUND',
+          message: 'Message template not found',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/messages/templates/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch message template',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/messages/templates - Create a message template
+ *
+ * Request body:
+ * { name, channel: 'email' | 'sms', subject? (required for email), body }
+ *
+ * @example
+ * POST /api/admin/messages/templates
+ * { "name": "Thiệp mời SMS", "channel": "sms",
+ *   "body": "Chào {name}, mời bạn dự tiệc cưới tại {venue}: {invitationUrl}" }
+ */
+router.post('/templates', requirePermission(PERMISSIONS.GUESTS_WRITE), templateFieldRules(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const template = await createMessageTemplate(req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MESSAGE_TEMPLATE_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.MESSAGE_TEMPLATE,
+      entityId: template.id,
+      entityLabel: template.name,
+      after: template,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    if (handleMessagingError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/messages/templates] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create message template',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/messages/templates/:id - Update a message template
+ */
+router.patch('/templates/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateIdParam, templateFieldRules(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await getMessageTemplate(req.params.id);
+    const template = await updateMessageTemplate(req.params.id, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MESSAGE_TEMPLATE_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.MESSAGE_TEMPLATE,
+      entityId: template.id,
+      entityLabel: template.name,
+      before,
+      after: template,
+    });
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    if (handleMessagingError(error, res)) return;
+
+    console.error('❌ [PATCH /api/admin/messages/templates/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update message template',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/messages/templates/:id - Delete a message template
+ *
+ * Messages already sent keep their text in the guests' history.
+ */
+router.delete('/templates/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const template = await deleteMessageTemplate(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MESSAGE_TEMPLATE_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.MESSAGE_TEMPLATE,
+      entityId: template.id,
+      entityLabel: template.name,
+      before: template,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Message template deleted successfully',
+        id: template.id,
+      },
+    });
+  } catch (error) {
+    if (handleMessagingError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/messages/templates/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete message template',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/messages/preview - Render a template for one guest
+ *
+ * Request body:
+ * { templateId, guestId }
+ *
+ * Response data: { channel, to, subject, body }, or { channel, skipReason }
+ * (NO_EMAIL, NO_PHONE, NO_INVITATION) when the guest can't receive it.
+ */
+router.post('/preview', requirePermission(PERMISSIONS.GUESTS_READ), validatePreview, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const preview = await previewMessage(req.body.templateId, req.body.guestId);
+
+    res.json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    if (handleMessagingError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/messages/preview] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to preview message',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/messages/send - Queue a template for guests
+ *
+ * Request body (one of guestIds / filters):
+ * {
+ *   templateId,
+ *   guestIds?: string[],                 // one or more specific guests
+ *   filters?: { venue?, search? }        // same filters as GET /api/admin/guests
+ * }
+ *
+ * At most 500 guests per request. Guests without an email address / phone
+ * number, or without an invitation link when the template uses
+ * {invitationUrl}, are listed in `skipped`.
+ *
+ * Responds 202 once the messages are queued; the delivery worker sends them
+ * and each message's status shows in the guest's message history.
+ *
+ * Response data:
+ * { template, matched, queued, skipped: [{ guestId, name, reason }],
+ *   messages: [{ id, guestId, recipient, status }] }
+ */
+router.post('/send', requirePermission(PERMISSIONS.GUESTS_WRITE), validateSend, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { templateId, guestIds, filters } = req.body;
+    const result = await queueTemplateMessages(templateId, { guestIds, filters }, { sentBy: req.admin.email });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.MESSAGE_SEND,
+      entityType: AUDIT_ENTITY_TYPES.MESSAGE_TEMPLATE,
+      entityId: result.template.id,
+      entityLabel: result.template.name,
+      after: {
+        ...(guestIds ? { guestIds } : { filters }),
+        queued: result.queued,
+        skipped: result.skipped.length,
+      },
+    });
+
+    res.status(202).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    if (handleMessagingError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/messages/send] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to queue messages',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
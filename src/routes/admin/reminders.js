@@ -0,0 +1,152 @@
+/**
+ * Admin RSVP Reminder Routes
+ *
+ * Preview and trigger the reminders sent to guests who haven't responded.
+ * Each event's schedule (reminderDaysBefore, reminderTemplateId) is set via
+ * /api/admin/events; a guest's reminders are paused with
+ * PUT /api/admin/guests/:id/reminders.
+ *
+ * @module routes/admin/reminders
+ */
+
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAuditBatch } from '../../services/auditService.js';
+import { EVENT_SLUG_PATTERN } from '../../services/eventService.js';
+import { previewReminders, sendDueReminders } from '../../services/reminderService.js';
+
+const router = express.Router();
+
+/**
+ * HTTP status for each messaging service error code
+ */
+const REMINDER_ERROR_STATUS = {
+  TEMPLATE_NOT_FOUND: 404,
+  MESSAGE_PROVIDER_NOT_FOUND: 503,
+  MESSAGE_PROVIDER_NOT_CONFIGURED: 503,
+};
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/reminders - Preview RSVP reminders
+ *
+ * Query Parameters:
+ * - venue: Only this event (slug)
+ *
+ * Lists events whose RSVP window is open and has a deadline, with
+ * daysLeft, whether a reminder is due today, the date of the next one and
+ * the guests it would go to (no RSVP and not listed on anyone else's,
+ * reminders not paused) with their lastRemindedAt. pausedCount is the number
+ * of unanswered guests skipped because their reminders are paused.
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.GUESTS_READ),
+  query('venue').optional().matches(EVENT_SLUG_PATTERN).withMessage('Venue must be an event slug'),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const events = await previewReminders({ venue: req.query.venue });
+
+      res.json({
+        success: true,
+        data: { events },
+      });
+    } catch (error) {
+      console.error('❌ [GET /api/admin/reminders] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to preview reminders',
+          details: error.message,
+        },
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/reminders/run - Queue the reminders due today now
+ *
+ * Request body:
+ * { venue?: string }
+ *
+ * Same as the daily job (RSVP_REMINDER_HOUR): guests reminded in the last
+ * 20 hours are not reminded again, so running it twice is harmless.
+ * Responds 202 once the messages are queued; the messaging delivery worker
+ * sends them.
+ *
+ * Response data: { events: [{ venue, daysLeft, template, recipients, queued, skipped }] }
+ */
+router.post(
+  '/run',
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
+  body('venue').optional().matches(EVENT_SLUG_PATTERN).withMessage('Venue must be an event slug'),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const events = await sendDueReminders({ venue: req.body.venue, sentBy: req.admin.email });
+
+      await recordAuditBatch(req, events.filter(event => event.template).map(event => ({
+        action: AUDIT_ACTIONS.MESSAGE_SEND,
+        entityType: AUDIT_ENTITY_TYPES.MESSAGE_TEMPLATE,
+        entityId: event.template.id,
+        entityLabel: event.template.name,
+        after: {
+          reminder: event.venue,
+          queued: event.queued,
+          skipped: event.skipped.length,
+        },
+      })));
+
+      res.status(202).json({
+        success: true,
+        data: { events },
+      });
+    } catch (error) {
+      const status = REMINDER_ERROR_STATUS[error.code];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+          },
+        });
+      }
+
+      console.error('❌ [POST /api/admin/reminders/run] Error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to queue reminders',
+          details: error.message,
+        },
+      });
+    }
+  },
+);
+
+export default router;
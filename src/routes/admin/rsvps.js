@@ -0,0 +1,163 @@
+/**
+ * Admin RSVP Routes
+ *
+ * RSVP downloads for planners and venues, and the daily RSVP digest. The
+ * paginated list and edits live under /api/rsvp.
+ *
+ * @module routes/admin/rsvps
+ */
+
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { EVENT_SLUG_PATTERN } from '../../services/eventService.js';
+import {
+  EXPORT_CONTENT_TYPES,
+  RSVP_EXPORT_FORMATS,
+  exportFileName,
+  streamRsvpExport,
+} from '../../services/exportService.js';
+import { buildRsvpDigest, sendRsvpDigest } from '../../services/notificationService.js';
+
+const router = express.Router();
+
+/**
+ * Validation Rules
+ */
+const validateRsvpExport = [
+  query('format')
+    .optional()
+    .isIn(RSVP_EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${RSVP_EXPORT_FORMATS.join(', ')}`),
+
+  query('venue')
+    .optional()
+    .matches(EVENT_SLUG_PATTERN)
+    .withMessage('Venue must be an event slug'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long'),
+
+  query('willAttend')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('willAttend must be "true" or "false"')
+    .toBoolean(),
+];
+
+/**
+ * GET /api/admin/rsvps/export - Download the full filtered RSVP list
+ *
+ * Query Parameters (same filters as GET /api/rsvp):
+ * - format: csv (default) or xlsx
+ * - venue: Filter by event slug
+ * - search: Search by RSVP name (case-insensitive partial match)
+ * - willAttend: 'true' or 'false'
+ *
+ * Includes open RSVPs that aren't linked to an invited guest.
+ */
+router.get('/export', requirePermission(PERMISSIONS.RSVPS_READ), validateRsvpExport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const { venue, search, willAttend } = req.query;
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('rsvps', format, venue)}"`);
+
+    const count = await streamRsvpExport(res, format, { venue, search, willAttend });
+
+    console.log(`📤 Exported ${count} RSVPs as ${format}`);
+  } catch (error) {
+    console.error('❌ [GET /api/admin/rsvps/export] Error:', error);
+
+    // Once the download has started the status can't change; cut it short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to export RSVPs',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/rsvps/digest - Preview the daily RSVP digest
+ *
+ * Shows the digest for the last 24 hours exactly as it would be emailed.
+ *
+ * Response:
+ * { success: true, data: { subject, text, rsvpCount } }
+ */
+router.get('/digest', requirePermission(PERMISSIONS.RSVPS_READ), async (req, res) => {
+  try {
+    const until = new Date();
+    const since = new Date(until.getTime() - 24 * 60 * 60 * 1000);
+    const { subject, text, rsvpCount } = await buildRsvpDigest({ since, until });
+
+    res.json({
+      success: true,
+      data: { subject, text, rsvpCount },
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/rsvps/digest] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to build RSVP digest',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/rsvps/digest - Send the daily RSVP digest now
+ *
+ * Goes to every active admin who opted into the digest. Nothing is sent when
+ * there were no RSVPs in the last 24 hours.
+ *
+ * Response:
+ * { success: true, data: { sent, recipients, rsvpCount, channels } }
+ */
+router.post('/digest', requirePermission(PERMISSIONS.RSVPS_READ), async (req, res) => {
+  try {
+    const result = await sendRsvpDigest();
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ [POST /api/admin/rsvps/digest] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to send RSVP digest',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,424 @@
+/**
+ * Admin Seating Routes
+ *
+ * Tables and seat assignments per event, and the full seating chart.
+ *
+ * @module routes/admin/seating
+ */
+
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../../services/auditService.js';
+import { EVENT_SLUG_PATTERN, getEventBySlug } from '../../services/eventService.js';
+import {
+  assignSeat,
+  createTable,
+  deleteTable,
+  getSeatingChart,
+  getTableById,
+  unassignSeat,
+  updateTable,
+} from '../../services/seatingService.js';
+
+const router = express.Router();
+
+/**
+ * HTTP status for each seating service error code
+ */
+const SEATING_ERROR_STATUS = {
+  TABLE_NOT_FOUND: 404,
+  SEAT_NOT_FOUND: 404,
+  OCCUPANT_NOT_FOUND: 404,
+  TABLE_NAME_TAKEN: 409,
+  TABLE_OVER_CAPACITY: 409,
+  TABLE_FULL: 409,
+  SEAT_TAKEN: 409,
+  GUEST_DECLINED: 422,
+  WRONG_VENUE: 422,
+  INVALID_SEAT_NUMBER: 400,
+};
+
+/**
+ * Validation Rules
+ *
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} express-validator chain
+ */
+const tableFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1-50 characters'),
+
+  (isUpdate ? body('capacity').optional() : body('capacity'))
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Capacity must be between 1-50')
+    .toInt(),
+
+  body('notes')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Notes must be under 300 characters'),
+
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('sortOrder must be a non-negative integer')
+    .toInt(),
+];
+
+const validateSeatAssignment = [
+  body('guestId')
+    .optional()
+    .isUUID()
+    .withMessage('Guest ID must be a valid UUID'),
+
+  body('attendeeId')
+    .optional()
+    .isUUID()
+    .withMessage('Attendee ID must be a valid UUID'),
+
+  body()
+    .custom((value) => Boolean(value.guestId) !== Boolean(value.attendeeId))
+    .withMessage('Provide exactly one of guestId or attendeeId'),
+
+  body('seatNumber')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Seat number must be a positive integer')
+    .toInt(),
+];
+
+const validateVenueParam = param('venue').matches(EVENT_SLUG_PATTERN).withMessage('Invalid event slug');
+const validateIdParam = param('id').isUUID().withMessage('Invalid ID format');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Send a 404 response unless the :venue event exists
+ *
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectUnknownEvent = async (req, res) => {
+  if (await getEventBySlug(req.params.venue)) return false;
+
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'EVENT_NOT_FOUND',
+      message: 'Event not found',
+    },
+  });
+  return true;
+};
+
+/**
+ * Load the :id table, sending a 404 if it doesn't belong to :venue
+ *
+ * @returns {Promise<Object|null>} Table, or null if a response was sent
+ */
+const findVenueTable = async (req, res) => {
+  const table = await getTableById(req.params.id);
+  if (table && table.venue === req.params.venue) return table;
+
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'TABLE_NOT_FOUND',
+      message: 'Table not found',
+    },
+  });
+  return null;
+};
+
+/**
+ * Map a seating service error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleSeatingError = (error, res) => {
+  const status = SEATING_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.capacity !== undefined && { capacity: error.capacity }),
+      ...(error.seated !== undefined && { seated: error.seated }),
+    },
+  });
+  return true;
+};
+
+/**
+ * GET /api/admin/seating/:venue - Full seating chart for an event
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     venue: 'hue',
+ *     tables: [{ id, name, capacity, notes, sortOrder, seated, available,
+ *                seats: [{ id, seatNumber, guestId, attendeeId, name, isPlusOne, rsvpName }] }],
+ *     totals: { tables: 12, capacity: 120, seated: 96 },
+ *     unseated: [{ guestId, attendeeId, name, isPlusOne, rsvpName }]
+ *   }
+ * }
+ */
+router.get('/:venue', requirePermission(PERMISSIONS.GUESTS_READ), validateVenueParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    if (await rejectUnknownEvent(req, res)) return;
+
+    const chart = await getSeatingChart(req.params.venue);
+
+    res.json({
+      success: true,
+      data: chart,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/seating/:venue] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch seating chart',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/seating/:venue/tables - Create a table
+ *
+ * Request body:
+ * { name, capacity, notes?, sortOrder? }
+ */
+router.post('/:venue/tables', requirePermission(PERMISSIONS.GUESTS_WRITE), validateVenueParam, tableFieldRules(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    if (await rejectUnknownEvent(req, res)) return;
+
+    const table = await createTable({ ...req.body, venue: req.params.venue });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.TABLE_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.TABLE,
+      entityId: table.id,
+      entityLabel: table.name,
+      after: table,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: table,
+    });
+  } catch (error) {
+    if (handleSeatingError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/seating/:venue/tables] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create table',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/seating/:venue/tables/:id - Update a table
+ *
+ * Lowering the capacity below the number of seated people is rejected
+ * (409 TABLE_OVER_CAPACITY).
+ */
+router.patch('/:venue/tables/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateVenueParam, validateIdParam, tableFieldRules(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await findVenueTable(req, res);
+    if (!before) return;
+
+    const table = await updateTable(req.params.id, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.TABLE_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.TABLE,
+      entityId: table.id,
+      entityLabel: table.name,
+      before,
+      after: table,
+    });
+
+    res.json({
+      success: true,
+      data: table,
+    });
+  } catch (error) {
+    if (handleSeatingError(error, res)) return;
+
+    console.error('❌ [PATCH /api/admin/seating/:venue/tables/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update table',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/seating/:venue/tables/:id - Delete a table
+ *
+ * Everyone seated at the table becomes unseated.
+ */
+router.delete('/:venue/tables/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateVenueParam, validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    if (!await findVenueTable(req, res)) return;
+
+    const table = await deleteTable(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.TABLE_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.TABLE,
+      entityId: table.id,
+      entityLabel: table.name,
+      before: table,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Table deleted successfully',
+        id: table.id,
+        unseated: table.seated,
+      },
+    });
+  } catch (error) {
+    if (handleSeatingError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/seating/:venue/tables/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete table',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/seating/:venue/tables/:id/seats - Seat a guest or attendee
+ *
+ * Request body:
+ * { guestId } or { attendeeId }, plus optional seatNumber (1..capacity)
+ *
+ * Invited guests are seated by guestId; use attendeeId for plus-ones from an
+ * RSVP's attendee list. Someone already seated elsewhere is moved. Rejects
+ * full tables (409 TABLE_FULL), taken seats (409 SEAT_TAKEN) and people who
+ * declined (422 GUEST_DECLINED).
+ */
+router.post('/:venue/tables/:id/seats', requirePermission(PERMISSIONS.GUESTS_WRITE), validateVenueParam, validateIdParam, validateSeatAssignment, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    if (!await findVenueTable(req, res)) return;
+
+    const { seat, previous } = await assignSeat(req.params.id, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SEAT_ASSIGN,
+      entityType: AUDIT_ENTITY_TYPES.SEAT_ASSIGNMENT,
+      entityId: seat.id,
+      entityLabel: seat.name,
+      before: previous,
+      after: seat,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...seat,
+        movedFromTableId: previous?.tableId || null,
+      },
+    });
+  } catch (error) {
+    if (handleSeatingError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/seating/:venue/tables/:id/seats] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to assign seat',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/seating/:venue/seats/:id - Unseat a guest or attendee
+ */
+router.delete('/:venue/seats/:id', requirePermission(PERMISSIONS.GUESTS_WRITE), validateVenueParam, validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const seat = await unassignSeat(req.params.id, req.params.venue);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SEAT_UNASSIGN,
+      entityType: AUDIT_ENTITY_TYPES.SEAT_ASSIGNMENT,
+      entityId: seat.id,
+      entityLabel: seat.name,
+      before: seat,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Seat assignment removed',
+        id: seat.id,
+      },
+    });
+  } catch (error) {
+    if (handleSeatingError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/seating/:venue/seats/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to remove seat assignment',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
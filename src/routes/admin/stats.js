@@ -8,6 +8,11 @@
 
 import express from 'express'
 import { getAdminStats } from '../../services/rsvpService.js'
+import { getInvitationFunnel } from '../../services/invitationService.js'
+import { extractBearerToken, requirePermission } from '../../middleware/authMiddleware.js'
+import { hasPermission, PERMISSIONS } from '../../config/permissions.js'
+import { verifyAccessToken } from '../../services/authService.js'
+import { FEED_CHANNELS, FEED_EVENTS, loadLiveStats, sendToClient, subscribe } from '../../services/liveFeedService.js'
 
 const router = express.Router()
 
@@ -17,9 +22,12 @@ const router = express.Router()
  * Returns aggregated statistics including:
  * - Total guests and guests by venue
  * - Total RSVPs and RSVPs by venue
- * - Total attending guests (sum of guestCount where willAttend=true)
+ * - Total attending people (each named attendee once, plus guestCount for
+ *   RSVPs without an attendee list) and how many of them are plus-ones
  * - Response rate (percentage of guests who RSVPed)
  * - Recent activity (RSVPs in last 7 days)
+ * - Invitation funnel per event: invited -> opened -> responded -> attending
+ *   (guest counts, rates in percent of invited)
  * - Last updated timestamp
  * 
  * @returns {Object} 200 - Admin statistics
@@ -41,17 +49,27 @@ const router = express.Router()
  *       "hanoi": 16
  *     },
  *     "attendingGuests": 85,
+ *     "plusOnes": 9,
  *     "responseRate": 84.4,
  *     "recentActivity": 12,
+ *     "funnel": {
+ *       "hue": {
+ *         "invited": 25, "opened": 21, "responded": 19, "attending": 17,
+ *         "openRate": 84, "responseRate": 76, "attendanceRate": 68
+ *       }
+ *     },
  *     "lastUpdated": "2025-10-18T10:30:00.000Z"
  *   }
  * }
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
   try {
     console.log('📊 Fetching admin statistics...')
 
-    const stats = await getAdminStats()
+    const [stats, funnel] = await Promise.all([
+      getAdminStats(),
+      getInvitationFunnel()
+    ])
 
     console.log('✅ Admin statistics retrieved:', {
       totalGuests: stats.totalGuests,
@@ -62,7 +80,10 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        funnel
+      }
     })
   } catch (error) {
     console.error('❌ Get admin stats error:', error)
@@ -75,4 +96,65 @@ router.get('/', async (req, res) => {
   }
 })
 
+/**
+ * GET /api/admin/stats/stream - Live dashboard (Server-Sent Events)
+ * 
+ * Sends `stats` (same data as GET /api/admin/stats) on connect and again a
+ * couple of seconds after RSVPs change. Admins with rsvps:read also receive
+ * `rsvp.created`, `rsvp.updated` and `rsvp.deleted` with
+ * { id, guestId, name, venue, willAttend, guestCount, previous?, at }.
+ * 
+ * Requires the Authorization header like every admin route, so browsers
+ * need a fetch-based EventSource; tokens are never accepted in the URL.
+ * The token is checked again on every heartbeat: once the session is revoked,
+ * the token expires or the admin loses stats:read, the stream sends
+ * `session.ended` with { code } and closes (reconnect with a fresh token).
+ * 
+ * @query {string} [venue] - Only RSVP events for this event slug
+ * 
+ * @returns {Stream} 200 - text/event-stream
+ * @returns {Object} 503 - Too many live connections
+ */
+router.get('/stream', requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
+  const token = extractBearerToken(req)
+  const verify = async () => {
+    const { admin } = await verifyAccessToken(token)
+    if (!hasPermission(admin.role, PERMISSIONS.STATS_READ)) {
+      const error = new Error(`Missing permission: ${PERMISSIONS.STATS_READ}`)
+      error.code = 'FORBIDDEN'
+      throw error
+    }
+    return admin.role
+  }
+
+  let client
+  try {
+    client = subscribe(FEED_CHANNELS.ADMIN, req, res, {
+      venue: typeof req.query.venue === 'string' ? req.query.venue : undefined,
+      role: req.admin.role,
+      verify
+    })
+  } catch (error) {
+    if (error.code === 'FEED_FULL') {
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      })
+    }
+
+    console.error('❌ Open admin stats stream error:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to open admin stats stream'
+    })
+  }
+
+  try {
+    sendToClient(client, FEED_EVENTS.STATS, await loadLiveStats())
+  } catch (error) {
+    // The stream stays open; the next RSVP change sends fresh stats
+    console.error('❌ Initial live stats error:', error)
+  }
+})
+
 export default router
@@ -0,0 +1,212 @@
+/**
+ * Admin User Management Routes
+ *
+ * Lets owners invite team members and assign their roles.
+ * Requires the admins:manage permission.
+ *
+ * @module routes/admin/users
+ */
+
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS, ROLE_PERMISSIONS } from '../../config/permissions.js';
+import {
+  createAdminUser,
+  listAdminUsers,
+  updateAdminUser,
+} from '../../services/authService.js';
+
+const router = express.Router();
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+router.use(requirePermission(PERMISSIONS.ADMINS_MANAGE));
+
+/**
+ * Validation Rules
+ */
+const validateCreateAdmin = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 200 })
+    .withMessage('Password must be at least 8 characters'),
+
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+];
+
+const validateUpdateAdmin = [
+  param('id').isUUID().withMessage('Invalid admin ID format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+
+  body(['notifyOnRsvp', 'rsvpDigest'])
+    .optional()
+    .isBoolean()
+    .withMessage('Notification preferences must be true or false')
+    .toBoolean(),
+];
+
+/**
+ * GET /api/admin/users - List admin users
+ */
+router.get('/', async (req, res) => {
+  try {
+    const admins = await listAdminUsers();
+
+    res.json({
+      success: true,
+      data: {
+        admins,
+        roles: ROLE_PERMISSIONS,
+      },
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/users] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch admin users',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users - Create an admin user
+ *
+ * Request body:
+ * { email, name, password, role: 'owner' | 'planner' | 'photographer' | 'viewer' }
+ */
+router.post('/', validateCreateAdmin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { email, name, password, role } = req.body;
+    const admin = await createAdminUser({ email, name, password, role });
+
+    console.log(`✅ Admin created by ${req.admin.email}: ${admin.email} (${admin.role})`);
+
+    res.status(201).json({
+      success: true,
+      data: admin,
+    });
+  } catch (error) {
+    if (error.code === 'EMAIL_TAKEN' || error.code === 'WEAK_PASSWORD') {
+      return res.status(error.code === 'EMAIL_TAKEN' ? 409 : 400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    console.error('❌ [POST /api/admin/users] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create admin user',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id - Update an admin's name, role or active flag
+ *
+ * Admins can't change their own role or deactivate themselves, so an owner
+ * can't accidentally lock the team out.
+ */
+router.patch('/:id', validateUpdateAdmin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { id } = req.params;
+    const { name, role, isActive, notifyOnRsvp, rsvpDigest } = req.body;
+
+    if (id === req.admin.id && (role !== undefined || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CANNOT_MODIFY_SELF',
+          message: 'You cannot change your own role or deactivate yourself',
+        },
+      });
+    }
+
+    const admin = await updateAdminUser(id, { name, role, isActive, notifyOnRsvp, rsvpDigest });
+
+    res.json({
+      success: true,
+      data: admin,
+    });
+  } catch (error) {
+    if (error.code === 'ADMIN_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Admin not found',
+        },
+      });
+    }
+
+    console.error('❌ [PATCH /api/admin/users/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update admin user',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
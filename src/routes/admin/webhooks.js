@@ -0,0 +1,510 @@
+/**
+ * Admin Webhook Routes
+ *
+ * Manage outbound webhook subscriptions and inspect their delivery log.
+ * Signing secrets are only returned when a subscription is created or its
+ * secret is rotated.
+ *
+ * @module routes/admin/webhooks
+ */
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../../services/auditService.js';
+import {
+  WEBHOOK_EVENTS,
+  createWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookDelivery,
+  getWebhookSubscription,
+  listWebhookDeliveries,
+  listWebhookSubscriptions,
+  redeliverWebhook,
+  rotateWebhookSecret,
+  sendTestWebhook,
+  updateWebhookSubscription,
+} from '../../services/webhookService.js';
+
+const router = express.Router();
+
+const EVENT_NAMES = Object.values(WEBHOOK_EVENTS);
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * HTTP status for each webhook service error code
+ */
+const WEBHOOK_ERROR_STATUS = {
+  WEBHOOK_NOT_FOUND: 404,
+  WEBHOOK_DELIVERY_NOT_FOUND: 404,
+};
+
+// Every webhook route is owner-only
+router.use(requirePermission(PERMISSIONS.WEBHOOKS_MANAGE));
+
+/**
+ * Validation Rules
+ *
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} express-validator chain
+ */
+const webhookFieldRules = (isUpdate) => [
+  (isUpdate ? body('url').optional() : body('url'))
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http(s) URL')
+    .isLength({ max: 500 })
+    .withMessage('URL must be under 500 characters'),
+
+  (isUpdate ? body('events').optional() : body('events'))
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(EVENT_NAMES)
+    .withMessage(`Each event must be one of: ${EVENT_NAMES.join(', ')}`),
+
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be under 200 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+];
+
+const validateDeliveryQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100'),
+
+  query('status')
+    .optional()
+    .isIn(DELIVERY_STATUSES)
+    .withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+
+  query('event')
+    .optional()
+    .isIn([...EVENT_NAMES, 'ping'])
+    .withMessage('Unknown event'),
+];
+
+const validateIdParam = param('id').isUUID().withMessage('Invalid webhook ID format');
+
+const validateDeliveryIdParam = param('deliveryId').isUUID().withMessage('Invalid delivery ID format');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Map a webhook service error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleWebhookError = (error, res) => {
+  const status = WEBHOOK_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+    },
+  });
+  return true;
+};
+
+/**
+ * Audit snapshot of a subscription (never includes the secret)
+ */
+const auditSnapshot = ({ secret, ...subscription }) => subscription;
+
+/**
+ * GET /api/admin/webhooks - List webhook subscriptions
+ *
+ * Each subscription includes `failedDeliveries` (deliveries that gave up).
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await listWebhookSubscriptions();
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        events: EVENT_NAMES,
+      },
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/webhooks] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch webhooks',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/deliveries/:deliveryId - Get one delivery
+ *
+ * Includes the payload sent and the receiver's last response (first 2000
+ * characters), for debugging failed deliveries.
+ */
+router.get('/deliveries/:deliveryId', validateDeliveryIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const delivery = await getWebhookDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_DELIVERY_NOT_FOUND',
+          message: 'Webhook delivery not found',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/webhooks/deliveries/:deliveryId] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch webhook delivery',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/deliveries/:deliveryId/redeliver - Send a delivery again
+ *
+ * Creates a new delivery with the same event and payload (receivers can
+ * deduplicate on the payload's `id`) and attempts it right away.
+ */
+router.post('/deliveries/:deliveryId/redeliver', validateDeliveryIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const delivery = await redeliverWebhook(req.params.deliveryId);
+
+    res.status(201).json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    if (handleWebhookError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/webhooks/deliveries/:deliveryId/redeliver] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to redeliver webhook',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:id - Get a webhook subscription
+ */
+router.get('/:id', validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const webhook = await getWebhookSubscription(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_NOT_FOUND',
+          message: 'Webhook not found',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/webhooks/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch webhook',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks - Create a webhook subscription
+ *
+ * Request body:
+ * { url, events: string[], description?, isActive? }
+ *
+ * The response includes `secret`; store it now, it isn't shown again.
+ *
+ * @example
+ * POST /api/admin/webhooks
+ * { "url": "https://hooks.zapier.com/hooks/catch/123/abc", "events": ["rsvp.created", "rsvp.updated"] }
+ */
+router.post('/', webhookFieldRules(false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const webhook = await createWebhookSubscription(req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.WEBHOOK,
+      entityId: webhook.id,
+      entityLabel: webhook.url,
+      after: auditSnapshot(webhook),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    console.error('❌ [POST /api/admin/webhooks] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create webhook',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/webhooks/:id - Update a webhook subscription
+ *
+ * `events` replaces the subscribed events. Deactivating stops new deliveries
+ * and pending retries.
+ */
+router.patch('/:id', validateIdParam, webhookFieldRules(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await getWebhookSubscription(req.params.id);
+    const webhook = await updateWebhookSubscription(req.params.id, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.WEBHOOK,
+      entityId: webhook.id,
+      entityLabel: webhook.url,
+      before,
+      after: webhook,
+    });
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    if (handleWebhookError(error, res)) return;
+
+    console.error('❌ [PATCH /api/admin/webhooks/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update webhook',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id - Delete a webhook subscription and its delivery log
+ */
+router.delete('/:id', validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const webhook = await deleteWebhookSubscription(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.WEBHOOK,
+      entityId: webhook.id,
+      entityLabel: webhook.url,
+      before: webhook,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Webhook deleted successfully',
+        id: webhook.id,
+      },
+    });
+  } catch (error) {
+    if (handleWebhookError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/webhooks/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete webhook',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/secret - Rotate the signing secret
+ *
+ * The old secret stops working immediately. The response includes the new
+ * `secret`.
+ */
+router.post('/:id/secret', validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await getWebhookSubscription(req.params.id);
+    const webhook = await rotateWebhookSecret(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.WEBHOOK,
+      entityId: webhook.id,
+      entityLabel: webhook.url,
+      before,
+      after: auditSnapshot(webhook),
+    });
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  } catch (error) {
+    if (handleWebhookError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/webhooks/:id/secret] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to rotate webhook secret',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:id/test - Send a "ping" event and return the result
+ *
+ * Works for inactive webhooks too. The ping is logged but not retried.
+ */
+router.post('/:id/test', validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const delivery = await sendTestWebhook(req.params.id);
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    if (handleWebhookError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/webhooks/:id/test] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to send test webhook',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:id/deliveries - Delivery log for a webhook
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ * - status: pending | succeeded | failed
+ * - event: Event name
+ *
+ * Newest first; payloads and response bodies are left out (see
+ * GET /api/admin/webhooks/deliveries/:deliveryId).
+ */
+router.get('/:id/deliveries', validateIdParam, validateDeliveryQuery, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const data = await listWebhookDeliveries(req.params.id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      status: req.query.status,
+      event: req.query.event,
+    });
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    if (handleWebhookError(error, res)) return;
+
+    console.error('❌ [GET /api/admin/webhooks/:id/deliveries] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch webhook deliveries',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
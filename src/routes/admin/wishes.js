@@ -0,0 +1,412 @@
+/**
+ * Admin Wish Moderation Routes
+ *
+ * Review the wishes left with RSVPs before they reach the public wall
+ * (GET /api/wishes), and manage the blocklist that flags them.
+ *
+ * @module routes/admin/wishes
+ */
+
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { requirePermission } from '../../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit, recordAuditBatch } from '../../services/auditService.js';
+import { EVENT_SLUG_PATTERN } from '../../services/eventService.js';
+import {
+  WISH_STATUSES,
+  addBlockedTerm,
+  listBlockedTerms,
+  listWishesForModeration,
+  removeBlockedTerm,
+  rescanWishes,
+  setWishStatus,
+} from '../../services/wishModerationService.js';
+
+const router = express.Router();
+
+/**
+ * Most wishes one bulk request may change
+ */
+const MAX_BULK_WISHES = 200;
+
+/**
+ * HTTP status for each moderation service error code
+ */
+const MODERATION_ERROR_STATUS = {
+  BLOCKED_TERM_EXISTS: 409,
+  BLOCKED_TERM_NOT_FOUND: 404,
+};
+
+/**
+ * Validation Rules
+ */
+const validateWishQuery = [
+  query('status')
+    .optional()
+    .isIn(WISH_STATUSES)
+    .withMessage(`Status must be one of: ${WISH_STATUSES.join(', ')}`),
+
+  query('flagged')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('flagged must be "true" or "false"')
+    .toBoolean(),
+
+  query('venue')
+    .optional()
+    .matches(EVENT_SLUG_PATTERN)
+    .withMessage('Venue must be an event slug'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100')
+    .toInt(),
+];
+
+const validateStatusBody = body('status')
+  .isIn(WISH_STATUSES)
+  .withMessage(`Status must be one of: ${WISH_STATUSES.join(', ')}`);
+
+const validateBulkModeration = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_WISHES })
+    .withMessage(`ids must be an array of 1-${MAX_BULK_WISHES} RSVP IDs`),
+
+  body('ids.*')
+    .isUUID()
+    .withMessage('Invalid RSVP ID format'),
+
+  validateStatusBody,
+];
+
+const validateBlockedTerm = body('term')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Term must be 1-100 characters');
+
+const validateIdParam = param('id').isUUID().withMessage('Invalid ID format');
+
+/**
+ * Send a 400 response if validation failed
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Validation failed',
+      details: errors.array(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Map a moderation service error to a response
+ *
+ * @returns {boolean} True if a response was sent
+ */
+const handleModerationError = (error, res) => {
+  const status = MODERATION_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+    },
+  });
+  return true;
+};
+
+/**
+ * Set the status of some wishes and audit each change
+ *
+ * @param {Request} req - Express request of the acting admin
+ * @param {string[]} ids - RSVP UUIDs
+ * @param {string} status - New state
+ * @returns {Promise<Object[]>} Updated wishes
+ */
+const moderate = async (req, ids, status) => {
+  const { updated, before } = await setWishStatus(ids, status, { moderatedBy: req.admin.email });
+
+  const beforeById = new Map(before.map(wish => [wish.id, wish]));
+  await recordAuditBatch(req, updated.map(wish => ({
+    action: AUDIT_ACTIONS.WISH_MODERATE,
+    entityType: AUDIT_ENTITY_TYPES.RSVP,
+    entityId: wish.id,
+    entityLabel: wish.name,
+    before: beforeById.get(wish.id),
+    after: wish,
+  })));
+
+  return updated;
+};
+
+/**
+ * GET /api/admin/wishes - Moderation queue
+ *
+ * Query Parameters:
+ * - status: pending, approved, hidden or pinned
+ * - flagged: 'true' for wishes that matched the blocklist
+ * - venue: Filter by event slug
+ * - search: Name or wishes text (case-insensitive partial match)
+ * - page, limit: Pagination (limit 1-100, default 20)
+ *
+ * Newest first. Each wish includes wishFlags (the blocklist terms it
+ * matched); data.counts is the number of wishes in each state.
+ */
+router.get('/', requirePermission(PERMISSIONS.RSVPS_READ), validateWishQuery, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { status, flagged, venue, search, page, limit } = req.query;
+    const result = await listWishesForModeration({ status, flagged, venue, search, page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/wishes] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch wishes',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/wishes/bulk - Set the status of several wishes
+ *
+ * Request body:
+ * { ids: string[], status: 'pending' | 'approved' | 'hidden' | 'pinned' }
+ *
+ * IDs of RSVPs without wishes are ignored; data.updated lists the wishes
+ * changed.
+ */
+router.post('/bulk', requirePermission(PERMISSIONS.RSVPS_WRITE), validateBulkModeration, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const updated = await moderate(req, [...new Set(req.body.ids)], req.body.status);
+
+    res.json({
+      success: true,
+      data: {
+        updated,
+        count: updated.length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ [POST /api/admin/wishes/bulk] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update wishes',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/wishes/blocklist - List blocklist terms
+ */
+router.get('/blocklist', requirePermission(PERMISSIONS.RSVPS_READ), async (req, res) => {
+  try {
+    const terms = await listBlockedTerms();
+
+    res.json({
+      success: true,
+      data: { terms },
+    });
+  } catch (error) {
+    console.error('❌ [GET /api/admin/wishes/blocklist] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch blocklist',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/wishes/blocklist - Add a blocklist term
+ *
+ * Request body:
+ * { term: string }
+ *
+ * Applies to wishes written or edited from now on; POST
+ * /api/admin/wishes/blocklist/rescan applies it to existing ones.
+ */
+router.post('/blocklist', requirePermission(PERMISSIONS.RSVPS_WRITE), validateBlockedTerm, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const term = await addBlockedTerm(req.body.term);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BLOCKED_TERM_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.BLOCKED_TERM,
+      entityId: term.id,
+      entityLabel: term.term,
+      after: term,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: term,
+    });
+  } catch (error) {
+    if (handleModerationError(error, res)) return;
+
+    console.error('❌ [POST /api/admin/wishes/blocklist] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to add blocklist term',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/wishes/blocklist/rescan - Re-check existing wishes
+ *
+ * Refreshes every wish's wishFlags against the current blocklist. Approved
+ * or pinned wishes that now match go back to pending and are listed in
+ * data.unpublished.
+ */
+router.post('/blocklist/rescan', requirePermission(PERMISSIONS.RSVPS_WRITE), async (req, res) => {
+  try {
+    const result = await rescanWishes();
+
+    await recordAuditBatch(req, result.unpublished.map(wish => ({
+      action: AUDIT_ACTIONS.WISH_MODERATE,
+      entityType: AUDIT_ENTITY_TYPES.RSVP,
+      entityId: wish.id,
+      entityLabel: wish.name,
+      after: { wishStatus: 'pending', wishFlags: wish.wishFlags },
+    })));
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ [POST /api/admin/wishes/blocklist/rescan] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to rescan wishes',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/wishes/blocklist/:id - Remove a blocklist term
+ *
+ * Existing flags are kept until the next rescan.
+ */
+router.delete('/blocklist/:id', requirePermission(PERMISSIONS.RSVPS_WRITE), validateIdParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const term = await removeBlockedTerm(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BLOCKED_TERM_DELETE,
+      entityType: AUDIT_ENTITY_TYPES.BLOCKED_TERM,
+      entityId: term.id,
+      entityLabel: term.term,
+      before: term,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Blocklist term removed successfully',
+        id: term.id,
+      },
+    });
+  } catch (error) {
+    if (handleModerationError(error, res)) return;
+
+    console.error('❌ [DELETE /api/admin/wishes/blocklist/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to remove blocklist term',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/wishes/:id - Set the status of one wish
+ *
+ * Request body:
+ * { status: 'pending' | 'approved' | 'hidden' | 'pinned' }
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.RSVPS_WRITE), validateIdParam, validateStatusBody, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const [wish] = await moderate(req, [req.params.id], req.body.status);
+    if (!wish) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'WISH_NOT_FOUND',
+          message: 'No wishes found for this RSVP',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: wish,
+    });
+  } catch (error) {
+    console.error('❌ [PATCH /api/admin/wishes/:id] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update wish',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
@@ -25,17 +25,29 @@ import {
   validateFileSize,
   handleUploadError
 } from '../middleware/galleryUpload.js'
-import { authenticateAdmin } from '../middleware/authMiddleware.js'
+import { authenticateAdmin, requirePermission } from '../middleware/authMiddleware.js'
+import { PERMISSIONS } from '../config/permissions.js'
 import {
   buildPaginationMeta,
   buildGalleryWhereClause,
   buildGalleryOrderBy,
+  buildGallerySortKeys,
   formatGalleryItem,
   formatSuccessResponse,
   formatErrorResponse,
   normalizePaginationParams
 } from '../utils/galleryHelpers.js'
 import { galleryMediaService } from '../services/galleryMediaService.js'
+import { getGalleryFacets } from '../services/galleryTagService.js'
+import { keysetArgs, keysetPage, pageCursors } from '../utils/cursorPagination.js'
+import {
+  findPageByRank,
+  highlightFields,
+  parseSearchTerms,
+  searchGalleryMedia
+} from '../services/searchService.js'
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit, recordAuditBatch } from '../services/auditService.js'
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../services/webhookService.js'
 
 const router = express.Router()
 const prisma = new PrismaClient()
@@ -84,6 +96,11 @@ const publicRateLimiter = rateLimit(publicRateLimitConfig)
 const adminRateLimiter = rateLimit(adminRateLimitConfig)
 const uploadRateLimiter = rateLimit(uploadRateLimitConfig)
 
+/**
+ * Fields highlighted in search results
+ */
+const GALLERY_SEARCH_FIELDS = ['title', 'caption', 'alt', 'location', 'photographer']
+
 // Simple in-memory cache for featured items
 let featuredCache = {
   data: null,
@@ -97,14 +114,37 @@ let featuredCache = {
  * Fetch gallery media with pagination, filtering, and sorting.
  * 
  * @query {number} [page=1] - Page number
+ * @query {string} [cursor] - nextCursor/prevCursor from a previous page (instead of page)
  * @query {number} [limit=20] - Items per page (max 50)
  * @query {string} [category] - Filter by category
+ * @query {string} [tags] - Tag slugs (comma-separated or repeated)
+ * @query {string} [tagMode=any] - any: media with one of the tags, all: media with every tag
+ * @query {string} [mediaType] - image and/or video
+ * @query {string} [photographer] - Photographer names
+ * @query {string} [location] - Locations
+ * @query {string} [dateFrom] - Taken on or after (ISO 8601)
+ * @query {string} [dateTo] - Taken on or before (ISO 8601; a bare date includes the whole day)
  * @query {boolean} [featured] - Filter by featured status
- * @query {string} [search] - Search in title/caption/alt/filename
- * @query {string} [sortBy=createdAt] - Sort field
+ * @query {string} [venue] - Filter by event slug
+ * @query {string} [search] - Full-text search in title/caption/alt/location/photographer
+ * @query {boolean} [facets=true] - Include facet counts
+ * @query {string} [sortBy=createdAt] - Sort field (relevance, the default when searching, or a date field)
  * @query {string} [sortOrder=desc] - Sort direction
  * 
- * @returns {Object} 200 - Gallery items with pagination
+ * List filters (tags, mediaType, photographer, location) match any of their
+ * values; different filters all apply. data.facets has the counts for every
+ * filter dimension (see getGalleryFacets) for building a filter sidebar.
+ * 
+ * Pages from `page` include the total; for infinite scroll, continue with
+ * `cursor` (no total, and items added meanwhile don't repeat on later pages).
+ * Cursors only work with the sortBy/sortOrder they came with; pass
+ * facets=false after the first page.
+ * 
+ * Search ignores accents ("hue" finds "Huế") and matches word prefixes; each
+ * item then has a `rank` and `highlights` (HTML snippets of the matching
+ * fields, matches in <mark>).
+ * 
+ * @returns {Object} 200 - Gallery items with pagination and facets
  * @returns {Object} 400 - Invalid query parameters
  * @returns {Object} 429 - Rate limit exceeded
  * @returns {Object} 500 - Server error
@@ -116,7 +156,30 @@ router.get(
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { category, featured, search, sortBy, sortOrder } = req.query
+      const { sortBy, sortOrder, facets: includeFacets = true } = req.query
+      const filters = {
+        category: req.query.category,
+        tags: req.query.tags,
+        tagMode: req.query.tagMode,
+        mediaType: req.query.mediaType,
+        photographer: req.query.photographer,
+        location: req.query.location,
+        dateFrom: req.query.dateFrom,
+        dateTo: req.query.dateTo,
+        featured: req.query.featured,
+        venue: req.query.venue,
+        includeDeleted: false
+      }
+      
+      // Full-text search narrows every other query to the matching media
+      const searchTerms = parseSearchTerms(req.query.search)
+      const searchMatches = searchTerms.length
+        ? await searchGalleryMedia(searchTerms, { status: 'approved' })
+        : null
+      if (searchMatches) {
+        filters.searchIds = searchMatches.map(match => match.id)
+      }
+      const byRelevance = searchMatches && (!sortBy || sortBy === 'relevance')
       
       // Normalize pagination params
       const { page, limit, skip } = normalizePaginationParams(
@@ -125,47 +188,99 @@ router.get(
       )
 
       // Build where clause
-      const where = buildGalleryWhereClause({
-        category,
-        featured,
-        search,
-        includeDeleted: false
-      })
+      const where = buildGalleryWhereClause(filters)
 
       // Build order by clause
+      const sortKeys = buildGallerySortKeys(sortBy, sortOrder)
       const orderBy = buildGalleryOrderBy(sortBy, sortOrder)
 
+      const include = { tags: { include: { tag: true } } }
+      const { cursor } = req.query
+
+      if (cursor && byRelevance) {
+        return res.status(400).json(
+          formatErrorResponse(
+            'Invalid cursor',
+            'Search results sorted by relevance are paginated with page',
+            'INVALID_CURSOR'
+          )
+        )
+      }
+
+      /**
+       * One page: by relevance, after/before a cursor, or by page number
+       */
+      const fetchPage = async () => {
+        if (byRelevance) {
+          const { items, total } = await findPageByRank(prisma.galleryMedia, where, searchMatches, { skip, take: limit, include })
+          return { items, pagination: buildPaginationMeta(page, limit, total) }
+        }
+
+        if (cursor) {
+          const args = keysetArgs(sortKeys, cursor, limit)
+          const rows = await prisma.galleryMedia.findMany({
+            where: { AND: [where, args.where] },
+            orderBy: args.orderBy,
+            include,
+            take: args.take
+          })
+          const { items, pageInfo } = keysetPage(sortKeys, rows, { ...args, cursor })
+          return { items, pagination: pageInfo }
+        }
+
+        const [items, total] = await Promise.all([
+          prisma.galleryMedia.findMany({
+            where,
+            orderBy,
+            include,
+            skip,
+            take: limit
+          }),
+          prisma.galleryMedia.count({ where })
+        ])
+        const cursors = pageCursors(sortKeys, items, { hasNext: skip + items.length < total, hasPrev: page > 1 })
+        return { items, pagination: buildPaginationMeta(page, limit, total, cursors) }
+      }
+
       // Execute queries in parallel
-      const [items, total] = await Promise.all([
-        prisma.galleryMedia.findMany({
-          where,
-          orderBy,
-          skip,
-          take: limit
-        }),
-        prisma.galleryMedia.count({ where })
+      const [{ items, pagination }, facets] = await Promise.all([
+        fetchPage(),
+        includeFacets ? getGalleryFacets(filters) : null
       ])
 
       // Format response
-      const formattedItems = items.map(formatGalleryItem)
-      const pagination = buildPaginationMeta(page, limit, total)
+      const rankById = new Map(searchMatches?.map(match => [match.id, match.rank]))
+      const formattedItems = items.map(item => ({
+        ...formatGalleryItem(item),
+        ...(searchMatches && {
+          rank: rankById.get(item.id),
+          highlights: highlightFields(item, GALLERY_SEARCH_FIELDS, searchTerms)
+        })
+      }))
 
       console.log('[Gallery] Fetched items:', {
-        total,
-        page,
+        total: pagination.total,
+        page: cursor ? 'cursor' : page,
         limit,
         returned: items.length,
-        filters: { category, featured, search }
+        filters: { ...filters, searchIds: undefined, search: req.query.search }
       })
 
       res.json({
         success: true,
         data: {
           items: formattedItems,
-          pagination
+          pagination,
+          ...(facets && { facets })
         }
       })
     } catch (error) {
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json(
+          formatErrorResponse('Invalid cursor', error.message, error.code)
+        )
+      }
+
       console.error('[Gallery] Error fetching gallery:', error)
       res.status(500).json(
         formatErrorResponse(
@@ -210,6 +325,7 @@ router.get(
       const items = await prisma.galleryMedia.findMany({
         where: {
           featured: true,
+          status: 'approved',
           deletedAt: null
         },
         orderBy: {
@@ -272,8 +388,10 @@ router.get(
       const item = await prisma.galleryMedia.findFirst({
         where: {
           id,
+          status: 'approved',
           deletedAt: null
-        }
+        },
+        include: { tags: { include: { tag: true } } }
       })
 
       if (!item) {
@@ -305,7 +423,7 @@ router.get(
 )
 
 /**
- * POST /api/gallery - Upload media (Admin only)
+ * POST /api/gallery - Upload media (Admin only, gallery:write)
  * 
  * Upload new media file with metadata.
  * Automatically processes image/video, generates variants, and uploads to R2.
@@ -320,6 +438,7 @@ router.get(
  * @body {string} [location] - Location where media was taken
  * @body {string} [photographer] - Photographer name
  * @body {string} [dateTaken] - Date when media was taken (ISO 8601)
+ * @body {string} [venue] - Event slug (omit for media shared across events)
  * 
  * @returns {Object} 201 - Media uploaded successfully
  * @returns {Object} 400 - Invalid file or metadata
@@ -330,6 +449,7 @@ router.get(
 router.post(
   '/',
   authenticateAdmin,
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
   uploadRateLimiter,
   uploadGalleryMedia,
   handleUploadError,
@@ -348,7 +468,8 @@ router.post(
         displayOrder: Number.parseInt(req.body.displayOrder, 10) || 0,
         location: req.body.location || null,
         photographer: req.body.photographer || null,
-        dateTaken: req.body.dateTaken ? new Date(req.body.dateTaken) : null
+        dateTaken: req.body.dateTaken ? new Date(req.body.dateTaken) : null,
+        venue: req.body.venue || null
       }
 
       console.log('[Gallery] Processing upload:', {
@@ -384,6 +505,16 @@ router.post(
         r2ObjectKey: mediaItem.r2ObjectKey
       })
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GALLERY_CREATE,
+        entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+        entityId: mediaItem.id,
+        entityLabel: mediaItem.filename,
+        after: mediaItem
+      })
+
+      emitWebhookEvent(WEBHOOK_EVENTS.GALLERY_MEDIA_UPLOADED, formatGalleryItem(mediaItem))
+
       res.status(201).json(formatSuccessResponse(formatGalleryItem(mediaItem)))
     } catch (error) {
       console.error('[Gallery] Upload error:', error)
@@ -399,7 +530,7 @@ router.post(
 )
 
 /**
- * PUT /api/gallery/:id - Update media metadata (Admin only)
+ * PUT /api/gallery/:id - Update media metadata (Admin only, gallery:write)
  * 
  * Update media item metadata. Does not update the file itself.
  * 
@@ -413,6 +544,7 @@ router.post(
  * @body {string} [location] - Location
  * @body {string} [photographer] - Photographer
  * @body {string} [dateTaken] - Date taken (ISO 8601)
+ * @body {string|null} [venue] - Event slug (null = shared across events)
  * 
  * @returns {Object} 200 - Media updated successfully
  * @returns {Object} 400 - Invalid data
@@ -423,6 +555,7 @@ router.post(
 router.put(
   '/:id',
   authenticateAdmin,
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
   adminRateLimiter,
   validateGalleryUpdate,
   handleValidationErrors,
@@ -434,7 +567,7 @@ router.put(
       // Only include fields that were provided
       const allowedFields = [
         'title', 'caption', 'alt', 'category', 'featured',
-        'displayOrder', 'location', 'photographer', 'dateTaken'
+        'displayOrder', 'location', 'photographer', 'dateTaken', 'venue'
       ]
 
       for (const field of allowedFields) {
@@ -478,6 +611,15 @@ router.put(
         updatedFields: Object.keys(updateData)
       })
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GALLERY_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+        entityId: id,
+        entityLabel: updatedMedia.filename,
+        before: existingMedia,
+        after: updatedMedia
+      })
+
       res.json(formatSuccessResponse(formatGalleryItem(updatedMedia)))
     } catch (error) {
       console.error('[Gallery] Update error:', error)
@@ -493,7 +635,7 @@ router.put(
 )
 
 /**
- * DELETE /api/gallery/:id - Delete media (Admin only)
+ * DELETE /api/gallery/:id - Delete media (Admin only, gallery:delete)
  * 
  * Soft delete by default (sets deletedAt timestamp).
  * Use ?permanent=true for hard delete (removes from R2 and database).
@@ -510,6 +652,7 @@ router.put(
 router.delete(
   '/:id',
   authenticateAdmin,
+  requirePermission(PERMISSIONS.GALLERY_DELETE),
   adminRateLimiter,
   validateGalleryDelete,
   handleValidationErrors,
@@ -543,6 +686,14 @@ router.delete(
           r2ObjectKey: media.r2ObjectKey
         })
 
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.GALLERY_DELETE,
+          entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+          entityId: id,
+          entityLabel: media.filename,
+          before: media
+        })
+
         res.json({
           success: true,
           message: 'Media permanently deleted',
@@ -560,6 +711,15 @@ router.delete(
           filename: media.filename
         })
 
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.GALLERY_DELETE,
+          entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+          entityId: id,
+          entityLabel: media.filename,
+          before: media,
+          after: deletedMedia
+        })
+
         res.json({
           success: true,
           message: 'Media soft deleted',
@@ -586,7 +746,7 @@ router.delete(
 )
 
 /**
- * PUT /api/gallery/reorder - Bulk reorder media (Admin only)
+ * PUT /api/gallery/reorder - Bulk reorder media (Admin only, gallery:write)
  * 
  * Update display order for multiple media items atomically.
  * All items must exist or the entire operation fails.
@@ -602,6 +762,7 @@ router.delete(
 router.put(
   '/reorder',
   authenticateAdmin,
+  requirePermission(PERMISSIONS.GALLERY_WRITE),
   adminRateLimiter,
   validateGalleryReorder,
   handleValidationErrors,
@@ -616,7 +777,7 @@ router.put(
           id: { in: ids },
           deletedAt: null
         },
-        select: { id: true }
+        select: { id: true, filename: true, displayOrder: true }
       })
 
       if (existingItems.length !== ids.length) {
@@ -648,6 +809,18 @@ router.put(
         items: items.map(i => ({ id: i.id, order: i.displayOrder }))
       })
 
+      const previousById = new Map(existingItems.map(item => [item.id, item]))
+      await recordAuditBatch(req, items
+        .filter(item => previousById.get(item.id).displayOrder !== item.displayOrder)
+        .map(item => ({
+          action: AUDIT_ACTIONS.GALLERY_REORDER,
+          entityType: AUDIT_ENTITY_TYPES.GALLERY_MEDIA,
+          entityId: item.id,
+          entityLabel: previousById.get(item.id).filename,
+          before: { displayOrder: previousById.get(item.id).displayOrder },
+          after: { displayOrder: item.displayOrder }
+        })))
+
       res.json({
         success: true,
         message: 'Media items reordered successfully',
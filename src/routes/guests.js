@@ -1,7 +1,9 @@
 /**
  * Guest Management Routes
  *
- * REST API endpoints for CRUD operations on guests with image upload support
+ * REST API endpoints for CRUD operations on guests with image upload support.
+ * All endpoints require admin auth; the invitation page looks its guest up by
+ * invitation token (GET /api/public/invitations/:token).
  */
 
 import express from 'express';
@@ -9,6 +11,14 @@ import { body, param, query, validationResult } from 'express-validator';
 import { getPrismaClient } from '../utils/database.js';
 import { uploadMultiple, handleUploadError } from '../middleware/upload.js';
 import { imageService } from '../services/imageService.js';
+import { authenticateAdmin, requirePermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../services/auditService.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../services/webhookService.js';
+import { EVENT_SLUG_PATTERN, assertEventExists, getEventBySlug } from '../services/eventService.js';
+import { assertHouseholdExists } from '../services/householdService.js';
+import { buildInvitationUrl, generateInvitationToken } from '../utils/invitation.js';
+import { normalizePhone } from '../utils/phone.js';
 
 const router = express.Router();
 
@@ -22,14 +32,40 @@ const validateCreateGuest = [
     .withMessage('Tên từ 2-100 ký tự'),
 
   body('venue')
-    .isIn(['hue', 'hanoi'])
-    .withMessage('Địa điểm hoặc "hue" hoặc "hanoi"'),
+    .custom(assertEventExists)
+    .withMessage('Địa điểm phải là một sự kiện hợp lệ'),
 
   body('secondaryNote')
     .optional()
     .trim()
     .isLength({ max: 200 })
     .withMessage('Secondary note must be under 200 characters'),
+
+  body('householdId')
+    .optional({ values: 'falsy' })
+    .custom(assertHouseholdExists)
+    .withMessage('Household must be an existing household ID'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 255 })
+    .withMessage('Email must be under 255 characters')
+    .toLowerCase(),
+
+  body('phone')
+    .optional({ values: 'falsy' })
+    .custom((value) => normalizePhone(value) !== null)
+    .withMessage('Invalid phone number')
+    .customSanitizer(normalizePhone),
+
+  body('plusOnesAllowed')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Plus-ones allowed must be between 0-10')
+    .toInt(),
 ];
 
 const validateUpdateGuest = [
@@ -42,14 +78,40 @@ const validateUpdateGuest = [
 
   body('venue')
     .optional()
-    .isIn(['hue', 'hanoi'])
-    .withMessage('Venue must be either "hue" or "hanoi"'),
+    .custom(assertEventExists)
+    .withMessage('Venue must be an existing event slug'),
 
   body('secondaryNote')
     .optional()
     .trim()
     .isLength({ max: 200 })
     .withMessage('Secondary note must be under 200 characters'),
+
+  body('householdId')
+    .optional({ values: 'null' })
+    .custom(assertHouseholdExists)
+    .withMessage('Household must be an existing household ID'),
+
+  body('email')
+    .optional({ values: 'null' })
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 255 })
+    .withMessage('Email must be under 255 characters')
+    .toLowerCase(),
+
+  body('phone')
+    .optional({ values: 'null' })
+    .custom((value) => normalizePhone(value) !== null)
+    .withMessage('Invalid phone number')
+    .customSanitizer(normalizePhone),
+
+  body('plusOnesAllowed')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Plus-ones allowed must be between 0-10')
+    .toInt(),
 ];
 
 /**
@@ -57,15 +119,19 @@ const validateUpdateGuest = [
  *
  * Supports multipart/form-data with:
  * - name (required)
- * - venue (required)
+ * - venue (required, event slug)
  * - secondaryNote (optional)
+ * - householdId (optional, existing household)
+ * - plusOnesAllowed (optional, 0-10, default 0)
+ * - email (optional, for guest messages)
+ * - phone (optional, normalized to +<country code><number>)
  * - invitationImageFront (optional file)
  * - invitationImageMain (optional file)
  *
  * Uses 2-phase approach: Create guest first, then upload images.
  * If image upload fails, guest record remains valid (graceful degradation).
  */
-router.post('/', uploadMultiple, validateCreateGuest, async (req, res) => {
+router.post('/', authenticateAdmin, requirePermission(PERMISSIONS.GUESTS_WRITE), uploadMultiple, validateCreateGuest, async (req, res) => {
   try {
     // Log detailed request information for debugging
     console.log(
@@ -99,7 +165,7 @@ router.post('/', uploadMultiple, validateCreateGuest, async (req, res) => {
     }
 
     const prisma = getPrismaClient();
-    const { name, venue, secondaryNote } = req.body;
+    const { name, venue, secondaryNote, householdId, plusOnesAllowed, email, phone } = req.body;
 
     // PHASE 1: Create guest record first (always succeeds)
     const guest = await prisma.guest.create({
@@ -107,16 +173,20 @@ router.post('/', uploadMultiple, validateCreateGuest, async (req, res) => {
         name,
         venue,
         secondaryNote: secondaryNote || null,
+        householdId: householdId || null,
+        plusOnesAllowed: plusOnesAllowed ?? 0,
+        email: email || null,
+        phone: phone || null,
+        invitationToken: generateInvitationToken(),
         invitationUrl: '', // Temporary placeholder
         invitationImageFrontUrl: null,
         invitationImageMainUrl: null,
       },
     });
 
-    // Generate unique invitation URL using the guest ID
-    const baseUrl = process.env.FRONTEND_URL || 'https://ngocquanwd.com';
-    const venueSlug = venue === 'hue' ? 'hue' : 'hn';
-    const invitationUrl = `${baseUrl}/${venueSlug}/${guest.id}`;
+    // Generate unique invitation URL using the invitation token
+    const event = await getEventBySlug(venue);
+    const invitationUrl = buildInvitationUrl(event, guest.invitationToken);
 
     console.log(`✅ Guest created: ${guest.id} - ${guest.name}`);
     console.log(`📨 Invitation URL: ${invitationUrl}`);
@@ -184,6 +254,16 @@ router.post('/', uploadMultiple, validateCreateGuest, async (req, res) => {
       },
     });
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.GUEST_CREATE,
+      entityType: AUDIT_ENTITY_TYPES.GUEST,
+      entityId: updatedGuest.id,
+      entityLabel: updatedGuest.name,
+      after: updatedGuest,
+    });
+
+    emitWebhookEvent(WEBHOOK_EVENTS.GUEST_CREATED, updatedGuest);
+
     // Build response
     const response = {
       success: true,
@@ -217,6 +297,8 @@ router.post('/', uploadMultiple, validateCreateGuest, async (req, res) => {
  */
 router.get(
   '/',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.GUESTS_READ),
   [
     query('page')
       .optional()
@@ -228,7 +310,7 @@ router.get(
       .withMessage('Limit must be between 1-100'),
     query('venue')
       .optional()
-      .isIn(['hue', 'hanoi'])
+      .matches(EVENT_SLUG_PATTERN)
       .withMessage('Invalid venue filter'),
   ],
   async (req, res) => {
@@ -296,6 +378,8 @@ router.get(
  */
 router.get(
   '/:id',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.GUESTS_READ),
   [param('id').isUUID().withMessage('Invalid guest ID format')],
   async (req, res) => {
     try {
@@ -327,6 +411,18 @@ router.get(
 
       const guest = await prisma.guest.findUnique({
         where: { id },
+        include: {
+          household: {
+            select: {
+              id: true,
+              name: true,
+              guests: {
+                orderBy: { name: 'asc' },
+                select: { id: true, name: true },
+              },
+            },
+          },
+        },
       });
 
       if (!guest) {
@@ -362,7 +458,7 @@ router.get(
 /**
  * PATCH /api/guests/:id - Update guest
  */
-router.patch('/:id', validateUpdateGuest, async (req, res) => {
+router.patch('/:id', authenticateAdmin, requirePermission(PERMISSIONS.GUESTS_WRITE), validateUpdateGuest, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -384,6 +480,12 @@ router.patch('/:id', validateUpdateGuest, async (req, res) => {
     if (req.body.venue !== undefined) updates.venue = req.body.venue;
     if (req.body.secondaryNote !== undefined)
       updates.secondaryNote = req.body.secondaryNote;
+    if (req.body.householdId !== undefined)
+      updates.householdId = req.body.householdId;
+    if (req.body.plusOnesAllowed !== undefined)
+      updates.plusOnesAllowed = req.body.plusOnesAllowed;
+    if (req.body.email !== undefined) updates.email = req.body.email;
+    if (req.body.phone !== undefined) updates.phone = req.body.phone;
     if (req.body.invitationImageFrontUrl !== undefined)
       updates.invitationImageFrontUrl = req.body.invitationImageFrontUrl;
     if (req.body.invitationImageMainUrl !== undefined)
@@ -401,6 +503,16 @@ router.patch('/:id', validateUpdateGuest, async (req, res) => {
       });
     }
 
+    // Moving the guest to another event changes their invitation link
+    if (updates.venue && updates.venue !== exists.venue) {
+      const event = await getEventBySlug(updates.venue);
+      updates.invitationUrl = exists.invitationToken
+        ? buildInvitationUrl(event, exists.invitationToken)
+        : '';
+      // Their seat belongs to the old event's seating plan
+      await prisma.seatAssignment.deleteMany({ where: { guestId: id } });
+    }
+
     // Update guest
     const guest = await prisma.guest.update({
       where: { id },
@@ -409,6 +521,15 @@ router.patch('/:id', validateUpdateGuest, async (req, res) => {
 
     console.log(`✅ Guest updated: ${guest.id}`);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.GUEST_UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.GUEST,
+      entityId: id,
+      entityLabel: guest.name,
+      before: exists,
+      after: guest,
+    });
+
     res.status(200).json({
       success: true,
       data: guest,
@@ -431,6 +552,8 @@ router.patch('/:id', validateUpdateGuest, async (req, res) => {
  */
 router.delete(
   '/:id',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.GUESTS_WRITE),
   [param('id').isUUID().withMessage('Invalid guest ID format')],
   async (req, res) => {
     try {
@@ -480,6 +603,14 @@ router.delete(
 
       console.log(`✅ Guest deleted: ${id}`);
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.GUEST_DELETE,
+        entityType: AUDIT_ENTITY_TYPES.GUEST,
+        entityId: id,
+        entityLabel: guest.name,
+        before: guest,
+      });
+
       res.status(200).json({
         success: true,
         data: {
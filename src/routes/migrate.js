@@ -5,6 +5,7 @@
 
 import express from 'express'
 import { PrismaClient } from '@prisma/client'
+import { generateInvitationToken } from '../utils/invitation.js'
 
 const router = express.Router()
 const prisma = new PrismaClient()
@@ -42,19 +43,25 @@ router.post('/import', async (req, res) => {
       })
     }
 
-    // Import guests
+    // Import guests (legacy links ending in the guest ID get an invitation token)
     const importedGuests = await prisma.guest.createMany({
-      data: guests.map(g => ({
-        id: g.id,
-        name: g.name,
-        secondaryNote: g.secondaryNote,
-        venue: g.venue,
-        invitationUrl: g.invitationUrl,
-        invitationImageFrontUrl: g.invitationImageFrontUrl,
-        invitationImageMainUrl: g.invitationImageMainUrl,
-        createdAt: new Date(g.createdAt),
-        updatedAt: new Date(g.updatedAt)
-      }))
+      data: guests.map(g => {
+        const invitationToken = g.invitationToken || generateInvitationToken()
+        return {
+          id: g.id,
+          name: g.name,
+          secondaryNote: g.secondaryNote,
+          venue: g.venue,
+          invitationToken,
+          invitationUrl: g.invitationUrl.endsWith(`/${g.id}`)
+            ? g.invitationUrl.slice(0, -g.id.length) + invitationToken
+            : g.invitationUrl,
+          invitationImageFrontUrl: g.invitationImageFrontUrl,
+          invitationImageMainUrl: g.invitationImageMainUrl,
+          createdAt: new Date(g.createdAt),
+          updatedAt: new Date(g.updatedAt)
+        }
+      })
     })
 
     // Import RSVPs
@@ -0,0 +1,188 @@
+/**
+ * Public Event Routes
+ *
+ * Public-facing event details (name, date, address, RSVP deadline) so the
+ * frontend doesn't hard-code them per wedding.
+ *
+ * @module routes/public/events
+ */
+
+import express from 'express';
+import { formatPublicEvent, getEventBySlug, getRsvpWindow, listEvents } from '../../services/eventService.js';
+import { findGuestByInvitationToken } from '../../services/invitationService.js';
+import { listMealOptions } from '../../services/mealService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/public/events
+ * List all events
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     events: [{ slug, name, date, address, timezone, rsvpDeadline }]
+ *   }
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const events = await listEvents();
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(formatPublicEvent),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching public events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch events',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/public/events/:slug
+ * Get a single event by slug
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const event = await getEventBySlug(req.params.slug);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        event: formatPublicEvent(event),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching public event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch event',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/public/events/:slug/rsvp-window
+ * Get the RSVP window so the invitation page can show a countdown
+ *
+ * Query params:
+ * - invitationToken: Optional token from the guest's invitation URL; reflects
+ *   an admin override for that guest
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     slug: 'hue',
+ *     timezone: 'Asia/Ho_Chi_Minh',
+ *     status: 'not_open' | 'open' | 'closed',
+ *     isOpen: true,
+ *     opensAt: '2026-10-01T00:00:00.000Z' | null,
+ *     closesAt: '2026-11-15T16:59:59.000Z' | null,
+ *     override: false,
+ *     serverTime: '2026-10-18T10:30:00.000Z'
+ *   }
+ * }
+ */
+router.get('/:slug/rsvp-window', async (req, res) => {
+  try {
+    const event = await getEventBySlug(req.params.slug);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found',
+      });
+    }
+
+    // Only honour overrides for guests invited to this event
+    let overrideUntil = null;
+    if (req.query.invitationToken) {
+      const guest = await findGuestByInvitationToken(req.query.invitationToken, {
+        select: { venue: true, rsvpOverrideUntil: true },
+      });
+      if (guest?.venue === event.slug) {
+        overrideUntil = guest.rsvpOverrideUntil;
+      }
+    }
+
+    const now = new Date();
+    const window = getRsvpWindow(event, { now, overrideUntil });
+
+    res.json({
+      success: true,
+      data: {
+        slug: event.slug,
+        timezone: event.timezone,
+        ...window,
+        serverTime: now.toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching RSVP window:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch RSVP window',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/public/events/:slug/meal-options
+ * Get the menu offered on the RSVP form (active options only)
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     mealOptions: [{ id, name, description }]
+ *   }
+ * }
+ */
+router.get('/:slug/meal-options', async (req, res) => {
+  try {
+    const event = await getEventBySlug(req.params.slug);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found',
+      });
+    }
+
+    const mealOptions = await listMealOptions(event.slug, { activeOnly: true });
+
+    res.json({
+      success: true,
+      data: {
+        mealOptions: mealOptions.map(({ id, name, description }) => ({ id, name, description })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching meal options:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch meal options',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+export default router;
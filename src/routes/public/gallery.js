@@ -2,26 +2,54 @@
  * Public Gallery Routes
  * 
  * Public-facing API endpoints for gallery media retrieval.
- * No authentication required - returns only published, non-deleted media.
+ * No authentication required - returns only approved, non-deleted media.
  * 
  * @module routes/public/gallery
  */
 
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
+import { getPublicAlbum, listPublicAlbums } from '../../services/albumService.js';
+import { buildGalleryOrderBy, buildGallerySortKeys } from '../../utils/galleryHelpers.js';
+import { keysetArgs, keysetPage, pageCursors } from '../../utils/cursorPagination.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Fields returned for each public media item
+ */
+const PUBLIC_MEDIA_SELECT = {
+  id: true,
+  filename: true,
+  alt: true,
+  title: true,
+  caption: true,
+  mediaType: true,
+  category: true,
+  r2Urls: true,
+  featured: true,
+  displayOrder: true,
+  metadata: true,
+  location: true,
+  photographer: true,
+  dateTaken: true,
+  venue: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
 /**
  * GET /api/public/gallery
  * Get published gallery media with pagination
  * 
  * Query params:
  * - page: Page number (default: 1)
+ * - cursor: nextCursor/prevCursor from a previous page, instead of page
  * - limit: Items per page (default: 20)
  * - sortBy: Sort field - createdAt, displayOrder, dateTaken, updatedAt (default: displayOrder)
  * - sortOrder: asc or desc (default: asc for displayOrder, desc for others)
+ * - venue: Event slug; returns that event's media plus media shared by all events
  * 
  * Response format:
  * {
@@ -33,10 +61,16 @@ const prisma = new PrismaClient();
  *       limit: 20,
  *       total: 100,
  *       totalPages: 5,
- *       hasMore: true
+ *       hasMore: true,
+ *       nextCursor: string | null,
+ *       prevCursor: string | null
  *     }
  *   }
  * }
+ * 
+ * With a cursor, pagination is { limit, hasMore, hasPrevious, nextCursor,
+ * prevCursor }: no total, and media added while scrolling doesn't repeat.
+ * Cursors only work with the sortBy/sortOrder they came with.
  */
 router.get('/', async (req, res) => {
   try {
@@ -45,6 +79,8 @@ router.get('/', async (req, res) => {
       limit = 20,
       sortBy = 'displayOrder',
       sortOrder,
+      venue,
+      cursor,
     } = req.query;
 
     // Validate and parse pagination params
@@ -62,36 +98,51 @@ router.get('/', async (req, res) => {
       order = sortField === 'displayOrder' ? 'asc' : 'desc';
     }
 
-    // Build where clause - only show non-deleted media
+    // Build where clause - only show approved, non-deleted media
     const where = {
+      status: 'approved',
       deletedAt: null,
     };
+    if (venue) {
+      where.OR = [{ venue: String(venue) }, { venue: null }];
+    }
+
+    const sortKeys = buildGallerySortKeys(sortField, order);
+
+    // Continue after/before a cursor
+    if (cursor) {
+      const args = keysetArgs(sortKeys, String(cursor), limitNum);
+      const rows = await prisma.galleryMedia.findMany({
+        where: { AND: [where, args.where] },
+        orderBy: args.orderBy,
+        take: args.take,
+        select: PUBLIC_MEDIA_SELECT,
+      });
+      const { items, pageInfo } = keysetPage(sortKeys, rows, { ...args, cursor: String(cursor) });
+
+      return res.json({
+        success: true,
+        data: {
+          items,
+          pagination: {
+            limit: pageInfo.limit,
+            hasMore: pageInfo.hasNext,
+            hasPrevious: pageInfo.hasPrev,
+            nextCursor: pageInfo.nextCursor,
+            prevCursor: pageInfo.prevCursor,
+          },
+        },
+      });
+    }
 
     // Execute query with pagination
     const [items, totalCount] = await Promise.all([
       prisma.galleryMedia.findMany({
         where,
-        orderBy: { [sortField]: order },
+        orderBy: buildGalleryOrderBy(sortField, order),
         take: limitNum,
         skip,
-        select: {
-          id: true,
-          filename: true,
-          alt: true,
-          title: true,
-          caption: true,
-          mediaType: true,
-          category: true,
-          r2Urls: true,
-          featured: true,
-          displayOrder: true,
-          metadata: true,
-          location: true,
-          photographer: true,
-          dateTaken: true,
-          createdAt: true,
-          updatedAt: true,
-        },
+        select: PUBLIC_MEDIA_SELECT,
       }),
       prisma.galleryMedia.count({ where }),
     ]);
@@ -110,10 +161,18 @@ router.get('/', async (req, res) => {
           total: totalCount,
           totalPages,
           hasMore,
+          ...pageCursors(sortKeys, items, { hasNext: hasMore, hasPrev: pageNum > 1 }),
         },
       },
     });
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.error('Error fetching public gallery:', error);
     res.status(500).json({
       success: false,
@@ -123,6 +182,90 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/public/gallery/albums
+ * List public albums in display order
+ * 
+ * Query params:
+ * - venue: Event slug; returns that event's albums plus albums shared by all events
+ * 
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     albums: [{ slug, title, description, venue, cover: {...gallery image} | null, mediaCount }]
+ *   }
+ * }
+ * 
+ * The cover is the album's chosen cover, or its first photo.
+ */
+router.get('/albums', async (req, res) => {
+  try {
+    const { venue } = req.query;
+    const albums = await listPublicAlbums({ venue: venue ? String(venue) : undefined });
+
+    res.json({
+      success: true,
+      data: {
+        albums,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching public albums:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch albums',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/public/gallery/albums/:slug
+ * Get a public or unlisted album with its media in album order
+ * 
+ * Query params:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max 100)
+ * 
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     album: { slug, title, description, venue, cover, mediaCount },
+ *     items: [...gallery images],
+ *     pagination: { page, limit, total, totalPages, hasMore }
+ *   }
+ * }
+ */
+router.get('/albums/:slug', async (req, res) => {
+  try {
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 50));
+
+    const result = await getPublicAlbum(req.params.slug, { page, limit });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Album not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error fetching public album:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch album',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
 /**
  * GET /api/public/gallery/:id
  * Get single gallery media item by ID
@@ -142,6 +285,7 @@ router.get('/:id', async (req, res) => {
     const image = await prisma.galleryMedia.findFirst({
       where: {
         id,
+        status: 'approved', // Guest uploads awaiting review stay hidden
         deletedAt: null, // Only return non-deleted items
       },
       select: {
@@ -8,14 +8,19 @@
 
 import express from 'express';
 import galleryRoutes from './gallery.js';
+import eventRoutes from './events.js';
+import invitationRoutes from './invitations.js';
+import messageRoutes from './messages.js';
 
 const router = express.Router();
 
 // Register public sub-routes
 router.use('/gallery', galleryRoutes);
+router.use('/events', eventRoutes);
+router.use('/invitations', invitationRoutes);
+router.use('/messages', messageRoutes);
 
 // Future public routes can be added here:
-// router.use('/events', eventRoutes);
 // router.use('/rsvp', rsvpRoutes);
 
 export default router;
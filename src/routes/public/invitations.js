@@ -0,0 +1,277 @@
+/**
+ * Public Invitation Routes
+ *
+ * Resolves a guest's invitation token for the personalized invitation page,
+ * records when the invitation is opened, takes the guest's photo uploads and
+ * lists the photos they are tagged in.
+ *
+ * @module routes/public/invitations
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { formatPublicEvent, getRsvpWindow } from '../../services/eventService.js';
+import { findGuestByInvitationToken, getInvitation, recordInvitationView } from '../../services/invitationService.js';
+import { galleryMediaService } from '../../services/galleryMediaService.js';
+import { uploadGuestPhoto, handleUploadError } from '../../middleware/galleryUpload.js';
+import { getGuestTaggedMedia } from '../../services/mediaTagService.js';
+import { formatGalleryItem } from '../../utils/galleryHelpers.js';
+
+const router = express.Router();
+
+/**
+ * Rate limiter for view tracking (page reloads are fine, floods are not)
+ */
+const viewRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Rate limiter for guest photo uploads, per guest rather than per IP (guests
+ * at the venue share the same Wi-Fi). Runs after resolveGuest, so unknown
+ * tokens are turned away without creating limiter keys. GUEST_UPLOAD_LIMIT
+ * is read per request: this module is imported before app.js loads .env.
+ */
+const photoUploadRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: () => Number.parseInt(process.env.GUEST_UPLOAD_LIMIT || '20', 10),
+  keyGenerator: (req) => req.guest.id,
+  message: {
+    success: false,
+    error: 'Upload limit reached, please try again later',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Guest fields needed to credit an upload or find their photos
+ */
+const UPLOADER_SELECT = { id: true, name: true, venue: true };
+
+/**
+ * Resolve the invitation's guest into req.guest, before any file is buffered
+ */
+const resolveGuest = async (req, res, next) => {
+  try {
+    req.guest = await findGuestByInvitationToken(req.params.token, { select: UPLOADER_SELECT });
+    if (!req.guest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found',
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Guest-facing view of an upload
+ *
+ * @param {Object} item - GalleryMedia record
+ * @returns {Object} { id, caption, mediaType, r2Urls, status, createdAt }
+ */
+const formatGuestUpload = (item) => {
+  const { id, caption, mediaType, r2Urls, status, createdAt } = formatGalleryItem(item);
+  return { id, caption, mediaType, r2Urls, status, createdAt };
+};
+
+/**
+ * GET /api/public/invitations/:token
+ * Get the guest, event and RSVP window for an invitation link
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   data: {
+ *     guest: { id, name, venue, secondaryNote, invitationImageFrontUrl,
+ *              invitationImageMainUrl, plusOnesAllowed,
+ *              household: { id, name, guests: [{ id, name }] } | null },
+ *     event: { slug, name, date, address, timezone, rsvpOpensAt, rsvpDeadline },
+ *     rsvpWindow: { status, isOpen, opensAt, closesAt, override }
+ *   }
+ * }
+ *
+ * Unknown and revoked tokens both return 404.
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const invitation = await getInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found',
+      });
+    }
+
+    const { event, rsvpOverrideUntil, ...guest } = invitation;
+
+    res.json({
+      success: true,
+      data: {
+        guest,
+        event: formatPublicEvent(event),
+        rsvpWindow: getRsvpWindow(event, { overrideUntil: rsvpOverrideUntil }),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitation',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/public/invitations/:token/views
+ * Record that the invitation page was opened
+ *
+ * Called by the invitation page on load. Stores first/last seen time, view
+ * count and coarse device type (from User-Agent) for the guest; link preview
+ * bots are ignored. Responds 204 with no body, or 404 for unknown tokens.
+ */
+router.post('/:token/views', viewRateLimiter, async (req, res) => {
+  try {
+    const view = await recordInvitationView(req.params.token, req.get('user-agent'));
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found',
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error recording invitation view:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record invitation view',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/public/invitations/:token/photos
+ * Share a wedding-day photo
+ *
+ * multipart/form-data: `file` (JPEG, PNG or WebP, up to 10MB) and optional
+ * `caption` (max 500 characters). The photo is added to the guest's event,
+ * credited to the guest as photographer, and stays hidden from the gallery
+ * until an admin approves it (POST /api/admin/gallery/review).
+ *
+ * Limited to GUEST_UPLOAD_LIMIT uploads per invitation per hour.
+ *
+ * Response (201): { success: true, data: { id, caption, mediaType, r2Urls, status: 'pending', createdAt } }
+ */
+router.post('/:token/photos', resolveGuest, photoUploadRateLimiter, uploadGuestPhoto, handleUploadError, async (req, res) => {
+  try {
+    const { guest } = req;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded',
+      });
+    }
+
+    const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+    if (caption.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Caption must be under 500 characters',
+      });
+    }
+
+    const media = await galleryMediaService.uploadGuestPhoto(guest, req.file, { caption });
+
+    console.log('[Gallery] Guest photo uploaded for review:', { id: media.id, guestId: guest.id });
+
+    res.status(201).json({
+      success: true,
+      data: formatGuestUpload(media),
+    });
+  } catch (error) {
+    console.error('Error uploading guest photo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload photo',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/public/invitations/:token/photos
+ * List the photos this guest has shared, with their review status
+ * (pending, approved or rejected)
+ */
+router.get('/:token/photos', resolveGuest, async (req, res) => {
+  try {
+    const uploads = await galleryMediaService.getGuestUploads(req.guest.id);
+
+    res.json({
+      success: true,
+      data: {
+        items: uploads.map(formatGuestUpload),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching guest photos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch photos',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/public/invitations/:token/tagged-photos
+ * Photos of me: approved gallery media the guest has been tagged in
+ *
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max 100)
+ *
+ * Each item is a gallery item plus `regions` ([{ x, y, width, height }] as
+ * fractions of the media size) marking where the guest appears.
+ *
+ * Response format:
+ * { success: true, data: { items, pagination: { page, limit, total, totalPages, hasMore } } }
+ */
+router.get('/:token/tagged-photos', resolveGuest, async (req, res) => {
+  try {
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 50));
+
+    const result = await getGuestTaggedMedia(req.guest.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error fetching tagged photos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tagged photos',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+/**
+ * Public Message Routes
+ *
+ * Delivery receipts from the SMS provider (or an adapter in front of it).
+ * Not for browsers: requests must carry `Authorization: Bearer
+ * <SMS_CALLBACK_TOKEN>`.
+ *
+ * @module routes/public/messages
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { applyDeliveryReceipt } from '../../services/messagingService.js';
+
+const router = express.Router();
+
+/**
+ * Validation Rules
+ */
+const validateReceipt = [
+  body('id')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('id (provider message ID) is required'),
+
+  body('status')
+    .isIn(['delivered', 'failed'])
+    .withMessage('status must be delivered or failed'),
+
+  body('error')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('error must be under 500 characters'),
+];
+
+/**
+ * Check the bearer token against SMS_CALLBACK_TOKEN in constant time
+ *
+ * @returns {boolean} True if the token matches
+ */
+const hasValidCallbackToken = (req) => {
+  const expected = Buffer.from(process.env.SMS_CALLBACK_TOKEN || '');
+  const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer /i, ''));
+
+  return expected.length > 0
+    && expected.length === provided.length
+    && crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * POST /api/public/messages/status
+ * Report the delivery status of a sent SMS
+ *
+ * Request body:
+ * { id: string (ID returned when the message was sent), status: 'delivered' | 'failed', error?: string }
+ *
+ * Responds 204, 401 for a missing or wrong token, 404 for unknown IDs.
+ */
+router.post('/status', validateReceipt, async (req, res) => {
+  if (!hasValidCallbackToken(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid callback token',
+    });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+
+  try {
+    await applyDeliveryReceipt({
+      providerMessageId: req.body.id,
+      status: req.body.status,
+      error: req.body.error,
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    if (error.code === 'MESSAGE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        code: error.code,
+        error: error.message,
+      });
+    }
+
+    console.error('Error applying delivery receipt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply delivery receipt',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+});
+
+export default router;
@@ -24,6 +24,10 @@ import {
   rsvpRateLimitConfig,
   adminRateLimitConfig 
 } from '../utils/rsvpValidation.js'
+import { authenticateAdmin, requirePermission } from '../middleware/authMiddleware.js'
+import { PERMISSIONS } from '../config/permissions.js'
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, recordAudit } from '../services/auditService.js'
+import { EVENT_SLUG_PATTERN, getEventBySlug } from '../services/eventService.js'
 
 const router = express.Router()
 
@@ -37,23 +41,64 @@ const rsvpRateLimiter = rateLimit(rsvpRateLimitConfig)
  */
 const adminRateLimiter = rateLimit(adminRateLimitConfig)
 
+/**
+ * Attendee list errors raised by the RSVP service (all map to 400)
+ */
+const ATTENDEE_ERROR_CODES = [
+  'ATTENDEE_NOT_IN_HOUSEHOLD',
+  'DUPLICATE_ATTENDEE',
+  'PLUS_ONES_EXCEEDED',
+  'TOO_MANY_ATTENDEES',
+  'INVALID_MEAL_OPTION'
+]
+
+/**
+ * Send a 400 response for an attendee list error
+ * 
+ * @param {Error} error - Service error
+ * @param {Object} res - Express response
+ * @returns {boolean} True if a response was sent
+ */
+const handleAttendeeError = (error, res) => {
+  if (!ATTENDEE_ERROR_CODES.includes(error.code)) return false
+
+  res.status(400).json({
+    success: false,
+    code: error.code,
+    error: error.message,
+    details: {
+      ...(error.guestId && { guestId: error.guestId }),
+      ...(error.mealOptionId && { mealOptionId: error.mealOptionId }),
+      ...(error.allowed !== undefined && { allowed: error.allowed })
+    }
+  })
+  return true
+}
+
 /**
  * POST /api/rsvp - Create new RSVP submission
  * 
- * Supports both personalized (with guestId) and non-personalized RSVPs.
+ * Supports both personalized (with invitationToken) and non-personalized RSVPs.
  * Implements duplicate prevention by updating existing RSVP.
  * 
- * @body {string} [guestId] - Optional guest UUID for personalized RSVPs
+ * @body {string} [invitationToken] - Token from the guest's invitation URL for
+ *   personalized RSVPs (a raw guestId is rejected)
  * @body {string} name - Guest name (2-100 characters)
- * @body {number} guestCount - Number of guests (1-10)
- * @body {boolean} willAttend - Attendance confirmation
+ * @body {number} [guestCount] - Number of guests (1-10); required without attendees
+ * @body {boolean} [willAttend] - Attendance confirmation; required without attendees
+ * @body {Array} [attendees] - Named attendees [{ name, attending, guestId?,
+ *   mealOptionId?, dietaryRestrictions? }]; guestId must be the guest or a
+ *   household member, entries without it are plus-ones (limited by the
+ *   guest's plusOnesAllowed); mealOptionId must be an active option of the venue
  * @body {string} [wishes] - Optional wishes message (10-500 characters)
- * @body {string} venue - Venue ('hue' or 'hanoi')
+ * @body {string} venue - Event slug (e.g. 'hue', 'hanoi')
  * @body {string} [honeypot] - Honeypot field for spam prevention (must be empty)
  * 
  * @returns {Object} 201 - RSVP created successfully
- * @returns {Object} 400 - Validation error
- * @returns {Object} 404 - Guest not found (if guestId provided)
+ * @returns {Object} 400 - Validation error, attendee list error (code), or
+ *   VENUE_MISMATCH (venue is not the invitation's event)
+ * @returns {Object} 403 - RSVP_NOT_OPEN / RSVP_CLOSED outside the event's RSVP window
+ * @returns {Object} 404 - INVITATION_NOT_FOUND (unknown or revoked invitationToken)
  * @returns {Object} 429 - Too many requests
  * @returns {Object} 500 - Server error
  */
@@ -64,7 +109,7 @@ router.post(
   checkValidationResult,
   async (req, res) => {
     try {
-      const { guestId, name, guestCount, willAttend, wishes, venue, honeypot } = req.body
+      const { invitationToken, name, guestCount, willAttend, attendees, wishes, venue, honeypot } = req.body
 
       // Honeypot check (additional layer beyond validation)
       if (honeypot && honeypot.trim() !== '') {
@@ -77,10 +122,11 @@ router.post(
 
       // Create RSVP via service layer
       const rsvp = await createRSVP({
-        guestId,
+        invitationToken,
         name,
         guestCount,
         willAttend,
+        attendees,
         wishes,
         venue
       })
@@ -107,6 +153,7 @@ router.post(
           name: rsvp.name,
           guestCount: rsvp.guestCount,
           willAttend: rsvp.willAttend,
+          attendees: rsvp.attendees,
           venue: rsvp.venue,
           wishes: rsvp.wishes,
           createdAt: rsvp.createdAt,
@@ -118,16 +165,38 @@ router.post(
       console.error('❌ RSVP creation error:', error)
 
       // Handle specific error cases
-      if (error.message === 'Guest not found') {
+      if (error.code === 'INVITATION_NOT_FOUND') {
         return res.status(404).json({
           success: false,
-          error: 'Không tìm thấy khách mời',
+          code: error.code,
+          error: 'Liên kết thiệp mời không hợp lệ hoặc đã bị thu hồi'
+        })
+      }
+
+      if (error.code === 'VENUE_MISMATCH') {
+        return res.status(400).json({
+          success: false,
+          code: error.code,
+          error: 'Địa điểm không khớp với thiệp mời'
+        })
+      }
+
+      if (error.code === 'RSVP_NOT_OPEN' || error.code === 'RSVP_CLOSED') {
+        return res.status(403).json({
+          success: false,
+          code: error.code,
+          error: error.code === 'RSVP_CLOSED'
+            ? 'Đã hết hạn xác nhận tham dự'
+            : 'Chưa đến thời gian xác nhận tham dự',
           details: {
-            guestId: 'Guest ID không tồn tại trong hệ thống'
+            opensAt: error.window.opensAt,
+            closesAt: error.window.closesAt
           }
         })
       }
 
+      if (handleAttendeeError(error, res)) return
+
       // Generic error response
       res.status(500).json({
         success: false,
@@ -139,50 +208,63 @@ router.post(
 )
 
 /**
- * GET /api/rsvp/venue/:venue - Get all RSVPs for a specific venue
+ * GET /api/rsvp/venue/:venue - Get all RSVPs for a specific venue (Admin only, rsvps:read)
+ * 
+ * Attendees include their dietary restrictions, so this is not public.
  * 
- * @param {string} venue - Venue filter ('hue' or 'hanoi')
+ * @param {string} venue - Event slug (e.g. 'hue', 'hanoi')
  * @returns {Object} 200 - List of RSVPs
  * @returns {Object} 400 - Invalid venue
+ * @returns {Object} 401 - Missing or invalid admin token
+ * @returns {Object} 403 - Missing rsvps:read permission
  * @returns {Object} 500 - Server error
  */
-router.get('/venue/:venue', async (req, res) => {
-  try {
-    const { venue } = req.params
+router.get(
+  '/venue/:venue',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.RSVPS_READ),
+  async (req, res) => {
+    try {
+      const { venue } = req.params
 
-    // Validate venue parameter
-    if (!['hue', 'hanoi'].includes(venue)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid venue. Must be "hue" or "hanoi"'
-      })
-    }
+      // Validate venue parameter
+      if (!await getEventBySlug(venue)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid venue. No event with slug "${venue}"`
+        })
+      }
 
-    const rsvps = await getRSVPsByVenue(venue)
+      const rsvps = await getRSVPsByVenue(venue)
 
-    res.json({
-      success: true,
-      data: {
-        venue,
-        count: rsvps.length,
-        rsvps
-      }
-    })
-  } catch (error) {
-    console.error('❌ Get RSVPs error:', error)
+      res.json({
+        success: true,
+        data: {
+          venue,
+          count: rsvps.length,
+          rsvps
+        }
+      })
+    } catch (error) {
+      console.error('❌ Get RSVPs error:', error)
 
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve RSVPs',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    })
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve RSVPs',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    }
   }
-})
+)
 
 /**
  * GET /api/rsvp/stats/:venue - Get RSVP statistics for a venue
  * 
- * @param {string} venue - Venue filter ('hue' or 'hanoi')
+ * totalGuests counts attending people: named attendees once each (a
+ * household member listed on two RSVPs is not double counted), plus
+ * guestCount for RSVPs submitted without an attendee list.
+ * 
+ * @param {string} venue - Event slug (e.g. 'hue', 'hanoi')
  * @returns {Object} 200 - RSVP statistics
  * @returns {Object} 400 - Invalid venue
  * @returns {Object} 500 - Server error
@@ -192,10 +274,10 @@ router.get('/stats/:venue', async (req, res) => {
     const { venue } = req.params
 
     // Validate venue parameter
-    if (!['hue', 'hanoi'].includes(venue)) {
+    if (!await getEventBySlug(venue)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid venue. Must be "hue" or "hanoi"'
+        error: `Invalid venue. No event with slug "${venue}"`
       })
     }
 
@@ -221,160 +303,195 @@ router.get('/stats/:venue', async (req, res) => {
 
 /**
  * GET /api/rsvp - Get all RSVPs with pagination, filtering, and search
+ * (Admin only, rsvps:read)
  * 
  * Query parameters:
  * @query {number} [page=1] - Page number
  * @query {number} [limit=20] - Items per page
- * @query {string} [venue] - Filter by venue ('hue' or 'hanoi')
+ * @query {string} [venue] - Filter by event slug
  * @query {string} [willAttend] - Filter by attendance ('true' or 'false')
  * @query {string} [search] - Search by guest name
  * @query {string} [sortBy='createdAt'] - Sort field (createdAt, name, guestCount)
  * @query {string} [sortOrder='desc'] - Sort order (asc or desc)
+ * @query {string} [cursor] - nextCursor/prevCursor of a previous page, for
+ *   infinite scroll: replaces page, skips the totals and doesn't shift when
+ *   RSVPs arrive. Only valid with the sortBy/sortOrder it was issued for
  * 
  * @returns {Object} 200 - Paginated RSVP list with metadata
- * @returns {Object} 400 - Invalid query parameters
+ * @returns {Object} 400 - Invalid query parameters or cursor
+ * @returns {Object} 401 - Missing or invalid admin token
+ * @returns {Object} 403 - Missing rsvps:read permission
  * @returns {Object} 500 - Server error
  */
-router.get('/', async (req, res) => {
-  try {
-    const {
-      page = '1',
-      limit = '20',
-      venue,
-      willAttend,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query
-
-    // Parse and validate pagination parameters
-    const parsedPage = Number.parseInt(page, 10)
-    const parsedLimit = Number.parseInt(limit, 10)
-
-    if (Number.isNaN(parsedPage) || parsedPage < 1) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid page parameter. Must be a positive integer.'
-      })
-    }
+router.get(
+  '/',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.RSVPS_READ),
+  async (req, res) => {
+    try {
+      const {
+        page = '1',
+        limit = '20',
+        venue,
+        willAttend,
+        search,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        cursor
+      } = req.query
 
-    if (Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid limit parameter. Must be between 1 and 100.'
-      })
-    }
+      // Parse and validate pagination parameters
+      const parsedPage = Number.parseInt(page, 10)
+      const parsedLimit = Number.parseInt(limit, 10)
 
-    // Parse willAttend boolean
-    let parsedWillAttend
-    if (willAttend !== undefined) {
-      if (willAttend === 'true') {
-        parsedWillAttend = true
-      } else if (willAttend === 'false') {
-        parsedWillAttend = false
-      } else {
+      if (Number.isNaN(parsedPage) || parsedPage < 1) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid willAttend parameter. Must be "true" or "false".'
+          error: 'Invalid page parameter. Must be a positive integer.'
         })
       }
-    }
 
-    // Validate venue if provided
-    if (venue && !['hue', 'hanoi'].includes(venue)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid venue parameter. Must be "hue" or "hanoi".'
-      })
-    }
+      if (Number.isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid limit parameter. Must be between 1 and 100.'
+        })
+      }
 
-    // Validate sortBy
-    const allowedSortFields = ['createdAt', 'name', 'guestCount', 'updatedAt']
-    if (!allowedSortFields.includes(sortBy)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid sortBy parameter. Must be one of: ${allowedSortFields.join(', ')}`
-      })
-    }
+      // Parse willAttend boolean
+      let parsedWillAttend
+      if (willAttend !== undefined) {
+        if (willAttend === 'true') {
+          parsedWillAttend = true
+        } else if (willAttend === 'false') {
+          parsedWillAttend = false
+        } else {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid willAttend parameter. Must be "true" or "false".'
+          })
+        }
+      }
 
-    // Validate sortOrder
-    if (!['asc', 'desc'].includes(sortOrder)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid sortOrder parameter. Must be "asc" or "desc".'
+      // Validate venue if provided
+      if (venue && !EVENT_SLUG_PATTERN.test(venue)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid venue parameter. Must be an event slug.'
+        })
+      }
+
+      // Validate sortBy
+      const allowedSortFields = ['createdAt', 'name', 'guestCount', 'updatedAt']
+      if (!allowedSortFields.includes(sortBy)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid sortBy parameter. Must be one of: ${allowedSortFields.join(', ')}`
+        })
+      }
+
+      // Validate sortOrder
+      if (!['asc', 'desc'].includes(sortOrder)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid sortOrder parameter. Must be "asc" or "desc".'
+        })
+      }
+
+      if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length > 1000)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor parameter.'
+        })
+      }
+
+      console.log('📋 Fetching RSVPs with filters:', {
+        page: parsedPage,
+        limit: parsedLimit,
+        venue,
+        willAttend: parsedWillAttend,
+        search,
+        sortBy,
+        sortOrder,
+        cursor: Boolean(cursor)
       })
-    }
 
-    console.log('📋 Fetching RSVPs with filters:', {
-      page: parsedPage,
-      limit: parsedLimit,
-      venue,
-      willAttend: parsedWillAttend,
-      search,
-      sortBy,
-      sortOrder
-    })
+      const result = await getRSVPsWithPagination({
+        page: parsedPage,
+        limit: parsedLimit,
+        venue,
+        willAttend: parsedWillAttend,
+        search,
+        sortBy,
+        sortOrder,
+        cursor
+      })
 
-    const result = await getRSVPsWithPagination({
-      page: parsedPage,
-      limit: parsedLimit,
-      venue,
-      willAttend: parsedWillAttend,
-      search,
-      sortBy,
-      sortOrder
-    })
+      res.json({
+        success: true,
+        data: result
+      })
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        })
+      }
 
-    res.json({
-      success: true,
-      data: result
-    })
-  } catch (error) {
-    console.error('❌ Get RSVPs error:', error)
+      console.error('❌ Get RSVPs error:', error)
 
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve RSVPs',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    })
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve RSVPs',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    }
   }
-})
+)
 
 /**
- * GET /api/rsvp/:id - Get RSVP by ID
+ * GET /api/rsvp/:id - Get RSVP by ID (Admin only, rsvps:read)
  * 
  * @param {string} id - RSVP UUID
  * @returns {Object} 200 - RSVP record
+ * @returns {Object} 401 - Missing or invalid admin token
+ * @returns {Object} 403 - Missing rsvps:read permission
  * @returns {Object} 404 - RSVP not found
  * @returns {Object} 500 - Server error
  */
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params
+router.get(
+  '/:id',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.RSVPS_READ),
+  async (req, res) => {
+    try {
+      const { id } = req.params
 
-    const rsvp = await getRSVPById(id)
+      const rsvp = await getRSVPById(id)
 
-    if (!rsvp) {
-      return res.status(404).json({
+      if (!rsvp) {
+        return res.status(404).json({
+          success: false,
+          error: 'RSVP not found'
+        })
+      }
+
+      res.json({
+        success: true,
+        data: rsvp
+      })
+    } catch (error) {
+      console.error('❌ Get RSVP by ID error:', error)
+
+      res.status(500).json({
         success: false,
-        error: 'RSVP not found'
+        error: 'Failed to retrieve RSVP',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
       })
     }
-
-    res.json({
-      success: true,
-      data: rsvp
-    })
-  } catch (error) {
-    console.error('❌ Get RSVP by ID error:', error)
-
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve RSVP',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    })
   }
-})
+)
 
 /**
  * PATCH /api/rsvp/:id - Update RSVP
@@ -385,17 +502,22 @@ router.get('/:id', async (req, res) => {
  * @body {string} [name] - Updated guest name (2-100 characters)
  * @body {number} [guestCount] - Updated guest count (1-10)
  * @body {boolean} [willAttend] - Updated attendance status
+ * @body {Array} [attendees] - Replacement attendee list (overrides guestCount / willAttend)
  * @body {string} [wishes] - Updated wishes message (max 500 characters)
- * @body {string} [venue] - Updated venue ('hue' or 'hanoi')
+ * @body {string} [venue] - Updated event slug
  * 
  * @returns {Object} 200 - RSVP updated successfully
  * @returns {Object} 400 - Validation error or business rule violation
+ * @returns {Object} 401 - Missing or invalid admin token
+ * @returns {Object} 403 - Missing rsvps:write permission
  * @returns {Object} 404 - RSVP not found
  * @returns {Object} 429 - Too many requests
  * @returns {Object} 500 - Server error
  */
 router.patch(
   '/:id',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.RSVPS_WRITE),
   adminRateLimiter,
   validateUpdateRSVP,
   checkValidationResult,
@@ -406,10 +528,20 @@ router.patch(
 
       console.log('🔄 Updating RSVP:', { id, updateData })
 
+      const previousRSVP = await getRSVPById(id)
       const updatedRSVP = await updateRSVP(id, updateData)
 
       console.log('✅ RSVP updated successfully:', updatedRSVP.id)
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.RSVP_UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.RSVP,
+        entityId: id,
+        entityLabel: updatedRSVP.name,
+        before: previousRSVP,
+        after: updatedRSVP
+      })
+
       res.json({
         success: true,
         data: updatedRSVP,
@@ -425,6 +557,8 @@ router.patch(
         })
       }
 
+      if (handleAttendeeError(error, res)) return
+
       if (error.message.includes('venue')) {
         return res.status(400).json({
           success: false,
@@ -449,12 +583,16 @@ router.patch(
  * @param {string} id - RSVP UUID
  * 
  * @returns {Object} 200 - RSVP deleted successfully
+ * @returns {Object} 401 - Missing or invalid admin token
+ * @returns {Object} 403 - Missing rsvps:write permission
  * @returns {Object} 404 - RSVP not found
  * @returns {Object} 429 - Too many requests
  * @returns {Object} 500 - Server error
  */
 router.delete(
   '/:id',
+  authenticateAdmin,
+  requirePermission(PERMISSIONS.RSVPS_WRITE),
   adminRateLimiter,
   async (req, res) => {
     try {
@@ -466,6 +604,14 @@ router.delete(
 
       console.log('✅ RSVP deleted successfully:', deletedRSVP.name)
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.RSVP_DELETE,
+        entityType: AUDIT_ENTITY_TYPES.RSVP,
+        entityId: id,
+        entityLabel: deletedRSVP.name,
+        before: deletedRSVP
+      })
+
       res.json({
         success: true,
         message: 'RSVP deleted successfully',
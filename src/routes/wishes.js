@@ -2,7 +2,8 @@
  * Wishes Routes
  * 
  * REST API endpoint for fetching wishes from RSVP submissions.
- * Provides filtered, paginated access to non-empty wishes with rate limiting.
+ * Provides filtered, paginated access to moderated wishes with rate limiting,
+ * and a live stream of wishes as they are published.
  * 
  * @module routes/wishes
  */
@@ -11,6 +12,8 @@ import express from 'express'
 import rateLimit from 'express-rate-limit'
 import { query, validationResult } from 'express-validator'
 import { getWishesData } from '../services/rsvpService.js'
+import { EVENT_SLUG_PATTERN } from '../services/eventService.js'
+import { FEED_CHANNELS, subscribe } from '../services/liveFeedService.js'
 
 const router = express.Router()
 
@@ -47,18 +50,32 @@ const validateWishesQuery = [
     .withMessage('Limit must be between 1 and 50')
     .toInt(),
 
-  // Venue - optional, must be hue or hanoi
+  // Venue - optional event slug
   query('venue')
     .optional()
-    .isIn(['hue', 'hanoi'])
-    .withMessage('Venue must be "hue" or "hanoi"'),
+    .matches(EVENT_SLUG_PATTERN)
+    .withMessage('Venue must be an event slug'),
 
   // Page - optional integer, minimum 1, default 1
   query('page')
     .optional()
     .isInt({ min: 1 })
     .withMessage('Page must be a positive integer')
-    .toInt()
+    .toInt(),
+
+  // Search - optional full-text query
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query too long'),
+
+  // Cursor - optional, from a previous page's pagination
+  query('cursor')
+    .optional()
+    .isLength({ max: 1000 })
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor')
 ]
 
 /**
@@ -85,14 +102,22 @@ const checkValidationResult = (req, res, next) => {
  * GET /api/wishes - Fetch wishes data
  * 
  * Returns paginated list of wishes from RSVP submissions.
- * Only includes RSVPs with non-empty wishes field.
+ * Only includes wishes approved or pinned by a moderator, pinned first
+ * (see /api/admin/wishes).
  * 
  * @query {number} [limit=10] - Number of wishes to return (1-50)
- * @query {string} [venue] - Filter by venue ('hue' or 'hanoi')
+ * @query {string} [venue] - Filter by event slug (e.g. 'hue')
  * @query {number} [page=1] - Page number for pagination
+ * @query {string} [search] - Full-text search in wishes and guest names,
+ *   ignoring accents ("hue" finds "Huế"). Results are ordered by relevance;
+ *   each wish adds `rank` and `highlight` (HTML snippet with matches in
+ *   <mark>, null when only the name matched)
+ * @query {string} [cursor] - pagination.nextCursor/prevCursor of a previous
+ *   page, for infinite scroll: replaces page, skips the totals and doesn't
+ *   repeat wishes approved while scrolling. Not combinable with search
  * 
  * @returns {Object} 200 - Wishes data with pagination
- * @returns {Object} 400 - Invalid query parameters
+ * @returns {Object} 400 - Invalid query parameters or cursor
  * @returns {Object} 429 - Too many requests
  * @returns {Object} 500 - Server error
  * 
@@ -108,7 +133,8 @@ const checkValidationResult = (req, res, next) => {
  *         "name": "Guest Name",
  *         "wishes": "Wish content",
  *         "createdAt": "2025-10-20T10:30:00Z",
- *         "venue": "hue"
+ *         "venue": "hue",
+ *         "pinned": false
  *       }
  *     ],
  *     "pagination": {
@@ -127,15 +153,17 @@ router.get(
   checkValidationResult,
   async (req, res) => {
     try {
-      const { limit = 10, venue, page = 1 } = req.query
+      const { limit = 10, venue, page = 1, search, cursor } = req.query
 
-      console.log('📝 Fetching wishes:', { limit, venue, page })
+      console.log('📝 Fetching wishes:', { limit, venue, page, search, cursor: Boolean(cursor) })
 
       // Fetch wishes data from service
       const result = await getWishesData({
         limit: Number(limit),
         venue,
-        page: Number(page)
+        page: Number(page),
+        search,
+        cursor
       })
 
       console.log(`✅ Wishes fetched successfully:`, {
@@ -150,6 +178,13 @@ router.get(
       })
 
     } catch (error) {
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        })
+      }
+
       console.error('❌ Error fetching wishes:', error)
 
       // Handle specific error types
@@ -168,4 +203,53 @@ router.get(
   }
 )
 
+/**
+ * GET /api/wishes/stream - Live wishes (Server-Sent Events)
+ * 
+ * For the wall at the reception: load GET /api/wishes once, then apply the
+ * events from this stream instead of polling.
+ * 
+ * @query {string} [venue] - Only this event's wishes (event slug)
+ * 
+ * Events:
+ * - `wish`: a wish was approved, pinned or edited; same shape as an item of
+ *   GET /api/wishes (replace any wish with the same id)
+ * - `wish.removed`: `{ id, venue }` - take it off the wall
+ * 
+ * Reconnecting clients (EventSource does this by itself) receive the
+ * events they missed while the server still has them.
+ * 
+ * @returns {Stream} 200 - text/event-stream
+ * @returns {Object} 400 - Invalid query parameters
+ * @returns {Object} 503 - Too many live connections
+ * 
+ * @example
+ * const source = new EventSource('/api/wishes/stream?venue=hue')
+ * source.addEventListener('wish', (e) => showWish(JSON.parse(e.data)))
+ */
+router.get(
+  '/stream',
+  wishesRateLimiter,
+  validateWishesQuery,
+  checkValidationResult,
+  (req, res) => {
+    try {
+      subscribe(FEED_CHANNELS.WISHES, req, res, { venue: req.query.venue })
+    } catch (error) {
+      if (error.code === 'FEED_FULL') {
+        return res.status(503).json({
+          success: false,
+          error: error.message
+        })
+      }
+
+      console.error('❌ Error opening wishes stream:', error)
+      res.status(500).json({
+        success: false,
+        error: 'Failed to open wishes stream'
+      })
+    }
+  }
+)
+
 export default router
@@ -0,0 +1,463 @@
+/**
+ * Album Service
+ *
+ * Gallery albums: titled, ordered collections of gallery media with a cover.
+ * Media can belong to several albums and has its own position in each.
+ *
+ * Visibility: `public` albums are listed publicly, `unlisted` ones are only
+ * reachable by slug, `private` ones only through the admin API. Publicly,
+ * albums only show approved, non-deleted media.
+ *
+ * @module services/albumService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { formatGalleryItem } from '../utils/galleryHelpers.js'
+
+/**
+ * Visibility values (see the AlbumVisibility enum)
+ */
+export const ALBUM_VISIBILITIES = ['public', 'unlisted', 'private']
+
+/**
+ * Album slug format: lowercase letters, digits and single dashes
+ */
+export const ALBUM_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+/**
+ * Media shown in public albums
+ */
+const VISIBLE_MEDIA = { status: 'approved', deletedAt: null }
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. ALBUM_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const albumError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Turn a title into a slug
+ *
+ * @param {string} title - Album title
+ * @returns {string} Slug (may be empty for titles without letters or digits)
+ *
+ * @example
+ * slugifyTitle('Lễ Vu Quy - Huế') // => 'le-vu-quy-hue'
+ */
+export const slugifyTitle = (title) => title
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/gi, 'd')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 100)
+
+/**
+ * Load an album or throw
+ *
+ * @param {string} id - Album UUID
+ * @returns {Promise<Object>} Album
+ * @throws {Error} ALBUM_NOT_FOUND
+ */
+const findAlbumOrThrow = async (id) => {
+  const prisma = getPrismaClient()
+  const album = await prisma.album.findUnique({ where: { id } })
+  if (!album) {
+    throw albumError('ALBUM_NOT_FOUND', 'Album not found')
+  }
+  return album
+}
+
+/**
+ * Ensure media IDs exist and aren't deleted
+ *
+ * @param {string[]} ids - Media UUIDs
+ * @throws {Error} MEDIA_NOT_FOUND naming the first missing ID
+ */
+const assertMediaExist = async (ids) => {
+  if (!ids.length) return
+
+  const prisma = getPrismaClient()
+  const found = await prisma.galleryMedia.findMany({
+    where: { id: { in: ids }, deletedAt: null },
+    select: { id: true }
+  })
+  const foundIds = new Set(found.map(media => media.id))
+  const missing = ids.find(id => !foundIds.has(id))
+  if (missing) {
+    throw albumError('MEDIA_NOT_FOUND', `Gallery media not found: ${missing}`)
+  }
+}
+
+/**
+ * Map a Prisma unique violation on the slug
+ *
+ * @param {Error} error - Error thrown by Prisma
+ * @throws {Error} ALBUM_SLUG_TAKEN, or the original error
+ */
+const rethrowSlugError = (error) => {
+  if (error.code === 'P2002') {
+    throw albumError('ALBUM_SLUG_TAKEN', 'An album with this slug already exists')
+  }
+  throw error
+}
+
+/**
+ * List albums for admins
+ *
+ * @param {Object} [options] - Filters
+ * @param {string} [options.venue] - Only this event's albums
+ * @param {string} [options.visibility] - Only this visibility
+ * @returns {Promise<Object[]>} Albums in display order with coverMedia and
+ *   _count.items
+ */
+export const listAlbums = async ({ venue, visibility } = {}) => {
+  const prisma = getPrismaClient()
+  return prisma.album.findMany({
+    where: {
+      ...(venue && { venue }),
+      ...(visibility && { visibility })
+    },
+    include: {
+      coverMedia: true,
+      _count: { select: { items: true } }
+    },
+    orderBy: [{ displayOrder: 'asc' }, { createdAt: 'asc' }]
+  })
+}
+
+/**
+ * Get an album with all its media (any review state) for admins
+ *
+ * @param {string} id - Album UUID
+ * @returns {Promise<Object|null>} Album with coverMedia and items
+ *   ({ position, addedAt, media }) in album order, or null
+ */
+export const getAlbum = async (id) => {
+  const prisma = getPrismaClient()
+  return prisma.album.findUnique({
+    where: { id },
+    include: {
+      coverMedia: true,
+      items: {
+        where: { media: { deletedAt: null } },
+        include: { media: true },
+        orderBy: [{ position: 'asc' }, { addedAt: 'asc' }]
+      }
+    }
+  })
+}
+
+/**
+ * Create an album
+ *
+ * @param {Object} data - Album data
+ * @param {string} data.title - Title
+ * @param {string} [data.slug] - URL slug (defaults to the slugified title)
+ * @param {string} [data.description] - Description
+ * @param {string} [data.coverMediaId] - Cover media UUID
+ * @param {string} [data.visibility='public'] - public, unlisted or private
+ * @param {string} [data.venue] - Event slug (omit for albums shared across events)
+ * @param {string[]} [data.mediaIds] - Initial media, in order
+ * @returns {Promise<Object>} Created album (getAlbum shape)
+ * @throws {Error} INVALID_ALBUM_SLUG, ALBUM_SLUG_TAKEN, MEDIA_NOT_FOUND
+ */
+export const createAlbum = async (data) => {
+  const prisma = getPrismaClient()
+
+  const slug = data.slug || slugifyTitle(data.title)
+  if (!slug) {
+    throw albumError('INVALID_ALBUM_SLUG', 'Provide a slug for this title')
+  }
+
+  const mediaIds = [...new Set(data.mediaIds || [])]
+  await assertMediaExist([...mediaIds, ...(data.coverMediaId ? [data.coverMediaId] : [])])
+
+  // New albums go last
+  const last = await prisma.album.aggregate({ _max: { displayOrder: true } })
+
+  let album
+  try {
+    album = await prisma.album.create({
+      data: {
+        slug,
+        title: data.title,
+        description: data.description || null,
+        coverMediaId: data.coverMediaId || null,
+        visibility: data.visibility || 'public',
+        venue: data.venue || null,
+        displayOrder: (last._max.displayOrder ?? -1) + 1,
+        items: {
+          create: mediaIds.map((mediaId, position) => ({ mediaId, position }))
+        }
+      }
+    })
+  } catch (error) {
+    rethrowSlugError(error)
+  }
+
+  return getAlbum(album.id)
+}
+
+/**
+ * Update an album's details
+ *
+ * @param {string} id - Album UUID
+ * @param {Object} data - Fields to update (title, slug, description,
+ *   coverMediaId, visibility, venue; null clears optional ones)
+ * @returns {Promise<Object>} { before, after } (after in getAlbum shape)
+ * @throws {Error} ALBUM_NOT_FOUND, ALBUM_SLUG_TAKEN, MEDIA_NOT_FOUND
+ */
+export const updateAlbum = async (id, data) => {
+  const prisma = getPrismaClient()
+  const before = await findAlbumOrThrow(id)
+
+  if (data.coverMediaId) {
+    await assertMediaExist([data.coverMediaId])
+  }
+
+  const updateData = {}
+  for (const field of ['title', 'slug', 'description', 'coverMediaId', 'visibility', 'venue']) {
+    if (data[field] !== undefined) {
+      updateData[field] = data[field]
+    }
+  }
+
+  try {
+    await prisma.album.update({ where: { id }, data: updateData })
+  } catch (error) {
+    rethrowSlugError(error)
+  }
+
+  return { before, after: await getAlbum(id) }
+}
+
+/**
+ * Delete an album (its media stays in the gallery)
+ *
+ * @param {string} id - Album UUID
+ * @returns {Promise<Object>} Deleted album
+ * @throws {Error} ALBUM_NOT_FOUND
+ */
+export const deleteAlbum = async (id) => {
+  const prisma = getPrismaClient()
+  const album = await findAlbumOrThrow(id)
+
+  await prisma.album.delete({ where: { id } })
+  return album
+}
+
+/**
+ * Set the order of albums
+ *
+ * @param {string[]} ids - Album UUIDs in their new order; albums not listed
+ *   keep their displayOrder
+ * @returns {Promise<Object[]>} { id, title, before, after } for each album whose order changed
+ * @throws {Error} ALBUM_NOT_FOUND naming the first unknown ID
+ */
+export const reorderAlbums = async (ids) => {
+  const prisma = getPrismaClient()
+
+  const albums = await prisma.album.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, title: true, displayOrder: true }
+  })
+  const byId = new Map(albums.map(album => [album.id, album]))
+  const missing = ids.find(id => !byId.has(id))
+  if (missing) {
+    throw albumError('ALBUM_NOT_FOUND', `Album not found: ${missing}`)
+  }
+
+  const changes = ids
+    .map((id, displayOrder) => ({ album: byId.get(id), displayOrder }))
+    .filter(({ album, displayOrder }) => album.displayOrder !== displayOrder)
+
+  await prisma.$transaction(changes.map(({ album, displayOrder }) => (
+    prisma.album.update({ where: { id: album.id }, data: { displayOrder } })
+  )))
+
+  return changes.map(({ album, displayOrder }) => ({
+    id: album.id,
+    title: album.title,
+    before: album.displayOrder,
+    after: displayOrder
+  }))
+}
+
+/**
+ * Replace an album's media and order
+ *
+ * @param {string} id - Album UUID
+ * @param {string[]} mediaIds - Media UUIDs in album order (empty clears the album)
+ * @returns {Promise<Object>} { before: string[], after: Object } - previous media
+ *   IDs and the album in getAlbum shape
+ * @throws {Error} ALBUM_NOT_FOUND, MEDIA_NOT_FOUND
+ */
+export const setAlbumMedia = async (id, mediaIds) => {
+  const prisma = getPrismaClient()
+  await findAlbumOrThrow(id)
+
+  const uniqueIds = [...new Set(mediaIds)]
+  await assertMediaExist(uniqueIds)
+
+  const previous = await prisma.albumMedia.findMany({
+    where: { albumId: id },
+    orderBy: [{ position: 'asc' }, { addedAt: 'asc' }],
+    select: { mediaId: true, addedAt: true }
+  })
+  const addedAt = new Map(previous.map(item => [item.mediaId, item.addedAt]))
+
+  await prisma.$transaction([
+    prisma.albumMedia.deleteMany({ where: { albumId: id } }),
+    prisma.albumMedia.createMany({
+      data: uniqueIds.map((mediaId, position) => ({
+        albumId: id,
+        mediaId,
+        position,
+        // Keep when media was first added
+        ...(addedAt.has(mediaId) && { addedAt: addedAt.get(mediaId) })
+      }))
+    })
+  ])
+
+  return { before: previous.map(item => item.mediaId), after: await getAlbum(id) }
+}
+
+/**
+ * Append media to the end of an album
+ *
+ * Media already in the album keeps its position.
+ *
+ * @param {string} id - Album UUID
+ * @param {string[]} mediaIds - Media UUIDs to add, in order
+ * @returns {Promise<Object>} { added: number, album } (album in getAlbum shape)
+ * @throws {Error} ALBUM_NOT_FOUND, MEDIA_NOT_FOUND
+ */
+export const addAlbumMedia = async (id, mediaIds) => {
+  const prisma = getPrismaClient()
+  await findAlbumOrThrow(id)
+
+  const uniqueIds = [...new Set(mediaIds)]
+  await assertMediaExist(uniqueIds)
+
+  const last = await prisma.albumMedia.aggregate({
+    where: { albumId: id },
+    _max: { position: true }
+  })
+  const start = (last._max.position ?? -1) + 1
+
+  const result = await prisma.albumMedia.createMany({
+    data: uniqueIds.map((mediaId, index) => ({ albumId: id, mediaId, position: start + index })),
+    skipDuplicates: true
+  })
+
+  return { added: result.count, album: await getAlbum(id) }
+}
+
+/**
+ * Public album summary
+ *
+ * The cover falls back to the first visible media when the chosen cover is
+ * missing, deleted or not approved.
+ *
+ * @param {Object} album - Album with coverMedia, items (first visible) and _count.items
+ * @returns {Object} { slug, title, description, venue, cover, mediaCount }
+ */
+const formatPublicAlbum = (album) => {
+  const cover = album.coverMedia?.status === 'approved' && !album.coverMedia.deletedAt
+    ? album.coverMedia
+    : album.items[0]?.media
+
+  return {
+    slug: album.slug,
+    title: album.title,
+    description: album.description,
+    venue: album.venue,
+    cover: formatGalleryItem(cover),
+    mediaCount: album._count.items
+  }
+}
+
+/**
+ * Relations needed by formatPublicAlbum
+ */
+const PUBLIC_ALBUM_INCLUDE = {
+  coverMedia: true,
+  items: {
+    where: { media: VISIBLE_MEDIA },
+    include: { media: true },
+    orderBy: [{ position: 'asc' }, { addedAt: 'asc' }],
+    take: 1
+  },
+  _count: { select: { items: { where: { media: VISIBLE_MEDIA } } } }
+}
+
+/**
+ * List public albums
+ *
+ * @param {Object} [options] - Filters
+ * @param {string} [options.venue] - Event slug; that event's albums plus shared ones
+ * @returns {Promise<Object[]>} Public album summaries in display order
+ */
+export const listPublicAlbums = async ({ venue } = {}) => {
+  const prisma = getPrismaClient()
+  const albums = await prisma.album.findMany({
+    where: {
+      visibility: 'public',
+      ...(venue && { OR: [{ venue }, { venue: null }] })
+    },
+    include: PUBLIC_ALBUM_INCLUDE,
+    orderBy: [{ displayOrder: 'asc' }, { createdAt: 'asc' }]
+  })
+
+  return albums.map(formatPublicAlbum)
+}
+
+/**
+ * Get a public or unlisted album with a page of its visible media
+ *
+ * @param {string} slug - Album slug
+ * @param {Object} [options] - Options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Items per page
+ * @returns {Promise<Object|null>} { album, items, pagination }, or null for
+ *   unknown and private albums
+ */
+export const getPublicAlbum = async (slug, { page = 1, limit = 50 } = {}) => {
+  const prisma = getPrismaClient()
+  const album = await prisma.album.findFirst({
+    where: { slug, visibility: { in: ['public', 'unlisted'] } },
+    include: PUBLIC_ALBUM_INCLUDE
+  })
+  if (!album) return null
+
+  const items = await prisma.albumMedia.findMany({
+    where: { albumId: album.id, media: VISIBLE_MEDIA },
+    include: { media: true },
+    orderBy: [{ position: 'asc' }, { addedAt: 'asc' }],
+    skip: (page - 1) * limit,
+    take: limit
+  })
+
+  const total = album._count.items
+  const totalPages = Math.ceil(total / limit)
+  return {
+    album: formatPublicAlbum(album),
+    items: items.map(item => formatGalleryItem(item.media)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasMore: page < totalPages
+    }
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * Audit Log Service
+ *
+ * Records admin mutations with the acting admin, a before/after snapshot
+ * and a field-level diff, and queries them back.
+ *
+ * Audit writes never fail the request that triggered them: the mutation has
+ * already happened, so a failed write is logged and swallowed.
+ *
+ * @module services/auditService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+
+/**
+ * Fields ignored when computing diffs (they change on every write)
+ */
+const IGNORED_DIFF_FIELDS = new Set(['updatedAt'])
+
+/**
+ * Entity types audit entries are recorded against
+ */
+export const AUDIT_ENTITY_TYPES = {
+  GUEST: 'guest',
+  HOUSEHOLD: 'household',
+  RSVP: 'rsvp',
+  MEAL_OPTION: 'mealOption',
+  TABLE: 'table',
+  SEAT_ASSIGNMENT: 'seatAssignment',
+  GALLERY_MEDIA: 'galleryMedia',
+  ALBUM: 'album',
+  MEDIA_TAG: 'mediaTag',
+  TAG: 'tag',
+  EVENT: 'event',
+  WEBHOOK: 'webhook',
+  MESSAGE_TEMPLATE: 'messageTemplate',
+  BLOCKED_TERM: 'blockedTerm'
+}
+
+/**
+ * Audit action identifiers (entity.verb)
+ */
+export const AUDIT_ACTIONS = {
+  GUEST_CREATE: 'guest.create',
+  GUEST_UPDATE: 'guest.update',
+  GUEST_DELETE: 'guest.delete',
+  RSVP_UPDATE: 'rsvp.update',
+  RSVP_DELETE: 'rsvp.delete',
+  GALLERY_CREATE: 'gallery.create',
+  GALLERY_UPDATE: 'gallery.update',
+  GALLERY_DELETE: 'gallery.delete',
+  GALLERY_REORDER: 'gallery.reorder',
+  GALLERY_REVIEW: 'gallery.review',
+  ALBUM_CREATE: 'album.create',
+  ALBUM_UPDATE: 'album.update',
+  ALBUM_DELETE: 'album.delete',
+  MEDIA_TAG_CREATE: 'mediaTag.create',
+  MEDIA_TAG_DELETE: 'mediaTag.delete',
+  TAG_UPDATE: 'tag.update',
+  TAG_DELETE: 'tag.delete',
+  EVENT_CREATE: 'event.create',
+  EVENT_UPDATE: 'event.update',
+  EVENT_DELETE: 'event.delete',
+  HOUSEHOLD_CREATE: 'household.create',
+  HOUSEHOLD_UPDATE: 'household.update',
+  HOUSEHOLD_DELETE: 'household.delete',
+  MEAL_OPTION_CREATE: 'mealOption.create',
+  MEAL_OPTION_UPDATE: 'mealOption.update',
+  MEAL_OPTION_DELETE: 'mealOption.delete',
+  TABLE_CREATE: 'table.create',
+  TABLE_UPDATE: 'table.update',
+  TABLE_DELETE: 'table.delete',
+  SEAT_ASSIGN: 'seat.assign',
+  SEAT_UNASSIGN: 'seat.unassign',
+  WEBHOOK_CREATE: 'webhook.create',
+  WEBHOOK_UPDATE: 'webhook.update',
+  WEBHOOK_DELETE: 'webhook.delete',
+  MESSAGE_TEMPLATE_CREATE: 'messageTemplate.create',
+  MESSAGE_TEMPLATE_UPDATE: 'messageTemplate.update',
+  MESSAGE_TEMPLATE_DELETE: 'messageTemplate.delete',
+  MESSAGE_SEND: 'message.send',
+  WISH_MODERATE: 'wish.moderate',
+  BLOCKED_TERM_CREATE: 'blockedTerm.create',
+  BLOCKED_TERM_DELETE: 'blockedTerm.delete'
+}
+
+/**
+ * Convert a record to plain JSON (Dates become ISO strings)
+ *
+ * @param {Object|null} value - Record to serialize
+ * @returns {Object|null} JSON-safe copy
+ */
+const toJson = (value) => {
+  if (value === null || value === undefined) {
+    return null
+  }
+  return JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Compute a field-level diff between two snapshots
+ *
+ * @param {Object|null} before - Snapshot before the mutation
+ * @param {Object|null} after - Snapshot after the mutation
+ * @returns {Object} Map of field -> { from, to } for changed fields
+ *
+ * @example
+ * diffRecords({ name: 'Lan', venue: 'hue' }, { name: 'Lan', venue: 'hanoi' })
+ * // => { venue: { from: 'hue', to: 'hanoi' } }
+ */
+export const diffRecords = (before, after) => {
+  const from = toJson(before) || {}
+  const to = toJson(after) || {}
+  const changes = {}
+
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)])
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.has(field)) continue
+
+    const previous = from[field] === undefined ? null : from[field]
+    const next = to[field] === undefined ? null : to[field]
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { from: previous, to: next }
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Build the audit row for a single mutation
+ *
+ * @param {Request} req - Express request (provides req.admin, ip, user agent)
+ * @param {Object} entry - Audit entry
+ * @returns {Object} Prisma create data
+ */
+const buildAuditData = (req, { action, entityType, entityId, entityLabel, before = null, after = null }) => {
+  const admin = req?.admin
+
+  return {
+    actorId: admin?.id || null,
+    actorEmail: admin?.email || null,
+    actorRole: admin?.role || null,
+    action,
+    entityType,
+    entityId: entityId ? String(entityId) : null,
+    entityLabel: entityLabel ? String(entityLabel).slice(0, 200) : null,
+    before: toJson(before) ?? undefined,
+    after: toJson(after) ?? undefined,
+    changes: diffRecords(before, after),
+    ipAddress: req?.ip || null,
+    userAgent: req?.headers?.['user-agent']?.slice(0, 500) || null
+  }
+}
+
+/**
+ * Record a single admin mutation
+ *
+ * @param {Request} req - Express request of the acting admin
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - Action identifier (see AUDIT_ACTIONS)
+ * @param {string} entry.entityType - AUDIT_ENTITY_TYPES value
+ * @param {string} entry.entityId - Entity id
+ * @param {string} [entry.entityLabel] - Human readable label (e.g. guest name) for search
+ * @param {Object} [entry.before] - Snapshot before the mutation (null for creates)
+ * @param {Object} [entry.after] - Snapshot after the mutation (null for deletes)
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, entry) => {
+  try {
+    const prisma = getPrismaClient()
+    await prisma.auditLog.create({ data: buildAuditData(req, entry) })
+  } catch (error) {
+    console.error('❌ [Audit] Failed to record audit log:', entry.action, entry.entityId, error.message)
+  }
+}
+
+/**
+ * Record several mutations performed by one request (bulk operations)
+ *
+ * @param {Request} req - Express request of the acting admin
+ * @param {Object[]} entries - Audit entries (same shape as recordAudit)
+ * @returns {Promise<void>}
+ */
+export const recordAuditBatch = async (req, entries) => {
+  if (!entries.length) return
+
+  try {
+    const prisma = getPrismaClient()
+    await prisma.auditLog.createMany({
+      data: entries.map(entry => buildAuditData(req, entry))
+    })
+  } catch (error) {
+    console.error('❌ [Audit] Failed to record audit batch:', entries[0].action, error.message)
+  }
+}
+
+/**
+ * Get audit logs with pagination and filtering
+ *
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Items per page
+ * @param {string} [options.actorId] - Filter by acting admin
+ * @param {string} [options.action] - Filter by action (e.g. guest.delete)
+ * @param {string} [options.entityType] - Filter by entity type
+ * @param {string} [options.entityId] - Filter by entity id
+ * @param {string} [options.search] - Case-insensitive match on entity label or actor email
+ * @param {Date} [options.from] - Only entries at or after this time
+ * @param {Date} [options.to] - Only entries at or before this time
+ * @returns {Promise<Object>} Paginated audit logs with metadata
+ */
+export const getAuditLogs = async (options = {}) => {
+  const {
+    page = 1,
+    limit = 50,
+    actorId,
+    action,
+    entityType,
+    entityId,
+    search,
+    from,
+    to
+  } = options
+
+  const prisma = getPrismaClient()
+
+  // Build where clause
+  const where = {}
+  if (actorId) where.actorId = actorId
+  if (action) where.action = action
+  if (entityType) where.entityType = entityType
+  if (entityId) where.entityId = entityId
+  if (from || to) {
+    where.createdAt = {}
+    if (from) where.createdAt.gte = from
+    if (to) where.createdAt.lte = to
+  }
+  if (search) {
+    where.OR = [
+      { entityLabel: { contains: search, mode: 'insensitive' } },
+      { actorEmail: { contains: search, mode: 'insensitive' } }
+    ]
+  }
+
+  const skip = (page - 1) * limit
+
+  const [logs, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.auditLog.count({ where })
+  ])
+
+  const totalPages = Math.ceil(total / limit)
+
+  return {
+    logs,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrevious: page > 1
+    }
+  }
+}
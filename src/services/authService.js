@@ -0,0 +1,450 @@
+/**
+ * Admin Authentication Service
+ *
+ * Business logic for admin users and sessions including password hashing,
+ * login, access token issuance, refresh token rotation and logout.
+ *
+ * Access tokens are short-lived JWTs bound to a session id. Refresh tokens
+ * are opaque random strings; only their SHA-256 hash is stored so a database
+ * leak cannot be replayed.
+ *
+ * @module services/authService
+ */
+
+import crypto from 'node:crypto'
+import { promisify } from 'node:util'
+import jwt from 'jsonwebtoken'
+import { AUTH_CONFIG, isAuthConfigured } from '../config/auth.js'
+import { getPrismaClient } from '../utils/database.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+/**
+ * Public admin fields returned by the API (never includes passwordHash)
+ */
+const ADMIN_PUBLIC_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  lastLoginAt: true,
+  notifyOnRsvp: true,
+  rsvpDigest: true,
+  createdAt: true
+}
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. INVALID_CREDENTIALS)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const authError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Hash a password with scrypt
+ *
+ * Output format: scrypt$<N>$<r>$<p>$<salt>$<hash> (salt and hash base64)
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded password hash
+ */
+export const hashPassword = async (password) => {
+  const { keyLength, saltBytes, cost, blockSize, parallelization } = AUTH_CONFIG.password
+  const salt = crypto.randomBytes(saltBytes)
+  const derived = await scrypt(password, salt, keyLength, {
+    N: cost,
+    r: blockSize,
+    p: parallelization
+  })
+
+  return [
+    'scrypt',
+    cost,
+    blockSize,
+    parallelization,
+    salt.toString('base64'),
+    derived.toString('base64')
+  ].join('$')
+}
+
+/**
+ * Verify a password against a stored scrypt hash
+ *
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export const verifyPassword = async (password, storedHash) => {
+  const parts = (storedHash || '').split('$')
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false
+  }
+
+  const [, N, r, p, saltB64, hashB64] = parts
+  const expected = Buffer.from(hashB64, 'base64')
+  const derived = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  })
+
+  return crypto.timingSafeEqual(derived, expected)
+}
+
+/**
+ * Hash a refresh token for storage/lookup
+ *
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashRefreshToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Generate a new random refresh token
+ *
+ * @returns {string} base64url encoded token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(AUTH_CONFIG.session.refreshTokenBytes).toString('base64url')
+}
+
+/**
+ * Compute refresh session expiry from now
+ *
+ * @returns {Date} Expiry timestamp
+ */
+const getSessionExpiry = () => {
+  const ttlMs = AUTH_CONFIG.session.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+  return new Date(Date.now() + ttlMs)
+}
+
+/**
+ * Sign an access token for an admin session
+ *
+ * @param {Object} admin - Admin user record
+ * @param {string} sessionId - AdminSession id
+ * @returns {{ accessToken: string, expiresIn: string }} Signed token
+ */
+const signAccessToken = (admin, sessionId) => {
+  if (!isAuthConfigured()) {
+    throw authError('AUTH_NOT_CONFIGURED', 'ADMIN_JWT_SECRET is not configured')
+  }
+
+  const { secret, expiresIn, issuer } = AUTH_CONFIG.accessToken
+  const accessToken = jwt.sign(
+    { sid: sessionId, role: admin.role },
+    secret,
+    { subject: admin.id, expiresIn, issuer }
+  )
+
+  return { accessToken, expiresIn }
+}
+
+/**
+ * Build the token response returned by login and refresh
+ *
+ * @param {Object} admin - Admin user record
+ * @param {string} sessionId - AdminSession id
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Date} refreshExpiresAt - Refresh token expiry
+ * @returns {Object} Token payload
+ */
+const buildTokenResponse = (admin, sessionId, refreshToken, refreshExpiresAt) => {
+  const { accessToken, expiresIn } = signAccessToken(admin, sessionId)
+
+  return {
+    accessToken,
+    tokenType: 'Bearer',
+    expiresIn,
+    refreshToken,
+    refreshExpiresAt: refreshExpiresAt.toISOString(),
+    admin: toPublicAdmin(admin)
+  }
+}
+
+/**
+ * Strip private fields from an admin record
+ *
+ * @param {Object} admin - Admin user record
+ * @returns {Object} Public admin representation
+ */
+export const toPublicAdmin = (admin) => {
+  return {
+    id: admin.id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    isActive: admin.isActive,
+    lastLoginAt: admin.lastLoginAt || null,
+    notifyOnRsvp: admin.notifyOnRsvp ?? false,
+    rsvpDigest: admin.rsvpDigest ?? false,
+    createdAt: admin.createdAt
+  }
+}
+
+/**
+ * Create an admin user
+ *
+ * @param {Object} data - Admin data
+ * @param {string} data.email - Login email
+ * @param {string} data.name - Display name
+ * @param {string} data.password - Plain text password
+ * @param {string} [data.role='viewer'] - Admin role
+ * @returns {Promise<Object>} Created admin (public fields)
+ * @throws {Error} If email is taken or password too short
+ */
+export const createAdminUser = async ({ email, name, password, role = 'viewer' }) => {
+  const prisma = getPrismaClient()
+
+  if (!password || password.length < AUTH_CONFIG.password.minLength) {
+    throw authError(
+      'WEAK_PASSWORD',
+      `Password must be at least ${AUTH_CONFIG.password.minLength} characters`
+    )
+  }
+
+  const normalizedEmail = email.trim().toLowerCase()
+  const existing = await prisma.adminUser.findUnique({ where: { email: normalizedEmail } })
+  if (existing) {
+    throw authError('EMAIL_TAKEN', 'An admin with this email already exists')
+  }
+
+  return prisma.adminUser.create({
+    data: {
+      email: normalizedEmail,
+      name: name.trim(),
+      passwordHash: await hashPassword(password),
+      role
+    },
+    select: ADMIN_PUBLIC_SELECT
+  })
+}
+
+/**
+ * List all admin users
+ *
+ * @returns {Promise<Object[]>} Admins (public fields), oldest first
+ */
+export const listAdminUsers = async () => {
+  const prisma = getPrismaClient()
+
+  return prisma.adminUser.findMany({
+    select: ADMIN_PUBLIC_SELECT,
+    orderBy: { createdAt: 'asc' }
+  })
+}
+
+/**
+ * Update an admin's name, role, active flag or notification preferences
+ *
+ * Deactivating an admin revokes all of their sessions.
+ *
+ * @param {string} id - Admin user id
+ * @param {Object} data - Fields to update
+ * @param {string} [data.name] - Display name
+ * @param {string} [data.role] - Admin role
+ * @param {boolean} [data.isActive] - Active flag
+ * @param {boolean} [data.notifyOnRsvp] - Email on every new or changed RSVP
+ * @param {boolean} [data.rsvpDigest] - Daily RSVP digest email
+ * @returns {Promise<Object>} Updated admin (public fields)
+ * @throws {Error} ADMIN_NOT_FOUND if the admin doesn't exist
+ */
+export const updateAdminUser = async (id, { name, role, isActive, notifyOnRsvp, rsvpDigest }) => {
+  const prisma = getPrismaClient()
+
+  const existing = await prisma.adminUser.findUnique({ where: { id }, select: { id: true } })
+  if (!existing) {
+    throw authError('ADMIN_NOT_FOUND', 'Admin not found')
+  }
+
+  const data = {}
+  if (name !== undefined) data.name = name.trim()
+  if (role !== undefined) data.role = role
+  if (isActive !== undefined) data.isActive = isActive
+  if (notifyOnRsvp !== undefined) data.notifyOnRsvp = notifyOnRsvp
+  if (rsvpDigest !== undefined) data.rsvpDigest = rsvpDigest
+
+  const updated = await prisma.adminUser.update({
+    where: { id },
+    data,
+    select: ADMIN_PUBLIC_SELECT
+  })
+
+  if (isActive === false) {
+    await prisma.adminSession.updateMany({
+      where: { adminUserId: id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    })
+  }
+
+  return updated
+}
+
+/**
+ * Log an admin in with email and password
+ *
+ * Creates a new refresh session and returns an access/refresh token pair.
+ *
+ * @param {Object} credentials - Login data
+ * @param {string} credentials.email - Admin email
+ * @param {string} credentials.password - Plain text password
+ * @param {string} [credentials.userAgent] - Client user agent
+ * @param {string} [credentials.ipAddress] - Client IP
+ * @returns {Promise<Object>} Token response
+ * @throws {Error} INVALID_CREDENTIALS if email/password don't match or user is inactive
+ */
+export const login = async ({ email, password, userAgent, ipAddress }) => {
+  const prisma = getPrismaClient()
+
+  const admin = await prisma.adminUser.findUnique({
+    where: { email: email.trim().toLowerCase() }
+  })
+
+  // Same error for unknown email, wrong password and disabled account
+  const passwordMatches = admin ? await verifyPassword(password, admin.passwordHash) : false
+  if (!admin || !passwordMatches || !admin.isActive) {
+    throw authError('INVALID_CREDENTIALS', 'Invalid email or password')
+  }
+
+  const refreshToken = generateRefreshToken()
+  const expiresAt = getSessionExpiry()
+
+  const [session, updatedAdmin] = await prisma.$transaction([
+    prisma.adminSession.create({
+      data: {
+        adminUserId: admin.id,
+        refreshTokenHash: hashRefreshToken(refreshToken),
+        userAgent: userAgent?.slice(0, 500) || null,
+        ipAddress: ipAddress || null,
+        expiresAt
+      }
+    }),
+    prisma.adminUser.update({
+      where: { id: admin.id },
+      data: { lastLoginAt: new Date() }
+    })
+  ])
+
+  return buildTokenResponse(updatedAdmin, session.id, refreshToken, expiresAt)
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * Refresh tokens are rotated: the presented token is replaced and can't be
+ * used again.
+ *
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<Object>} Token response
+ * @throws {Error} INVALID_REFRESH_TOKEN if the token is unknown, expired or revoked
+ */
+export const refreshSession = async (refreshToken) => {
+  const prisma = getPrismaClient()
+
+  const refreshTokenHash = hashRefreshToken(refreshToken)
+  const session = await prisma.adminSession.findUnique({
+    where: { refreshTokenHash },
+    include: { adminUser: true }
+  })
+
+  if (
+    !session ||
+    session.revokedAt ||
+    session.expiresAt < new Date() ||
+    !session.adminUser.isActive
+  ) {
+    throw authError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid or expired')
+  }
+
+  const nextRefreshToken = generateRefreshToken()
+  const expiresAt = getSessionExpiry()
+
+  // Rotate only if the token is still the current one, so two refreshes
+  // racing with the same token can't both succeed
+  const rotated = await prisma.adminSession.updateMany({
+    where: { id: session.id, refreshTokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashRefreshToken(nextRefreshToken),
+      expiresAt,
+      lastUsedAt: new Date()
+    }
+  })
+  if (rotated.count === 0) {
+    throw authError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid or expired')
+  }
+
+  return buildTokenResponse(session.adminUser, session.id, nextRefreshToken, expiresAt)
+}
+
+/**
+ * Revoke an admin session (logout)
+ *
+ * @param {string} sessionId - AdminSession id
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (sessionId) => {
+  const prisma = getPrismaClient()
+
+  await prisma.adminSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  })
+}
+
+/**
+ * Verify an access token and load the admin behind it
+ *
+ * The session is checked on every request so logout and account
+ * deactivation take effect immediately rather than at token expiry.
+ *
+ * @param {string} token - JWT access token
+ * @returns {Promise<{ admin: Object, sessionId: string }>} Authenticated admin
+ * @throws {Error} INVALID_TOKEN / TOKEN_EXPIRED / SESSION_REVOKED
+ */
+export const verifyAccessToken = async (token) => {
+  if (!isAuthConfigured()) {
+    throw authError('AUTH_NOT_CONFIGURED', 'ADMIN_JWT_SECRET is not configured')
+  }
+
+  let payload
+  try {
+    payload = jwt.verify(token, AUTH_CONFIG.accessToken.secret, {
+      issuer: AUTH_CONFIG.accessToken.issuer
+    })
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw authError('TOKEN_EXPIRED', 'Access token has expired')
+    }
+    throw authError('INVALID_TOKEN', 'Access token is invalid')
+  }
+
+  const prisma = getPrismaClient()
+  const session = await prisma.adminSession.findUnique({
+    where: { id: payload.sid },
+    include: { adminUser: { select: ADMIN_PUBLIC_SELECT } }
+  })
+
+  if (
+    !session ||
+    session.adminUserId !== payload.sub ||
+    session.revokedAt ||
+    session.expiresAt < new Date() ||
+    !session.adminUser.isActive
+  ) {
+    throw authError('SESSION_REVOKED', 'Session is no longer valid')
+  }
+
+  return {
+    admin: session.adminUser,
+    sessionId: session.id
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Email Service
+ *
+ * Sends plain-text email over SMTP (nodemailer). Without SMTP_HOST, messages
+ * are printed to the console instead, so development works without a mail
+ * server. Point SMTP_HOST/SMTP_PORT at a local catcher (e.g. Mailpit on
+ * localhost:1025) to inspect real messages.
+ *
+ * @module services/emailService
+ */
+
+import nodemailer from 'nodemailer'
+
+let transporter = null
+
+/**
+ * Check whether SMTP is configured
+ *
+ * @returns {boolean} True if SMTP_HOST is set
+ */
+export const isEmailConfigured = () => Boolean(process.env.SMTP_HOST)
+
+/**
+ * Get the shared SMTP transporter (created on first use, after dotenv loads)
+ *
+ * @returns {Object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const port = Number.parseInt(process.env.SMTP_PORT || '587')
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(process.env.SMTP_USER && {
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      })
+    })
+  }
+  return transporter
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - Message
+ * @param {string|string[]} message.to - Recipient address(es)
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<Object>} { messageId, accepted }
+ */
+export const sendEmail = async ({ to, subject, text }) => {
+  const recipients = [].concat(to)
+
+  if (!isEmailConfigured()) {
+    console.log(`📧 [Email] SMTP not configured, would send "${subject}" to ${recipients.join(', ')}:\n${text}`)
+    return { messageId: null, accepted: recipients }
+  }
+
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to: recipients,
+    subject,
+    text
+  })
+
+  return { messageId: info.messageId, accepted: info.accepted }
+}
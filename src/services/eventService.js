@@ -0,0 +1,330 @@
+/**
+ * Event Service
+ *
+ * Business logic for wedding events. Each event (e.g. the Huế ceremony or
+ * the Hà Nội reception) is identified by a URL-safe slug; guests, RSVPs and
+ * gallery media reference that slug through their `venue` field.
+ *
+ * @module services/eventService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { buildInvitationUrl } from '../utils/invitation.js'
+
+/**
+ * Slug format: lowercase letters, digits and single dashes
+ */
+export const EVENT_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. EVENT_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const eventError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ *
+ * @param {string} timezone - Timezone name (e.g. Asia/Ho_Chi_Minh)
+ * @returns {boolean} True if the runtime recognizes the timezone
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * List all events ordered by date
+ *
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.includeCounts=false] - Include guest/RSVP/media counts
+ * @returns {Promise<Array>} Events
+ */
+export const listEvents = async ({ includeCounts = false } = {}) => {
+  const prisma = getPrismaClient()
+
+  return prisma.event.findMany({
+    orderBy: [{ date: 'asc' }, { createdAt: 'asc' }],
+    ...(includeCounts && {
+      include: {
+        _count: {
+          select: { guests: true, rsvps: true, galleryMedia: true }
+        }
+      }
+    })
+  })
+}
+
+/**
+ * Get an event by slug
+ *
+ * @param {string} slug - Event slug
+ * @returns {Promise<Object|null>} Event or null
+ */
+export const getEventBySlug = async (slug) => {
+  if (!slug) return null
+
+  const prisma = getPrismaClient()
+  return prisma.event.findUnique({ where: { slug } })
+}
+
+/**
+ * express-validator custom validator: value must be an existing event slug
+ *
+ * @param {string} slug - Event slug from the request
+ * @returns {Promise<boolean>} Resolves true when the event exists
+ * @throws {Error} If no event has this slug
+ *
+ * @example
+ * body('venue').custom(assertEventExists).withMessage('Unknown event')
+ */
+export const assertEventExists = async (slug) => {
+  const event = await getEventBySlug(slug)
+  if (!event) {
+    throw new Error(`Unknown event: ${slug}`)
+  }
+  return true
+}
+
+/**
+ * RSVP window states
+ */
+export const RSVP_WINDOW_STATUS = {
+  NOT_OPEN: 'not_open',
+  OPEN: 'open',
+  CLOSED: 'closed'
+}
+
+/**
+ * Compute an event's RSVP window at a point in time
+ *
+ * Missing bounds are unbounded: no rsvpOpensAt means RSVPs are open from the
+ * start, no rsvpDeadline means they never close. A guest override extends
+ * the window for that guest until overrideUntil, regardless of the bounds.
+ *
+ * @param {Object} event - Event with rsvpOpensAt / rsvpDeadline
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @param {Date|null} [options.overrideUntil] - Guest's rsvpOverrideUntil
+ * @returns {Object} { status, isOpen, opensAt, closesAt, override }
+ *
+ * @example
+ * getRsvpWindow({ rsvpOpensAt: null, rsvpDeadline: new Date('2026-11-01') })
+ * // => { status: 'open', isOpen: true, opensAt: null, closesAt: 2026-11-01, override: false }
+ */
+export const getRsvpWindow = (event, { now = new Date(), overrideUntil = null } = {}) => {
+  const opensAt = event.rsvpOpensAt || null
+  const closesAt = event.rsvpDeadline || null
+
+  if (overrideUntil && overrideUntil > now) {
+    return {
+      status: RSVP_WINDOW_STATUS.OPEN,
+      isOpen: true,
+      opensAt,
+      closesAt: overrideUntil,
+      override: true
+    }
+  }
+
+  let status = RSVP_WINDOW_STATUS.OPEN
+  if (opensAt && now < opensAt) {
+    status = RSVP_WINDOW_STATUS.NOT_OPEN
+  } else if (closesAt && now >= closesAt) {
+    status = RSVP_WINDOW_STATUS.CLOSED
+  }
+
+  return {
+    status,
+    isOpen: status === RSVP_WINDOW_STATUS.OPEN,
+    opensAt,
+    closesAt,
+    override: false
+  }
+}
+
+/**
+ * Ensure the RSVP window opens before it closes
+ *
+ * @param {Date|null} opensAt - rsvpOpensAt
+ * @param {Date|null} closesAt - rsvpDeadline
+ * @throws {Error} INVALID_RSVP_WINDOW
+ */
+const assertValidRsvpWindow = (opensAt, closesAt) => {
+  if (opensAt && closesAt && opensAt >= closesAt) {
+    throw eventError('INVALID_RSVP_WINDOW', 'rsvpOpensAt must be before rsvpDeadline')
+  }
+}
+
+/**
+ * Create an event
+ *
+ * @param {Object} data - Event data
+ * @param {string} data.slug - URL-safe identifier
+ * @param {string} data.name - Display name
+ * @param {Date} [data.date] - Event date and time
+ * @param {string} [data.address] - Venue address
+ * @param {string} [data.timezone] - IANA timezone (default Asia/Ho_Chi_Minh)
+ * @param {Date} [data.rsvpOpensAt] - First moment RSVPs are accepted
+ * @param {Date} [data.rsvpDeadline] - Last moment RSVPs are accepted
+ * @param {string} [data.invitationPath] - Path segment used in invitation URLs (defaults to slug)
+ * @param {number[]} [data.reminderDaysBefore] - Days before rsvpDeadline to send RSVP reminders
+ * @param {string} [data.reminderTemplateId] - Message template used for the reminders
+ * @returns {Promise<Object>} Created event
+ * @throws {Error} EVENT_SLUG_TAKEN if the slug already exists, INVALID_RSVP_WINDOW
+ */
+export const createEvent = async (data) => {
+  const prisma = getPrismaClient()
+
+  assertValidRsvpWindow(data.rsvpOpensAt, data.rsvpDeadline)
+
+  const existing = await getEventBySlug(data.slug)
+  if (existing) {
+    throw eventError('EVENT_SLUG_TAKEN', `An event with slug "${data.slug}" already exists`)
+  }
+
+  return prisma.event.create({
+    data: {
+      slug: data.slug,
+      name: data.name,
+      date: data.date || null,
+      address: data.address || null,
+      ...(data.timezone && { timezone: data.timezone }),
+      rsvpOpensAt: data.rsvpOpensAt || null,
+      rsvpDeadline: data.rsvpDeadline || null,
+      invitationPath: data.invitationPath || null,
+      reminderDaysBefore: data.reminderDaysBefore || [],
+      reminderTemplateId: data.reminderTemplateId || null
+    }
+  })
+}
+
+/**
+ * Update an event
+ *
+ * Changing the slug cascades to guests, RSVPs and gallery media. Changing the
+ * slug or invitationPath also rebuilds the guests' stored invitation URLs in
+ * the same transaction, so exported and re-sent links keep working.
+ *
+ * @param {string} slug - Current event slug
+ * @param {Object} data - Fields to update (same shape as createEvent)
+ * @returns {Promise<Object>} Updated event
+ * @throws {Error} EVENT_NOT_FOUND, EVENT_SLUG_TAKEN or INVALID_RSVP_WINDOW
+ */
+export const updateEvent = async (slug, data) => {
+  const prisma = getPrismaClient()
+
+  const existing = await getEventBySlug(slug)
+  if (!existing) {
+    throw eventError('EVENT_NOT_FOUND', 'Event not found')
+  }
+
+  if (data.slug && data.slug !== slug && await getEventBySlug(data.slug)) {
+    throw eventError('EVENT_SLUG_TAKEN', `An event with slug "${data.slug}" already exists`)
+  }
+
+  assertValidRsvpWindow(
+    data.rsvpOpensAt !== undefined ? data.rsvpOpensAt : existing.rsvpOpensAt,
+    data.rsvpDeadline !== undefined ? data.rsvpDeadline : existing.rsvpDeadline
+  )
+
+  const updateData = {}
+  const fields = [
+    'slug', 'name', 'date', 'address', 'timezone', 'rsvpOpensAt', 'rsvpDeadline', 'invitationPath',
+    'reminderDaysBefore', 'reminderTemplateId'
+  ]
+  for (const field of fields) {
+    if (data[field] !== undefined) {
+      updateData[field] = data[field]
+    }
+  }
+
+  const linksChange = (updateData.slug !== undefined && updateData.slug !== slug) ||
+    (updateData.invitationPath !== undefined && updateData.invitationPath !== existing.invitationPath)
+  if (!linksChange) {
+    return prisma.event.update({
+      where: { slug },
+      data: updateData
+    })
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const event = await tx.event.update({
+      where: { slug },
+      data: updateData
+    })
+
+    // Guests' venue already follows the new slug (ON UPDATE CASCADE)
+    const prefix = buildInvitationUrl(event, '')
+    await tx.$executeRaw`
+      UPDATE "guests"
+      SET "invitation_url" = ${prefix} || "invitation_token"
+      WHERE "venue" = ${event.slug} AND "invitation_token" IS NOT NULL
+    `
+    return event
+  })
+}
+
+/**
+ * Delete an event
+ *
+ * Events that still have guests or RSVPs can't be deleted; gallery media
+ * scoped to the event becomes shared.
+ *
+ * @param {string} slug - Event slug
+ * @returns {Promise<Object>} Deleted event
+ * @throws {Error} EVENT_NOT_FOUND or EVENT_IN_USE
+ */
+export const deleteEvent = async (slug) => {
+  const prisma = getPrismaClient()
+
+  const existing = await prisma.event.findUnique({
+    where: { slug },
+    include: {
+      _count: { select: { guests: true, rsvps: true } }
+    }
+  })
+
+  if (!existing) {
+    throw eventError('EVENT_NOT_FOUND', 'Event not found')
+  }
+
+  if (existing._count.guests > 0 || existing._count.rsvps > 0) {
+    const error = eventError(
+      'EVENT_IN_USE',
+      `Event "${slug}" still has ${existing._count.guests} guest(s) and ${existing._count.rsvps} RSVP(s)`
+    )
+    error.counts = existing._count
+    throw error
+  }
+
+  await prisma.event.delete({ where: { slug } })
+
+  return existing
+}
+
+/**
+ * Format an event for public API responses
+ *
+ * @param {Object} event - Event record
+ * @returns {Object} Public event fields
+ */
+export const formatPublicEvent = (event) => ({
+  slug: event.slug,
+  name: event.name,
+  date: event.date ? event.date.toISOString() : null,
+  address: event.address,
+  timezone: event.timezone,
+  rsvpOpensAt: event.rsvpOpensAt ? event.rsvpOpensAt.toISOString() : null,
+  rsvpDeadline: event.rsvpDeadline ? event.rsvpDeadline.toISOString() : null
+})
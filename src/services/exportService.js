@@ -0,0 +1,456 @@
+/**
+ * Export Service
+ *
+ * Streams guest and RSVP lists as CSV, XLSX or a printable PDF attendance
+ * sheet. Rows are read from the database in batches and written as they
+ * arrive, so exports cover the full filtered set without loading it into
+ * memory.
+ *
+ * @module services/exportService
+ */
+
+import { once } from 'events'
+import fs from 'fs'
+import ExcelJS from 'exceljs'
+import PDFDocument from 'pdfkit'
+import { getPrismaClient } from '../utils/database.js'
+import { toCsvRow } from '../utils/csv.js'
+import { listEvents } from './eventService.js'
+
+/**
+ * Supported formats per export
+ */
+export const GUEST_EXPORT_FORMATS = ['csv', 'xlsx', 'pdf']
+export const RSVP_EXPORT_FORMATS = ['csv', 'xlsx']
+
+/**
+ * Content type of each export format
+ */
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+}
+
+/**
+ * Rows fetched per database round trip
+ */
+const BATCH_SIZE = 500
+
+/**
+ * TrueType fonts with Vietnamese glyphs, tried in order when PDF_FONT_PATH
+ * isn't set (Alpine's font-dejavu, then Debian's fonts-dejavu-core). The PDF
+ * built-in Helvetica can't render Vietnamese diacritics.
+ */
+const PDF_FONT_CANDIDATES = [
+  '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf'
+]
+
+const RSVP_STATUS_LABELS = {
+  attending: 'Attending',
+  declined: 'Declined',
+  pending: 'No response'
+}
+
+/**
+ * Build the Prisma where clause for a guest export
+ *
+ * willAttend matches guests with an RSVP of that answer, so `false` returns
+ * guests who declined, not guests who haven't responded.
+ *
+ * @param {Object} filters - Export filters
+ * @param {string} [filters.venue] - Event slug
+ * @param {string} [filters.search] - Case-insensitive name match
+ * @param {boolean} [filters.willAttend] - RSVP answer
+ * @returns {Object} Prisma where clause
+ */
+const buildGuestWhere = ({ venue, search, willAttend } = {}) => {
+  const where = {}
+  if (venue) where.venue = venue
+  if (search) where.name = { contains: search, mode: 'insensitive' }
+  if (willAttend !== undefined) where.rsvps = { some: { willAttend } }
+  return where
+}
+
+/**
+ * Build the Prisma where clause for an RSVP export (same as GET /api/rsvp)
+ *
+ * @param {Object} filters - Export filters (venue, search, willAttend)
+ * @returns {Object} Prisma where clause
+ */
+const buildRsvpWhere = ({ venue, search, willAttend } = {}) => {
+  const where = {}
+  if (venue) where.venue = venue
+  if (willAttend !== undefined) where.willAttend = willAttend
+  if (search) where.name = { contains: search, mode: 'insensitive' }
+  return where
+}
+
+/**
+ * Read a model in batches, ordered by event then name
+ *
+ * @param {Object} delegate - Prisma model delegate (e.g. prisma.guest)
+ * @param {Object} args - findMany arguments (where, include/select)
+ * @yields {Object} One record at a time
+ */
+async function * readInBatches (delegate, args) {
+  let cursor
+  while (true) {
+    const batch = await delegate.findMany({
+      ...args,
+      orderBy: [{ venue: 'asc' }, { name: 'asc' }, { id: 'asc' }],
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    })
+    yield * batch
+    if (batch.length < BATCH_SIZE) return
+    cursor = batch[batch.length - 1].id
+  }
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ *
+ * @param {import('stream').Writable} stream - Destination
+ * @param {string} chunk - Data to write
+ */
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, 'drain')
+}
+
+/**
+ * Summarize a guest's RSVP (the most recent one when there are several)
+ *
+ * @param {Object} guest - Guest with rsvps (newest first)
+ * @returns {Object} { status, partySize, respondedAt, attendees }
+ */
+const summarizeRsvp = (guest) => {
+  const [rsvp] = guest.rsvps
+  if (!rsvp) {
+    return { status: 'pending', partySize: null, respondedAt: null, attendees: '' }
+  }
+  return {
+    status: rsvp.willAttend ? 'attending' : 'declined',
+    partySize: rsvp.willAttend ? rsvp.guestCount : 0,
+    respondedAt: rsvp.updatedAt,
+    attendees: formatAttendees(rsvp.attendees)
+  }
+}
+
+/**
+ * List the attending people of an RSVP, e.g. "Lan, Minh (+1)"
+ *
+ * @param {Array} attendees - RSVP attendees
+ * @returns {string} Comma-separated names
+ */
+const formatAttendees = (attendees) => attendees
+  .filter(attendee => attendee.attending)
+  .map(attendee => (attendee.isPlusOne ? `${attendee.name} (+1)` : attendee.name))
+  .join(', ')
+
+const GUEST_EXPORT_ARGS = {
+  include: {
+    household: { select: { name: true } },
+    rsvps: {
+      orderBy: { updatedAt: 'desc' },
+      take: 1,
+      select: {
+        willAttend: true,
+        guestCount: true,
+        updatedAt: true,
+        attendees: {
+          orderBy: { position: 'asc' },
+          select: { name: true, attending: true, isPlusOne: true }
+        }
+      }
+    }
+  }
+}
+
+const DATE_STYLE = { numFmt: 'yyyy-mm-dd hh:mm' }
+
+const GUEST_COLUMNS = [
+  { header: 'Name', key: 'name', width: 30 },
+  { header: 'Event', key: 'venue', width: 12 },
+  { header: 'Note', key: 'secondaryNote', width: 24 },
+  { header: 'Household', key: 'household', width: 20 },
+  { header: 'RSVP status', key: 'status', width: 14 },
+  { header: 'Party size', key: 'partySize', width: 10 },
+  { header: 'Attendees', key: 'attendees', width: 36 },
+  { header: 'Responded at', key: 'respondedAt', width: 20, style: DATE_STYLE },
+  { header: 'Invitation URL', key: 'invitationUrl', width: 50 }
+]
+
+const RSVP_COLUMNS = [
+  { header: 'Name', key: 'name', width: 30 },
+  { header: 'Event', key: 'venue', width: 12 },
+  { header: 'Invited guest', key: 'guestName', width: 30 },
+  { header: 'Attending', key: 'willAttend', width: 10 },
+  { header: 'Party size', key: 'guestCount', width: 10 },
+  { header: 'Attendees', key: 'attendees', width: 36 },
+  { header: 'Wishes', key: 'wishes', width: 50 },
+  { header: 'Submitted at', key: 'createdAt', width: 20, style: DATE_STYLE },
+  { header: 'Updated at', key: 'updatedAt', width: 20, style: DATE_STYLE }
+]
+
+/**
+ * Flatten a guest into an export row
+ *
+ * @param {Object} guest - Guest with household and rsvps
+ * @returns {Object} Row keyed by GUEST_COLUMNS keys
+ */
+const toGuestRow = (guest) => {
+  const rsvp = summarizeRsvp(guest)
+  return {
+    name: guest.name,
+    venue: guest.venue,
+    secondaryNote: guest.secondaryNote,
+    household: guest.household?.name,
+    status: RSVP_STATUS_LABELS[rsvp.status],
+    partySize: rsvp.partySize,
+    attendees: rsvp.attendees,
+    respondedAt: rsvp.respondedAt,
+    invitationUrl: guest.invitationUrl
+  }
+}
+
+/**
+ * Flatten an RSVP into an export row
+ *
+ * @param {Object} rsvp - RSVP with guest and attendees
+ * @returns {Object} Row keyed by RSVP_COLUMNS keys
+ */
+const toRsvpRow = (rsvp) => ({
+  name: rsvp.name,
+  venue: rsvp.venue,
+  guestName: rsvp.guest?.name,
+  willAttend: rsvp.willAttend ? 'Yes' : 'No',
+  guestCount: rsvp.guestCount,
+  attendees: formatAttendees(rsvp.attendees),
+  wishes: rsvp.wishes,
+  createdAt: rsvp.createdAt,
+  updatedAt: rsvp.updatedAt
+})
+
+/**
+ * Write rows as CSV with a UTF-8 BOM (so Excel shows Vietnamese correctly)
+ *
+ * @returns {Promise<number>} Rows written
+ */
+const writeCsv = async (stream, columns, records, toRow) => {
+  let count = 0
+  await write(stream, '\uFEFF' + toCsvRow(columns.map(column => column.header)))
+  for await (const record of records) {
+    const row = toRow(record)
+    await write(stream, toCsvRow(columns.map(column => row[column.key])))
+    count++
+  }
+  stream.end()
+  return count
+}
+
+/**
+ * Write rows as a single-sheet XLSX workbook
+ *
+ * @returns {Promise<number>} Rows written
+ */
+const writeXlsx = async (stream, sheetName, columns, records, toRow) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true })
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] })
+  sheet.columns = columns
+  sheet.getRow(1).font = { bold: true }
+  sheet.getRow(1).commit()
+
+  let count = 0
+  for await (const record of records) {
+    sheet.addRow(toRow(record)).commit()
+    count++
+  }
+
+  sheet.autoFilter = { from: 'A1', to: { row: 1, column: columns.length } }
+  sheet.commit()
+  await workbook.commit()
+  return count
+}
+
+/**
+ * Pick the font used for PDF text
+ *
+ * @returns {string|null} Path to a TrueType font, or null for Helvetica
+ */
+const resolvePdfFont = () => {
+  const candidates = process.env.PDF_FONT_PATH
+    ? [process.env.PDF_FONT_PATH]
+    : PDF_FONT_CANDIDATES
+  return candidates.find(candidate => fs.existsSync(candidate)) || null
+}
+
+/**
+ * Format an event date in the event's timezone
+ *
+ * @param {Object} event - Event (date, timezone)
+ * @returns {string} e.g. "01/12/2026 11:00" or ''
+ */
+const formatEventDate = (event) => {
+  if (!event?.date) return ''
+  return event.date.toLocaleString('vi-VN', {
+    timeZone: event.timezone,
+    dateStyle: 'short',
+    timeStyle: 'short'
+  })
+}
+
+const PDF_COLUMNS = [
+  { header: '#', width: 28 },
+  { header: 'Guest', width: 170 },
+  { header: 'Note', width: 110 },
+  { header: 'RSVP', width: 72 },
+  { header: 'Party', width: 40 },
+  { header: 'Signature', width: 95 }
+]
+
+const PDF_ROW_HEIGHT = 22
+
+/**
+ * Write guests as an attendance sheet: one section per event, starting on a
+ * new page, with a blank column for check-in signatures
+ *
+ * @returns {Promise<number>} Rows written
+ */
+const writeAttendancePdf = async (stream, records) => {
+  const events = new Map((await listEvents()).map(event => [event.slug, event]))
+  const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: false })
+  const finished = once(stream, 'finish')
+  doc.pipe(stream)
+
+  const font = resolvePdfFont()
+  // Without a Unicode font, drop diacritics rather than print garbage
+  const text = font
+    ? value => String(value ?? '')
+    : value => String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd').replace(/Đ/g, 'D')
+  if (font) doc.registerFont('body', font)
+  const bodyFont = font ? 'body' : 'Helvetica'
+
+  const left = doc.page.margins.left
+  const bottom = () => doc.page.height - doc.page.margins.bottom
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    const y = doc.y
+    let x = left
+    doc.font(bold ? (font ? 'body' : 'Helvetica-Bold') : bodyFont).fontSize(9)
+    PDF_COLUMNS.forEach((column, index) => {
+      doc.rect(x, y, column.width, PDF_ROW_HEIGHT).stroke('#999999')
+      doc.fillColor('#000000').text(text(cells[index]), x + 4, y + 7, {
+        width: column.width - 8,
+        height: PDF_ROW_HEIGHT - 8,
+        lineBreak: false,
+        ellipsis: true
+      })
+      x += column.width
+    })
+    doc.x = left
+    doc.y = y + PDF_ROW_HEIGHT
+  }
+
+  const drawHeader = (venue, continued) => {
+    const event = events.get(venue)
+    doc.font(bodyFont).fontSize(16).fillColor('#000000')
+      .text(text(`Attendance sheet — ${event?.name || venue}${continued ? ' (cont.)' : ''}`), left, doc.page.margins.top)
+    const details = [formatEventDate(event), event?.address].filter(Boolean).join(' · ')
+    if (details) doc.fontSize(10).fillColor('#444444').text(text(details))
+    doc.moveDown(0.8)
+    drawRow(PDF_COLUMNS.map(column => column.header), { bold: true })
+  }
+
+  let count = 0
+  let venue = null
+  let number = 0
+  for await (const guest of records) {
+    if (guest.venue !== venue) {
+      if (venue !== null) doc.addPage()
+      venue = guest.venue
+      number = 0
+      drawHeader(venue, false)
+    } else if (doc.y + PDF_ROW_HEIGHT > bottom()) {
+      doc.addPage()
+      drawHeader(venue, true)
+    }
+
+    const rsvp = summarizeRsvp(guest)
+    number++
+    drawRow([
+      number,
+      guest.name,
+      guest.secondaryNote,
+      RSVP_STATUS_LABELS[rsvp.status],
+      rsvp.partySize ?? '',
+      ''
+    ])
+    count++
+  }
+
+  if (!count) {
+    doc.font(bodyFont).fontSize(12).text('No guests match the selected filters.')
+  }
+
+  doc.end()
+  await finished
+  return count
+}
+
+/**
+ * Stream the guests matching the filters, with their RSVP status
+ *
+ * @param {import('stream').Writable} stream - Destination (e.g. the HTTP response)
+ * @param {string} format - One of GUEST_EXPORT_FORMATS
+ * @param {Object} [filters] - { venue, search, willAttend }
+ * @returns {Promise<number>} Number of guests exported
+ */
+export const streamGuestExport = async (stream, format, filters = {}) => {
+  const prisma = getPrismaClient()
+  const records = readInBatches(prisma.guest, { where: buildGuestWhere(filters), ...GUEST_EXPORT_ARGS })
+
+  if (format === 'pdf') return writeAttendancePdf(stream, records)
+  if (format === 'xlsx') return writeXlsx(stream, 'Guests', GUEST_COLUMNS, records, toGuestRow)
+  return writeCsv(stream, GUEST_COLUMNS, records, toGuestRow)
+}
+
+/**
+ * Stream the RSVPs matching the filters, including open RSVPs without an
+ * invited guest
+ *
+ * @param {import('stream').Writable} stream - Destination (e.g. the HTTP response)
+ * @param {string} format - One of RSVP_EXPORT_FORMATS
+ * @param {Object} [filters] - { venue, search, willAttend }
+ * @returns {Promise<number>} Number of RSVPs exported
+ */
+export const streamRsvpExport = async (stream, format, filters = {}) => {
+  const prisma = getPrismaClient()
+  const records = readInBatches(prisma.rSVP, {
+    where: buildRsvpWhere(filters),
+    include: {
+      guest: { select: { name: true } },
+      attendees: {
+        orderBy: { position: 'asc' },
+        select: { name: true, attending: true, isPlusOne: true }
+      }
+    }
+  })
+
+  if (format === 'xlsx') return writeXlsx(stream, 'RSVPs', RSVP_COLUMNS, records, toRsvpRow)
+  return writeCsv(stream, RSVP_COLUMNS, records, toRsvpRow)
+}
+
+/**
+ * Build the download file name for an export
+ *
+ * @param {string} kind - 'guests' or 'rsvps'
+ * @param {string} format - File extension
+ * @param {string} [venue] - Event slug filter
+ * @returns {string} e.g. "guests-hue-2026-10-18.xlsx"
+ */
+export const exportFileName = (kind, format, venue) => {
+  const date = new Date().toISOString().slice(0, 10)
+  return `${[kind, venue, date].filter(Boolean).join('-')}.${format}`
+}
@@ -12,6 +12,8 @@ import ExifReader from 'exifreader'
 import { MEDIA_CONFIG } from '../config/media.js'
 import { storageService } from './storageService.js'
 import { videoProcessingService } from './videoProcessingService.js'
+import { findPageByRank, highlightFields, parseSearchTerms, searchGalleryMedia } from './searchService.js'
+import { buildGalleryWhereClause } from '../utils/galleryHelpers.js'
 import { PrismaClient } from '@prisma/client'
 
 const prisma = new PrismaClient()
@@ -205,6 +207,36 @@ class GalleryMediaService {
     }
   }
 
+  /**
+   * Shape a processed video as an upload result
+   * 
+   * @param {Object} result - From videoProcessingService (URLs, keys, metadata)
+   * @param {Object} file - { originalname, mimetype, size }
+   * @param {Object} metadata - Additional metadata
+   * @returns {Object} Upload result
+   */
+  buildVideoUploadResult(result, file, metadata = {}) {
+    return {
+      mediaType: 'video',
+      originalUrl: result.originalUrl,
+      r2Keys: result.r2Keys,
+      r2Urls: {
+        original: result.originalUrl,
+        thumbnail: result.thumbnailUrl,
+      },
+      metadata: {
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        fileSize: file.size,
+        width: result.metadata.width,
+        height: result.metadata.height,
+        duration: result.metadata.duration,
+        codec: result.metadata.codec,
+        ...metadata,
+      },
+    }
+  }
+
   /**
    * Upload video with thumbnail generation
    * 
@@ -218,31 +250,26 @@ class GalleryMediaService {
 
       console.log(`✅ Video uploaded successfully`)
 
-      return {
-        mediaType: 'video',
-        originalUrl: result.originalUrl,
-        r2Keys: result.r2Keys,
-        r2Urls: {
-          original: result.originalUrl,
-          thumbnail: result.thumbnailUrl,
-        },
-        metadata: {
-          filename: file.originalname,
-          mimeType: file.mimetype,
-          fileSize: file.size,
-          width: result.metadata.width,
-          height: result.metadata.height,
-          duration: result.metadata.duration,
-          codec: result.metadata.codec,
-          ...metadata,
-        },
-      }
+      return this.buildVideoUploadResult(result, file, metadata)
     } catch (error) {
       console.error(`❌ Video upload failed:`, error.message)
       throw error
     }
   }
 
+  /**
+   * Process a video already assembled in R2 by a resumable upload
+   * 
+   * @param {string} key - R2 key of the video
+   * @param {Object} file - { originalname, mimetype, size }
+   * @param {Object} metadata - Additional metadata
+   * @returns {Promise<Object>} Upload result (same shape as uploadVideo)
+   */
+  async processStoredVideo(key, file, metadata = {}) {
+    const result = await videoProcessingService.processStoredVideo(key, file.originalname)
+    return this.buildVideoUploadResult(result, file, metadata)
+  }
+
   /**
    * Upload media file (auto-detect type)
    * 
@@ -337,6 +364,9 @@ class GalleryMediaService {
           location: additionalMetadata.location || null,
           photographer: additionalMetadata.photographer || null,
           dateTaken: additionalMetadata.dateTaken || null,
+          venue: additionalMetadata.venue || null,
+          status: additionalMetadata.status || 'approved',
+          uploadedByGuestId: additionalMetadata.uploadedByGuestId || null,
         },
       })
 
@@ -349,6 +379,71 @@ class GalleryMediaService {
     }
   }
 
+  /**
+   * Upload a photo shared by a guest
+   * 
+   * Generates the usual variants, then stores the media as pending review
+   * under the guest's event, credited to the guest.
+   * 
+   * @param {Object} guest - Guest resolved from the invitation ({ id, name, venue })
+   * @param {Object} file - Multer file object (image)
+   * @param {Object} [details] - Guest-provided details
+   * @param {string} [details.caption] - Caption
+   * @returns {Promise<Object>} Created GalleryMedia record (status pending)
+   */
+  async uploadGuestPhoto(guest, file, details = {}) {
+    const metadata = {
+      caption: details.caption || null,
+      photographer: guest.name,
+      venue: guest.venue,
+      status: 'pending',
+      uploadedByGuestId: guest.id,
+    }
+
+    const uploadResult = await this.uploadMedia(file)
+    return this.createMediaRecord(uploadResult, metadata)
+  }
+
+  /**
+   * List a guest's own uploads (any review state)
+   * 
+   * @param {string} guestId - Guest UUID
+   * @returns {Promise<Object[]>} GalleryMedia records, newest first
+   */
+  async getGuestUploads(guestId) {
+    return prisma.galleryMedia.findMany({
+      where: { uploadedByGuestId: guestId, deletedAt: null },
+      orderBy: { createdAt: 'desc' },
+    })
+  }
+
+  /**
+   * Approve or reject media awaiting review
+   * 
+   * @param {string[]} ids - Media IDs
+   * @param {string} status - approved or rejected
+   * @param {string} [reviewedBy] - Email of the admin
+   * @returns {Promise<Object>} { updated: Object[], before: Object[] } for
+   *   the non-deleted media found; unknown IDs are ignored
+   */
+  async reviewMedia(ids, status, reviewedBy = null) {
+    const before = await prisma.galleryMedia.findMany({
+      where: { id: { in: ids }, deletedAt: null },
+    })
+    if (!before.length) {
+      return { updated: [], before }
+    }
+
+    const reviewedAt = new Date()
+    await prisma.galleryMedia.updateMany({
+      where: { id: { in: before.map(item => item.id) } },
+      data: { status, reviewedAt, reviewedBy },
+    })
+
+    const updated = before.map(item => ({ ...item, status, reviewedAt, reviewedBy }))
+    return { updated, before }
+  }
+
   /**
    * Get media by ID
    * 
@@ -610,29 +705,27 @@ class GalleryMediaService {
   }
 
   /**
-   * Search media across multiple fields
+   * Full-text search media (accent-insensitive, best matches first)
+   * 
+   * Only approved, non-deleted media is searched, like the public gallery.
    * 
    * @param {string} query - Search query
-   * @returns {Promise<Object[]>} Array of matching GalleryMedia records
+   * @returns {Promise<Object[]>} Matching GalleryMedia records, each with
+   *   `rank` and `highlights` (HTML snippets of the matching fields)
    */
   async searchMedia(query) {
     try {
-      return await prisma.galleryMedia.findMany({
-        where: {
-          deletedAt: null,
-          OR: [
-            { filename: { contains: query, mode: 'insensitive' } },
-            { title: { contains: query, mode: 'insensitive' } },
-            { caption: { contains: query, mode: 'insensitive' } },
-            { alt: { contains: query, mode: 'insensitive' } },
-            { location: { contains: query, mode: 'insensitive' } },
-            { photographer: { contains: query, mode: 'insensitive' } },
-          ],
-        },
-        orderBy: {
-          createdAt: 'desc',
-        },
-      })
+      const terms = parseSearchTerms(query)
+      if (!terms.length) return []
+
+      const matches = await searchGalleryMedia(terms, { status: 'approved' })
+      const where = buildGalleryWhereClause({ searchIds: matches.map(match => match.id) })
+      const { items } = await findPageByRank(prisma.galleryMedia, where, matches, { skip: 0, take: matches.length })
+
+      return items.map(item => ({
+        ...item,
+        highlights: highlightFields(item, ['title', 'caption', 'alt', 'location', 'photographer'], terms),
+      }))
     } catch (error) {
       console.error(`❌ Failed to search media:`, error.message)
       throw error
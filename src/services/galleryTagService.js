@@ -0,0 +1,318 @@
+/**
+ * Gallery Tag Service
+ *
+ * Keyword tags on gallery media (many-to-many) and the facet counts behind
+ * the filter sidebar of GET /api/gallery.
+ *
+ * Tags are identified by slug and created on first use: tagging media with
+ * "First Dance" creates (or reuses) the `first-dance` tag.
+ *
+ * @module services/galleryTagService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { buildGalleryWhereClause } from '../utils/galleryHelpers.js'
+import { slugifyTitle } from './albumService.js'
+
+/**
+ * Tag slug format: lowercase letters, digits and single dashes
+ */
+export const TAG_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+/**
+ * Most tags one media item can have
+ */
+export const MAX_TAGS_PER_MEDIA = 30
+
+/**
+ * Gallery fields counted as facets, with whether they can be null
+ */
+const FIELD_FACETS = {
+  mediaType: false,
+  photographer: true,
+  location: true,
+  category: false,
+  venue: true,
+  featured: false
+}
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. TAG_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const tagError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Slug for a tag name
+ *
+ * @param {string} name - Tag name
+ * @returns {string} Slug (may be empty for names without letters or digits)
+ */
+const toTagSlug = (name) => slugifyTitle(name).slice(0, 60).replace(/-+$/, '')
+
+/**
+ * Find or create the tags for some names
+ *
+ * @param {Object} prisma - Prisma client or transaction
+ * @param {string[]} names - Tag names (names with the same slug share a tag)
+ * @returns {Promise<Object[]>} Tags, one per distinct slug
+ * @throws {Error} INVALID_TAG for a name without letters or digits
+ */
+const resolveTags = async (prisma, names) => {
+  const bySlug = new Map()
+  for (const name of names) {
+    const slug = toTagSlug(name)
+    if (!slug) {
+      throw tagError('INVALID_TAG', `Tag needs letters or digits: ${name}`)
+    }
+    if (!bySlug.has(slug)) bySlug.set(slug, name.trim().slice(0, 50))
+  }
+
+  return Promise.all([...bySlug].map(([slug, name]) => prisma.tag.upsert({
+    where: { slug },
+    create: { slug, name },
+    update: {}
+  })))
+}
+
+/**
+ * Load an existing tag or throw
+ *
+ * @param {string} id - Tag UUID
+ * @returns {Promise<Object>} Tag
+ * @throws {Error} TAG_NOT_FOUND
+ */
+const findTagOrThrow = async (id) => {
+  const prisma = getPrismaClient()
+  const tag = await prisma.tag.findUnique({ where: { id } })
+  if (!tag) {
+    throw tagError('TAG_NOT_FOUND', 'Tag not found')
+  }
+  return tag
+}
+
+/**
+ * List all tags with how many media items carry each
+ *
+ * @returns {Promise<Object[]>} { id, slug, name, mediaCount, createdAt } by name
+ */
+export const listTags = async () => {
+  const prisma = getPrismaClient()
+  const tags = await prisma.tag.findMany({
+    include: { _count: { select: { media: true } } },
+    orderBy: { name: 'asc' }
+  })
+
+  return tags.map(({ _count, ...tag }) => ({ ...tag, mediaCount: _count.media }))
+}
+
+/**
+ * Rename a tag or change its slug
+ *
+ * @param {string} id - Tag UUID
+ * @param {Object} data - { name?, slug? }
+ * @returns {Promise<Object>} { before, after }
+ * @throws {Error} TAG_NOT_FOUND, TAG_SLUG_TAKEN
+ */
+export const updateTag = async (id, { name, slug }) => {
+  const prisma = getPrismaClient()
+  const before = await findTagOrThrow(id)
+
+  try {
+    const after = await prisma.tag.update({
+      where: { id },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(slug !== undefined && { slug })
+      }
+    })
+    return { before, after }
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw tagError('TAG_SLUG_TAKEN', 'A tag with this slug already exists')
+    }
+    throw error
+  }
+}
+
+/**
+ * Delete a tag (removing it from all media)
+ *
+ * @param {string} id - Tag UUID
+ * @returns {Promise<Object>} Deleted tag
+ * @throws {Error} TAG_NOT_FOUND
+ */
+export const deleteTag = async (id) => {
+  const prisma = getPrismaClient()
+  const tag = await findTagOrThrow(id)
+
+  await prisma.tag.delete({ where: { id } })
+  return tag
+}
+
+/**
+ * Tag slugs of some media items
+ *
+ * @param {Object} prisma - Prisma client or transaction
+ * @param {string[]} mediaIds - Media UUIDs
+ * @returns {Promise<Map<string, string[]>>} Media ID => sorted slugs
+ */
+const loadMediaTagSlugs = async (prisma, mediaIds) => {
+  const links = await prisma.galleryMediaTag.findMany({
+    where: { mediaId: { in: mediaIds } },
+    include: { tag: { select: { slug: true } } }
+  })
+
+  const slugs = new Map(mediaIds.map(id => [id, []]))
+  for (const link of links) slugs.get(link.mediaId).push(link.tag.slug)
+  for (const list of slugs.values()) list.sort()
+  return slugs
+}
+
+/**
+ * Add and remove tags on media items
+ *
+ * @param {string[]} mediaIds - Media UUIDs
+ * @param {Object} changes - Tag changes
+ * @param {string[]} [changes.set] - Replace all tags with these names
+ * @param {string[]} [changes.add] - Tag names to add
+ * @param {string[]} [changes.remove] - Tag slugs or names to remove
+ * @returns {Promise<Object[]>} { id, filename, before, after } (tag slugs)
+ *   for each media item whose tags changed
+ * @throws {Error} MEDIA_NOT_FOUND naming the first unknown ID, INVALID_TAG,
+ *   TOO_MANY_TAGS
+ */
+export const updateMediaTags = async (mediaIds, { set, add = [], remove = [] }) => {
+  const prisma = getPrismaClient()
+  const ids = [...new Set(mediaIds)]
+
+  const media = await prisma.galleryMedia.findMany({
+    where: { id: { in: ids }, deletedAt: null },
+    select: { id: true, filename: true }
+  })
+  const missing = ids.find(id => !media.some(item => item.id === id))
+  if (missing) {
+    throw tagError('MEDIA_NOT_FOUND', `Gallery media not found: ${missing}`)
+  }
+
+  const removeSlugs = new Set(remove.map(toTagSlug))
+
+  return prisma.$transaction(async (tx) => {
+    const before = await loadMediaTagSlugs(tx, ids)
+    const tags = await resolveTags(tx, set || add)
+
+    if (set) {
+      await tx.galleryMediaTag.deleteMany({ where: { mediaId: { in: ids } } })
+    } else if (removeSlugs.size) {
+      await tx.galleryMediaTag.deleteMany({
+        where: { mediaId: { in: ids }, tag: { slug: { in: [...removeSlugs] } } }
+      })
+    }
+
+    if (tags.length) {
+      await tx.galleryMediaTag.createMany({
+        data: ids.flatMap(mediaId => tags.map(tag => ({ mediaId, tagId: tag.id }))),
+        skipDuplicates: true
+      })
+    }
+
+    const after = await loadMediaTagSlugs(tx, ids)
+    const tooMany = ids.find(id => after.get(id).length > MAX_TAGS_PER_MEDIA)
+    if (tooMany) {
+      // Throwing rolls the transaction back
+      throw tagError('TOO_MANY_TAGS', `Media can have at most ${MAX_TAGS_PER_MEDIA} tags: ${tooMany}`)
+    }
+
+    return media
+      .map(item => ({ ...item, before: before.get(item.id), after: after.get(item.id) }))
+      .filter(item => item.before.join() !== item.after.join())
+  })
+}
+
+/**
+ * Sort facet values, most common first
+ */
+const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))
+
+/**
+ * Facet counts for GET /api/gallery
+ *
+ * Each dimension is counted with every other filter applied but not its own,
+ * so the counts show what selecting another value would return. Tags in
+ * `all` mode are the exception: their counts keep the selected tags, since
+ * every extra tag narrows the results further.
+ *
+ * @param {Object} filters - Same filters as buildGalleryWhereClause
+ * @returns {Promise<Object>} { tags, mediaType, photographer, location,
+ *   category, venue, featured, dateTaken }, each a list of { value, count }
+ *   (tags add `name`; dateTaken values are UTC days, YYYY-MM-DD)
+ */
+export const getGalleryFacets = async (filters) => {
+  const prisma = getPrismaClient()
+  const whereWithout = (...keys) => buildGalleryWhereClause({
+    ...filters,
+    ...Object.fromEntries(keys.map(key => [key, undefined]))
+  })
+
+  const countField = async (field, nullable) => {
+    const where = whereWithout(field)
+    const rows = await prisma.galleryMedia.groupBy({
+      by: [field],
+      where: nullable ? { ...where, [field]: { not: null } } : where,
+      _count: { _all: true }
+    })
+    return rows.map(row => ({ value: row[field], count: row._count._all })).sort(byCount)
+  }
+
+  const countTags = async () => {
+    const where = filters.tagMode === 'all' ? whereWithout() : whereWithout('tags')
+    const rows = await prisma.galleryMediaTag.groupBy({
+      by: ['tagId'],
+      where: { media: where },
+      _count: { _all: true }
+    })
+    const tags = await prisma.tag.findMany({ where: { id: { in: rows.map(row => row.tagId) } } })
+    const tagById = new Map(tags.map(tag => [tag.id, tag]))
+
+    return rows
+      .map(row => ({ value: tagById.get(row.tagId).slug, name: tagById.get(row.tagId).name, count: row._count._all }))
+      .sort(byCount)
+  }
+
+  const countDays = async () => {
+    const rows = await prisma.galleryMedia.groupBy({
+      by: ['dateTaken'],
+      where: { ...whereWithout('dateFrom', 'dateTo'), dateTaken: { not: null } },
+      _count: { _all: true }
+    })
+
+    const days = new Map()
+    for (const row of rows) {
+      const day = row.dateTaken.toISOString().slice(0, 10)
+      days.set(day, (days.get(day) || 0) + row._count._all)
+    }
+    return [...days]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => a.value.localeCompare(b.value))
+  }
+
+  const fields = Object.keys(FIELD_FACETS)
+  const [tags, dateTaken, ...fieldCounts] = await Promise.all([
+    countTags(),
+    countDays(),
+    ...fields.map(field => countField(field, FIELD_FACETS[field]))
+  ])
+
+  return {
+    tags,
+    ...Object.fromEntries(fields.map((field, i) => [field, fieldCounts[i]])),
+    dateTaken
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Guest Import Service
+ *
+ * Bulk guest creation from a CSV or XLSX spreadsheet. An upload is first
+ * previewed (columns mapped, every row validated) without writing anything;
+ * committing the same file creates all guests in one transaction.
+ *
+ * @module services/guestImportService
+ */
+
+import path from 'path'
+import ExcelJS from 'exceljs'
+import { getPrismaClient } from '../utils/database.js'
+import { parseCsv } from '../utils/csv.js'
+import { buildInvitationUrl, generateInvitationToken } from '../utils/invitation.js'
+import { normalizePhone } from '../utils/phone.js'
+import { listEvents } from './eventService.js'
+
+/**
+ * Maximum data rows accepted per file
+ */
+export const MAX_IMPORT_ROWS = 1000
+
+/**
+ * Guest fields that can be imported
+ */
+export const IMPORT_FIELDS = ['name', 'venue', 'secondaryNote', 'email', 'phone']
+
+/**
+ * Header names recognized for each field (compared after normalizeHeader)
+ */
+const COLUMN_ALIASES = {
+  name: ['name', 'guestname', 'fullname', 'ten', 'hoten', 'tenkhach', 'khachmoi'],
+  venue: ['venue', 'event', 'eventslug', 'diadiem', 'sukien', 'noitochuc'],
+  secondaryNote: ['secondarynote', 'note', 'notes', 'ghichu'],
+  email: ['email', 'emailaddress', 'mail', 'thudientu'],
+  phone: ['phone', 'phonenumber', 'mobile', 'sdt', 'sodienthoai', 'dienthoai']
+}
+
+/**
+ * Loose email check (the SMTP server has the final word)
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. IMPORT_EMPTY)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra] - Additional properties copied onto the error
+ * @returns {Error} Error with `code` property
+ */
+const importError = (code, message, extra = {}) => {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+/**
+ * Normalize a header or event name for matching: lowercase, no diacritics,
+ * letters and digits only
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Normalized text
+ *
+ * @example
+ * normalizeHeader('Họ Tên') // => 'hoten'
+ */
+const normalizeHeader = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/gi, 'd')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '')
+
+/**
+ * Read the first sheet of an uploaded spreadsheet
+ *
+ * @param {Object} file - Multer file (buffer, originalname)
+ * @returns {Promise<Array<{rowNumber: number, cells: string[]}>>} Non-empty rows, header first
+ * @throws {Error} IMPORT_UNREADABLE
+ */
+const readSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase()
+
+  if (extension === '.csv') {
+    return parseCsv(file.buffer.toString('utf8'))
+      .map((cells, index) => ({ rowNumber: index + 1, cells }))
+  }
+
+  const workbook = new ExcelJS.Workbook()
+  try {
+    await workbook.xlsx.load(file.buffer)
+  } catch (error) {
+    throw importError('IMPORT_UNREADABLE', `Could not read the XLSX file: ${error.message}`)
+  }
+
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+
+  const rows = []
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = []
+    for (let column = 1; column <= row.cellCount; column++) {
+      cells.push(row.getCell(column).text)
+    }
+    if (cells.some(value => value.trim() !== '')) {
+      rows.push({ rowNumber, cells })
+    }
+  })
+  return rows
+}
+
+/**
+ * Work out which column holds each field
+ *
+ * @param {string[]} headers - Header row
+ * @param {Object} [mapping] - Explicit { field: headerText } overrides
+ * @returns {Object} Map of field -> column index (or -1 when absent)
+ */
+const mapColumns = (headers, mapping = {}) => {
+  const normalized = headers.map(normalizeHeader)
+
+  return Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const wanted = mapping[field]
+      ? [normalizeHeader(mapping[field])]
+      : COLUMN_ALIASES[field]
+    return [field, normalized.findIndex(header => wanted.includes(header))]
+  }))
+}
+
+/**
+ * Validate a spreadsheet and build the import preview
+ *
+ * Venue cells may hold the event slug or its name ("Huế" matches hue). When
+ * the file has no venue column, defaultVenue is used for every row. Rows
+ * repeating an earlier row's name and venue are errors; rows matching an
+ * existing guest only get a warning. Phone numbers are normalized like
+ * POST /api/guests does.
+ *
+ * @param {Object} file - Multer file (buffer, originalname)
+ * @param {Object} [options] - Import options
+ * @param {Object} [options.mapping] - Explicit { name, venue, secondaryNote, email, phone } header names
+ * @param {string} [options.defaultVenue] - Event slug for rows without a venue
+ * @returns {Promise<Object>} { columns, totalRows, validRows, invalidRows, rows }
+ * @throws {Error} IMPORT_UNREADABLE, IMPORT_EMPTY, IMPORT_TOO_MANY_ROWS or IMPORT_MISSING_COLUMNS
+ */
+export const previewGuestImport = async (file, { mapping, defaultVenue } = {}) => {
+  const [header, ...dataRows] = await readSpreadsheet(file)
+
+  if (!header || !dataRows.length) {
+    throw importError('IMPORT_EMPTY', 'The file has no guest rows')
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw importError('IMPORT_TOO_MANY_ROWS', `At most ${MAX_IMPORT_ROWS} rows can be imported at once`)
+  }
+
+  const columns = mapColumns(header.cells, mapping)
+  const missing = ['name', ...(defaultVenue ? [] : ['venue'])].filter(field => columns[field] === -1)
+  if (missing.length) {
+    throw importError('IMPORT_MISSING_COLUMNS', `Missing column(s): ${missing.join(', ')}`, {
+      missing,
+      headers: header.cells
+    })
+  }
+
+  // Resolve venue cells against event slugs and names
+  const events = await listEvents()
+  const eventsByKey = new Map()
+  for (const event of events) {
+    eventsByKey.set(event.slug, event)
+    eventsByKey.set(normalizeHeader(event.name), event)
+  }
+
+  const cell = (row, field) => (columns[field] === -1 ? '' : (row.cells[columns[field]] ?? '').trim())
+
+  const seen = new Map()
+  const rows = dataRows.map(row => {
+    const errors = []
+    const name = cell(row, 'name')
+    const venueCell = cell(row, 'venue') || defaultVenue || ''
+    const event = eventsByKey.get(venueCell.toLowerCase()) || eventsByKey.get(normalizeHeader(venueCell))
+    const secondaryNote = cell(row, 'secondaryNote')
+    const email = cell(row, 'email').toLowerCase()
+    const phoneCell = cell(row, 'phone')
+    const phone = phoneCell ? normalizePhone(phoneCell) : null
+
+    if (name.length < 2 || name.length > 100) {
+      errors.push('Name must be between 2-100 characters')
+    }
+    if (!venueCell) {
+      errors.push('Venue is required')
+    } else if (!event) {
+      errors.push(`Unknown event: ${venueCell}`)
+    }
+    if (secondaryNote.length > 200) {
+      errors.push('Secondary note must be under 200 characters')
+    }
+    if (email && (email.length > 255 || !EMAIL_PATTERN.test(email))) {
+      errors.push(`Invalid email address: ${email}`)
+    }
+    if (phoneCell && !phone) {
+      errors.push(`Invalid phone number: ${phoneCell}`)
+    }
+
+    const key = `${name.toLowerCase()}|${event?.slug}`
+    if (name && event && seen.has(key)) {
+      errors.push(`Duplicate of row ${seen.get(key)}`)
+    } else if (name && event) {
+      seen.set(key, row.rowNumber)
+    }
+
+    return {
+      row: row.rowNumber,
+      data: {
+        name,
+        venue: event?.slug || venueCell || null,
+        secondaryNote: secondaryNote || null,
+        email: email || null,
+        phone
+      },
+      errors,
+      warnings: []
+    }
+  })
+
+  // Flag guests that already exist (still importable: namesakes happen)
+  const prisma = getPrismaClient()
+  const venues = [...new Set(rows.filter(row => !row.errors.length).map(row => row.data.venue))]
+  const existing = await prisma.guest.findMany({
+    where: { venue: { in: venues } },
+    select: { name: true, venue: true }
+  })
+  const existingKeys = new Set(existing.map(guest => `${guest.name.toLowerCase()}|${guest.venue}`))
+  for (const row of rows) {
+    if (existingKeys.has(`${row.data.name.toLowerCase()}|${row.data.venue}`)) {
+      row.warnings.push(`A guest named "${row.data.name}" already exists for ${row.data.venue}`)
+    }
+  }
+
+  const invalidRows = rows.filter(row => row.errors.length).length
+
+  return {
+    columns: Object.fromEntries(IMPORT_FIELDS.map(field => [
+      field,
+      columns[field] === -1 ? null : header.cells[columns[field]]
+    ])),
+    totalRows: rows.length,
+    validRows: rows.length - invalidRows,
+    invalidRows,
+    rows
+  }
+}
+
+/**
+ * Import the guests of a spreadsheet
+ *
+ * Re-validates the file, then creates every valid guest in one transaction.
+ * Invitation tokens are generated up front so invitation URLs are stored
+ * with the guest (same format as POST /api/guests).
+ *
+ * @param {Object} file - Multer file (buffer, originalname)
+ * @param {Object} [options] - Same as previewGuestImport, plus:
+ * @param {boolean} [options.skipInvalid=false] - Import valid rows even if others have errors
+ * @returns {Promise<Object>} { guests, skippedRows }
+ * @throws {Error} IMPORT_HAS_ERRORS (with `preview`) when rows are invalid and skipInvalid is false,
+ *   plus the previewGuestImport errors
+ */
+export const commitGuestImport = async (file, { skipInvalid = false, ...options } = {}) => {
+  const preview = await previewGuestImport(file, options)
+
+  if (preview.invalidRows && !skipInvalid) {
+    throw importError('IMPORT_HAS_ERRORS', `${preview.invalidRows} row(s) have errors`, { preview })
+  }
+
+  const events = new Map((await listEvents()).map(event => [event.slug, event]))
+  const prisma = getPrismaClient()
+
+  const validRows = preview.rows.filter(row => !row.errors.length)
+  const guests = await prisma.$transaction(validRows.map(row => {
+    const invitationToken = generateInvitationToken()
+    return prisma.guest.create({
+      data: {
+        name: row.data.name,
+        venue: row.data.venue,
+        secondaryNote: row.data.secondaryNote,
+        email: row.data.email,
+        phone: row.data.phone,
+        invitationToken,
+        invitationUrl: buildInvitationUrl(events.get(row.data.venue), invitationToken)
+      }
+    })
+  }))
+
+  return {
+    guests,
+    skippedRows: preview.rows.filter(row => row.errors.length).map(row => row.row)
+  }
+}
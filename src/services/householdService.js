@@ -0,0 +1,221 @@
+/**
+ * Household Service
+ *
+ * Business logic for households: groups of guests (a family, a couple) who
+ * are invited together and can RSVP for each other.
+ *
+ * @module services/householdService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+
+/**
+ * Relations returned with every household
+ */
+const HOUSEHOLD_INCLUDE = {
+  guests: {
+    orderBy: { name: 'asc' },
+    select: {
+      id: true,
+      name: true,
+      venue: true,
+      plusOnesAllowed: true
+    }
+  }
+}
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. HOUSEHOLD_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra] - Additional properties copied onto the error
+ * @returns {Error} Error with `code` property
+ */
+const householdError = (code, message, extra = {}) => {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+/**
+ * Ensure every guest ID exists
+ *
+ * @param {string[]} guestIds - Guest UUIDs
+ * @throws {Error} HOUSEHOLD_GUEST_NOT_FOUND with `guestIds` listing the missing ones
+ */
+const assertGuestsExist = async (guestIds) => {
+  if (!guestIds.length) return
+
+  const prisma = getPrismaClient()
+  const found = await prisma.guest.findMany({
+    where: { id: { in: guestIds } },
+    select: { id: true }
+  })
+
+  const foundIds = new Set(found.map(guest => guest.id))
+  const missing = guestIds.filter(id => !foundIds.has(id))
+  if (missing.length) {
+    throw householdError('HOUSEHOLD_GUEST_NOT_FOUND', 'One or more guests do not exist', { guestIds: missing })
+  }
+}
+
+/**
+ * express-validator custom validator: value must be an existing household ID
+ *
+ * @param {string} id - Household UUID from the request
+ * @returns {Promise<boolean>} Resolves true when the household exists
+ * @throws {Error} If no household has this ID
+ *
+ * @example
+ * body('householdId').optional({ values: 'null' }).custom(assertHouseholdExists)
+ */
+export const assertHouseholdExists = async (id) => {
+  const prisma = getPrismaClient()
+  const household = await prisma.household.findUnique({
+    where: { id },
+    select: { id: true }
+  })
+  if (!household) {
+    throw new Error(`Unknown household: ${id}`)
+  }
+  return true
+}
+
+/**
+ * List households with their guests
+ *
+ * @param {Object} [options] - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @param {string} [options.search] - Case-insensitive match on household name
+ * @returns {Promise<Object>} { households, pagination }
+ */
+export const listHouseholds = async ({ page = 1, limit = 20, search } = {}) => {
+  const prisma = getPrismaClient()
+
+  const where = search
+    ? { name: { contains: search, mode: 'insensitive' } }
+    : {}
+
+  const [households, total] = await Promise.all([
+    prisma.household.findMany({
+      where,
+      include: HOUSEHOLD_INCLUDE,
+      orderBy: { name: 'asc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.household.count({ where })
+  ])
+
+  return {
+    households,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  }
+}
+
+/**
+ * Get a household by ID
+ *
+ * @param {string} id - Household UUID
+ * @returns {Promise<Object|null>} Household with guests, or null
+ */
+export const getHouseholdById = async (id) => {
+  const prisma = getPrismaClient()
+  return prisma.household.findUnique({
+    where: { id },
+    include: HOUSEHOLD_INCLUDE
+  })
+}
+
+/**
+ * Create a household
+ *
+ * Guests listed in guestIds are moved into the new household (a guest
+ * belongs to at most one household).
+ *
+ * @param {Object} data - Household data
+ * @param {string} data.name - Display name (e.g. "Gia đình chú Hai")
+ * @param {string} [data.notes] - Internal notes
+ * @param {string[]} [data.guestIds] - Members
+ * @returns {Promise<Object>} Created household with guests
+ * @throws {Error} HOUSEHOLD_GUEST_NOT_FOUND
+ */
+export const createHousehold = async ({ name, notes, guestIds = [] }) => {
+  const prisma = getPrismaClient()
+
+  await assertGuestsExist(guestIds)
+
+  return prisma.household.create({
+    data: {
+      name,
+      notes: notes || null,
+      guests: { connect: guestIds.map(id => ({ id })) }
+    },
+    include: HOUSEHOLD_INCLUDE
+  })
+}
+
+/**
+ * Update a household
+ *
+ * When guestIds is provided it replaces the membership: guests no longer
+ * listed are unlinked, new ones are moved in.
+ *
+ * @param {string} id - Household UUID
+ * @param {Object} data - Fields to update (same shape as createHousehold)
+ * @returns {Promise<Object>} Updated household with guests
+ * @throws {Error} HOUSEHOLD_NOT_FOUND or HOUSEHOLD_GUEST_NOT_FOUND
+ */
+export const updateHousehold = async (id, { name, notes, guestIds }) => {
+  const prisma = getPrismaClient()
+
+  const existing = await prisma.household.findUnique({ where: { id }, select: { id: true } })
+  if (!existing) {
+    throw householdError('HOUSEHOLD_NOT_FOUND', 'Household not found')
+  }
+
+  if (guestIds) {
+    await assertGuestsExist(guestIds)
+  }
+
+  const updateData = {}
+  if (name !== undefined) updateData.name = name
+  if (notes !== undefined) updateData.notes = notes || null
+  if (guestIds) updateData.guests = { set: guestIds.map(guestId => ({ id: guestId })) }
+
+  return prisma.household.update({
+    where: { id },
+    data: updateData,
+    include: HOUSEHOLD_INCLUDE
+  })
+}
+
+/**
+ * Delete a household
+ *
+ * Member guests are kept and simply unlinked.
+ *
+ * @param {string} id - Household UUID
+ * @returns {Promise<Object>} Deleted household (with the guests it had)
+ * @throws {Error} HOUSEHOLD_NOT_FOUND
+ */
+export const deleteHousehold = async (id) => {
+  const prisma = getPrismaClient()
+
+  const existing = await getHouseholdById(id)
+  if (!existing) {
+    throw householdError('HOUSEHOLD_NOT_FOUND', 'Household not found')
+  }
+
+  await prisma.household.delete({ where: { id } })
+
+  return existing
+}
@@ -72,7 +72,7 @@ class ImageService {
    * Generate filename with date-based folder structure
    * 
    * @param {string} guestId - Guest UUID
-   * @param {string} venue - Venue name (hue/hanoi)
+   * @param {string} venue - Event slug
    * @param {string} type - Image type (front/main)
    * @returns {string} S3 key path
    */
@@ -0,0 +1,165 @@
+/**
+ * Invitation Service
+ *
+ * Resolves the token in a guest's invitation URL back to the guest, and
+ * tracks when invitations are opened. Tokens are the only credential a guest
+ * has: personalized RSVPs and the invitation page never trust a raw guest ID
+ * from the client.
+ *
+ * @module services/invitationService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { detectDeviceType } from '../utils/device.js'
+import { INVITATION_TOKEN_PATTERN } from '../utils/invitation.js'
+import { listEvents } from './eventService.js'
+
+/**
+ * Find the guest holding an invitation token
+ *
+ * @param {string} token - Token from the invitation URL
+ * @param {Object} [options] - Query options
+ * @param {Object} [options.select] - Prisma select (defaults to the whole guest)
+ * @returns {Promise<Object|null>} Guest, or null for malformed, unknown or revoked tokens
+ */
+export const findGuestByInvitationToken = async (token, { select } = {}) => {
+  if (typeof token !== 'string' || !INVITATION_TOKEN_PATTERN.test(token)) {
+    return null
+  }
+
+  const prisma = getPrismaClient()
+  return prisma.guest.findUnique({
+    where: { invitationToken: token },
+    ...(select && { select })
+  })
+}
+
+/**
+ * Load what the invitation page shows for a token
+ *
+ * Household members are listed (with their IDs) so one guest can RSVP for
+ * everyone in the household.
+ *
+ * @param {string} token - Token from the invitation URL
+ * @returns {Promise<Object|null>} Guest with event and household, or null
+ */
+export const getInvitation = async (token) => findGuestByInvitationToken(token, {
+  select: {
+    id: true,
+    name: true,
+    venue: true,
+    secondaryNote: true,
+    invitationImageFrontUrl: true,
+    invitationImageMainUrl: true,
+    plusOnesAllowed: true,
+    rsvpOverrideUntil: true,
+    event: true,
+    household: {
+      select: {
+        id: true,
+        name: true,
+        guests: {
+          orderBy: { name: 'asc' },
+          select: { id: true, name: true }
+        }
+      }
+    }
+  }
+})
+
+/**
+ * Record that a guest opened their invitation
+ *
+ * Keeps first/last seen time, a view count and the device of the latest view.
+ * Link previewers and other bots are ignored so sharing a link in a chat
+ * doesn't count as an open. Two simultaneous first views race on the upsert's
+ * insert; the loser is retried as an update.
+ *
+ * @param {string} token - Token from the invitation URL
+ * @param {string} [userAgent] - User-Agent header of the viewer
+ * @returns {Promise<Object|null>} { recorded, deviceType }, or null for unknown tokens
+ */
+export const recordInvitationView = async (token, userAgent) => {
+  const guest = await findGuestByInvitationToken(token, { select: { id: true } })
+  if (!guest) return null
+
+  const deviceType = detectDeviceType(userAgent)
+  if (deviceType === 'bot') {
+    return { recorded: false, deviceType }
+  }
+
+  const prisma = getPrismaClient()
+  const update = {
+    lastSeenAt: new Date(),
+    viewCount: { increment: 1 },
+    deviceType
+  }
+  try {
+    await prisma.invitationView.upsert({
+      where: { guestId: guest.id },
+      create: { guestId: guest.id, deviceType },
+      update
+    })
+  } catch (error) {
+    if (error.code !== 'P2002') throw error
+    await prisma.invitationView.update({ where: { guestId: guest.id }, data: update })
+  }
+
+  return { recorded: true, deviceType }
+}
+
+/**
+ * Count invited guests at each funnel stage, per event
+ *
+ * Every stage counts guests (by the event they're invited to): invited,
+ * opened their link, responded, and responded that they're attending. A
+ * household member listed as an attendee on someone else's RSVP counts as
+ * having responded. A guest listed as an attendee is attending according to
+ * their own attendee row, whatever the RSVP's willAttend says. A guest can
+ * respond without the page reporting an open (e.g. an old link or a blocked
+ * request), so a stage can exceed the one before it.
+ *
+ * @returns {Promise<Object>} Map of event slug -> { invited, opened, responded,
+ *   attending, openRate, responseRate, attendanceRate } (rates in percent of invited)
+ */
+export const getInvitationFunnel = async () => {
+  const prisma = getPrismaClient()
+  const countByVenue = async (where) => {
+    const groups = await prisma.guest.groupBy({
+      by: ['venue'],
+      where,
+      _count: { id: true }
+    })
+    return Object.fromEntries(groups.map(group => [group.venue, group._count.id]))
+  }
+
+  const [events, invited, opened, responded, attending] = await Promise.all([
+    listEvents(),
+    countByVenue({}),
+    countByVenue({ invitationView: { isNot: null } }),
+    countByVenue({ OR: [{ rsvps: { some: {} } }, { attendances: { some: {} } }] }),
+    countByVenue({
+      OR: [
+        { attendances: { some: { attending: true } } },
+        { attendances: { none: {} }, rsvps: { some: { willAttend: true } } }
+      ]
+    })
+  ])
+
+  const rate = (count, total) => (total > 0 ? Math.round((count / total) * 100 * 10) / 10 : 0)
+
+  return Object.fromEntries(events.map(({ slug }) => {
+    const stage = {
+      invited: invited[slug] || 0,
+      opened: opened[slug] || 0,
+      responded: responded[slug] || 0,
+      attending: attending[slug] || 0
+    }
+    return [slug, {
+      ...stage,
+      openRate: rate(stage.opened, stage.invited),
+      responseRate: rate(stage.responded, stage.invited),
+      attendanceRate: rate(stage.attending, stage.invited)
+    }]
+  }))
+}
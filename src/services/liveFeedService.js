@@ -0,0 +1,321 @@
+/**
+ * Live Feed Service
+ *
+ * Server-Sent Events streams so the reception screen and the admin dashboard
+ * don't have to poll:
+ *
+ * - wishes (public): `wish` when a wish reaches the wall (approved or pinned)
+ *   or is edited there, `wish.removed` when it leaves it
+ * - admin: `rsvp.created` / `rsvp.updated` / `rsvp.deleted` (only sent to
+ *   admins with rsvps:read) and `stats` with the dashboard counters; the
+ *   admin's session is re-checked on every heartbeat and the stream ends with
+ *   `session.ended` once it is revoked or the access token expires
+ *
+ * Clients live in this process: with several API instances each one only
+ * sees the changes it made itself. The last events of each stream are kept
+ * so a client reconnecting with `Last-Event-ID` catches up.
+ *
+ * @module services/liveFeedService
+ */
+
+import { hasPermission, PERMISSIONS } from '../config/permissions.js'
+import { getAdminStats } from './rsvpService.js'
+import { getInvitationFunnel } from './invitationService.js'
+import { PUBLIC_WISH_STATUSES } from './wishModerationService.js'
+
+/**
+ * Stream names
+ */
+export const FEED_CHANNELS = {
+  WISHES: 'wishes',
+  ADMIN: 'admin'
+}
+
+/**
+ * Event names sent on the streams
+ */
+export const FEED_EVENTS = {
+  WISH: 'wish',
+  WISH_REMOVED: 'wish.removed',
+  RSVP_CREATED: 'rsvp.created',
+  RSVP_UPDATED: 'rsvp.updated',
+  RSVP_DELETED: 'rsvp.deleted',
+  STATS: 'stats',
+  SESSION_ENDED: 'session.ended'
+}
+
+/**
+ * Events kept per stream for Last-Event-ID catch-up
+ */
+const REPLAY_BUFFER_SIZE = 100
+
+/**
+ * Comment line sent to keep proxies from closing idle connections (and how
+ * often a stream's access is re-checked)
+ */
+const HEARTBEAT_INTERVAL_MS = 25 * 1000
+
+/**
+ * Stats are recomputed at most this often however many RSVPs change
+ */
+const STATS_THROTTLE_MS = 2000
+
+/**
+ * Open connections allowed across both streams (SSE_MAX_CLIENTS)
+ */
+const getMaxClients = () => parseInt(process.env.SSE_MAX_CLIENTS, 10) || 500
+
+const clients = {
+  [FEED_CHANNELS.WISHES]: new Set(),
+  [FEED_CHANNELS.ADMIN]: new Set()
+}
+
+const history = {
+  [FEED_CHANNELS.WISHES]: [],
+  [FEED_CHANNELS.ADMIN]: []
+}
+
+let lastEventId = 0
+let statsTimer = null
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. FEED_FULL)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const feedError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Write one event in SSE wire format
+ *
+ * @param {Response} res - Open stream
+ * @param {Object} event - { id, name, data }
+ */
+const writeEvent = (res, { id, name, data }) => {
+  res.write(`id: ${id}\nevent: ${name}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Whether a client should receive an event
+ *
+ * @param {Object} client - Subscribed client
+ * @param {Object} event - Event from publish
+ * @returns {boolean} True to send
+ */
+const wants = (client, event) => {
+  if (client.venue && event.venue && client.venue !== event.venue) return false
+  if (event.permission && !hasPermission(client.role, event.permission)) return false
+  return true
+}
+
+/**
+ * Send an event to every matching client of a stream
+ *
+ * @param {string} channel - FEED_CHANNELS value
+ * @param {string} name - FEED_EVENTS value
+ * @param {Object} data - JSON payload
+ * @param {Object} [options] - Delivery options
+ * @param {string} [options.venue] - Event slug (clients filtering on another venue skip it)
+ * @param {string} [options.permission] - Permission a client's role needs
+ */
+const publish = (channel, name, data, { venue, permission } = {}) => {
+  const event = { id: ++lastEventId, name, data, venue, permission }
+
+  const buffer = history[channel]
+  buffer.push(event)
+  if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift()
+
+  for (const client of clients[channel]) {
+    if (wants(client, event)) writeEvent(client.res, event)
+  }
+}
+
+/**
+ * Open an SSE stream on a response
+ *
+ * Sends the events after `lastEventId` still in the buffer, then keeps the
+ * connection open until the client disconnects or `verify` rejects.
+ *
+ * @param {string} channel - FEED_CHANNELS value
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Object} [options] - Subscription options
+ * @param {string} [options.venue] - Only this event's changes
+ * @param {string} [options.role] - Admin role (admin stream)
+ * @param {Function} [options.verify] - Called before every heartbeat; resolves
+ *   to the admin's current role, or rejects (with a `code`) to end the stream
+ * @returns {Object} The client, for sending it an initial event
+ * @throws {Error} FEED_FULL when SSE_MAX_CLIENTS connections are open
+ */
+export const subscribe = (channel, req, res, { venue, role, verify } = {}) => {
+  const open = clients[FEED_CHANNELS.WISHES].size + clients[FEED_CHANNELS.ADMIN].size
+  if (open >= getMaxClients()) {
+    throw feedError('FEED_FULL', 'Too many live connections, please retry later')
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  res.write('retry: 5000\n\n')
+
+  const client = { res, venue, role }
+  clients[channel].add(client)
+
+  const since = parseInt(req.get('Last-Event-ID'), 10)
+  if (since) {
+    for (const event of history[channel]) {
+      if (event.id > since && wants(client, event)) writeEvent(res, event)
+    }
+  }
+
+  const close = () => {
+    clearInterval(heartbeat)
+    clients[channel].delete(client)
+  }
+
+  const heartbeat = setInterval(async () => {
+    if (verify) {
+      try {
+        client.role = await verify()
+      } catch (error) {
+        if (!clients[channel].has(client)) return
+        writeEvent(res, { id: lastEventId, name: FEED_EVENTS.SESSION_ENDED, data: { code: error.code || 'SESSION_REVOKED' } })
+        close()
+        res.end()
+        return
+      }
+    }
+    if (clients[channel].has(client)) res.write(': ping\n\n')
+  }, HEARTBEAT_INTERVAL_MS)
+  req.on('close', close)
+
+  return client
+}
+
+/**
+ * Send one event to a single client (not buffered)
+ *
+ * @param {Object} client - Client returned by subscribe
+ * @param {string} name - FEED_EVENTS value
+ * @param {Object} data - JSON payload
+ */
+export const sendToClient = (client, name, data) => {
+  writeEvent(client.res, { id: lastEventId, name, data })
+}
+
+/**
+ * Current dashboard counters (same as GET /api/admin/stats)
+ *
+ * @returns {Promise<Object>} Admin stats with funnel
+ */
+export const loadLiveStats = async () => {
+  const [stats, funnel] = await Promise.all([getAdminStats(), getInvitationFunnel()])
+  return { ...stats, funnel }
+}
+
+/**
+ * Recompute and publish the stats soon, once for a burst of changes
+ */
+const scheduleStats = () => {
+  if (statsTimer || !clients[FEED_CHANNELS.ADMIN].size) return
+
+  statsTimer = setTimeout(async () => {
+    statsTimer = null
+    try {
+      publish(FEED_CHANNELS.ADMIN, FEED_EVENTS.STATS, await loadLiveStats())
+    } catch (error) {
+      console.error('❌ [LiveFeed] Failed to publish stats:', error.message)
+    }
+  }, STATS_THROTTLE_MS)
+  statsTimer.unref?.()
+}
+
+/**
+ * Whether an RSVP's wishes are on the public wall
+ *
+ * @param {Object|null} rsvp - RSVP record
+ * @returns {boolean} True if shown
+ */
+const isPublicWish = (rsvp) => Boolean(rsvp?.wishes && PUBLIC_WISH_STATUSES.includes(rsvp.wishStatus))
+
+/**
+ * Public wall shape of a wish (same as GET /api/wishes)
+ *
+ * @param {Object} rsvp - RSVP record
+ * @returns {Object} { id, name, wishes, venue, pinned, createdAt }
+ */
+const toPublicWish = (rsvp) => ({
+  id: rsvp.id,
+  name: rsvp.name,
+  wishes: rsvp.wishes,
+  venue: rsvp.venue,
+  pinned: rsvp.wishStatus === 'pinned',
+  createdAt: rsvp.createdAt
+})
+
+/**
+ * Publish what changed on the wall between two versions of an RSVP
+ *
+ * @param {Object|null} before - RSVP before the change (null when created)
+ * @param {Object|null} after - RSVP after the change (null when deleted)
+ */
+export const publishWishChange = (before, after) => {
+  const wasPublic = isPublicWish(before)
+  const nowPublic = isPublicWish(after)
+
+  if (wasPublic && (!nowPublic || before.venue !== after.venue)) {
+    publish(FEED_CHANNELS.WISHES, FEED_EVENTS.WISH_REMOVED, { id: before.id, venue: before.venue }, { venue: before.venue })
+  }
+  if (!after) return
+
+  const changed = !wasPublic ||
+    before.wishes !== after.wishes ||
+    before.wishStatus !== after.wishStatus ||
+    before.name !== after.name ||
+    before.venue !== after.venue
+  if (nowPublic && changed) {
+    publish(FEED_CHANNELS.WISHES, FEED_EVENTS.WISH, toPublicWish(after), { venue: after.venue })
+  }
+}
+
+/**
+ * Publish an RSVP create, update or delete to both streams
+ *
+ * Never throws: the RSVP has already been saved.
+ *
+ * @param {string} name - FEED_EVENTS.RSVP_CREATED, RSVP_UPDATED or RSVP_DELETED
+ * @param {Object} rsvp - RSVP after the change (the deleted record for deletes)
+ * @param {Object} [previous] - RSVP before an update
+ */
+export const publishRsvpChange = (name, rsvp, previous = null) => {
+  try {
+    const deleted = name === FEED_EVENTS.RSVP_DELETED
+    publishWishChange(deleted ? rsvp : previous, deleted ? null : rsvp)
+
+    publish(FEED_CHANNELS.ADMIN, name, {
+      id: rsvp.id,
+      guestId: rsvp.guestId,
+      name: rsvp.name,
+      venue: rsvp.venue,
+      willAttend: rsvp.willAttend,
+      guestCount: rsvp.guestCount,
+      ...(previous && { previous: { willAttend: previous.willAttend, guestCount: previous.guestCount } }),
+      at: new Date().toISOString()
+    }, { venue: rsvp.venue, permission: PERMISSIONS.RSVPS_READ })
+
+    scheduleStats()
+  } catch (error) {
+    console.error(`❌ [LiveFeed] Failed to publish ${name}:`, error.message)
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Meal Service
+ *
+ * Per-event menu options that RSVP attendees choose from, and the catering
+ * summary (headcount per meal, allergy notes) sent to each venue's caterer.
+ *
+ * @module services/mealService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. MEAL_OPTION_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra] - Additional properties copied onto the error
+ * @returns {Error} Error with `code` property
+ */
+const mealError = (code, message, extra = {}) => {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+/**
+ * List an event's meal options in menu order
+ *
+ * @param {string} venue - Event slug
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.activeOnly=false] - Hide deactivated options (RSVP form)
+ * @returns {Promise<Array>} Meal options
+ */
+export const listMealOptions = async (venue, { activeOnly = false } = {}) => {
+  const prisma = getPrismaClient()
+
+  return prisma.mealOption.findMany({
+    where: {
+      venue,
+      ...(activeOnly && { isActive: true })
+    },
+    orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+  })
+}
+
+/**
+ * Get a meal option by ID
+ *
+ * @param {string} id - Meal option UUID
+ * @returns {Promise<Object|null>} Meal option or null
+ */
+export const getMealOptionById = async (id) => {
+  const prisma = getPrismaClient()
+  return prisma.mealOption.findUnique({ where: { id } })
+}
+
+/**
+ * Ensure no other option of the event already uses this name
+ *
+ * @param {string} venue - Event slug
+ * @param {string} name - Option name
+ * @param {string} [exceptId] - Option being renamed
+ * @throws {Error} MEAL_OPTION_NAME_TAKEN
+ */
+const assertNameAvailable = async (venue, name, exceptId) => {
+  const prisma = getPrismaClient()
+  const existing = await prisma.mealOption.findUnique({
+    where: { venue_name: { venue, name } },
+    select: { id: true }
+  })
+  if (existing && existing.id !== exceptId) {
+    throw mealError('MEAL_OPTION_NAME_TAKEN', `"${name}" is already on the ${venue} menu`)
+  }
+}
+
+/**
+ * Create a meal option
+ *
+ * @param {Object} data - Meal option data
+ * @param {string} data.venue - Event slug
+ * @param {string} data.name - Display name (e.g. "Bò nướng lá lốt")
+ * @param {string} [data.description] - Short description
+ * @param {boolean} [data.isActive=true] - Offered on the RSVP form
+ * @param {number} [data.sortOrder=0] - Menu position
+ * @returns {Promise<Object>} Created meal option
+ * @throws {Error} MEAL_OPTION_NAME_TAKEN
+ */
+export const createMealOption = async ({ venue, name, description, isActive, sortOrder }) => {
+  const prisma = getPrismaClient()
+
+  await assertNameAvailable(venue, name)
+
+  return prisma.mealOption.create({
+    data: {
+      venue,
+      name,
+      description: description || null,
+      ...(isActive !== undefined && { isActive }),
+      ...(sortOrder !== undefined && { sortOrder })
+    }
+  })
+}
+
+/**
+ * Update a meal option
+ *
+ * The venue can't be changed: attendees who picked the option belong to
+ * its event.
+ *
+ * @param {string} id - Meal option UUID
+ * @param {Object} data - Fields to update (name, description, isActive, sortOrder)
+ * @returns {Promise<Object>} Updated meal option
+ * @throws {Error} MEAL_OPTION_NOT_FOUND or MEAL_OPTION_NAME_TAKEN
+ */
+export const updateMealOption = async (id, data) => {
+  const prisma = getPrismaClient()
+
+  const existing = await getMealOptionById(id)
+  if (!existing) {
+    throw mealError('MEAL_OPTION_NOT_FOUND', 'Meal option not found')
+  }
+
+  if (data.name && data.name !== existing.name) {
+    await assertNameAvailable(existing.venue, data.name, id)
+  }
+
+  const updateData = {}
+  for (const field of ['name', 'description', 'isActive', 'sortOrder']) {
+    if (data[field] !== undefined) {
+      updateData[field] = data[field]
+    }
+  }
+
+  return prisma.mealOption.update({
+    where: { id },
+    data: updateData
+  })
+}
+
+/**
+ * Delete a meal option
+ *
+ * Options already chosen by an attendee can't be deleted; deactivate them
+ * instead so existing answers still reach the caterer.
+ *
+ * @param {string} id - Meal option UUID
+ * @returns {Promise<Object>} Deleted meal option
+ * @throws {Error} MEAL_OPTION_NOT_FOUND or MEAL_OPTION_IN_USE (with `count`)
+ */
+export const deleteMealOption = async (id) => {
+  const prisma = getPrismaClient()
+
+  const existing = await prisma.mealOption.findUnique({
+    where: { id },
+    include: { _count: { select: { attendees: true } } }
+  })
+
+  if (!existing) {
+    throw mealError('MEAL_OPTION_NOT_FOUND', 'Meal option not found')
+  }
+
+  if (existing._count.attendees > 0) {
+    throw mealError(
+      'MEAL_OPTION_IN_USE',
+      `${existing._count.attendees} attendee(s) chose this option; deactivate it instead`,
+      { count: existing._count.attendees }
+    )
+  }
+
+  await prisma.mealOption.delete({ where: { id } })
+
+  const { _count, ...mealOption } = existing
+  return mealOption
+}
+
+/**
+ * Check the meal choices on a set of attendee rows
+ *
+ * Every chosen option must be an active option of the RSVP's event.
+ *
+ * @param {string} venue - Event slug of the RSVP
+ * @param {Array<Object>} rows - Attendee rows with optional mealOptionId
+ * @throws {Error} INVALID_MEAL_OPTION with `mealOptionId`
+ */
+export const assertMealSelections = async (venue, rows) => {
+  const chosenIds = [...new Set(rows.map(row => row.mealOptionId).filter(Boolean))]
+  if (!chosenIds.length) return
+
+  const prisma = getPrismaClient()
+  const options = await prisma.mealOption.findMany({
+    where: { id: { in: chosenIds }, venue, isActive: true },
+    select: { id: true }
+  })
+
+  const validIds = new Set(options.map(option => option.id))
+  const invalidId = chosenIds.find(id => !validIds.has(id))
+  if (invalidId) {
+    throw mealError('INVALID_MEAL_OPTION', 'Meal option is not available for this event', { mealOptionId: invalidId })
+  }
+}
+
+/**
+ * Build the caterer's summary for an event
+ *
+ * Counts attending people per meal option and lists their dietary notes.
+ * A household member who appears on several RSVPs is counted once, using
+ * the most recently updated RSVP. RSVPs submitted without an attendee list
+ * have no meal choice; their guestCount is reported as `withoutAttendeeList`.
+ *
+ * @param {string} venue - Event slug
+ * @returns {Promise<Object>} { venue, totalAttending, meals, noMealSelected, withoutAttendeeList, dietaryRestrictions }
+ *
+ * @example
+ * await getCateringSummary('hue')
+ * // => { venue: 'hue', totalAttending: 120,
+ * //      meals: [{ id, name, count: 70 }, { id, name, count: 42 }],
+ * //      noMealSelected: 3, withoutAttendeeList: 5,
+ * //      dietaryRestrictions: [{ name: 'Lan', rsvpName: 'Lan', meal: 'Chay', note: 'Dị ứng tôm' }] }
+ */
+export const getCateringSummary = async (venue) => {
+  const prisma = getPrismaClient()
+
+  const [options, attendees, legacy] = await Promise.all([
+    listMealOptions(venue),
+    prisma.rSVPAttendee.findMany({
+      where: { attending: true, rsvp: { venue } },
+      orderBy: [{ rsvp: { updatedAt: 'desc' } }, { position: 'asc' }],
+      select: {
+        guestId: true,
+        name: true,
+        mealOptionId: true,
+        dietaryRestrictions: true,
+        rsvp: { select: { name: true } }
+      }
+    }),
+    prisma.rSVP.aggregate({
+      where: { venue, willAttend: true, attendees: { none: {} } },
+      _sum: { guestCount: true }
+    })
+  ])
+
+  // Keep only the latest answer for each named guest
+  const seenGuestIds = new Set()
+  const people = attendees.filter(attendee => {
+    if (!attendee.guestId) return true
+    if (seenGuestIds.has(attendee.guestId)) return false
+    seenGuestIds.add(attendee.guestId)
+    return true
+  })
+
+  const counts = new Map()
+  let noMealSelected = 0
+  for (const person of people) {
+    if (person.mealOptionId) {
+      counts.set(person.mealOptionId, (counts.get(person.mealOptionId) || 0) + 1)
+    } else {
+      noMealSelected++
+    }
+  }
+
+  const optionNames = new Map(options.map(option => [option.id, option.name]))
+  const withoutAttendeeList = legacy._sum.guestCount || 0
+
+  return {
+    venue,
+    totalAttending: people.length + withoutAttendeeList,
+    meals: options.map(option => ({
+      id: option.id,
+      name: option.name,
+      isActive: option.isActive,
+      count: counts.get(option.id) || 0
+    })),
+    noMealSelected,
+    withoutAttendeeList,
+    dietaryRestrictions: people
+      .filter(person => person.dietaryRestrictions)
+      .map(person => ({
+        name: person.name,
+        rsvpName: person.rsvp.name,
+        meal: optionNames.get(person.mealOptionId) || null,
+        note: person.dietaryRestrictions
+      }))
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Media Tag Service
+ *
+ * Tags the people who appear in gallery media: an invited guest or a
+ * free-text name, each with the region they appear in. Regions are fractions
+ * (0-1) of the media's width and height from the top-left corner, so they
+ * apply to every image variant.
+ *
+ * Guests can list the approved photos they are tagged in ("photos of me").
+ *
+ * @module services/mediaTagService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { formatGalleryItem } from '../utils/galleryHelpers.js'
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. MEDIA_TAG_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const tagError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * API shape of a tag
+ *
+ * @param {Object} tag - MediaPersonTag with guest ({ id, name })
+ * @returns {Object} { id, mediaId, guest, name, region, createdBy, createdAt }
+ */
+const formatTag = (tag) => ({
+  id: tag.id,
+  mediaId: tag.mediaId,
+  guest: tag.guest || null,
+  name: tag.name,
+  region: {
+    x: tag.regionX,
+    y: tag.regionY,
+    width: tag.regionWidth,
+    height: tag.regionHeight
+  },
+  createdBy: tag.createdBy,
+  createdAt: tag.createdAt
+})
+
+const GUEST_SELECT = { select: { id: true, name: true, venue: true } }
+
+/**
+ * Ensure a region lies inside the media
+ *
+ * @param {Object} region - { x, y, width, height } as fractions
+ * @throws {Error} INVALID_TAG_REGION
+ */
+const assertRegionInBounds = ({ x, y, width, height }) => {
+  const inUnit = (value) => typeof value === 'number' && value >= 0 && value <= 1
+  if (![x, y, width, height].every(inUnit) || width === 0 || height === 0 ||
+      x + width > 1.000001 || y + height > 1.000001) {
+    throw tagError('INVALID_TAG_REGION', 'Region must lie within the media (fractions 0-1 with non-zero size)')
+  }
+}
+
+/**
+ * Load non-deleted media or throw
+ *
+ * @param {string} mediaId - Media UUID
+ * @returns {Promise<Object>} { id, filename }
+ * @throws {Error} MEDIA_NOT_FOUND
+ */
+const assertMediaExists = async (mediaId) => {
+  const prisma = getPrismaClient()
+  const media = await prisma.galleryMedia.findFirst({
+    where: { id: mediaId, deletedAt: null },
+    select: { id: true, filename: true }
+  })
+  if (!media) {
+    throw tagError('MEDIA_NOT_FOUND', 'Media item not found')
+  }
+  return media
+}
+
+/**
+ * List the people tagged in a media item
+ *
+ * @param {string} mediaId - Media UUID
+ * @returns {Promise<Object[]>} Tags (formatTag shape), oldest first
+ * @throws {Error} MEDIA_NOT_FOUND
+ */
+export const listMediaTags = async (mediaId) => {
+  await assertMediaExists(mediaId)
+
+  const prisma = getPrismaClient()
+  const tags = await prisma.mediaPersonTag.findMany({
+    where: { mediaId },
+    include: { guest: GUEST_SELECT },
+    orderBy: { createdAt: 'asc' }
+  })
+  return tags.map(formatTag)
+}
+
+/**
+ * Tag a person in a media item
+ *
+ * @param {string} mediaId - Media UUID
+ * @param {Object} data - Tag data
+ * @param {string} [data.guestId] - Invited guest (the name defaults to theirs)
+ * @param {string} [data.name] - Free-text name (required without guestId)
+ * @param {Object} data.region - { x, y, width, height } as fractions 0-1
+ * @param {Object} [options] - Options
+ * @param {string} [options.createdBy] - Email of the admin
+ * @returns {Promise<Object>} Created tag (formatTag shape)
+ * @throws {Error} MEDIA_NOT_FOUND, GUEST_NOT_FOUND, INVALID_TAG, INVALID_TAG_REGION,
+ *   GUEST_ALREADY_TAGGED
+ */
+export const addMediaTag = async (mediaId, { guestId, name, region }, { createdBy } = {}) => {
+  const prisma = getPrismaClient()
+
+  await assertMediaExists(mediaId)
+  assertRegionInBounds(region)
+
+  let tagName = name?.trim()
+  if (guestId) {
+    const guest = await prisma.guest.findUnique({ where: { id: guestId }, select: { name: true } })
+    if (!guest) {
+      throw tagError('GUEST_NOT_FOUND', 'Guest not found')
+    }
+
+    const existing = await prisma.mediaPersonTag.findFirst({ where: { mediaId, guestId }, select: { id: true } })
+    if (existing) {
+      throw tagError('GUEST_ALREADY_TAGGED', 'This guest is already tagged in this media item')
+    }
+    tagName = tagName || guest.name
+  }
+  if (!tagName) {
+    throw tagError('INVALID_TAG', 'Provide a guestId or a name')
+  }
+
+  const tag = await prisma.mediaPersonTag.create({
+    data: {
+      mediaId,
+      guestId: guestId || null,
+      name: tagName,
+      regionX: region.x,
+      regionY: region.y,
+      regionWidth: region.width,
+      regionHeight: region.height,
+      createdBy: createdBy || null
+    },
+    include: { guest: GUEST_SELECT }
+  })
+  return formatTag(tag)
+}
+
+/**
+ * Remove a tag from a media item
+ *
+ * @param {string} mediaId - Media UUID
+ * @param {string} tagId - Tag UUID
+ * @returns {Promise<Object>} Removed tag (formatTag shape)
+ * @throws {Error} MEDIA_TAG_NOT_FOUND
+ */
+export const removeMediaTag = async (mediaId, tagId) => {
+  const prisma = getPrismaClient()
+  const tag = await prisma.mediaPersonTag.findFirst({
+    where: { id: tagId, mediaId },
+    include: { guest: GUEST_SELECT }
+  })
+  if (!tag) {
+    throw tagError('MEDIA_TAG_NOT_FOUND', 'Tag not found on this media item')
+  }
+
+  await prisma.mediaPersonTag.delete({ where: { id: tagId } })
+  return formatTag(tag)
+}
+
+/**
+ * List the approved gallery media a guest is tagged in
+ *
+ * @param {string} guestId - Guest UUID
+ * @param {Object} [options] - Pagination
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Items per page
+ * @returns {Promise<Object>} { items, pagination } where each item is a
+ *   gallery item plus `regions` (where the guest appears in it)
+ */
+export const getGuestTaggedMedia = async (guestId, { page = 1, limit = 50 } = {}) => {
+  const prisma = getPrismaClient()
+  const where = {
+    deletedAt: null,
+    status: 'approved',
+    personTags: { some: { guestId } }
+  }
+
+  const [media, total] = await Promise.all([
+    prisma.galleryMedia.findMany({
+      where,
+      include: { personTags: { where: { guestId } } },
+      orderBy: [{ dateTaken: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.galleryMedia.count({ where })
+  ])
+
+  const totalPages = Math.ceil(total / limit)
+  return {
+    items: media.map(({ personTags, ...item }) => ({
+      ...formatGalleryItem(item),
+      regions: personTags.map(tag => formatTag(tag).region)
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasMore: page < totalPages
+    }
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Message Providers
+ *
+ * Pluggable delivery for guest messages. A provider sends one message on one
+ * channel and reports how far it got:
+ *
+ *   send({ to, subject, body }) => Promise<{ providerMessageId, status }>
+ *
+ * where status is "sent" (accepted, delivery receipt may follow) or
+ * "delivered". Throwing marks the message failed.
+ *
+ * Built-in providers:
+ * - email/smtp: the email service (SMTP_* settings)
+ * - sms/http: POSTs { to, message, sender } as JSON to SMS_HTTP_URL with
+ *   `Authorization: Bearer SMS_HTTP_TOKEN` and expects `{ id }` back; receipts
+ *   come in through POST /api/public/messages/status
+ * - fake (both channels): logs the message and reports it delivered, for
+ *   development and tests
+ *
+ * EMAIL_PROVIDER / SMS_PROVIDER pick the provider; by default smtp/http when
+ * configured. Outside production an unconfigured channel falls back to fake;
+ * in production fake has to be chosen explicitly (e.g. EMAIL_PROVIDER=fake),
+ * so a missing setting can't swallow real messages.
+ *
+ * @module services/messageProviders
+ */
+
+import crypto from 'crypto'
+import { isEmailConfigured, sendEmail } from './emailService.js'
+
+/**
+ * Registered providers per channel
+ */
+const providers = {
+  email: new Map(),
+  sms: new Map()
+}
+
+/**
+ * Register a message provider
+ *
+ * @param {string} channel - email or sms
+ * @param {string} name - Provider name (used in EMAIL_PROVIDER / SMS_PROVIDER)
+ * @param {Object} provider - Implementation with async send({ to, subject, body })
+ */
+export const registerMessageProvider = (channel, name, provider) => {
+  providers[channel].set(name, provider)
+}
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. MESSAGE_PROVIDER_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const providerError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+registerMessageProvider('email', 'smtp', {
+  send: async ({ to, subject, body }) => {
+    const { messageId } = await sendEmail({ to, subject, text: body })
+    return { providerMessageId: messageId, status: 'sent' }
+  }
+})
+
+registerMessageProvider('sms', 'http', {
+  send: async ({ to, body }) => {
+    if (!process.env.SMS_HTTP_URL) {
+      throw providerError('MESSAGE_PROVIDER_NOT_CONFIGURED', 'SMS_HTTP_URL is not set')
+    }
+
+    const response = await fetch(process.env.SMS_HTTP_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_HTTP_TOKEN && { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` })
+      },
+      body: JSON.stringify({
+        to,
+        message: body,
+        ...(process.env.SMS_SENDER_ID && { sender: process.env.SMS_SENDER_ID })
+      }),
+      signal: AbortSignal.timeout(10000)
+    })
+
+    const text = await response.text()
+    if (!response.ok) {
+      throw new Error(`SMS provider responded with HTTP ${response.status}: ${text.slice(0, 200)}`)
+    }
+
+    let result = {}
+    try {
+      result = JSON.parse(text)
+    } catch {
+      // Some gateways answer with plain text; the message was still accepted
+    }
+    return { providerMessageId: result.id ?? result.messageId ?? null, status: 'sent' }
+  }
+})
+
+const fakeProvider = {
+  send: async ({ to, subject, body }) => {
+    console.log(`📨 [Messages:fake] To ${to}${subject ? ` — ${subject}` : ''}:\n${body}`)
+    return { providerMessageId: `fake-${crypto.randomUUID()}`, status: 'delivered' }
+  }
+}
+registerMessageProvider('email', 'fake', fakeProvider)
+registerMessageProvider('sms', 'fake', fakeProvider)
+
+/**
+ * Name of the provider configured for a channel
+ *
+ * @param {string} channel - email or sms
+ * @returns {string} Provider name
+ * @throws {Error} MESSAGE_PROVIDER_NOT_CONFIGURED when nothing is configured in production
+ */
+const configuredProviderName = (channel) => {
+  const fallback = process.env.NODE_ENV === 'production' ? null : 'fake'
+  const name = channel === 'email'
+    ? process.env.EMAIL_PROVIDER || (isEmailConfigured() ? 'smtp' : fallback)
+    : process.env.SMS_PROVIDER || (process.env.SMS_HTTP_URL ? 'http' : fallback)
+
+  if (!name) {
+    const setting = channel === 'email' ? 'SMTP_HOST or EMAIL_PROVIDER' : 'SMS_HTTP_URL or SMS_PROVIDER'
+    throw providerError('MESSAGE_PROVIDER_NOT_CONFIGURED', `No ${channel} provider configured: set ${setting}`)
+  }
+  return name
+}
+
+/**
+ * Get a channel's provider
+ *
+ * @param {string} channel - email or sms
+ * @param {string} [name] - Provider name (defaults to the configured one)
+ * @returns {{name: string, provider: Object}} Provider name and implementation
+ * @throws {Error} MESSAGE_PROVIDER_NOT_CONFIGURED when nothing is configured in
+ *   production; MESSAGE_PROVIDER_NOT_FOUND when the name isn't registered
+ */
+export const getMessageProvider = (channel, name = configuredProviderName(channel)) => {
+  const provider = providers[channel].get(name)
+  if (!provider) {
+    throw providerError('MESSAGE_PROVIDER_NOT_FOUND', `Unknown ${channel} provider: ${name}`)
+  }
+  return { name, provider }
+}
@@ -0,0 +1,538 @@
+/**
+ * Messaging Service
+ *
+ * Message templates and sending them to guests by email or SMS. Templates use
+ * {placeholders} filled per guest (see TEMPLATE_VARIABLES). Sending queues
+ * one GuestMessage per guest; the delivery worker hands queued messages to
+ * the provider and records their status, which SMS delivery receipts update
+ * later.
+ *
+ * @module services/messagingService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { scheduleEvery } from '../utils/scheduler.js'
+import { getMessageProvider } from './messageProviders.js'
+
+/**
+ * Placeholders a template may use
+ */
+export const TEMPLATE_VARIABLES = ['name', 'venue', 'invitationUrl', 'eventDate', 'eventAddress']
+
+/**
+ * Most guests one send request may reach
+ */
+export const MAX_RECIPIENTS = 500
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g
+
+/**
+ * How long a message being sent is hidden from other delivery workers
+ */
+const SEND_LEASE_MS = 2 * 60 * 1000
+
+/**
+ * Guest fields needed to address and render a message
+ */
+const RECIPIENT_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  invitationUrl: true,
+  invitationToken: true,
+  event: {
+    select: { name: true, date: true, address: true, timezone: true }
+  }
+}
+
+/**
+ * Message fields shown in a guest's history
+ */
+const MESSAGE_SELECT = {
+  id: true,
+  templateId: true,
+  channel: true,
+  provider: true,
+  recipient: true,
+  subject: true,
+  body: true,
+  status: true,
+  error: true,
+  sentBy: true,
+  sentAt: true,
+  deliveredAt: true,
+  createdAt: true,
+  template: { select: { name: true } }
+}
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. TEMPLATE_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra] - Additional properties copied onto the error
+ * @returns {Error} Error with `code` property
+ */
+const messagingError = (code, message, extra = {}) => {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+/**
+ * List the placeholders used in a text
+ *
+ * @param {string} text - Template text
+ * @returns {string[]} Placeholder names, without duplicates
+ */
+const findPlaceholders = (text = '') => [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))]
+
+/**
+ * Check a template's texts before saving
+ *
+ * @param {Object} template - { channel, subject, body } after the change
+ * @throws {Error} TEMPLATE_SUBJECT_REQUIRED for email without subject;
+ *   TEMPLATE_UNKNOWN_VARIABLE (with `variables`) for unsupported placeholders
+ */
+const assertValidTemplate = ({ channel, subject, body }) => {
+  if (channel === 'email' && !subject) {
+    throw messagingError('TEMPLATE_SUBJECT_REQUIRED', 'Email templates need a subject')
+  }
+
+  const unknown = findPlaceholders(`${subject || ''} ${body}`).filter(name => !TEMPLATE_VARIABLES.includes(name))
+  if (unknown.length) {
+    throw messagingError('TEMPLATE_UNKNOWN_VARIABLE', `Unknown placeholder(s): ${unknown.map(name => `{${name}}`).join(', ')}`, {
+      variables: unknown
+    })
+  }
+}
+
+/**
+ * Fill a template text for one guest
+ *
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @returns {string} Rendered text (unknown placeholders are left as is)
+ *
+ * @example
+ * renderTemplate('Chào {name}!', { name: 'Lan' }) // => 'Chào Lan!'
+ */
+export const renderTemplate = (text, variables) => text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+  Object.hasOwn(variables, name) ? variables[name] : placeholder
+))
+
+/**
+ * Build the placeholder values for a guest
+ *
+ * @param {Object} guest - Guest with event (RECIPIENT_SELECT)
+ * @returns {Object} Values by placeholder name
+ */
+const buildVariables = (guest) => ({
+  name: guest.name,
+  venue: guest.event?.name ?? '',
+  invitationUrl: guest.invitationUrl,
+  eventDate: guest.event?.date
+    ? guest.event.date.toLocaleString('vi-VN', { timeZone: guest.event.timezone, dateStyle: 'full', timeStyle: 'short' })
+    : '',
+  eventAddress: guest.event?.address ?? ''
+})
+
+/**
+ * Map a Prisma unique violation on the template name
+ *
+ * @param {Error} error - Error thrown by Prisma
+ * @throws {Error} TEMPLATE_NAME_TAKEN, or the original error
+ */
+const rethrowTemplateError = (error) => {
+  if (error.code === 'P2002') {
+    throw messagingError('TEMPLATE_NAME_TAKEN', 'A template with this name already exists')
+  }
+  throw error
+}
+
+/**
+ * List message templates
+ *
+ * @returns {Promise<Object[]>} Templates by name
+ */
+export const listMessageTemplates = async () => {
+  const prisma = getPrismaClient()
+  return prisma.messageTemplate.findMany({ orderBy: { name: 'asc' } })
+}
+
+/**
+ * Get a message template
+ *
+ * @param {string} id - Template UUID
+ * @returns {Promise<Object|null>} Template or null
+ */
+export const getMessageTemplate = async (id) => {
+  const prisma = getPrismaClient()
+  return prisma.messageTemplate.findUnique({ where: { id } })
+}
+
+/**
+ * Load a template or throw
+ *
+ * @param {string} id - Template UUID
+ * @returns {Promise<Object>} Template
+ * @throws {Error} TEMPLATE_NOT_FOUND
+ */
+const findTemplateOrThrow = async (id) => {
+  const template = await getMessageTemplate(id)
+  if (!template) {
+    throw messagingError('TEMPLATE_NOT_FOUND', 'Message template not found')
+  }
+  return template
+}
+
+/**
+ * Create a message template
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.name - Unique name
+ * @param {string} data.channel - email or sms
+ * @param {string} [data.subject] - Subject (required for email)
+ * @param {string} data.body - Text with placeholders
+ * @returns {Promise<Object>} Created template
+ * @throws {Error} TEMPLATE_SUBJECT_REQUIRED, TEMPLATE_UNKNOWN_VARIABLE, TEMPLATE_NAME_TAKEN
+ */
+export const createMessageTemplate = async ({ name, channel, subject, body }) => {
+  const data = {
+    name: name.trim(),
+    channel,
+    subject: channel === 'email' ? subject?.trim() || null : null,
+    body
+  }
+  assertValidTemplate(data)
+
+  const prisma = getPrismaClient()
+  return prisma.messageTemplate.create({ data }).catch(rethrowTemplateError)
+}
+
+/**
+ * Update a message template
+ *
+ * The channel can't change: sent messages keep referring to the template.
+ *
+ * @param {string} id - Template UUID
+ * @param {Object} data - Fields to update (name, subject, body)
+ * @returns {Promise<Object>} Updated template
+ * @throws {Error} TEMPLATE_NOT_FOUND, plus the createMessageTemplate errors
+ */
+export const updateMessageTemplate = async (id, { name, subject, body }) => {
+  const existing = await findTemplateOrThrow(id)
+
+  const data = {}
+  if (name !== undefined) data.name = name.trim()
+  if (subject !== undefined && existing.channel === 'email') data.subject = subject?.trim() || null
+  if (body !== undefined) data.body = body
+  assertValidTemplate({ ...existing, ...data })
+
+  const prisma = getPrismaClient()
+  return prisma.messageTemplate.update({ where: { id }, data }).catch(rethrowTemplateError)
+}
+
+/**
+ * Delete a message template (sent messages keep their rendered text)
+ *
+ * @param {string} id - Template UUID
+ * @returns {Promise<Object>} Deleted template
+ * @throws {Error} TEMPLATE_NOT_FOUND
+ */
+export const deleteMessageTemplate = async (id) => {
+  const template = await findTemplateOrThrow(id)
+
+  const prisma = getPrismaClient()
+  await prisma.messageTemplate.delete({ where: { id } })
+  return template
+}
+
+/**
+ * Address and render a template for one guest
+ *
+ * @param {Object} template - Message template
+ * @param {Object} guest - Guest (RECIPIENT_SELECT)
+ * @returns {Object} { to, subject, body } or { skipReason } when the guest
+ *   has no email/phone, or no invitation link while the template needs one
+ */
+const renderForGuest = (template, guest) => {
+  const to = template.channel === 'email' ? guest.email : guest.phone
+  if (!to) {
+    return { skipReason: template.channel === 'email' ? 'NO_EMAIL' : 'NO_PHONE' }
+  }
+
+  const usesLink = findPlaceholders(`${template.subject || ''} ${template.body}`).includes('invitationUrl')
+  if (usesLink && !guest.invitationToken) {
+    return { skipReason: 'NO_INVITATION' }
+  }
+
+  const variables = buildVariables(guest)
+  return {
+    to,
+    subject: template.subject ? renderTemplate(template.subject, variables) : null,
+    body: renderTemplate(template.body, variables)
+  }
+}
+
+/**
+ * Render a template for one guest without sending it
+ *
+ * @param {string} templateId - Template UUID
+ * @param {string} guestId - Guest UUID
+ * @returns {Promise<Object>} { channel, to, subject, body } or { channel, skipReason }
+ * @throws {Error} TEMPLATE_NOT_FOUND, GUEST_NOT_FOUND
+ */
+export const previewMessage = async (templateId, guestId) => {
+  const template = await findTemplateOrThrow(templateId)
+
+  const prisma = getPrismaClient()
+  const guest = await prisma.guest.findUnique({ where: { id: guestId }, select: RECIPIENT_SELECT })
+  if (!guest) {
+    throw messagingError('GUEST_NOT_FOUND', 'Guest not found')
+  }
+
+  return { channel: template.channel, ...renderForGuest(template, guest) }
+}
+
+/**
+ * Build the Prisma where clause for a guest selection
+ *
+ * @param {Object} selection - { guestIds } or { filters: { venue, search } }
+ *   (same filters as GET /api/admin/guests)
+ * @returns {Object} Prisma where clause
+ */
+const buildSelectionWhere = ({ guestIds, filters = {} }) => {
+  if (guestIds) return { id: { in: guestIds } }
+
+  const where = {}
+  if (filters.venue) where.venue = filters.venue
+  if (filters.search) where.name = { contains: filters.search, mode: 'insensitive' }
+  return where
+}
+
+/**
+ * Send one queued message and record the outcome
+ *
+ * The provider is the one picked when the message was queued.
+ *
+ * @param {Object} message - GuestMessage (queued)
+ * @returns {Promise<Object>} Updated message
+ */
+const deliverMessage = async (message) => {
+  const prisma = getPrismaClient()
+
+  try {
+    const { provider } = getMessageProvider(message.channel, message.provider)
+    const result = await provider.send({ to: message.recipient, subject: message.subject, body: message.body })
+    const now = new Date()
+    return await prisma.guestMessage.update({
+      where: { id: message.id },
+      data: {
+        status: result.status,
+        providerMessageId: result.providerMessageId ?? null,
+        sentAt: now,
+        deliveredAt: result.status === 'delivered' ? now : null,
+        nextAttemptAt: null
+      }
+    })
+  } catch (error) {
+    console.error(`❌ [Messages] ${message.channel} to ${message.recipient} failed:`, error.message)
+    return prisma.guestMessage.update({
+      where: { id: message.id },
+      data: { status: 'failed', error: error.message.slice(0, 500), nextAttemptAt: null }
+    })
+  }
+}
+
+/**
+ * Queue a template for a selection of guests
+ *
+ * One message per guest is rendered and stored as queued; the delivery
+ * worker (startMessageDeliveryWorker) sends them. Guests without an address
+ * for the template's channel (or without an invitation link when the
+ * template uses {invitationUrl}) are skipped and reported.
+ *
+ * @param {string} templateId - Template UUID
+ * @param {Object} selection - Who to send to
+ * @param {string[]} [selection.guestIds] - Explicit guests
+ * @param {Object} [selection.filters] - Otherwise guests matching { venue, search }
+ * @param {Object} [options] - Options
+ * @param {string} [options.sentBy] - Email of the admin sending
+ * @returns {Promise<Object>} { template, matched, queued, skipped, messages }
+ * @throws {Error} TEMPLATE_NOT_FOUND; MESSAGE_TOO_MANY_RECIPIENTS (with `matched`);
+ *   MESSAGE_PROVIDER_NOT_CONFIGURED; MESSAGE_PROVIDER_NOT_FOUND
+ */
+export const queueTemplateMessages = async (templateId, selection, { sentBy } = {}) => {
+  const template = await findTemplateOrThrow(templateId)
+  const { name: providerName } = getMessageProvider(template.channel)
+
+  const prisma = getPrismaClient()
+  const where = buildSelectionWhere(selection)
+  const matched = await prisma.guest.count({ where })
+  if (matched > MAX_RECIPIENTS) {
+    throw messagingError('MESSAGE_TOO_MANY_RECIPIENTS', `At most ${MAX_RECIPIENTS} guests can be messaged at once`, { matched })
+  }
+
+  const guests = await prisma.guest.findMany({
+    where,
+    select: RECIPIENT_SELECT,
+    orderBy: [{ venue: 'asc' }, { name: 'asc' }]
+  })
+
+  const now = new Date()
+  const skipped = []
+  const rows = []
+  for (const guest of guests) {
+    const rendered = renderForGuest(template, guest)
+    if (rendered.skipReason) {
+      skipped.push({ guestId: guest.id, name: guest.name, reason: rendered.skipReason })
+      continue
+    }
+
+    rows.push({
+      guestId: guest.id,
+      templateId: template.id,
+      channel: template.channel,
+      provider: providerName,
+      recipient: rendered.to,
+      subject: rendered.subject,
+      body: rendered.body,
+      sentBy: sentBy || null,
+      nextAttemptAt: now
+    })
+  }
+
+  const messages = rows.length
+    ? await prisma.guestMessage.createManyAndReturn({
+      data: rows,
+      select: { id: true, guestId: true, recipient: true, status: true }
+    })
+    : []
+
+  console.log(`📨 [Messages] "${template.name}": ${messages.length} queued, ${skipped.length} skipped`)
+
+  return {
+    template: { id: template.id, name: template.name, channel: template.channel },
+    matched,
+    queued: messages.length,
+    skipped,
+    messages
+  }
+}
+
+/**
+ * Send queued messages
+ *
+ * Each message is claimed with a conditional update first, so several API
+ * instances can run the worker without sending the same message twice. A
+ * message whose worker died mid-send is picked up again once its lease runs
+ * out.
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.batchSize=50] - Messages per run
+ * @returns {Promise<number>} Messages attempted
+ */
+export const processQueuedMessages = async ({ batchSize = 50 } = {}) => {
+  const prisma = getPrismaClient()
+  const due = await prisma.guestMessage.findMany({
+    where: { status: 'queued', nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize
+  })
+
+  let attempted = 0
+  for (const message of due) {
+    const { count } = await prisma.guestMessage.updateMany({
+      where: { id: message.id, status: 'queued', nextAttemptAt: message.nextAttemptAt },
+      data: { nextAttemptAt: new Date(Date.now() + SEND_LEASE_MS) }
+    })
+    if (!count) continue
+
+    await deliverMessage(message)
+    attempted++
+  }
+
+  return attempted
+}
+
+/**
+ * Start the delivery worker (every MESSAGE_DELIVERY_INTERVAL seconds, default 10)
+ *
+ * @returns {Function} Stops the worker
+ */
+export const startMessageDeliveryWorker = () => {
+  const intervalSeconds = parseInt(process.env.MESSAGE_DELIVERY_INTERVAL || '10')
+  return scheduleEvery('Message delivery', intervalSeconds * 1000, processQueuedMessages)
+}
+
+/**
+ * A guest's message history (newest first)
+ *
+ * @param {string} guestId - Guest UUID
+ * @param {Object} [options] - Pagination
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @returns {Promise<Object>} { messages, pagination }
+ */
+export const listGuestMessages = async (guestId, { page = 1, limit = 20 } = {}) => {
+  const prisma = getPrismaClient()
+  const where = { guestId }
+
+  const [messages, total] = await Promise.all([
+    prisma.guestMessage.findMany({
+      where,
+      select: MESSAGE_SELECT,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.guestMessage.count({ where })
+  ])
+
+  return {
+    messages,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  }
+}
+
+/**
+ * Apply a delivery receipt from a provider
+ *
+ * A delivered message stays delivered: late "failed" receipts are ignored.
+ *
+ * @param {Object} receipt - Receipt
+ * @param {string} receipt.providerMessageId - ID the provider returned when sending
+ * @param {string} receipt.status - delivered or failed
+ * @param {string} [receipt.error] - Provider's failure reason
+ * @returns {Promise<Object>} Updated message { id, guestId, status }
+ * @throws {Error} MESSAGE_NOT_FOUND
+ */
+export const applyDeliveryReceipt = async ({ providerMessageId, status, error }) => {
+  const prisma = getPrismaClient()
+  const message = await prisma.guestMessage.findFirst({
+    where: { providerMessageId },
+    select: { id: true, guestId: true, status: true }
+  })
+  if (!message) {
+    throw messagingError('MESSAGE_NOT_FOUND', 'No message with this provider ID')
+  }
+  if (message.status === 'delivered') {
+    return message
+  }
+
+  return prisma.guestMessage.update({
+    where: { id: message.id },
+    data: status === 'delivered'
+      ? { status, deliveredAt: new Date(), error: null }
+      : { status, error: error?.slice(0, 500) || 'Delivery failed' },
+    select: { id: true, guestId: true, status: true }
+  })
+}
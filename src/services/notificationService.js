@@ -0,0 +1,280 @@
+/**
+ * Notification Service
+ *
+ * Tells the couple about RSVP activity: one message per new or changed RSVP,
+ * and an optional daily digest. Admins opt in per account (notifyOnRsvp,
+ * rsvpDigest) and must be allowed to read RSVPs.
+ *
+ * Delivery goes through pluggable channels. The built-in "email" channel
+ * uses the email service; other channels (chat bots, SMS...) can be added
+ * with registerNotificationChannel and enabled via NOTIFICATION_CHANNELS.
+ * Notification failures are logged and never fail the RSVP that caused them.
+ *
+ * @module services/notificationService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { scheduleDaily } from '../utils/scheduler.js'
+import { PERMISSIONS, hasPermission } from '../config/permissions.js'
+import { sendEmail } from './emailService.js'
+import { getEventBySlug, listEvents } from './eventService.js'
+
+/**
+ * Registered channels by name
+ */
+const channels = new Map()
+
+/**
+ * Register a delivery channel
+ *
+ * @param {string} name - Channel name (used in NOTIFICATION_CHANNELS)
+ * @param {Object} channel - Channel implementation
+ * @param {Function} channel.send - async (notification, recipients) => void;
+ *   notification is { type, subject, text }, recipients are admins { id, email, name }
+ */
+export const registerNotificationChannel = (name, channel) => {
+  channels.set(name, channel)
+}
+
+registerNotificationChannel('email', {
+  send: ({ subject, text }, recipients) => sendEmail({
+    to: recipients.map(admin => admin.email),
+    subject,
+    text
+  })
+})
+
+/**
+ * Channels enabled by NOTIFICATION_CHANNELS (comma-separated, default "email")
+ *
+ * @returns {string[]} Registered channel names to deliver through
+ */
+const getEnabledChannels = () => (process.env.NOTIFICATION_CHANNELS || 'email')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => channels.has(name))
+
+/**
+ * Find active admins who opted into a notification and can read RSVPs
+ *
+ * @param {string} preference - AdminUser flag (notifyOnRsvp or rsvpDigest)
+ * @returns {Promise<Object[]>} Admins { id, email, name }
+ */
+const findRecipients = async (preference) => {
+  const prisma = getPrismaClient()
+  const admins = await prisma.adminUser.findMany({
+    where: { isActive: true, [preference]: true },
+    select: { id: true, email: true, name: true, role: true }
+  })
+  return admins
+    .filter(admin => hasPermission(admin.role, PERMISSIONS.RSVPS_READ))
+    .map(({ role, ...admin }) => admin)
+}
+
+/**
+ * Deliver a notification through every enabled channel
+ *
+ * @param {Object} notification - { type, subject, text }
+ * @param {Object[]} recipients - Admins
+ * @returns {Promise<string[]>} Channels that delivered successfully
+ */
+const dispatch = async (notification, recipients) => {
+  const names = getEnabledChannels()
+  const results = await Promise.allSettled(
+    names.map(name => channels.get(name).send(notification, recipients))
+  )
+
+  return names.filter((name, index) => {
+    if (results[index].status === 'fulfilled') return true
+    console.error(`❌ [Notifications] ${name} failed for ${notification.type}:`, results[index].reason?.message)
+    return false
+  })
+}
+
+/**
+ * Format a time for admins (Vietnam time unless NOTIFICATION_TIMEZONE is set)
+ *
+ * @param {Date} date - Instant
+ * @returns {string} e.g. "18/10/2026, 08:00"
+ */
+const formatTime = (date) => date.toLocaleString('vi-VN', {
+  timeZone: process.env.NOTIFICATION_TIMEZONE || 'Asia/Ho_Chi_Minh',
+  dateStyle: 'short',
+  timeStyle: 'short'
+})
+
+const attendanceLabel = (willAttend) => (willAttend ? 'Attending' : 'Not attending')
+
+// People coming: a declined RSVP brings nobody whatever its guestCount says
+const partySize = (rsvp) => (rsvp.willAttend ? rsvp.guestCount : 0)
+
+/**
+ * Build the message for a new or changed RSVP
+ *
+ * @param {Object} rsvp - RSVP after the change (with attendees)
+ * @param {Object|null} previous - RSVP before the change, null when new
+ * @param {Object|null} event - RSVP's event
+ * @returns {Object} { type, subject, text }
+ */
+export const buildRsvpNotification = (rsvp, previous, event) => {
+  const eventName = event?.name || rsvp.venue
+  const size = partySize(rsvp)
+
+  let attendance = attendanceLabel(rsvp.willAttend)
+  let guests = String(size)
+  if (previous) {
+    if (previous.willAttend !== rsvp.willAttend) {
+      attendance = `${attendanceLabel(previous.willAttend)} → ${attendanceLabel(rsvp.willAttend)}`
+    }
+    const delta = size - partySize(previous)
+    guests = `${partySize(previous)} → ${size} (${delta >= 0 ? '+' : ''}${delta})`
+  }
+
+  const attendees = (rsvp.attendees || [])
+    .map(attendee => `${attendee.name}${attendee.isPlusOne ? ' (+1)' : ''}${attendee.attending ? '' : ' (not attending)'}`)
+    .join(', ')
+
+  const lines = [
+    `${previous ? 'RSVP changed' : 'New RSVP'} for ${eventName}`,
+    '',
+    `Guest: ${rsvp.name}`,
+    `Event: ${eventName} (${rsvp.venue})`,
+    `Attendance: ${attendance}`,
+    `Guests: ${guests}`,
+    ...(attendees ? [`Attendees: ${attendees}`] : []),
+    `Wishes: ${rsvp.wishes || '(none)'}`,
+    '',
+    `Received ${formatTime(rsvp.updatedAt || new Date())}`
+  ]
+
+  const headline = rsvp.willAttend ? `attending (${size})` : 'not attending'
+  return {
+    type: previous ? 'rsvp.updated' : 'rsvp.created',
+    subject: `[RSVP${previous ? ' changed' : ''}] ${rsvp.name} — ${headline} · ${eventName}`,
+    text: lines.join('\n')
+  }
+}
+
+/**
+ * Notify opted-in admins about a new or changed RSVP
+ *
+ * Never throws: the RSVP is already saved.
+ *
+ * @param {Object} rsvp - RSVP after the change (with attendees)
+ * @param {Object|null} [previous] - RSVP before the change, null when new
+ * @returns {Promise<void>}
+ */
+export const notifyRsvpChange = async (rsvp, previous = null) => {
+  try {
+    const recipients = await findRecipients('notifyOnRsvp')
+    if (!recipients.length) return
+
+    const event = await getEventBySlug(rsvp.venue)
+    await dispatch(buildRsvpNotification(rsvp, previous, event), recipients)
+  } catch (error) {
+    console.error('❌ [Notifications] Failed to send RSVP notification:', rsvp.id, error.message)
+  }
+}
+
+/**
+ * Build the digest of RSVPs received or changed in a period
+ *
+ * @param {Object} period - Digest period
+ * @param {Date} period.since - Start (inclusive)
+ * @param {Date} period.until - End (exclusive)
+ * @returns {Promise<Object>} { type, subject, text, rsvpCount }
+ */
+export const buildRsvpDigest = async ({ since, until }) => {
+  const prisma = getPrismaClient()
+
+  const [events, rsvps, totals] = await Promise.all([
+    listEvents(),
+    prisma.rSVP.findMany({
+      where: { updatedAt: { gte: since, lt: until } },
+      orderBy: [{ venue: 'asc' }, { updatedAt: 'asc' }],
+      select: {
+        name: true,
+        venue: true,
+        willAttend: true,
+        guestCount: true,
+        wishes: true,
+        createdAt: true
+      }
+    }),
+    prisma.rSVP.groupBy({
+      by: ['venue', 'willAttend'],
+      _count: { id: true }
+    })
+  ])
+
+  const lines = [`RSVPs from ${formatTime(since)} to ${formatTime(until)}`]
+
+  for (const event of events) {
+    const eventRsvps = rsvps.filter(rsvp => rsvp.venue === event.slug)
+    if (!eventRsvps.length) continue
+
+    const created = eventRsvps.filter(rsvp => rsvp.createdAt >= since).length
+    const total = (willAttend) => totals.find(row => row.venue === event.slug && row.willAttend === willAttend)?._count.id || 0
+
+    lines.push('', `${event.name} (${event.slug}): ${created} new, ${eventRsvps.length - created} changed`)
+    for (const rsvp of eventRsvps) {
+      const marker = rsvp.createdAt >= since ? '+' : '~'
+      const status = rsvp.willAttend ? `attending (${rsvp.guestCount})` : 'not attending'
+      lines.push(`  ${marker} ${rsvp.name} — ${status}`)
+      if (rsvp.wishes) lines.push(`      “${rsvp.wishes}”`)
+    }
+    lines.push(`  All RSVPs so far: ${total(true)} attending, ${total(false)} not attending`)
+  }
+
+  return {
+    type: 'rsvp.digest',
+    subject: `[RSVP digest] ${rsvps.length} RSVP${rsvps.length === 1 ? '' : 's'} in the last day`,
+    text: lines.join('\n'),
+    rsvpCount: rsvps.length
+  }
+}
+
+/**
+ * Send the daily digest (RSVPs of the last 24 hours) to opted-in admins
+ *
+ * Nothing is sent when there was no RSVP activity.
+ *
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - End of the digest period
+ * @returns {Promise<Object>} { sent, recipients, rsvpCount, channels }
+ */
+export const sendRsvpDigest = async ({ now = new Date() } = {}) => {
+  const recipients = await findRecipients('rsvpDigest')
+  if (!recipients.length) {
+    return { sent: false, recipients: 0, rsvpCount: 0, channels: [] }
+  }
+
+  const digest = await buildRsvpDigest({
+    since: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+    until: now
+  })
+  if (!digest.rsvpCount) {
+    return { sent: false, recipients: recipients.length, rsvpCount: 0, channels: [] }
+  }
+
+  const delivered = await dispatch(digest, recipients)
+  console.log(`📧 [Notifications] RSVP digest (${digest.rsvpCount} RSVPs) sent to ${recipients.length} admin(s)`)
+
+  return { sent: delivered.length > 0, recipients: recipients.length, rsvpCount: digest.rsvpCount, channels: delivered }
+}
+
+/**
+ * Schedule the daily digest when RSVP_DIGEST_HOUR (0-23, local time in
+ * NOTIFICATION_TIMEZONE) is set
+ *
+ * @returns {Function|null} Stops the schedule, or null when disabled
+ */
+export const startRsvpDigestSchedule = () => {
+  const hour = Number.parseInt(process.env.RSVP_DIGEST_HOUR ?? '', 10)
+  if (!(hour >= 0 && hour <= 23)) return null
+
+  return scheduleDaily('RSVP digest', {
+    hour,
+    timeZone: process.env.NOTIFICATION_TIMEZONE || 'Asia/Ho_Chi_Minh'
+  }, sendRsvpDigest)
+}
@@ -0,0 +1,228 @@
+/**
+ * RSVP Reminder Service
+ *
+ * Chases guests who haven't responded. Each event lists how many days before
+ * its rsvpDeadline to remind (reminderDaysBefore, e.g. [7, 2]) and which
+ * message template to send (reminderTemplateId). Once a day the job queues
+ * that template, through the messaging service, for the event's guests with no
+ * RSVP whose reminders aren't paused, and stamps their lastRemindedAt.
+ *
+ * @module services/reminderService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { scheduleDaily } from '../utils/scheduler.js'
+import { getRsvpWindow } from './eventService.js'
+import { MAX_RECIPIENTS, queueTemplateMessages } from './messagingService.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * A guest is not reminded twice within this time, even if the job runs again
+ * the same day (manual run, several instances)
+ */
+const MIN_REMINDER_GAP_MS = 20 * 60 * 60 * 1000
+
+/**
+ * Guest fields shown in the recipient preview
+ */
+const RECIPIENT_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  lastRemindedAt: true
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. '2026-10-18'
+ */
+const localDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date)
+
+/**
+ * Shift a calendar date by a number of days
+ *
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10)
+
+/**
+ * Work out where an event stands in its reminder schedule
+ *
+ * Days are counted in the event's timezone: a deadline of 23:59 on the 20th
+ * is 2 days away on the 18th whatever the time.
+ *
+ * @param {Object} event - Event with rsvpDeadline, reminderDaysBefore, timezone
+ * @param {Date} now - Reference time
+ * @returns {Object} { daysLeft, dueToday, nextReminderOn } (nextReminderOn is a
+ *   local 'YYYY-MM-DD' or null when no reminder is left)
+ */
+export const getReminderSchedule = (event, now) => {
+  const today = localDate(now, event.timezone)
+  const deadlineDay = localDate(event.rsvpDeadline, event.timezone)
+  const daysLeft = Math.round((Date.parse(deadlineDay) - Date.parse(today)) / DAY_MS)
+
+  const upcoming = event.reminderDaysBefore.filter(days => days <= daysLeft)
+  const nextReminderOn = upcoming.length ? addDays(deadlineDay, -Math.max(...upcoming)) : null
+
+  return {
+    daysLeft,
+    dueToday: event.reminderDaysBefore.includes(daysLeft),
+    nextReminderOn
+  }
+}
+
+/**
+ * Where clause for an event's guests who haven't responded
+ *
+ * A household member listed as an attendee on someone else's RSVP has
+ * responded too.
+ *
+ * @param {string} venue - Event slug
+ * @returns {Object} Prisma where clause
+ */
+const unansweredWhere = (venue) => ({
+  venue,
+  rsvps: { none: {} },
+  attendances: { none: {} }
+})
+
+/**
+ * Preview the reminders of events with an open RSVP window and a deadline
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.venue] - Only this event
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {Promise<Object[]>} Per event: { venue, name, rsvpDeadline, daysLeft,
+ *   reminderDaysBefore, dueToday, nextReminderOn, template, recipients, pausedCount }
+ */
+export const previewReminders = async ({ venue, now = new Date() } = {}) => {
+  const prisma = getPrismaClient()
+
+  const events = await prisma.event.findMany({
+    where: {
+      rsvpDeadline: { not: null },
+      ...(venue && { slug: venue })
+    },
+    include: {
+      reminderTemplate: { select: { id: true, name: true, channel: true } }
+    },
+    orderBy: { rsvpDeadline: 'asc' }
+  })
+
+  const previews = []
+  for (const event of events.filter(event => getRsvpWindow(event, { now }).isOpen)) {
+    const [recipients, pausedCount] = await Promise.all([
+      prisma.guest.findMany({
+        where: { ...unansweredWhere(event.slug), remindersPaused: false },
+        select: RECIPIENT_SELECT,
+        orderBy: { name: 'asc' }
+      }),
+      prisma.guest.count({
+        where: { ...unansweredWhere(event.slug), remindersPaused: true }
+      })
+    ])
+
+    previews.push({
+      venue: event.slug,
+      name: event.name,
+      rsvpDeadline: event.rsvpDeadline,
+      reminderDaysBefore: event.reminderDaysBefore,
+      ...getReminderSchedule(event, now),
+      template: event.reminderTemplate,
+      recipients,
+      pausedCount
+    })
+  }
+
+  return previews
+}
+
+/**
+ * Queue today's reminders
+ *
+ * For every event due today (see previewReminders) with a reminder template,
+ * queues messages for the unanswered, unpaused guests not reminded in the
+ * last 20 hours; the messaging delivery worker sends them. Guests the
+ * template couldn't reach (no phone, no email...) keep their lastRemindedAt.
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.venue] - Only this event
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @param {string} [options.sentBy='reminders'] - Recorded as the messages' sender
+ * @returns {Promise<Object[]>} Per due event: { venue, daysLeft, template, recipients,
+ *   queued, skipped }, or { venue, daysLeft, skipReason: 'NO_TEMPLATE' }
+ */
+export const sendDueReminders = async ({ venue, now = new Date(), sentBy = 'reminders' } = {}) => {
+  const prisma = getPrismaClient()
+  const previews = await previewReminders({ venue, now })
+  const results = []
+
+  for (const preview of previews.filter(preview => preview.dueToday)) {
+    if (!preview.template) {
+      console.warn(`⚠️  [Reminders] ${preview.venue} is due a reminder but has no reminder template`)
+      results.push({ venue: preview.venue, daysLeft: preview.daysLeft, skipReason: 'NO_TEMPLATE' })
+      continue
+    }
+
+    const cutoff = new Date(now.getTime() - MIN_REMINDER_GAP_MS)
+    const guestIds = preview.recipients
+      .filter(guest => !guest.lastRemindedAt || guest.lastRemindedAt < cutoff)
+      .map(guest => guest.id)
+
+    const result = {
+      venue: preview.venue,
+      daysLeft: preview.daysLeft,
+      template: preview.template,
+      recipients: guestIds.length,
+      queued: 0,
+      skipped: []
+    }
+    for (let i = 0; i < guestIds.length; i += MAX_RECIPIENTS) {
+      const batch = await queueTemplateMessages(preview.template.id, { guestIds: guestIds.slice(i, i + MAX_RECIPIENTS) }, { sentBy })
+
+      const reminded = batch.messages.map(message => message.guestId)
+      if (reminded.length) {
+        await prisma.guest.updateMany({
+          where: { id: { in: reminded } },
+          data: { lastRemindedAt: now }
+        })
+      }
+
+      result.queued += batch.queued
+      result.skipped.push(...batch.skipped)
+    }
+
+    console.log(`🔔 [Reminders] ${preview.venue} (${preview.daysLeft} day(s) left): ${result.queued} queued, ${result.skipped.length} skipped`)
+    results.push(result)
+  }
+
+  return results
+}
+
+/**
+ * Schedule the daily reminder run when RSVP_REMINDER_HOUR (0-23, local time
+ * in NOTIFICATION_TIMEZONE) is set
+ *
+ * @returns {Function|null} Stops the schedule, or null when disabled
+ */
+export const startReminderSchedule = () => {
+  const hour = Number.parseInt(process.env.RSVP_REMINDER_HOUR ?? '', 10)
+  if (!(hour >= 0 && hour <= 23)) return null
+
+  return scheduleDaily('RSVP reminders', {
+    hour,
+    timeZone: process.env.NOTIFICATION_TIMEZONE || 'Asia/Ho_Chi_Minh'
+  }, () => sendDueReminders())
+}
@@ -8,35 +8,240 @@
  */
 
 import { PrismaClient } from '@prisma/client'
+import { RSVP_WINDOW_STATUS, getEventBySlug, getRsvpWindow } from './eventService.js'
+import { findGuestByInvitationToken } from './invitationService.js'
+import { assertMealSelections } from './mealService.js'
+import { notifyRsvpChange } from './notificationService.js'
+import { WEBHOOK_EVENTS, emitWebhookEvent } from './webhookService.js'
+import { PUBLIC_WISH_STATUSES, WISH_STATUSES, moderateWishes } from './wishModerationService.js'
+import { FEED_EVENTS, publishRsvpChange } from './liveFeedService.js'
+import { findPageByRank, highlightText, parseSearchTerms, searchWishes } from './searchService.js'
+import { keysetArgs, keysetOrderBy, keysetPage, pageCursors } from '../utils/cursorPagination.js'
 
 const prisma = new PrismaClient()
 
+/**
+ * Relations returned with every RSVP
+ */
+const RSVP_INCLUDE = {
+  guest: {
+    select: {
+      id: true,
+      name: true,
+      venue: true
+    }
+  },
+  attendees: {
+    orderBy: { position: 'asc' },
+    select: {
+      id: true,
+      guestId: true,
+      name: true,
+      attending: true,
+      isPlusOne: true,
+      dietaryRestrictions: true,
+      mealOption: {
+        select: { id: true, name: true }
+      }
+    }
+  }
+}
+
+/**
+ * Maximum attendees on a non-personalized RSVP (matches the legacy guestCount limit)
+ */
+const MAX_OPEN_ATTENDEES = 10
+
+/**
+ * Public wish wall order: pinned wishes first, then newest
+ */
+const WISH_SORT_KEYS = [
+  { field: 'wishStatus', order: 'desc', values: WISH_STATUSES },
+  { field: 'createdAt', order: 'desc', date: true }
+]
+
+/**
+ * Sort keys for an RSVP listing
+ *
+ * @param {string} sortBy - Sort field
+ * @param {string} sortOrder - asc/desc
+ * @returns {Object[]} Cursor pagination sort keys
+ */
+const rsvpSortKeys = (sortBy, sortOrder) => [
+  { field: sortBy, order: sortOrder, date: sortBy === 'createdAt' || sortBy === 'updatedAt' }
+]
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. RSVP_CLOSED)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra] - Extra properties copied onto the error
+ * @returns {Error} Error with `code` property
+ */
+const rsvpError = (code, message, extra = {}) => {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+/**
+ * Turn submitted attendees into RSVPAttendee rows
+ *
+ * For a personalized RSVP, attendees carrying a guestId must be the invited
+ * guest or a member of their household; attendees without one are plus-ones
+ * and may not exceed the guest's plusOnesAllowed. Non-personalized RSVPs
+ * accept up to MAX_OPEN_ATTENDEES free-form names.
+ *
+ * Meal choices are only kept for attendees who are attending; they are
+ * checked against the event's menu separately (assertMealSelections).
+ *
+ * @param {Object|null} guest - Invited guest with household.guests, or null
+ * @param {Array<{name: string, attending: boolean, guestId?: string, mealOptionId?: string, dietaryRestrictions?: string}>} attendees - Submitted list
+ * @returns {Array<Object>} Attendee rows (without rsvpId)
+ * @throws {Error} ATTENDEE_NOT_IN_HOUSEHOLD, DUPLICATE_ATTENDEE, PLUS_ONES_EXCEEDED, TOO_MANY_ATTENDEES
+ */
+export const resolveAttendees = (guest, attendees) => {
+  if (!guest) {
+    if (attendees.some(attendee => attendee.guestId)) {
+      throw rsvpError('ATTENDEE_NOT_IN_HOUSEHOLD', 'Attendees can only reference guests on a personalized RSVP')
+    }
+    if (attendees.length > MAX_OPEN_ATTENDEES) {
+      throw rsvpError('TOO_MANY_ATTENDEES', `At most ${MAX_OPEN_ATTENDEES} attendees are allowed`, { allowed: MAX_OPEN_ATTENDEES })
+    }
+  }
+
+  const members = new Map([guest, ...(guest?.household?.guests || [])]
+    .filter(Boolean)
+    .map(member => [member.id, member]))
+  const seenGuestIds = new Set()
+  let plusOnes = 0
+
+  const rows = attendees.map((attendee, index) => {
+    if (attendee.guestId) {
+      if (!members.has(attendee.guestId)) {
+        throw rsvpError('ATTENDEE_NOT_IN_HOUSEHOLD', 'Attendee is not part of this guest\'s household', { guestId: attendee.guestId })
+      }
+      if (seenGuestIds.has(attendee.guestId)) {
+        throw rsvpError('DUPLICATE_ATTENDEE', 'The same guest is listed twice', { guestId: attendee.guestId })
+      }
+      seenGuestIds.add(attendee.guestId)
+    } else if (guest) {
+      plusOnes++
+    }
+
+    return {
+      guestId: attendee.guestId || null,
+      name: attendee.name.trim(),
+      attending: attendee.attending,
+      isPlusOne: Boolean(guest) && !attendee.guestId,
+      position: index,
+      mealOptionId: attendee.attending ? attendee.mealOptionId || null : null,
+      dietaryRestrictions: attendee.dietaryRestrictions?.trim() || null
+    }
+  })
+
+  if (guest && plusOnes > guest.plusOnesAllowed) {
+    throw rsvpError(
+      'PLUS_ONES_EXCEEDED',
+      `This invitation allows ${guest.plusOnesAllowed} plus-one(s)`,
+      { allowed: guest.plusOnesAllowed }
+    )
+  }
+
+  return rows
+}
+
+/**
+ * Derive the legacy guestCount / willAttend fields from attendee rows
+ *
+ * @param {Array<Object>} rows - Attendee rows
+ * @returns {{guestCount: number, willAttend: boolean}} Summary fields
+ */
+const summarizeAttendees = (rows) => {
+  const attendingCount = rows.filter(row => row.attending).length
+  return {
+    guestCount: attendingCount,
+    willAttend: attendingCount > 0
+  }
+}
+
 /**
  * Create a new RSVP submission
  * 
- * Handles both personalized (with guestId) and non-personalized RSVPs.
+ * Handles both personalized (with the guest's invitation token) and
+ * non-personalized RSVPs.
  * Implements duplicate prevention by updating existing RSVP if found.
+ * Submissions outside the event's RSVP window are rejected unless the guest
+ * has an active rsvpOverrideUntil.
+ * 
+ * When `attendees` is provided, guestCount and willAttend are derived from it
+ * and the attendee list replaces any previous one.
  * 
  * @param {Object} data - RSVP data
- * @param {string} [data.guestId] - Optional guest ID for personalized RSVPs
+ * @param {string} [data.invitationToken] - Token from the guest's invitation URL for personalized RSVPs
  * @param {string} data.name - Guest name
- * @param {number} data.guestCount - Number of guests attending
- * @param {boolean} data.willAttend - Attendance confirmation
+ * @param {number} [data.guestCount] - Number of guests attending (legacy, without attendees)
+ * @param {boolean} [data.willAttend] - Attendance confirmation (legacy, without attendees)
+ * @param {Array<Object>} [data.attendees] - Named attendees: { name, attending, guestId?, mealOptionId?, dietaryRestrictions? }
  * @param {string} [data.wishes] - Optional wishes message
- * @param {string} data.venue - Venue (hue or hanoi)
+ * @param {string} data.venue - Event slug
  * @returns {Promise<Object>} Created or updated RSVP record
- * @throws {Error} If guest doesn't exist or validation fails
+ * @throws {Error} INVITATION_NOT_FOUND for unknown or revoked tokens; VENUE_MISMATCH
+ *   when venue is not the invited guest's event; RSVP_NOT_OPEN /
+ *   RSVP_CLOSED (with `window`) outside the event's RSVP window; attendee
+ *   errors from resolveAttendees; INVALID_MEAL_OPTION
  */
 export const createRSVP = async (data) => {
-  const { guestId, name, guestCount, willAttend, wishes, venue } = data
+  const { invitationToken, name, wishes, venue, attendees } = data
+  let { guestCount, willAttend } = data
 
-  // Validate guest exists if guestId provided
-  if (guestId) {
-    const guestExists = await validateGuestExists(guestId)
-    if (!guestExists) {
-      throw new Error('Guest not found')
+  // Resolve the invited guest from their invitation token
+  let guest = null
+  if (invitationToken) {
+    guest = await findGuestByInvitationToken(invitationToken, {
+      select: {
+        id: true,
+        name: true,
+        venue: true,
+        rsvpOverrideUntil: true,
+        plusOnesAllowed: true,
+        household: {
+          select: {
+            guests: { select: { id: true, name: true } }
+          }
+        }
+      }
+    })
+    if (!guest) {
+      throw rsvpError('INVITATION_NOT_FOUND', 'Invitation link is invalid or has been revoked')
     }
   }
+  const guestId = guest?.id
+
+  // A guest answers for their own event only: the window below (and the
+  // RSVP found by guestId) must not come from another event's venue
+  if (guest && guest.venue !== venue) {
+    throw rsvpError('VENUE_MISMATCH', 'Venue does not match the invitation')
+  }
+
+  // Enforce the event's RSVP window (an override for the guest wins)
+  const event = await getEventBySlug(venue)
+  const overrideUntil = guest ? guest.rsvpOverrideUntil : null
+  const window = getRsvpWindow(event, { overrideUntil })
+  if (!window.isOpen) {
+    throw window.status === RSVP_WINDOW_STATUS.NOT_OPEN
+      ? rsvpError('RSVP_NOT_OPEN', 'RSVP is not open yet for this event', { window })
+      : rsvpError('RSVP_CLOSED', 'RSVP is closed for this event', { window })
+  }
+
+  let attendeeRows = null
+  if (attendees) {
+    attendeeRows = resolveAttendees(guest, attendees)
+    await assertMealSelections(venue, attendeeRows)
+    ;({ guestCount, willAttend } = summarizeAttendees(attendeeRows))
+  }
 
   // Check for existing RSVP (duplicate prevention)
   // Strategy: If guestId provided, find by guestId; otherwise find by name+venue
@@ -57,6 +262,8 @@ export const createRSVP = async (data) => {
     })
   }
 
+  const cleanWishes = wishes?.trim() || null
+
   // If existing RSVP found, update it (latest overwrites)
   if (existingRSVP) {
     const updatedRSVP = await prisma.rSVP.update({
@@ -64,20 +271,22 @@ export const createRSVP = async (data) => {
       data: {
         guestCount,
         willAttend,
-        wishes: wishes?.trim() || null,
-        updatedAt: new Date()
+        wishes: cleanWishes,
+        // Changed wishes go back through moderation
+        ...(cleanWishes !== existingRSVP.wishes && await moderateWishes(cleanWishes)),
+        updatedAt: new Date(),
+        ...(attendeeRows && {
+          attendees: { deleteMany: {}, create: attendeeRows }
+        })
       },
-      include: {
-        guest: {
-          select: {
-            id: true,
-            name: true,
-            venue: true
-          }
-        }
-      }
+      include: RSVP_INCLUDE
     })
 
+    // Fire and forget: notifications, webhooks and live feeds never delay or fail the RSVP
+    notifyRsvpChange(updatedRSVP, existingRSVP)
+    emitWebhookEvent(WEBHOOK_EVENTS.RSVP_UPDATED, updatedRSVP)
+    publishRsvpChange(FEED_EVENTS.RSVP_UPDATED, updatedRSVP, existingRSVP)
+
     return updatedRSVP
   }
 
@@ -88,20 +297,20 @@ export const createRSVP = async (data) => {
       name: name.trim(),
       guestCount,
       willAttend,
-      wishes: wishes?.trim() || null,
-      venue
+      wishes: cleanWishes,
+      ...await moderateWishes(cleanWishes),
+      venue,
+      ...(attendeeRows && {
+        attendees: { create: attendeeRows }
+      })
     },
-    include: {
-      guest: {
-        select: {
-          id: true,
-          name: true,
-          venue: true
-        }
-      }
-    }
+    include: RSVP_INCLUDE
   })
 
+  notifyRsvpChange(rsvp)
+  emitWebhookEvent(WEBHOOK_EVENTS.RSVP_CREATED, rsvp)
+  publishRsvpChange(FEED_EVENTS.RSVP_CREATED, rsvp)
+
   return rsvp
 }
 
@@ -123,21 +332,13 @@ export const validateGuestExists = async (guestId) => {
 /**
  * Get all RSVPs by venue
  * 
- * @param {string} venue - Venue filter (hue or hanoi)
+ * @param {string} venue - Event slug
  * @returns {Promise<Array>} List of RSVPs
  */
 export const getRSVPsByVenue = async (venue) => {
   const rsvps = await prisma.rSVP.findMany({
     where: { venue },
-    include: {
-      guest: {
-        select: {
-          id: true,
-          name: true,
-          venue: true
-        }
-      }
-    },
+    include: RSVP_INCLUDE,
     orderBy: {
       createdAt: 'desc'
     }
@@ -146,33 +347,70 @@ export const getRSVPsByVenue = async (venue) => {
   return rsvps
 }
 
+/**
+ * Count people attending across a set of RSVPs
+ * 
+ * RSVPs with named attendees count each attending person once: a guest who
+ * appears on two household RSVPs is only counted once, while plus-ones and
+ * free-form names are counted per row. RSVPs without attendees fall back to
+ * their guestCount.
+ * 
+ * @param {Object} [rsvpWhere={}] - RSVP filter (e.g. { venue })
+ * @returns {Promise<Object>} { attending, plusOnes, declined }
+ */
+export const countAttendingPeople = async (rsvpWhere = {}) => {
+  const [namedGuests, unnamedAttending, plusOnes, declined, legacy] = await Promise.all([
+    prisma.rSVPAttendee.findMany({
+      where: { rsvp: rsvpWhere, attending: true, guestId: { not: null } },
+      distinct: ['guestId'],
+      select: { guestId: true }
+    }),
+    prisma.rSVPAttendee.count({
+      where: { rsvp: rsvpWhere, attending: true, guestId: null }
+    }),
+    prisma.rSVPAttendee.count({
+      where: { rsvp: rsvpWhere, attending: true, isPlusOne: true }
+    }),
+    prisma.rSVPAttendee.count({
+      where: { rsvp: rsvpWhere, attending: false }
+    }),
+    prisma.rSVP.aggregate({
+      where: { ...rsvpWhere, willAttend: true, attendees: { none: {} } },
+      _sum: { guestCount: true }
+    })
+  ])
+
+  return {
+    attending: namedGuests.length + unnamedAttending + (legacy._sum.guestCount || 0),
+    plusOnes,
+    declined
+  }
+}
+
 /**
  * Get RSVP statistics by venue
  * 
- * @param {string} venue - Venue filter (hue or hanoi)
+ * @param {string} venue - Event slug
  * @returns {Promise<Object>} Statistics object
  */
 export const getRSVPStats = async (venue) => {
-  const [totalRSVPs, attendingRSVPs, totalGuestCount] = await Promise.all([
+  const [totalRSVPs, attendingRSVPs, people] = await Promise.all([
     prisma.rSVP.count({
       where: { venue }
     }),
     prisma.rSVP.count({
       where: { venue, willAttend: true }
     }),
-    prisma.rSVP.aggregate({
-      where: { venue, willAttend: true },
-      _sum: {
-        guestCount: true
-      }
-    })
+    countAttendingPeople({ venue })
   ])
 
   return {
     totalRSVPs,
     attendingCount: attendingRSVPs,
     notAttendingCount: totalRSVPs - attendingRSVPs,
-    totalGuests: totalGuestCount._sum.guestCount || 0
+    totalGuests: people.attending,
+    plusOnes: people.plusOnes,
+    declinedAttendees: people.declined
   }
 }
 
@@ -185,15 +423,7 @@ export const getRSVPStats = async (venue) => {
 export const getRSVPById = async (id) => {
   const rsvp = await prisma.rSVP.findUnique({
     where: { id },
-    include: {
-      guest: {
-        select: {
-          id: true,
-          name: true,
-          venue: true
-        }
-      }
-    }
+    include: RSVP_INCLUDE
   })
 
   return rsvp
@@ -211,16 +441,29 @@ export const getRSVPById = async (id) => {
  * @param {boolean} [data.willAttend] - Updated attendance status
  * @param {string} [data.wishes] - Updated wishes message
  * @param {string} [data.venue] - Updated venue
+ * @param {Array<Object>} [data.attendees] - Replacement attendee list (derives guestCount / willAttend)
  * @returns {Promise<Object>} Updated RSVP record
- * @throws {Error} If RSVP not found or business validation fails
+ * @throws {Error} If RSVP not found or business validation fails; attendee
+ *   errors from resolveAttendees; INVALID_MEAL_OPTION
  */
 export const updateRSVP = async (id, data) => {
-  const { name, guestCount, willAttend, wishes, venue } = data
+  const { name, wishes, venue, attendees } = data
+  let { guestCount, willAttend } = data
 
   // Validate RSVP exists
   const existingRSVP = await prisma.rSVP.findUnique({
     where: { id },
-    include: { guest: true }
+    include: {
+      guest: {
+        include: {
+          household: {
+            select: {
+              guests: { select: { id: true, name: true } }
+            }
+          }
+        }
+      }
+    }
   })
 
   if (!existingRSVP) {
@@ -237,36 +480,50 @@ export const updateRSVP = async (id, data) => {
     }
   }
 
+  let attendeeRows = null
+  if (attendees) {
+    attendeeRows = resolveAttendees(existingRSVP.guest, attendees)
+    await assertMealSelections(venue || existingRSVP.venue, attendeeRows)
+    ;({ guestCount, willAttend } = summarizeAttendees(attendeeRows))
+  }
+
   // Build update data object with only provided fields
   const updateData = {}
   if (name !== undefined) updateData.name = name.trim()
   if (guestCount !== undefined) updateData.guestCount = guestCount
   if (willAttend !== undefined) updateData.willAttend = willAttend
-  if (wishes !== undefined) updateData.wishes = wishes?.trim() || null
+  if (wishes !== undefined) {
+    updateData.wishes = wishes?.trim() || null
+    if (updateData.wishes !== existingRSVP.wishes) {
+      Object.assign(updateData, await moderateWishes(updateData.wishes))
+    }
+  }
   if (venue !== undefined) updateData.venue = venue
+  if (attendeeRows) {
+    updateData.attendees = { deleteMany: {}, create: attendeeRows }
+  } else if (venue && venue !== existingRSVP.venue) {
+    // Meal choices belong to the old event's menu
+    updateData.attendees = { updateMany: { where: {}, data: { mealOptionId: null } } }
+  }
 
   // Update RSVP
   const updatedRSVP = await prisma.rSVP.update({
     where: { id },
     data: updateData,
-    include: {
-      guest: {
-        select: {
-          id: true,
-          name: true,
-          venue: true
-        }
-      }
-    }
+    include: RSVP_INCLUDE
   })
 
+  emitWebhookEvent(WEBHOOK_EVENTS.RSVP_UPDATED, updatedRSVP)
+  publishRsvpChange(FEED_EVENTS.RSVP_UPDATED, updatedRSVP, existingRSVP)
+
   return updatedRSVP
 }
 
 /**
  * Delete an RSVP
  * 
- * Performs hard delete. Consider implementing soft delete for audit purposes.
+ * Performs hard delete. The full record is returned so callers can keep
+ * it in the audit log.
  * 
  * @param {string} id - RSVP UUID
  * @returns {Promise<Object>} Deleted RSVP record
@@ -276,18 +533,21 @@ export const deleteRSVP = async (id) => {
   // Check if RSVP exists
   const existingRSVP = await prisma.rSVP.findUnique({
     where: { id },
-    select: { id: true, name: true, venue: true, guestId: true }
+    include: { attendees: true }
   })
 
   if (!existingRSVP) {
     throw new Error('RSVP not found')
   }
 
-  // Hard delete (consider soft delete for audit trail)
+  // Hard delete; attendees cascade (the route records the snapshot in the audit log)
   await prisma.rSVP.delete({
     where: { id }
   })
 
+  emitWebhookEvent(WEBHOOK_EVENTS.RSVP_DELETED, existingRSVP)
+  publishRsvpChange(FEED_EVENTS.RSVP_DELETED, existingRSVP)
+
   return existingRSVP
 }
 
@@ -302,7 +562,10 @@ export const deleteRSVP = async (id) => {
  * @param {string} [options.search] - Search by name
  * @param {string} [options.sortBy='createdAt'] - Sort field
  * @param {string} [options.sortOrder='desc'] - Sort order (asc/desc)
+ * @param {string} [options.cursor] - nextCursor/prevCursor from a previous
+ *   page, instead of page (no totals)
  * @returns {Promise<Object>} Paginated RSVPs with metadata
+ * @throws {Error} INVALID_CURSOR
  */
 export const getRSVPsWithPagination = async (options = {}) => {
   const {
@@ -312,7 +575,8 @@ export const getRSVPsWithPagination = async (options = {}) => {
     willAttend,
     search,
     sortBy = 'createdAt',
-    sortOrder = 'desc'
+    sortOrder = 'desc',
+    cursor
   } = options
 
   // Build where clause
@@ -326,6 +590,30 @@ export const getRSVPsWithPagination = async (options = {}) => {
     }
   }
 
+  const sortKeys = rsvpSortKeys(sortBy, sortOrder)
+
+  if (cursor) {
+    const args = keysetArgs(sortKeys, cursor, limit)
+    const rows = await prisma.rSVP.findMany({
+      where: { AND: [where, args.where] },
+      include: RSVP_INCLUDE,
+      orderBy: args.orderBy,
+      take: args.take
+    })
+    const { items, pageInfo } = keysetPage(sortKeys, rows, { ...args, cursor })
+
+    return {
+      rsvps: items,
+      pagination: {
+        limit,
+        hasNext: pageInfo.hasNext,
+        hasPrevious: pageInfo.hasPrev,
+        nextCursor: pageInfo.nextCursor,
+        prevCursor: pageInfo.prevCursor
+      }
+    }
+  }
+
   // Calculate pagination
   const skip = (page - 1) * limit
   const take = limit
@@ -336,24 +624,16 @@ export const getRSVPsWithPagination = async (options = {}) => {
       where,
       skip,
       take,
-      include: {
-        guest: {
-          select: {
-            id: true,
-            name: true,
-            venue: true
-          }
-        }
-      },
-      orderBy: {
-        [sortBy]: sortOrder
-      }
+      include: RSVP_INCLUDE,
+      orderBy: keysetOrderBy(sortKeys)
     }),
     prisma.rSVP.count({ where })
   ])
 
   // Calculate pagination metadata
   const totalPages = Math.ceil(total / limit)
+  const hasNext = page < totalPages
+  const hasPrevious = page > 1
 
   return {
     rsvps,
@@ -362,8 +642,9 @@ export const getRSVPsWithPagination = async (options = {}) => {
       limit,
       total,
       totalPages,
-      hasNext: page < totalPages,
-      hasPrevious: page > 1
+      hasNext,
+      hasPrevious,
+      ...pageCursors(sortKeys, rsvps, { hasNext, hasPrev: hasPrevious })
     }
   }
 }
@@ -383,7 +664,7 @@ export const getAdminStats = async () => {
     guestsByVenue,
     totalRsvps,
     rsvpsByVenue,
-    attendingRsvps,
+    attendingPeople,
     recentActivity
   ] = await Promise.all([
     // Total guests count
@@ -404,11 +685,8 @@ export const getAdminStats = async () => {
       _count: { id: true }
     }),
     
-    // Sum of guest counts for attending RSVPs
-    prisma.rSVP.aggregate({
-      where: { willAttend: true },
-      _sum: { guestCount: true }
-    }),
+    // People attending (named attendees, plus-ones and legacy guest counts)
+    countAttendingPeople(),
     
     // Recent activity (last 7 days)
     prisma.rSVP.count({
@@ -438,7 +716,8 @@ export const getAdminStats = async () => {
     guestsByVenue: formatVenueData(guestsByVenue),
     totalRsvps,
     rsvpsByVenue: formatVenueData(rsvpsByVenue),
-    attendingGuests: attendingRsvps._sum.guestCount || 0,
+    attendingGuests: attendingPeople.attending,
+    plusOnes: attendingPeople.plusOnes,
     responseRate,
     recentActivity,
     lastUpdated: new Date().toISOString()
@@ -448,14 +727,20 @@ export const getAdminStats = async () => {
 /**
  * Get paginated wishes data with optional venue filter
  * 
- * Retrieves RSVPs that have wishes, with support for filtering by venue
- * and pagination. Wishes content is sanitized for XSS protection.
+ * Retrieves RSVPs whose wishes were approved or pinned by a moderator, pinned
+ * ones first, with support for filtering by venue and pagination. Wishes
+ * content is sanitized for XSS protection.
  * 
  * @param {Object} options - Query options
  * @param {number} [options.limit=10] - Number of wishes per page (1-50)
  * @param {number} [options.page=1] - Page number (1-based)
- * @param {string} [options.venue] - Optional venue filter (hue or hanoi)
+ * @param {string} [options.venue] - Optional event slug filter
+ * @param {string} [options.search] - Full-text search in wishes and names;
+ *   results are ordered by relevance and each wish gets a `highlight`
+ * @param {string} [options.cursor] - nextCursor/prevCursor from a previous
+ *   page, instead of page (no totals; not with search)
  * @returns {Promise<Object>} Paginated wishes data with metadata
+ * @throws {Error} INVALID_CURSOR
  * 
  * @example
  * // Get first 10 wishes
@@ -465,7 +750,7 @@ export const getAdminStats = async () => {
  * // Get Hue venue wishes
  * const data = await getWishesData({ limit: 10, page: 1, venue: 'hue' })
  */
-export const getWishesData = async ({ limit = 10, page = 1, venue = null }) => {
+export const getWishesData = async ({ limit = 10, page = 1, venue = null, search = null, cursor = null }) => {
   // Build where clause
   const where = {
     AND: [
@@ -478,6 +763,11 @@ export const getWishesData = async ({ limit = 10, page = 1, venue = null }) => {
         wishes: {
           not: ''
         }
+      },
+      {
+        wishStatus: {
+          in: PUBLIC_WISH_STATUSES
+        }
       }
     ]
   }
@@ -489,31 +779,80 @@ export const getWishesData = async ({ limit = 10, page = 1, venue = null }) => {
 
   // Calculate pagination
   const skip = (page - 1) * limit
+  const select = {
+    id: true,
+    name: true,
+    wishes: true,
+    venue: true,
+    wishStatus: true,
+    createdAt: true
+  }
 
-  // Execute queries in parallel
-  const [wishes, totalCount] = await Promise.all([
-    prisma.rSVP.findMany({
-      where,
-      select: {
-        id: true,
-        name: true,
-        wishes: true,
-        venue: true,
-        createdAt: true
-      },
-      orderBy: {
-        createdAt: 'desc'
-      },
-      skip,
-      take: limit
-    }),
-    prisma.rSVP.count({ where })
-  ])
+  // Search results come in relevance order instead of pinned-first
+  const searchTerms = parseSearchTerms(search)
+  const matches = searchTerms.length
+    ? await searchWishes(searchTerms, { statuses: PUBLIC_WISH_STATUSES, venue })
+    : null
+
+  let wishes
+  let pagination
+  if (cursor) {
+    if (matches) {
+      throw rsvpError('INVALID_CURSOR', 'Search results are paginated with page')
+    }
 
-  // Calculate pagination metadata
-  const totalPages = Math.ceil(totalCount / limit)
-  const hasNextPage = page < totalPages
-  const hasPreviousPage = page > 1
+    const args = keysetArgs(WISH_SORT_KEYS, cursor, limit)
+    const rows = await prisma.rSVP.findMany({
+      where: { AND: [where, args.where] },
+      select,
+      orderBy: args.orderBy,
+      take: args.take
+    })
+    const { items, pageInfo } = keysetPage(WISH_SORT_KEYS, rows, { ...args, cursor })
+
+    wishes = items
+    pagination = {
+      limit,
+      hasNextPage: pageInfo.hasNext,
+      hasPreviousPage: pageInfo.hasPrev,
+      nextCursor: pageInfo.nextCursor,
+      prevCursor: pageInfo.prevCursor
+    }
+  } else {
+    // Execute queries in parallel
+    const [items, totalCount] = matches
+      ? await findPageByRank(prisma.rSVP, where, matches, { skip, take: limit, select })
+        .then(({ items, total }) => [items, total])
+      : await Promise.all([
+        prisma.rSVP.findMany({
+          where,
+          select,
+          orderBy: keysetOrderBy(WISH_SORT_KEYS),
+          skip,
+          take: limit
+        }),
+        prisma.rSVP.count({ where })
+      ])
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(totalCount / limit)
+    const hasNextPage = page < totalPages
+    const hasPreviousPage = page > 1
+
+    wishes = items
+    pagination = {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      limit,
+      hasNextPage,
+      hasPreviousPage,
+      // Relevance order has no cursors
+      ...(matches
+        ? { nextCursor: null, prevCursor: null }
+        : pageCursors(WISH_SORT_KEYS, items, { hasNext: hasNextPage, hasPrev: hasPreviousPage }))
+    }
+  }
 
   return {
     wishes: wishes.map(wish => ({
@@ -521,15 +860,13 @@ export const getWishesData = async ({ limit = 10, page = 1, venue = null }) => {
       name: wish.name,
       wishes: wish.wishes,
       venue: wish.venue,
-      createdAt: wish.createdAt
+      pinned: wish.wishStatus === 'pinned',
+      createdAt: wish.createdAt,
+      ...(matches && {
+        rank: wish.rank,
+        highlight: highlightText(wish.wishes, searchTerms)
+      })
     })),
-    pagination: {
-      currentPage: page,
-      totalPages,
-      totalCount,
-      limit,
-      hasNextPage,
-      hasPreviousPage
-    }
+    pagination
   }
 }
@@ -0,0 +1,213 @@
+/**
+ * Search Service
+ *
+ * Postgres full-text search over gallery media (title, caption, alt,
+ * location, photographer) and RSVP wishes. The search documents are
+ * generated columns indexed with GIN (migration full_text_search) and fold
+ * diacritics with unaccent, so "hue" finds "Huế" and "da lat" finds "Đà Lạt".
+ *
+ * Every search word matches as a prefix ("nha" finds "nhà", "nhau") and all
+ * words must match. Results are ranked with ts_rank_cd; snippets are built
+ * here from the original text so the highlighted words keep their accents.
+ *
+ * @module services/searchService
+ */
+
+import { Prisma } from '@prisma/client'
+import { getPrismaClient } from '../utils/database.js'
+
+/**
+ * Most matches a search considers (best ranked first)
+ */
+const MAX_SEARCH_MATCHES = 1000
+
+/**
+ * Most words taken from a search query
+ */
+const MAX_SEARCH_TERMS = 8
+
+/**
+ * Words around the first match shown in a snippet
+ */
+const SNIPPET_WORDS = 24
+
+/**
+ * Lowercase and strip diacritics ("Đà Lạt" => "da lat")
+ *
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+export const foldDiacritics = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/g, 'd')
+  .replace(/Đ/g, 'D')
+  .toLowerCase()
+
+/**
+ * Split a search query into folded words
+ *
+ * @param {string} [query] - What the user typed
+ * @returns {string[]} Distinct words (letters and digits only), at most
+ *   MAX_SEARCH_TERMS; empty when there is nothing to search for
+ */
+export const parseSearchTerms = (query) => [
+  ...new Set(foldDiacritics(query || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean))
+].slice(0, MAX_SEARCH_TERMS)
+
+/**
+ * tsquery matching every term as a prefix
+ *
+ * Terms only hold letters and digits, so they can't inject tsquery syntax.
+ *
+ * @param {string[]} terms - From parseSearchTerms
+ * @returns {Prisma.Sql} to_tsquery(...) expression
+ */
+const prefixQuery = (terms) => Prisma.sql`to_tsquery('simple', ${terms.map(term => `${term}:*`).join(' & ')})`
+
+/**
+ * Escape text for use in HTML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+/**
+ * Snippet of a text with the matching words highlighted
+ *
+ * @param {string|null} text - Original text
+ * @param {string[]} terms - From parseSearchTerms
+ * @returns {string|null} HTML: escaped text around the first match with
+ *   matches wrapped in <mark>, … where cut; null when nothing matches
+ *
+ * @example
+ * highlightText('Tiệc cưới ở Huế', ['hue']) // => 'Tiệc cưới ở <mark>Huế</mark>'
+ */
+export const highlightText = (text, terms) => {
+  if (!text || !terms.length) return null
+
+  const words = [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)]
+  const hits = new Set(words
+    .map((word, i) => (terms.some(term => foldDiacritics(word[0]).startsWith(term)) ? i : -1))
+    .filter(i => i >= 0))
+  if (!hits.size) return null
+
+  const first = Math.max(0, Math.min(...hits) - Math.floor(SNIPPET_WORDS / 4))
+  const last = Math.min(words.length - 1, first + SNIPPET_WORDS - 1)
+  const start = first === 0 ? 0 : words[first].index
+  const end = last === words.length - 1 ? text.length : words[last].index + words[last][0].length
+
+  let html = ''
+  let pos = start
+  for (let i = first; i <= last; i++) {
+    if (!hits.has(i)) continue
+    html += `${escapeHtml(text.slice(pos, words[i].index))}<mark>${escapeHtml(words[i][0])}</mark>`
+    pos = words[i].index + words[i][0].length
+  }
+  html += escapeHtml(text.slice(pos, end))
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`
+}
+
+/**
+ * Snippets for the fields of a record that match
+ *
+ * @param {Object} record - Record with text fields
+ * @param {string[]} fields - Fields to highlight
+ * @param {string[]} terms - From parseSearchTerms
+ * @returns {Object} Field => snippet, only for fields that match
+ */
+export const highlightFields = (record, fields, terms) => Object.fromEntries(
+  fields
+    .map(field => [field, highlightText(record[field], terms)])
+    .filter(([, snippet]) => snippet)
+)
+
+/**
+ * Full-text search gallery media
+ *
+ * @param {string[]} terms - From parseSearchTerms (non-empty)
+ * @param {Object} [options] - Options
+ * @param {string} [options.status] - Only media in this review state
+ * @returns {Promise<Object[]>} { id, rank } best first, non-deleted media only
+ */
+export const searchGalleryMedia = async (terms, { status } = {}) => {
+  const prisma = getPrismaClient()
+  const tsQuery = prefixQuery(terms)
+
+  return prisma.$queryRaw`
+    SELECT "id", ts_rank_cd("search_vector", ${tsQuery}) AS "rank"
+    FROM "gallery_media"
+    WHERE "search_vector" @@ ${tsQuery}
+      AND "deleted_at" IS NULL
+      ${status ? Prisma.sql`AND "status"::text = ${status}` : Prisma.empty}
+    ORDER BY "rank" DESC, "created_at" DESC
+    LIMIT ${MAX_SEARCH_MATCHES}`
+}
+
+/**
+ * Full-text search RSVP wishes (and the names that wrote them)
+ *
+ * @param {string[]} terms - From parseSearchTerms (non-empty)
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.statuses] - Only wishes in these moderation states
+ * @param {string} [options.venue] - Only this event's wishes
+ * @returns {Promise<Object[]>} { id, rank } best first
+ */
+export const searchWishes = async (terms, { statuses, venue } = {}) => {
+  const prisma = getPrismaClient()
+  const tsQuery = prefixQuery(terms)
+
+  return prisma.$queryRaw`
+    SELECT "id", ts_rank_cd("wishes_search_vector", ${tsQuery}) AS "rank"
+    FROM "rsvps"
+    WHERE "wishes_search_vector" @@ ${tsQuery}
+      AND coalesce("wishes", '') <> ''
+      ${statuses ? Prisma.sql`AND "wish_status"::text IN (${Prisma.join(statuses)})` : Prisma.empty}
+      ${venue ? Prisma.sql`AND "venue" = ${venue}` : Prisma.empty}
+    ORDER BY "rank" DESC, "created_at" DESC
+    LIMIT ${MAX_SEARCH_MATCHES}`
+}
+
+/**
+ * Load one page of records in search rank order
+ *
+ * @param {Object} delegate - Prisma model delegate (e.g. prisma.galleryMedia)
+ * @param {Object} where - Other filters the records must match
+ * @param {Object[]} matches - { id, rank } from a search, best first
+ * @param {Object} options - Page and query options
+ * @param {number} options.skip - Records to skip
+ * @param {number} options.take - Page size
+ * @param {Object} [options.select] - Prisma select (must include id)
+ * @param {Object} [options.include] - Prisma include
+ * @returns {Promise<Object>} { items (each with `rank`), total }
+ */
+export const findPageByRank = async (delegate, where, matches, { skip, take, select, include }) => {
+  const matching = await delegate.findMany({
+    where: { AND: [where, { id: { in: matches.map(match => match.id) } }] },
+    select: { id: true }
+  })
+  const matchingIds = new Set(matching.map(row => row.id))
+  const ranked = matches.filter(match => matchingIds.has(match.id))
+  const page = ranked.slice(skip, skip + take)
+
+  const rows = await delegate.findMany({
+    where: { id: { in: page.map(match => match.id) } },
+    ...(select && { select }),
+    ...(include && { include })
+  })
+  const rowById = new Map(rows.map(row => [row.id, row]))
+
+  return {
+    items: page
+      .filter(match => rowById.has(match.id))
+      .map(match => ({ ...rowById.get(match.id), rank: match.rank })),
+    total: ranked.length
+  }
+}
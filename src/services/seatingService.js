@@ -0,0 +1,444 @@
+/**
+ * Seating Service
+ *
+ * Tables and seat assignments for each event. Invited guests are seated by
+ * guestId; plus-ones and other unnamed RSVP attendees are seated by their
+ * attendee row. Guests who declined can't be seated and a table never holds
+ * more people than its capacity.
+ *
+ * @module services/seatingService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+
+/**
+ * Seat fields returned with every table
+ */
+const SEAT_SELECT = {
+  id: true,
+  seatNumber: true,
+  guestId: true,
+  attendeeId: true,
+  guest: { select: { name: true } },
+  attendee: { select: { name: true, isPlusOne: true, rsvp: { select: { name: true } } } }
+}
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. TABLE_FULL)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra] - Additional properties copied onto the error
+ * @returns {Error} Error with `code` property
+ */
+const seatingError = (code, message, extra = {}) => {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+/**
+ * Flatten a seat for API responses
+ *
+ * @param {Object} seat - Seat assignment selected with SEAT_SELECT
+ * @returns {Object} { id, seatNumber, guestId, attendeeId, name, isPlusOne, rsvpName }
+ */
+const formatSeat = (seat) => ({
+  id: seat.id,
+  seatNumber: seat.seatNumber,
+  guestId: seat.guestId,
+  attendeeId: seat.attendeeId,
+  name: seat.guest?.name || seat.attendee?.name,
+  isPlusOne: seat.attendee?.isPlusOne || false,
+  rsvpName: seat.attendee?.rsvp.name || null
+})
+
+/**
+ * Flatten a table with its seats for API responses
+ *
+ * @param {Object} table - Table including seats
+ * @returns {Object} Table with formatted seats, seated and available counts
+ */
+const formatTable = ({ seats, ...table }) => ({
+  ...table,
+  seated: seats.length,
+  available: Math.max(0, table.capacity - seats.length),
+  seats: seats
+    .map(formatSeat)
+    .sort((a, b) => (a.seatNumber ?? Infinity) - (b.seatNumber ?? Infinity))
+})
+
+/**
+ * Get a table by ID with its seats
+ *
+ * @param {string} id - Table UUID
+ * @returns {Promise<Object|null>} Formatted table or null
+ */
+export const getTableById = async (id) => {
+  const prisma = getPrismaClient()
+  const table = await prisma.seatingTable.findUnique({
+    where: { id },
+    include: { seats: { select: SEAT_SELECT } }
+  })
+  return table ? formatTable(table) : null
+}
+
+/**
+ * Ensure no other table of the event already uses this name
+ *
+ * @param {string} venue - Event slug
+ * @param {string} name - Table name
+ * @param {string} [exceptId] - Table being renamed
+ * @throws {Error} TABLE_NAME_TAKEN
+ */
+const assertNameAvailable = async (venue, name, exceptId) => {
+  const prisma = getPrismaClient()
+  const existing = await prisma.seatingTable.findUnique({
+    where: { venue_name: { venue, name } },
+    select: { id: true }
+  })
+  if (existing && existing.id !== exceptId) {
+    throw seatingError('TABLE_NAME_TAKEN', `Table "${name}" already exists for ${venue}`)
+  }
+}
+
+/**
+ * Create a table
+ *
+ * @param {Object} data - Table data
+ * @param {string} data.venue - Event slug
+ * @param {string} data.name - Display name (e.g. "Bàn 1", "Họ nhà trai")
+ * @param {number} data.capacity - Number of seats
+ * @param {string} [data.notes] - Planner notes
+ * @param {number} [data.sortOrder=0] - Position on the chart
+ * @returns {Promise<Object>} Created table
+ * @throws {Error} TABLE_NAME_TAKEN
+ */
+export const createTable = async ({ venue, name, capacity, notes, sortOrder }) => {
+  const prisma = getPrismaClient()
+
+  await assertNameAvailable(venue, name)
+
+  const table = await prisma.seatingTable.create({
+    data: {
+      venue,
+      name,
+      capacity,
+      notes: notes || null,
+      ...(sortOrder !== undefined && { sortOrder })
+    },
+    include: { seats: { select: SEAT_SELECT } }
+  })
+
+  return formatTable(table)
+}
+
+/**
+ * Update a table
+ *
+ * The capacity can't drop below the number of people already seated, nor
+ * below the highest fixed seat number in use.
+ *
+ * @param {string} id - Table UUID
+ * @param {Object} data - Fields to update (name, capacity, notes, sortOrder)
+ * @returns {Promise<Object>} Updated table
+ * @throws {Error} TABLE_NOT_FOUND, TABLE_NAME_TAKEN or TABLE_OVER_CAPACITY
+ */
+export const updateTable = async (id, data) => {
+  const prisma = getPrismaClient()
+
+  const existing = await getTableById(id)
+  if (!existing) {
+    throw seatingError('TABLE_NOT_FOUND', 'Table not found')
+  }
+
+  if (data.name && data.name !== existing.name) {
+    await assertNameAvailable(existing.venue, data.name, id)
+  }
+
+  if (data.capacity !== undefined) {
+    const highestSeat = Math.max(0, ...existing.seats.map(seat => seat.seatNumber || 0))
+    if (data.capacity < existing.seated || data.capacity < highestSeat) {
+      throw seatingError(
+        'TABLE_OVER_CAPACITY',
+        `${existing.seated} people are seated at this table (highest seat ${highestSeat})`,
+        { seated: existing.seated }
+      )
+    }
+  }
+
+  const updateData = {}
+  for (const field of ['name', 'capacity', 'notes', 'sortOrder']) {
+    if (data[field] !== undefined) {
+      updateData[field] = data[field]
+    }
+  }
+
+  const table = await prisma.seatingTable.update({
+    where: { id },
+    data: updateData,
+    include: { seats: { select: SEAT_SELECT } }
+  })
+
+  return formatTable(table)
+}
+
+/**
+ * Delete a table and its seat assignments
+ *
+ * @param {string} id - Table UUID
+ * @returns {Promise<Object>} Deleted table (with the seats it had)
+ * @throws {Error} TABLE_NOT_FOUND
+ */
+export const deleteTable = async (id) => {
+  const prisma = getPrismaClient()
+
+  const existing = await getTableById(id)
+  if (!existing) {
+    throw seatingError('TABLE_NOT_FOUND', 'Table not found')
+  }
+
+  await prisma.seatingTable.delete({ where: { id } })
+
+  return existing
+}
+
+/**
+ * Check whether a guest declined the event
+ *
+ * The guest's most recent attendee row wins; otherwise their own RSVP's
+ * willAttend. Guests who haven't answered yet can be seated.
+ *
+ * @param {string} guestId - Guest UUID
+ * @param {string} venue - Event slug
+ * @returns {Promise<boolean>} True if the guest's latest answer is "not attending"
+ */
+const hasGuestDeclined = async (guestId, venue) => {
+  const prisma = getPrismaClient()
+
+  const attendee = await prisma.rSVPAttendee.findFirst({
+    where: { guestId, rsvp: { venue } },
+    orderBy: { rsvp: { updatedAt: 'desc' } },
+    select: { attending: true }
+  })
+  if (attendee) return !attendee.attending
+
+  const rsvp = await prisma.rSVP.findFirst({
+    where: { guestId, venue },
+    orderBy: { updatedAt: 'desc' },
+    select: { willAttend: true }
+  })
+  return rsvp ? !rsvp.willAttend : false
+}
+
+/**
+ * Resolve who is being seated
+ *
+ * An attendee row that references an invited guest is seated as that guest,
+ * so nobody can hold two seats.
+ *
+ * @param {Object} occupant - { guestId } or { attendeeId }
+ * @param {string} venue - Event slug of the table
+ * @returns {Promise<Object>} { guestId, attendeeId, name }
+ * @throws {Error} OCCUPANT_NOT_FOUND, WRONG_VENUE or GUEST_DECLINED
+ */
+const resolveOccupant = async ({ guestId, attendeeId }, venue) => {
+  const prisma = getPrismaClient()
+
+  if (attendeeId) {
+    const attendee = await prisma.rSVPAttendee.findUnique({
+      where: { id: attendeeId },
+      select: { id: true, guestId: true, name: true, attending: true, rsvp: { select: { venue: true } } }
+    })
+    if (!attendee) {
+      throw seatingError('OCCUPANT_NOT_FOUND', 'Attendee not found')
+    }
+    if (attendee.guestId) {
+      return resolveOccupant({ guestId: attendee.guestId }, venue)
+    }
+    if (attendee.rsvp.venue !== venue) {
+      throw seatingError('WRONG_VENUE', 'Attendee is not attending this event')
+    }
+    if (!attendee.attending) {
+      throw seatingError('GUEST_DECLINED', `${attendee.name} is not attending`)
+    }
+    return { guestId: null, attendeeId: attendee.id, name: attendee.name }
+  }
+
+  const guest = await prisma.guest.findUnique({
+    where: { id: guestId },
+    select: { id: true, name: true, venue: true }
+  })
+  if (!guest) {
+    throw seatingError('OCCUPANT_NOT_FOUND', 'Guest not found')
+  }
+  if (guest.venue !== venue) {
+    throw seatingError('WRONG_VENUE', 'Guest is invited to a different event')
+  }
+  if (await hasGuestDeclined(guest.id, venue)) {
+    throw seatingError('GUEST_DECLINED', `${guest.name} declined the invitation`)
+  }
+  return { guestId: guest.id, attendeeId: null, name: guest.name }
+}
+
+/**
+ * Seat a guest or attendee at a table
+ *
+ * Someone who is already seated elsewhere is moved.
+ *
+ * @param {string} tableId - Table UUID
+ * @param {Object} data - Assignment data
+ * @param {string} [data.guestId] - Invited guest to seat
+ * @param {string} [data.attendeeId] - RSVP attendee (plus-one) to seat
+ * @param {number} [data.seatNumber] - Fixed seat (1..capacity)
+ * @returns {Promise<Object>} { seat, previous } where previous is the seat they moved from
+ * @throws {Error} TABLE_NOT_FOUND, OCCUPANT_NOT_FOUND, WRONG_VENUE, GUEST_DECLINED,
+ *   INVALID_SEAT_NUMBER, SEAT_TAKEN or TABLE_FULL
+ */
+export const assignSeat = async (tableId, { guestId, attendeeId, seatNumber }) => {
+  const prisma = getPrismaClient()
+
+  const table = await getTableById(tableId)
+  if (!table) {
+    throw seatingError('TABLE_NOT_FOUND', 'Table not found')
+  }
+
+  const occupant = await resolveOccupant({ guestId, attendeeId }, table.venue)
+  const occupantWhere = occupant.guestId
+    ? { guestId: occupant.guestId }
+    : { attendeeId: occupant.attendeeId }
+
+  const previous = await prisma.seatAssignment.findFirst({
+    where: occupantWhere,
+    select: { id: true, tableId: true, seatNumber: true }
+  })
+  const otherSeats = table.seats.filter(seat => seat.id !== previous?.id)
+
+  if (seatNumber !== undefined && seatNumber !== null) {
+    if (seatNumber < 1 || seatNumber > table.capacity) {
+      throw seatingError('INVALID_SEAT_NUMBER', `Seat number must be between 1 and ${table.capacity}`)
+    }
+    if (otherSeats.some(seat => seat.seatNumber === seatNumber)) {
+      throw seatingError('SEAT_TAKEN', `Seat ${seatNumber} at ${table.name} is already taken`)
+    }
+  }
+
+  if (otherSeats.length >= table.capacity) {
+    throw seatingError('TABLE_FULL', `${table.name} is full (${table.capacity} seats)`, { capacity: table.capacity })
+  }
+
+  const [, seat] = await prisma.$transaction([
+    prisma.seatAssignment.deleteMany({ where: occupantWhere }),
+    prisma.seatAssignment.create({
+      data: {
+        tableId,
+        ...occupantWhere,
+        seatNumber: seatNumber ?? null
+      },
+      select: SEAT_SELECT
+    })
+  ])
+
+  return { seat: { ...formatSeat(seat), tableId }, previous }
+}
+
+/**
+ * Remove a seat assignment
+ *
+ * @param {string} id - Seat assignment UUID
+ * @param {string} venue - Event slug the seat must belong to
+ * @returns {Promise<Object>} Removed seat
+ * @throws {Error} SEAT_NOT_FOUND
+ */
+export const unassignSeat = async (id, venue) => {
+  const prisma = getPrismaClient()
+
+  const seat = await prisma.seatAssignment.findUnique({
+    where: { id },
+    select: { ...SEAT_SELECT, tableId: true, table: { select: { venue: true } } }
+  })
+  if (!seat || seat.table.venue !== venue) {
+    throw seatingError('SEAT_NOT_FOUND', 'Seat assignment not found')
+  }
+
+  await prisma.seatAssignment.delete({ where: { id } })
+
+  return { ...formatSeat(seat), tableId: seat.tableId }
+}
+
+/**
+ * Get the full seating chart for an event
+ *
+ * Besides the tables, lists the attending people who don't have a seat yet:
+ * named guests from their latest answer (attendee row or legacy RSVP) and
+ * attending plus-ones. RSVPs without a guest or attendee list can't be
+ * seated and are not listed.
+ *
+ * @param {string} venue - Event slug
+ * @returns {Promise<Object>} { venue, tables, totals: { tables, capacity, seated }, unseated }
+ */
+export const getSeatingChart = async (venue) => {
+  const prisma = getPrismaClient()
+
+  const [tables, attendees, legacyRsvps] = await Promise.all([
+    prisma.seatingTable.findMany({
+      where: { venue },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+      include: { seats: { select: SEAT_SELECT } }
+    }),
+    prisma.rSVPAttendee.findMany({
+      where: { rsvp: { venue } },
+      orderBy: [{ rsvp: { updatedAt: 'desc' } }, { position: 'asc' }],
+      select: {
+        id: true,
+        guestId: true,
+        name: true,
+        attending: true,
+        isPlusOne: true,
+        seat: { select: { id: true } },
+        guest: { select: { seat: { select: { id: true } } } },
+        rsvp: { select: { name: true } }
+      }
+    }),
+    prisma.rSVP.findMany({
+      where: { venue, willAttend: true, guestId: { not: null }, attendees: { none: {} } },
+      select: {
+        name: true,
+        guest: { select: { id: true, name: true, seat: { select: { id: true } } } }
+      }
+    })
+  ])
+
+  const unseated = []
+  const answeredGuestIds = new Set()
+  for (const attendee of attendees) {
+    if (attendee.guestId) {
+      // Latest answer per guest wins
+      if (answeredGuestIds.has(attendee.guestId)) continue
+      answeredGuestIds.add(attendee.guestId)
+      if (attendee.attending && !attendee.guest?.seat) {
+        unseated.push({ guestId: attendee.guestId, attendeeId: null, name: attendee.name, isPlusOne: false, rsvpName: attendee.rsvp.name })
+      }
+    } else if (attendee.attending && !attendee.seat) {
+      unseated.push({ guestId: null, attendeeId: attendee.id, name: attendee.name, isPlusOne: attendee.isPlusOne, rsvpName: attendee.rsvp.name })
+    }
+  }
+  for (const rsvp of legacyRsvps) {
+    if (answeredGuestIds.has(rsvp.guest.id) || rsvp.guest.seat) continue
+    unseated.push({ guestId: rsvp.guest.id, attendeeId: null, name: rsvp.guest.name, isPlusOne: false, rsvpName: rsvp.name })
+  }
+
+  const formattedTables = tables.map(formatTable)
+
+  return {
+    venue,
+    tables: formattedTables,
+    totals: {
+      tables: formattedTables.length,
+      capacity: formattedTables.reduce((sum, table) => sum + table.capacity, 0),
+      seated: formattedTables.reduce((sum, table) => sum + table.seated, 0)
+    },
+    unseated
+  }
+}
@@ -0,0 +1,415 @@
+/**
+ * Upload Session Service
+ *
+ * Resumable, chunked video uploads for the gallery. The client starts a
+ * session with the file's name, type and size, then sends the file in parts
+ * of `partSize` bytes (in any order, retried as often as needed); each part
+ * is streamed straight into an R2 multipart upload and recorded here. After a
+ * dropped connection the client reads the session to see which parts arrived
+ * and sends only the rest.
+ *
+ * Completing a session assembles the object in R2, then extracts metadata
+ * and a thumbnail from it and creates the gallery media. Completing again
+ * returns the same media, so a client that lost the response can retry.
+ *
+ * @module services/uploadSessionService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { scheduleEvery } from '../utils/scheduler.js'
+import { MEDIA_CONFIG } from '../config/media.js'
+import { storageService } from './storageService.js'
+import { galleryMediaService } from './galleryMediaService.js'
+
+const RESUMABLE = MEDIA_CONFIG.videos.resumable
+
+/**
+ * Most parts in an R2 multipart upload
+ */
+const MAX_PARTS = 10000
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. UPLOAD_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra] - Extra properties copied onto the error
+ * @returns {Error} Error with `code` property
+ */
+const uploadError = (code, message, extra = {}) => {
+  const error = new Error(message)
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+/**
+ * Number of parts a session's file is split into
+ *
+ * @param {Object} session - UploadSession
+ * @returns {number} Part count
+ */
+const partCountOf = (session) => Math.max(1, Math.ceil(Number(session.size) / session.partSize))
+
+/**
+ * Size a part must have (every part is partSize except the last)
+ *
+ * @param {Object} session - UploadSession
+ * @param {number} partNumber - Part number (1-based)
+ * @returns {number} Part size in bytes
+ */
+const expectedPartSize = (session, partNumber) => {
+  const partCount = partCountOf(session)
+  return partNumber < partCount
+    ? session.partSize
+    : Number(session.size) - session.partSize * (partCount - 1)
+}
+
+/**
+ * API shape of a session
+ *
+ * @param {Object} session - UploadSession with parts
+ * @returns {Object} Session with upload progress (uploadedParts,
+ *   missingParts, bytesUploaded)
+ */
+const formatSession = (session) => {
+  const parts = session.parts || []
+  const partCount = partCountOf(session)
+  const uploaded = new Set(parts.map(part => part.partNumber))
+  const missingParts = session.status === 'uploading'
+    ? Array.from({ length: partCount }, (_, i) => i + 1).filter(partNumber => !uploaded.has(partNumber))
+    : []
+
+  return {
+    id: session.id,
+    filename: session.filename,
+    mimeType: session.mimeType,
+    size: Number(session.size),
+    partSize: session.partSize,
+    partCount,
+    uploadedParts: [...uploaded].sort((a, b) => a - b),
+    missingParts,
+    bytesUploaded: parts.reduce((sum, part) => sum + part.size, 0),
+    status: session.status,
+    error: session.error,
+    mediaId: session.mediaId,
+    metadata: session.metadata,
+    createdBy: session.createdBy,
+    expiresAt: session.expiresAt,
+    completedAt: session.completedAt,
+    createdAt: session.createdAt
+  }
+}
+
+const PARTS_INCLUDE = { parts: { select: { partNumber: true, size: true, etag: true } } }
+
+/**
+ * Load a session with its parts or throw
+ *
+ * @param {string} id - Session UUID
+ * @returns {Promise<Object>} UploadSession with parts
+ * @throws {Error} UPLOAD_NOT_FOUND
+ */
+const findSessionOrThrow = async (id) => {
+  const prisma = getPrismaClient()
+  const session = await prisma.uploadSession.findUnique({ where: { id }, include: PARTS_INCLUDE })
+  if (!session) {
+    throw uploadError('UPLOAD_NOT_FOUND', 'Upload not found')
+  }
+  return session
+}
+
+/**
+ * Ensure a session still accepts parts
+ *
+ * @param {Object} session - UploadSession
+ * @throws {Error} UPLOAD_NOT_ACTIVE, UPLOAD_EXPIRED
+ */
+const assertUploading = (session) => {
+  if (session.status !== 'uploading') {
+    throw uploadError('UPLOAD_NOT_ACTIVE', `Upload is ${session.status}`, { status: session.status })
+  }
+  if (session.expiresAt < new Date()) {
+    throw uploadError('UPLOAD_EXPIRED', 'Upload expired; start a new one')
+  }
+}
+
+/**
+ * Start a resumable video upload
+ *
+ * @param {Object} file - The file to upload
+ * @param {string} file.filename - Original filename
+ * @param {string} file.mimeType - Video MIME type
+ * @param {number} file.size - Size in bytes
+ * @param {Object} [file.metadata] - Gallery fields for the media record
+ *   (title, caption, alt, category, featured, displayOrder, location,
+ *   photographer, dateTaken, venue)
+ * @param {Object} [options] - Options
+ * @param {string} [options.createdBy] - Email of the admin
+ * @returns {Promise<Object>} Session (formatSession shape)
+ * @throws {Error} INVALID_FILE_TYPE, FILE_TOO_LARGE
+ */
+export const createUploadSession = async ({ filename, mimeType, size, metadata = {} }, { createdBy } = {}) => {
+  const { allowedTypes } = MEDIA_CONFIG.videos
+  if (!allowedTypes.includes(mimeType)) {
+    throw uploadError('INVALID_FILE_TYPE', `Invalid video type. Allowed: ${allowedTypes.join(', ')}`)
+  }
+  if (size > RESUMABLE.maxSize) {
+    const maxMB = (RESUMABLE.maxSize / 1024 / 1024).toFixed(0)
+    throw uploadError('FILE_TOO_LARGE', `File too large. Max size for resumable uploads: ${maxMB}MB`)
+  }
+
+  // Larger parts for files that would need more than R2 allows
+  const partSize = Math.max(RESUMABLE.partSize, Math.ceil(size / MAX_PARTS))
+
+  const r2Key = storageService.generateGalleryKey('videos', filename, 'original')
+  const r2UploadId = await storageService.createMultipartUpload(r2Key, mimeType)
+
+  const prisma = getPrismaClient()
+  const session = await prisma.uploadSession.create({
+    data: {
+      r2Key,
+      r2UploadId,
+      filename,
+      mimeType,
+      size: BigInt(size),
+      partSize,
+      metadata,
+      createdBy: createdBy || null,
+      expiresAt: new Date(Date.now() + RESUMABLE.expiryHours * 60 * 60 * 1000)
+    }
+  })
+
+  console.log(`📤 Resumable upload started: ${session.id} (${filename}, ${partCountOf(session)} parts)`)
+
+  return formatSession({ ...session, parts: [] })
+}
+
+/**
+ * Get a session and its upload progress
+ *
+ * @param {string} id - Session UUID
+ * @returns {Promise<Object>} Session (formatSession shape)
+ * @throws {Error} UPLOAD_NOT_FOUND
+ */
+export const getUploadSession = async (id) => formatSession(await findSessionOrThrow(id))
+
+/**
+ * List uploads that can still be resumed
+ *
+ * @returns {Promise<Object[]>} Sessions (formatSession shape), newest first
+ */
+export const listActiveUploadSessions = async () => {
+  const prisma = getPrismaClient()
+  const sessions = await prisma.uploadSession.findMany({
+    where: { status: 'uploading', expiresAt: { gt: new Date() } },
+    include: PARTS_INCLUDE,
+    orderBy: { createdAt: 'desc' }
+  })
+  return sessions.map(formatSession)
+}
+
+/**
+ * Stream one part of the file to R2
+ *
+ * Sending a part again replaces it, so a part interrupted by a dropped
+ * connection is simply sent again.
+ *
+ * @param {string} id - Session UUID
+ * @param {number} partNumber - Part number (1 to partCount)
+ * @param {import('node:stream').Readable} body - Part data (e.g. the request)
+ * @param {number} contentLength - Bytes in body
+ * @returns {Promise<Object>} { partNumber, size }
+ * @throws {Error} UPLOAD_NOT_FOUND, UPLOAD_NOT_ACTIVE, UPLOAD_EXPIRED,
+ *   INVALID_PART, PART_SIZE_MISMATCH
+ */
+export const uploadPart = async (id, partNumber, body, contentLength) => {
+  const prisma = getPrismaClient()
+  const session = await prisma.uploadSession.findUnique({ where: { id } })
+  if (!session) {
+    throw uploadError('UPLOAD_NOT_FOUND', 'Upload not found')
+  }
+  assertUploading(session)
+
+  const partCount = partCountOf(session)
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > partCount) {
+    throw uploadError('INVALID_PART', `Part number must be between 1 and ${partCount}`)
+  }
+
+  const size = expectedPartSize(session, partNumber)
+  if (contentLength !== size) {
+    throw uploadError('PART_SIZE_MISMATCH', `Part ${partNumber} must be exactly ${size} bytes`, { expectedSize: size })
+  }
+
+  const etag = await storageService.uploadPart(session.r2Key, session.r2UploadId, partNumber, body, size)
+
+  await prisma.uploadSessionPart.upsert({
+    where: { sessionId_partNumber: { sessionId: id, partNumber } },
+    create: { sessionId: id, partNumber, etag, size },
+    update: { etag, size, uploadedAt: new Date() }
+  })
+
+  return { partNumber, size }
+}
+
+/**
+ * Assemble the uploaded parts and create the gallery media
+ *
+ * @param {string} id - Session UUID
+ * @returns {Promise<Object>} { session, media, alreadyCompleted } where media
+ *   is the GalleryMedia record; alreadyCompleted is true when an earlier
+ *   call finished the upload
+ * @throws {Error} UPLOAD_NOT_FOUND, UPLOAD_NOT_ACTIVE, UPLOAD_EXPIRED,
+ *   UPLOAD_INCOMPLETE (with `missingParts`), UPLOAD_PROCESSING,
+ *   UPLOAD_PROCESSING_FAILED
+ */
+export const completeUploadSession = async (id) => {
+  const prisma = getPrismaClient()
+  const session = await findSessionOrThrow(id)
+
+  if (session.status === 'completed' && session.mediaId) {
+    const media = await galleryMediaService.getMediaById(session.mediaId)
+    if (media) {
+      return { session: formatSession(session), media, alreadyCompleted: true }
+    }
+  }
+  if (session.status === 'processing') {
+    throw uploadError('UPLOAD_PROCESSING', 'Upload is being processed; check its status again shortly')
+  }
+  assertUploading(session)
+
+  const { missingParts } = formatSession(session)
+  if (missingParts.length) {
+    throw uploadError('UPLOAD_INCOMPLETE', `${missingParts.length} part(s) not uploaded yet`, { missingParts })
+  }
+
+  // Only one request gets to process the upload
+  const claimed = await prisma.uploadSession.updateMany({
+    where: { id, status: 'uploading' },
+    data: { status: 'processing' }
+  })
+  if (!claimed.count) {
+    throw uploadError('UPLOAD_PROCESSING', 'Upload is being processed; check its status again shortly')
+  }
+
+  const parts = [...session.parts].sort((a, b) => a.partNumber - b.partNumber)
+  try {
+    await storageService.completeMultipartUpload(session.r2Key, session.r2UploadId, parts)
+  } catch (error) {
+    // Parts are still in R2: let the client try completing again
+    await prisma.uploadSession.update({ where: { id }, data: { status: 'uploading' } })
+    throw error
+  }
+
+  const file = {
+    originalname: session.filename,
+    mimetype: session.mimeType,
+    size: Number(session.size)
+  }
+  const metadata = {
+    ...session.metadata,
+    dateTaken: session.metadata.dateTaken ? new Date(session.metadata.dateTaken) : null
+  }
+
+  let uploadResult = null
+  try {
+    uploadResult = await galleryMediaService.processStoredVideo(session.r2Key, file, metadata)
+    const media = await galleryMediaService.createMediaRecord(uploadResult, metadata)
+
+    const completed = await prisma.uploadSession.update({
+      where: { id },
+      data: { status: 'completed', mediaId: media.id, completedAt: new Date() },
+      include: PARTS_INCLUDE
+    })
+
+    console.log(`✅ Resumable upload completed: ${id} -> media ${media.id}`)
+
+    return { session: formatSession(completed), media, alreadyCompleted: false }
+  } catch (error) {
+    // Not a usable video: drop the assembled object (and thumbnail, if any)
+    await galleryMediaService.deleteMediaFiles(uploadResult?.r2Keys || { original: session.r2Key }, 'video')
+    await prisma.uploadSession.update({
+      where: { id },
+      data: { status: 'failed', error: error.message.slice(0, 500) }
+    })
+
+    throw uploadError('UPLOAD_PROCESSING_FAILED', `Video could not be processed: ${error.message}`)
+  }
+}
+
+/**
+ * Abort an upload, discarding the parts sent so far
+ *
+ * Aborting an aborted upload does nothing.
+ *
+ * @param {string} id - Session UUID
+ * @returns {Promise<Object>} Session (formatSession shape)
+ * @throws {Error} UPLOAD_NOT_FOUND, UPLOAD_NOT_ACTIVE
+ */
+export const abortUploadSession = async (id) => {
+  const prisma = getPrismaClient()
+  const session = await findSessionOrThrow(id)
+  if (session.status === 'aborted') {
+    return formatSession(session)
+  }
+
+  const claimed = await prisma.uploadSession.updateMany({
+    where: { id, status: 'uploading' },
+    data: { status: 'aborted' }
+  })
+  if (!claimed.count) {
+    const { status } = await prisma.uploadSession.findUnique({ where: { id }, select: { status: true } })
+    throw uploadError('UPLOAD_NOT_ACTIVE', `Upload is ${status}`, { status })
+  }
+
+  try {
+    await storageService.abortMultipartUpload(session.r2Key, session.r2UploadId)
+  } catch (error) {
+    // R2 discards abandoned multipart uploads on its own eventually
+    console.error(`❌ Failed to abort R2 upload for ${id}:`, error.message)
+  }
+
+  console.log(`🛑 Resumable upload aborted: ${id}`)
+
+  return formatSession({ ...session, status: 'aborted' })
+}
+
+/**
+ * Abort unfinished uploads past their expiry
+ *
+ * @returns {Promise<number>} Number of uploads aborted
+ */
+export const abortExpiredUploads = async () => {
+  const prisma = getPrismaClient()
+  const expired = await prisma.uploadSession.findMany({
+    where: { status: 'uploading', expiresAt: { lt: new Date() } },
+    select: { id: true, r2Key: true, r2UploadId: true },
+    take: 100
+  })
+
+  let aborted = 0
+  for (const session of expired) {
+    try {
+      await storageService.abortMultipartUpload(session.r2Key, session.r2UploadId)
+      await prisma.uploadSession.update({
+        where: { id: session.id },
+        data: { status: 'aborted', error: 'Expired before completion' }
+      })
+      aborted++
+    } catch (error) {
+      console.error(`❌ Failed to abort expired upload ${session.id}:`, error.message)
+    }
+  }
+
+  if (aborted) {
+    console.log(`🧹 Aborted ${aborted} expired upload(s)`)
+  }
+  return aborted
+}
+
+/**
+ * Start the worker that aborts expired uploads (hourly)
+ *
+ * @returns {Function} Stops the worker
+ */
+export const startUploadCleanupWorker = () => scheduleEvery('Expired upload cleanup', 60 * 60 * 1000, abortExpiredUploads)
@@ -2,16 +2,45 @@
  * Video Processing Service
  * 
  * Handles video thumbnail generation and metadata extraction using FFmpeg.
- * Provides utilities for video validation and processing.
+ * Provides utilities for video validation and processing. FFmpeg reads from
+ * temporary files: uploaded buffers are written out, videos in R2 are
+ * streamed down.
  * 
  * @module services/videoProcessingService
  */
 
+import crypto from 'node:crypto'
+import { readFile, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
 import ffmpeg from 'fluent-ffmpeg'
 import sharp from 'sharp'
 import { MEDIA_CONFIG } from '../config/media.js'
 import { storageService } from './storageService.js'
 
+/**
+ * Unique path in the temp directory
+ * 
+ * @param {string} prefix - File name prefix
+ * @param {string} ext - Extension including the dot
+ * @returns {string} File path
+ */
+const tempPath = (prefix, ext) => path.join(os.tmpdir(), `${prefix}-${crypto.randomUUID()}${ext}`)
+
+/**
+ * Remove a temporary file, logging (not throwing) on failure
+ * 
+ * @param {string} filePath - File path
+ * @returns {Promise<void>}
+ */
+const removeTempFile = async (filePath) => {
+  try {
+    await rm(filePath, { force: true })
+  } catch (error) {
+    console.error('Failed to clean up temp file:', error)
+  }
+}
+
 /**
  * Video Processing Service Class
  * 
@@ -48,28 +77,32 @@ class VideoProcessingService {
   }
 
   /**
-   * Extract video metadata
+   * Run a task on a buffer written to a temporary file
    * 
-   * @param {Buffer} buffer - Video buffer
+   * @param {Buffer} buffer - File contents
+   * @param {Function} task - Async (filePath) => result
+   * @returns {Promise<*>} The task's result (the file is removed either way)
+   */
+  async withTempFile(buffer, task) {
+    const filePath = tempPath('video', '.mp4')
+    await writeFile(filePath, buffer)
+    try {
+      return await task(filePath)
+    } finally {
+      await removeTempFile(filePath)
+    }
+  }
+
+  /**
+   * Extract metadata from a video file on disk
+   * 
+   * @param {string} filePath - Video file path
    * @returns {Promise<Object>} Video metadata
    */
-  async extractMetadata(buffer) {
+  async probeFile(filePath) {
     return new Promise((resolve, reject) => {
-      // Create temporary file path for FFmpeg processing
-      const tempPath = `/tmp/video-${Date.now()}.mp4`
-      
-      // Write buffer to temp file
-      require('node:fs').writeFileSync(tempPath, buffer)
-
-      ffmpeg(tempPath)
+      ffmpeg(filePath)
         .ffprobe((err, metadata) => {
-          // Clean up temp file
-          try {
-            require('node:fs').unlinkSync(tempPath)
-          } catch (error_) {
-            console.error('Failed to clean up temp file:', error_)
-          }
-
           if (err) {
             reject(new Error(`Failed to extract video metadata: ${err.message}`))
             return
@@ -95,6 +128,16 @@ class VideoProcessingService {
     })
   }
 
+  /**
+   * Extract video metadata
+   * 
+   * @param {Buffer} buffer - Video buffer
+   * @returns {Promise<Object>} Video metadata
+   */
+  async extractMetadata(buffer) {
+    return this.withTempFile(buffer, filePath => this.probeFile(filePath))
+  }
+
   /**
    * Calculate FPS from frame rate string
    * 
@@ -113,65 +156,70 @@ class VideoProcessingService {
   }
 
   /**
-   * Generate thumbnail from video
+   * Generate an optimized thumbnail from a video file on disk
    * 
-   * @param {Buffer} videoBuffer - Video file buffer
-   * @param {string} originalFilename - Original video filename
-   * @returns {Promise<Buffer>} Thumbnail image buffer
+   * @param {string} filePath - Video file path
+   * @returns {Promise<Buffer>} Thumbnail image buffer (WebP)
    */
-  async generateThumbnail(videoBuffer, originalFilename) {
-    return new Promise((resolve, reject) => {
-      const tempVideoPath = `/tmp/video-${Date.now()}.mp4`
-      const tempThumbPath = `/tmp/thumb-${Date.now()}.png`
-      
-      // Write buffer to temp file
-      require('node:fs').writeFileSync(tempVideoPath, videoBuffer)
+  async thumbnailFromFile(filePath) {
+    const thumbPath = tempPath('thumb', '.png')
 
-      ffmpeg(tempVideoPath)
+    await new Promise((resolve, reject) => {
+      ffmpeg(filePath)
         .screenshots({
           timestamps: [this.thumbnailTime],
-          filename: require('node:path').basename(tempThumbPath),
-          folder: require('node:path').dirname(tempThumbPath),
+          filename: path.basename(thumbPath),
+          folder: path.dirname(thumbPath),
           size: `${this.thumbnailSize.width}x${this.thumbnailSize.height}`,
         })
-        .on('end', async () => {
-          try {
-            // Read generated thumbnail
-            const thumbnailBuffer = require('node:fs').readFileSync(tempThumbPath)
-            
-            // Process with Sharp for optimization
-            const optimizedBuffer = await sharp(thumbnailBuffer)
-              .resize(this.thumbnailSize.width, this.thumbnailSize.height, {
-                fit: this.thumbnailSize.fit,
-                withoutEnlargement: true,
-              })
-              .webp({ quality: MEDIA_CONFIG.images.quality.webp })
-              .toBuffer()
-
-            // Clean up temp files
-            try {
-              require('node:fs').unlinkSync(tempVideoPath)
-              require('node:fs').unlinkSync(tempThumbPath)
-            } catch (error_) {
-              console.error('Failed to clean up temp files:', error_)
-            }
-
-            resolve(optimizedBuffer)
-          } catch (err) {
-            reject(new Error(`Failed to process thumbnail: ${err.message}`))
-          }
-        })
-        .on('error', (err) => {
-          // Clean up temp files on error
-          try {
-            require('node:fs').unlinkSync(tempVideoPath)
-          } catch (error_) {
-            console.error('Failed to clean up temp video file:', error_)
-          }
-          
-          reject(new Error(`Failed to generate thumbnail: ${err.message}`))
-        })
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to generate thumbnail: ${err.message}`)))
     })
+
+    try {
+      // Process with Sharp for optimization
+      return await sharp(await readFile(thumbPath))
+        .resize(this.thumbnailSize.width, this.thumbnailSize.height, {
+          fit: this.thumbnailSize.fit,
+          withoutEnlargement: true,
+        })
+        .webp({ quality: MEDIA_CONFIG.images.quality.webp })
+        .toBuffer()
+    } catch (err) {
+      throw new Error(`Failed to process thumbnail: ${err.message}`)
+    } finally {
+      await removeTempFile(thumbPath)
+    }
+  }
+
+  /**
+   * Generate thumbnail from video
+   * 
+   * @param {Buffer} videoBuffer - Video file buffer
+   * @param {string} originalFilename - Original video filename
+   * @returns {Promise<Buffer>} Thumbnail image buffer
+   */
+  async generateThumbnail(videoBuffer, originalFilename) {
+    return this.withTempFile(videoBuffer, filePath => this.thumbnailFromFile(filePath))
+  }
+
+  /**
+   * Generate a video's thumbnail and upload it to R2
+   * 
+   * @param {string} filePath - Video file path
+   * @param {string} originalFilename - Original filename
+   * @returns {Promise<Object>} { thumbnailUrl, thumbnailKey }
+   */
+  async uploadThumbnail(filePath, originalFilename) {
+    const thumbnailKey = storageService.generateGalleryKey('videos', originalFilename, 'thumbnail')
+    const thumbnailBuffer = await this.thumbnailFromFile(filePath)
+    const thumbnailUrl = await storageService.upload(
+      thumbnailBuffer,
+      thumbnailKey,
+      'image/webp'
+    )
+
+    return { thumbnailUrl, thumbnailKey }
   }
 
   /**
@@ -186,42 +234,76 @@ class VideoProcessingService {
       // Validate video
       this.validateVideo(file)
 
-      // Extract metadata
-      const metadata = await this.extractMetadata(file.buffer)
+      const result = await this.withTempFile(file.buffer, async (filePath) => {
+        // Extract metadata (rejects files without a video stream)
+        const metadata = await this.probeFile(filePath)
 
-      // Generate R2 keys
-      const videoKey = storageService.generateGalleryKey('videos', originalFilename, 'original')
-      const thumbnailKey = storageService.generateGalleryKey('videos', originalFilename, 'thumbnail')
+        // Upload original video
+        const videoKey = storageService.generateGalleryKey('videos', originalFilename, 'original')
+        const videoUrl = await storageService.upload(
+          file.buffer,
+          videoKey,
+          file.mimetype
+        )
 
-      // Upload original video
-      const videoUrl = await storageService.upload(
-        file.buffer,
-        videoKey,
-        file.mimetype
-      )
+        // Generate and upload thumbnail
+        const { thumbnailUrl, thumbnailKey } = await this.uploadThumbnail(filePath, originalFilename)
 
-      // Generate and upload thumbnail
-      const thumbnailBuffer = await this.generateThumbnail(file.buffer, originalFilename)
-      const thumbnailUrl = await storageService.upload(
-        thumbnailBuffer,
-        thumbnailKey,
-        'image/webp'
-      )
+        return {
+          originalUrl: videoUrl,
+          thumbnailUrl,
+          r2Keys: {
+            original: videoKey,
+            thumbnail: thumbnailKey,
+          },
+          metadata,
+        }
+      })
 
       console.log(`✅ Video uploaded successfully with thumbnail`)
 
+      return result
+    } catch (error) {
+      console.error(`❌ Video upload failed:`, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Process a video already stored in R2 (e.g. assembled from a resumable upload)
+   * 
+   * Downloads it to a temporary file, extracts metadata and uploads a
+   * thumbnail, so large videos never sit in memory.
+   * 
+   * @param {string} key - R2 key of the video
+   * @param {string} originalFilename - Original filename
+   * @returns {Promise<Object>} Same shape as uploadVideo
+   */
+  async processStoredVideo(key, originalFilename) {
+    const filePath = tempPath('video', path.extname(originalFilename) || '.mp4')
+
+    try {
+      await storageService.downloadToFile(key, filePath)
+
+      const metadata = await this.probeFile(filePath)
+      const { thumbnailUrl, thumbnailKey } = await this.uploadThumbnail(filePath, originalFilename)
+
+      console.log(`✅ Stored video processed with thumbnail: ${key}`)
+
       return {
-        originalUrl: videoUrl,
+        originalUrl: storageService.generatePublicUrl(key),
         thumbnailUrl,
         r2Keys: {
-          original: videoKey,
+          original: key,
           thumbnail: thumbnailKey,
         },
         metadata,
       }
     } catch (error) {
-      console.error(`❌ Video upload failed:`, error.message)
+      console.error(`❌ Stored video processing failed for ${key}:`, error.message)
       throw error
+    } finally {
+      await removeTempFile(filePath)
     }
   }
 
@@ -0,0 +1,547 @@
+/**
+ * Webhook Service
+ *
+ * Outbound webhooks for integrations (Zapier-like tools, chat bots). Admins
+ * subscribe a URL to events; every matching event is POSTed as JSON, signed
+ * with the subscription's secret, and logged as a delivery.
+ *
+ * Failed deliveries (network error, timeout or non-2xx response) are retried
+ * with exponential backoff by the retry worker until WEBHOOK_MAX_ATTEMPTS is
+ * reached. Emitting never fails the request that triggered the event.
+ *
+ * Signature: `X-Webhook-Signature: t=<unix seconds>,v1=<hex>` where v1 is
+ * HMAC-SHA256 of `<t>.<raw body>` with the subscription secret.
+ *
+ * @module services/webhookService
+ */
+
+import crypto from 'crypto'
+import { getPrismaClient } from '../utils/database.js'
+import { scheduleEvery } from '../utils/scheduler.js'
+import { signWebhookPayload } from '../utils/webhookSignature.js'
+
+/**
+ * Events that can be subscribed to
+ */
+export const WEBHOOK_EVENTS = {
+  RSVP_CREATED: 'rsvp.created',
+  RSVP_UPDATED: 'rsvp.updated',
+  RSVP_DELETED: 'rsvp.deleted',
+  GUEST_CREATED: 'guest.created',
+  GALLERY_MEDIA_UPLOADED: 'gallery.media.uploaded'
+}
+
+/**
+ * Event sent by the "test" endpoint (not subscribable)
+ */
+const PING_EVENT = 'ping'
+
+/**
+ * First retry delay; doubles with every attempt up to MAX_RETRY_DELAY_MS
+ */
+const BASE_RETRY_DELAY_MS = 60 * 1000
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000
+
+/**
+ * How long a delivery being attempted is hidden from the retry worker
+ */
+const ATTEMPT_LEASE_MS = 2 * 60 * 1000
+
+/**
+ * Characters of the receiver's response kept in the delivery log
+ */
+const RESPONSE_BODY_LIMIT = 2000
+
+/**
+ * Delivery fields shown in delivery lists (payload and response body are
+ * only returned for a single delivery)
+ */
+const DELIVERY_SUMMARY_SELECT = {
+  id: true,
+  subscriptionId: true,
+  event: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  lastAttemptAt: true,
+  responseStatus: true,
+  error: true,
+  durationMs: true,
+  deliveredAt: true,
+  createdAt: true
+}
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6')
+const getTimeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000')
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. WEBHOOK_NOT_FOUND)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const webhookError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Generate a signing secret
+ *
+ * @returns {string} e.g. "whsec_3q2+7w..."
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`
+
+/**
+ * Hide the secret of a subscription (only shown on create and rotation)
+ *
+ * @param {Object} subscription - WebhookSubscription record
+ * @returns {Object} Subscription with `secretHint` instead of `secret`
+ */
+const toPublicSubscription = ({ secret, _count, ...subscription }) => ({
+  ...subscription,
+  secretHint: `${secret.slice(0, 6)}…${secret.slice(-4)}`,
+  ...(_count && { failedDeliveries: _count.deliveries })
+})
+
+/**
+ * Delay before the next attempt after a failed one
+ *
+ * @param {number} attempts - Attempts made so far (1-based)
+ * @returns {number} Milliseconds (1m, 2m, 4m, ... capped at 1h)
+ */
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+
+/**
+ * List webhook subscriptions with their failed delivery count
+ *
+ * @returns {Promise<Object[]>} Subscriptions (without secrets), newest first
+ */
+export const listWebhookSubscriptions = async () => {
+  const prisma = getPrismaClient()
+  const subscriptions = await prisma.webhookSubscription.findMany({
+    orderBy: { createdAt: 'desc' },
+    include: {
+      _count: { select: { deliveries: { where: { status: 'failed' } } } }
+    }
+  })
+  return subscriptions.map(toPublicSubscription)
+}
+
+/**
+ * Get a webhook subscription
+ *
+ * @param {string} id - Subscription UUID
+ * @returns {Promise<Object|null>} Subscription (without secret) or null
+ */
+export const getWebhookSubscription = async (id) => {
+  const prisma = getPrismaClient()
+  const subscription = await prisma.webhookSubscription.findUnique({ where: { id } })
+  return subscription && toPublicSubscription(subscription)
+}
+
+/**
+ * Load a subscription or throw
+ *
+ * @param {string} id - Subscription UUID
+ * @returns {Promise<Object>} Subscription record (with secret)
+ * @throws {Error} WEBHOOK_NOT_FOUND
+ */
+const findSubscriptionOrThrow = async (id) => {
+  const prisma = getPrismaClient()
+  const subscription = await prisma.webhookSubscription.findUnique({ where: { id } })
+  if (!subscription) {
+    throw webhookError('WEBHOOK_NOT_FOUND', 'Webhook not found')
+  }
+  return subscription
+}
+
+/**
+ * Create a webhook subscription
+ *
+ * @param {Object} data - Subscription data
+ * @param {string} data.url - Receiver URL
+ * @param {string[]} data.events - Events to deliver (see WEBHOOK_EVENTS)
+ * @param {string} [data.description] - What the webhook is for
+ * @param {boolean} [data.isActive=true] - Deliver events
+ * @returns {Promise<Object>} Created subscription, including its secret
+ */
+export const createWebhookSubscription = async ({ url, events, description, isActive = true }) => {
+  const prisma = getPrismaClient()
+  const subscription = await prisma.webhookSubscription.create({
+    data: {
+      url,
+      events: [...new Set(events)],
+      description: description?.trim() || null,
+      isActive,
+      secret: generateWebhookSecret()
+    }
+  })
+  return { ...toPublicSubscription(subscription), secret: subscription.secret }
+}
+
+/**
+ * Update a webhook subscription
+ *
+ * @param {string} id - Subscription UUID
+ * @param {Object} data - Fields to update (url, events, description, isActive)
+ * @returns {Promise<Object>} Updated subscription (without secret)
+ * @throws {Error} WEBHOOK_NOT_FOUND
+ */
+export const updateWebhookSubscription = async (id, { url, events, description, isActive }) => {
+  await findSubscriptionOrThrow(id)
+
+  const data = {}
+  if (url !== undefined) data.url = url
+  if (events !== undefined) data.events = [...new Set(events)]
+  if (description !== undefined) data.description = description?.trim() || null
+  if (isActive !== undefined) data.isActive = isActive
+
+  const prisma = getPrismaClient()
+  const subscription = await prisma.webhookSubscription.update({ where: { id }, data })
+  return toPublicSubscription(subscription)
+}
+
+/**
+ * Delete a webhook subscription and its delivery log
+ *
+ * @param {string} id - Subscription UUID
+ * @returns {Promise<Object>} Deleted subscription (without secret)
+ * @throws {Error} WEBHOOK_NOT_FOUND
+ */
+export const deleteWebhookSubscription = async (id) => {
+  const subscription = await findSubscriptionOrThrow(id)
+
+  const prisma = getPrismaClient()
+  await prisma.webhookSubscription.delete({ where: { id } })
+  return toPublicSubscription(subscription)
+}
+
+/**
+ * Replace a subscription's signing secret
+ *
+ * The old secret stops working immediately, including for retries.
+ *
+ * @param {string} id - Subscription UUID
+ * @returns {Promise<Object>} Subscription including the new secret
+ * @throws {Error} WEBHOOK_NOT_FOUND
+ */
+export const rotateWebhookSecret = async (id) => {
+  await findSubscriptionOrThrow(id)
+
+  const prisma = getPrismaClient()
+  const subscription = await prisma.webhookSubscription.update({
+    where: { id },
+    data: { secret: generateWebhookSecret() }
+  })
+  return { ...toPublicSubscription(subscription), secret: subscription.secret }
+}
+
+/**
+ * Make one delivery attempt and record the outcome
+ *
+ * @param {Object} delivery - WebhookDelivery record
+ * @param {Object} subscription - Its subscription (with secret)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.retry=true] - Schedule a retry if the attempt fails
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, subscription, { retry = true } = {}) => {
+  const body = JSON.stringify(delivery.payload)
+  const attempts = delivery.attempts + 1
+  const startedAt = new Date()
+
+  let responseStatus = null
+  let responseBody = null
+  let error = null
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'wedding-guest-management-api-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signWebhookPayload(subscription.secret, Math.floor(startedAt.getTime() / 1000), body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(getTimeoutMs())
+    })
+
+    responseStatus = response.status
+    responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT)
+    if (!response.ok) {
+      error = `Receiver responded with HTTP ${response.status}`
+    }
+  } catch (fetchError) {
+    error = fetchError.name === 'TimeoutError'
+      ? `Timed out after ${getTimeoutMs()}ms`
+      : fetchError.cause?.message || fetchError.message
+  }
+
+  const succeeded = !error
+  const exhausted = !succeeded && (!retry || attempts >= getMaxAttempts())
+
+  if (!succeeded) {
+    console.warn(`⚠️ [Webhooks] ${delivery.event} to ${subscription.url} failed (attempt ${attempts}): ${error}`)
+  }
+
+  const prisma = getPrismaClient()
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts,
+      lastAttemptAt: startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      responseStatus,
+      responseBody,
+      error: error?.slice(0, 500) ?? null,
+      status: succeeded ? 'succeeded' : (exhausted ? 'failed' : 'pending'),
+      nextAttemptAt: succeeded || exhausted ? null : new Date(Date.now() + retryDelay(attempts)),
+      deliveredAt: succeeded ? new Date() : null
+    },
+    select: DELIVERY_SUMMARY_SELECT
+  })
+}
+
+/**
+ * Log a delivery and attempt it right away
+ *
+ * The delivery is leased while the first attempt runs, so the retry worker
+ * only picks it up if this process dies mid-attempt.
+ *
+ * @param {Object} subscription - Subscription (with secret)
+ * @param {string} event - Event name
+ * @param {Object} payload - Body to send
+ * @returns {Promise<Object>} Delivery after the attempt
+ */
+const createAndAttemptDelivery = async (subscription, event, payload) => {
+  const prisma = getPrismaClient()
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      subscriptionId: subscription.id,
+      event,
+      payload,
+      nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE_MS)
+    }
+  })
+  return attemptDelivery(delivery, subscription)
+}
+
+/**
+ * Build the JSON body for an event
+ *
+ * `id` identifies the event (same for every subscription and for manual
+ * redeliveries) so receivers can deduplicate.
+ *
+ * @param {string} event - Event name
+ * @param {Object} data - Event data (the affected record)
+ * @returns {Object} { id, event, createdAt, data }
+ */
+const buildPayload = (event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  // Plain JSON: Dates become ISO strings
+  data: JSON.parse(JSON.stringify(data))
+})
+
+/**
+ * Deliver an event to every active subscription that wants it
+ *
+ * Never throws: call without awaiting from the code that caused the event.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - The affected record
+ * @returns {Promise<void>}
+ *
+ * @example
+ * emitWebhookEvent(WEBHOOK_EVENTS.GUEST_CREATED, guest)
+ */
+export const emitWebhookEvent = (event, data) => emitWebhookEvents(event, [data])
+
+/**
+ * Deliver one event per record (e.g. every guest of an import)
+ *
+ * Records are delivered one after another so a large batch doesn't open a
+ * request per record at once. Never throws.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object[]} records - Affected records
+ * @returns {Promise<void>}
+ */
+export const emitWebhookEvents = async (event, records) => {
+  try {
+    const prisma = getPrismaClient()
+    const subscriptions = await prisma.webhookSubscription.findMany({
+      where: { isActive: true, events: { has: event } }
+    })
+    if (!subscriptions.length) return
+
+    for (const record of records) {
+      const payload = buildPayload(event, record)
+      await Promise.allSettled(subscriptions.map(subscription => (
+        createAndAttemptDelivery(subscription, event, payload)
+      )))
+    }
+  } catch (error) {
+    console.error(`❌ [Webhooks] Failed to emit ${event}:`, error.message)
+  }
+}
+
+/**
+ * Send a "ping" event to a subscription and wait for the result
+ *
+ * Works for inactive subscriptions too, so a receiver can be checked before
+ * it's switched on. Not retried.
+ *
+ * @param {string} id - Subscription UUID
+ * @returns {Promise<Object>} Delivery with the receiver's response
+ * @throws {Error} WEBHOOK_NOT_FOUND
+ */
+export const sendTestWebhook = async (id) => {
+  const subscription = await findSubscriptionOrThrow(id)
+
+  const prisma = getPrismaClient()
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      subscriptionId: subscription.id,
+      event: PING_EVENT,
+      payload: buildPayload(PING_EVENT, { subscriptionId: subscription.id })
+    }
+  })
+
+  await attemptDelivery(delivery, subscription, { retry: false })
+  return getWebhookDelivery(delivery.id)
+}
+
+/**
+ * Send a logged delivery again as a new delivery (same payload and event id)
+ *
+ * @param {string} deliveryId - Delivery UUID
+ * @returns {Promise<Object>} New delivery after its first attempt
+ * @throws {Error} WEBHOOK_DELIVERY_NOT_FOUND
+ */
+export const redeliverWebhook = async (deliveryId) => {
+  const prisma = getPrismaClient()
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { subscription: true }
+  })
+  if (!delivery) {
+    throw webhookError('WEBHOOK_DELIVERY_NOT_FOUND', 'Webhook delivery not found')
+  }
+
+  return createAndAttemptDelivery(delivery.subscription, delivery.event, delivery.payload)
+}
+
+/**
+ * List a subscription's deliveries (newest first)
+ *
+ * @param {string} subscriptionId - Subscription UUID
+ * @param {Object} [options] - Filters and pagination
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @param {string} [options.status] - pending | succeeded | failed
+ * @param {string} [options.event] - Event name
+ * @returns {Promise<Object>} { deliveries, pagination }
+ * @throws {Error} WEBHOOK_NOT_FOUND
+ */
+export const listWebhookDeliveries = async (subscriptionId, { page = 1, limit = 20, status, event } = {}) => {
+  await findSubscriptionOrThrow(subscriptionId)
+
+  const where = {
+    subscriptionId,
+    ...(status && { status }),
+    ...(event && { event })
+  }
+
+  const prisma = getPrismaClient()
+  const [deliveries, total] = await Promise.all([
+    prisma.webhookDelivery.findMany({
+      where,
+      select: DELIVERY_SUMMARY_SELECT,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.webhookDelivery.count({ where })
+  ])
+
+  return {
+    deliveries,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  }
+}
+
+/**
+ * Get a delivery with its payload and the receiver's last response
+ *
+ * @param {string} id - Delivery UUID
+ * @returns {Promise<Object|null>} Delivery or null
+ */
+export const getWebhookDelivery = async (id) => {
+  const prisma = getPrismaClient()
+  return prisma.webhookDelivery.findUnique({ where: { id } })
+}
+
+/**
+ * Retry deliveries whose next attempt is due
+ *
+ * Each delivery is claimed with a conditional update first, so several API
+ * instances can run the worker without sending the same attempt twice.
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.batchSize=50] - Deliveries per run
+ * @returns {Promise<number>} Deliveries attempted
+ */
+export const processDueWebhookDeliveries = async ({ batchSize = 50 } = {}) => {
+  const prisma = getPrismaClient()
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize,
+    include: { subscription: true }
+  })
+
+  let attempted = 0
+  for (const delivery of due) {
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { id: delivery.id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt },
+      data: { nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE_MS) }
+    })
+    if (!count) continue
+
+    if (!delivery.subscription.isActive) {
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'failed', nextAttemptAt: null, error: 'Webhook was disabled before delivery' }
+      })
+      continue
+    }
+
+    await attemptDelivery(delivery, delivery.subscription)
+    attempted++
+  }
+
+  return attempted
+}
+
+/**
+ * Start the retry worker (every WEBHOOK_RETRY_INTERVAL seconds, default 30)
+ *
+ * @returns {Function} Stops the worker
+ */
+export const startWebhookRetryWorker = () => {
+  const intervalSeconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL || '30')
+  return scheduleEvery('Webhook retries', intervalSeconds * 1000, processDueWebhookDeliveries)
+}
@@ -0,0 +1,309 @@
+/**
+ * Wish Moderation Service
+ *
+ * Wishes left with an RSVP only reach the public wall (GET /api/wishes) once
+ * approved or pinned. New or edited wishes are checked against the blocklist:
+ * matches are recorded in wishFlags and always wait for review; clean wishes
+ * are approved straight away when WISH_AUTO_APPROVE=true, otherwise they wait
+ * too.
+ *
+ * Blocklist terms match whole words, ignoring case and Vietnamese diacritics
+ * ("đồ ngốc" also matches "do ngoc").
+ *
+ * @module services/wishModerationService
+ */
+
+import { getPrismaClient } from '../utils/database.js'
+import { publishWishChange } from './liveFeedService.js'
+
+/**
+ * Moderation states (see the WishStatus enum)
+ */
+export const WISH_STATUSES = ['pending', 'approved', 'hidden', 'pinned']
+
+/**
+ * States shown on the public wall
+ */
+export const PUBLIC_WISH_STATUSES = ['approved', 'pinned']
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} code - Error code (e.g. BLOCKED_TERM_EXISTS)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with `code` property
+ */
+const moderationError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Lowercase, strip diacritics and collapse everything but letters and digits
+ * to single spaces
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text, padded with a space on each side
+ *
+ * @example
+ * normalizeForMatch('Đồ  NGỐC!') // => ' do ngoc '
+ */
+const normalizeForMatch = (text) => ` ${text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/gi, 'd')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()} `
+
+/**
+ * Find the blocklist terms a text contains
+ *
+ * @param {string} text - Wishes text
+ * @param {string[]} terms - Blocklist terms
+ * @returns {string[]} Matching terms
+ */
+export const findBlockedTerms = (text, terms) => {
+  const normalized = normalizeForMatch(text)
+  return terms.filter(term => {
+    const needle = normalizeForMatch(term)
+    return needle.trim() && normalized.includes(needle)
+  })
+}
+
+/**
+ * Moderation fields for a new or edited wishes text
+ *
+ * @param {string|null} wishes - Wishes text (empty: nothing to moderate)
+ * @returns {Promise<Object>} { wishStatus, wishFlags, wishModeratedAt, wishModeratedBy }
+ *   to merge into the RSVP create/update data
+ */
+export const moderateWishes = async (wishes) => {
+  const reset = { wishModeratedAt: null, wishModeratedBy: null }
+  if (!wishes) {
+    return { wishStatus: 'pending', wishFlags: [], ...reset }
+  }
+
+  const wishFlags = findBlockedTerms(wishes, await listBlockedTermValues())
+  const autoApprove = !wishFlags.length && process.env.WISH_AUTO_APPROVE === 'true'
+
+  return { wishStatus: autoApprove ? 'approved' : 'pending', wishFlags, ...reset }
+}
+
+/**
+ * Where clause for RSVPs with a non-empty wishes text
+ */
+const HAS_WISHES = {
+  AND: [{ wishes: { not: null } }, { wishes: { not: '' } }]
+}
+
+/**
+ * Fields shown in the moderation queue
+ */
+const WISH_SELECT = {
+  id: true,
+  name: true,
+  venue: true,
+  wishes: true,
+  wishStatus: true,
+  wishFlags: true,
+  wishModeratedAt: true,
+  wishModeratedBy: true,
+  createdAt: true,
+  updatedAt: true
+}
+
+/**
+ * List wishes for moderation
+ *
+ * @param {Object} [options] - Query options
+ * @param {string} [options.status] - Only this state
+ * @param {boolean} [options.flagged] - Only wishes that matched the blocklist
+ * @param {string} [options.venue] - Only this event
+ * @param {string} [options.search] - Case-insensitive match on name or wishes
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @returns {Promise<Object>} { wishes, counts, pagination } where counts is
+ *   the number of wishes per state (ignoring the status filter)
+ */
+export const listWishesForModeration = async ({ status, flagged, venue, search, page = 1, limit = 20 } = {}) => {
+  const prisma = getPrismaClient()
+
+  const base = {
+    ...HAS_WISHES,
+    ...(venue && { venue }),
+    ...(flagged && { NOT: { wishFlags: { isEmpty: true } } }),
+    ...(search && {
+      OR: [
+        { name: { contains: search, mode: 'insensitive' } },
+        { wishes: { contains: search, mode: 'insensitive' } }
+      ]
+    })
+  }
+  const where = { ...base, ...(status && { wishStatus: status }) }
+
+  const [wishes, total, grouped] = await Promise.all([
+    prisma.rSVP.findMany({
+      where,
+      select: WISH_SELECT,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.rSVP.count({ where }),
+    prisma.rSVP.groupBy({ by: ['wishStatus'], where: base, _count: { id: true } })
+  ])
+
+  const counts = Object.fromEntries(WISH_STATUSES.map(state => [state, 0]))
+  for (const group of grouped) {
+    counts[group.wishStatus] = group._count.id
+  }
+
+  return {
+    wishes,
+    counts,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  }
+}
+
+/**
+ * Set the moderation state of one or more wishes
+ *
+ * @param {string[]} ids - RSVP UUIDs
+ * @param {string} status - New state
+ * @param {Object} [options] - Options
+ * @param {string} [options.moderatedBy] - Email of the admin
+ * @returns {Promise<Object>} { updated: Object[] (after), before: Object[] } for
+ *   the RSVPs that have wishes; unknown IDs and RSVPs without wishes are ignored
+ */
+export const setWishStatus = async (ids, status, { moderatedBy } = {}) => {
+  const prisma = getPrismaClient()
+  const where = { ...HAS_WISHES, id: { in: ids } }
+
+  const before = await prisma.rSVP.findMany({ where, select: WISH_SELECT })
+  if (!before.length) {
+    return { updated: [], before }
+  }
+
+  const now = new Date()
+  await prisma.rSVP.updateMany({
+    where: { id: { in: before.map(wish => wish.id) } },
+    data: { wishStatus: status, wishModeratedAt: now, wishModeratedBy: moderatedBy || null }
+  })
+
+  const updated = before.map(wish => ({
+    ...wish,
+    wishStatus: status,
+    wishModeratedAt: now,
+    wishModeratedBy: moderatedBy || null
+  }))
+  updated.forEach((wish, index) => publishWishChange(before[index], wish))
+
+  return { updated, before }
+}
+
+/**
+ * Blocklist terms as plain strings
+ *
+ * @returns {Promise<string[]>} Terms
+ */
+const listBlockedTermValues = async () => {
+  const prisma = getPrismaClient()
+  const terms = await prisma.blockedTerm.findMany({ select: { term: true } })
+  return terms.map(({ term }) => term)
+}
+
+/**
+ * List blocklist terms
+ *
+ * @returns {Promise<Object[]>} Terms alphabetically
+ */
+export const listBlockedTerms = async () => {
+  const prisma = getPrismaClient()
+  return prisma.blockedTerm.findMany({ orderBy: { term: 'asc' } })
+}
+
+/**
+ * Add a blocklist term
+ *
+ * Only affects wishes written or edited afterwards; use rescanWishes to
+ * apply it to existing ones.
+ *
+ * @param {string} term - Word or phrase
+ * @returns {Promise<Object>} Created term
+ * @throws {Error} BLOCKED_TERM_EXISTS
+ */
+export const addBlockedTerm = async (term) => {
+  const prisma = getPrismaClient()
+  try {
+    return await prisma.blockedTerm.create({ data: { term: term.trim().toLowerCase() } })
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw moderationError('BLOCKED_TERM_EXISTS', 'This term is already on the blocklist')
+    }
+    throw error
+  }
+}
+
+/**
+ * Remove a blocklist term
+ *
+ * @param {string} id - Term UUID
+ * @returns {Promise<Object>} Deleted term
+ * @throws {Error} BLOCKED_TERM_NOT_FOUND
+ */
+export const removeBlockedTerm = async (id) => {
+  const prisma = getPrismaClient()
+  const term = await prisma.blockedTerm.findUnique({ where: { id } })
+  if (!term) {
+    throw moderationError('BLOCKED_TERM_NOT_FOUND', 'Blocklist term not found')
+  }
+
+  await prisma.blockedTerm.delete({ where: { id } })
+  return term
+}
+
+/**
+ * Re-check every wish against the current blocklist
+ *
+ * Updates wishFlags everywhere; visible (approved or pinned) wishes that now
+ * match go back to pending. Hidden wishes stay hidden.
+ *
+ * @returns {Promise<Object>} { scanned, flagged, unpublished: Object[] (id, name, wishFlags) }
+ */
+export const rescanWishes = async () => {
+  const prisma = getPrismaClient()
+  const terms = await listBlockedTermValues()
+
+  const wishes = await prisma.rSVP.findMany({
+    where: HAS_WISHES,
+    select: { id: true, name: true, venue: true, wishes: true, wishStatus: true, wishFlags: true }
+  })
+
+  let flagged = 0
+  const unpublished = []
+  for (const wish of wishes) {
+    const wishFlags = findBlockedTerms(wish.wishes, terms)
+    if (wishFlags.length) flagged++
+
+    const unpublish = wishFlags.length > 0 && PUBLIC_WISH_STATUSES.includes(wish.wishStatus)
+    if (!unpublish && wishFlags.join('\n') === wish.wishFlags.join('\n')) continue
+
+    await prisma.rSVP.update({
+      where: { id: wish.id },
+      data: { wishFlags, ...(unpublish && { wishStatus: 'pending' }) }
+    })
+    if (unpublish) {
+      publishWishChange(wish, { ...wish, wishStatus: 'pending' })
+      unpublished.push({ id: wish.id, name: wish.name, wishFlags })
+    }
+  }
+
+  return { scanned: wishes.length, flagged, unpublished }
+}
@@ -0,0 +1,100 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 parsing for spreadsheet uploads and formatting for
+ * exports. Parsing handles quoted fields, escaped quotes, CRLF line endings,
+ * a UTF-8 BOM (Excel adds one) and semicolon-separated files from locales
+ * that use a decimal comma.
+ *
+ * @module utils/csv
+ */
+
+/**
+ * Pick the delimiter used by the header line
+ *
+ * @param {string} text - CSV text
+ * @returns {string} ',' or ';'
+ */
+const detectDelimiter = (text) => {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/))
+  const commas = headerLine.split(',').length
+  const semicolons = headerLine.split(';').length
+  return semicolons > commas ? ';' : ','
+}
+
+/**
+ * Parse CSV text into rows of cells
+ *
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.delimiter] - Field delimiter (detected from the header when omitted)
+ * @returns {string[][]} Rows of raw cell values (blank lines skipped)
+ *
+ * @example
+ * parseCsv('name,venue\n"Nguyễn, Văn A",hue')
+ * // => [['name', 'venue'], ['Nguyễn, Văn A', 'hue']]
+ */
+export const parseCsv = (text, { delimiter } = {}) => {
+  const input = text.replace(/^\uFEFF/, '')
+  const separator = delimiter || detectDelimiter(input)
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === separator) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+/**
+ * Format one CSV line (CRLF terminated)
+ *
+ * Cells starting with =, +, - or @ get a leading apostrophe so spreadsheet
+ * apps don't evaluate guest-supplied text as a formula.
+ *
+ * @param {Array} values - Cell values (null/undefined become empty cells)
+ * @returns {string} CSV line
+ *
+ * @example
+ * toCsvRow(['Nguyễn, Văn A', 'hue', null]) // => '"Nguyễn, Văn A",hue,\r\n'
+ */
+export const toCsvRow = (values) => values
+  .map(value => {
+    let text = value instanceof Date ? value.toISOString() : String(value ?? '')
+    if (/^[=+\-@]/.test(text)) text = `'${text}`
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  })
+  .join(',') + '\r\n'
@@ -0,0 +1,218 @@
+/**
+ * Cursor Pagination Utilities
+ *
+ * Keyset pagination for infinite-scroll listings: a page starts right after
+ * (or before) the row a cursor points at, so rows added while scrolling
+ * don't shift the next page and show up twice, and no count() is needed.
+ *
+ * A listing is ordered by one or more sort keys with the row id appended as a
+ * tie-breaker. Cursors are opaque base64url strings holding that row's sort
+ * values; they only work with the sort order they were issued for.
+ *
+ * Sort keys:
+ * - { field, order: 'asc' | 'desc' }
+ * - nullable: true - nulls always sort after values
+ * - date: true - values are Dates
+ * - values: [...] - enum values in declaration (ascending) order; Prisma
+ *   can't compare enums with lt/gt, so the cursor lists the later ones
+ *
+ * @module utils/cursorPagination
+ */
+
+/**
+ * Create an error carrying a machine-readable code
+ *
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with code INVALID_CURSOR
+ */
+const cursorError = (message) => {
+  const error = new Error(message)
+  error.code = 'INVALID_CURSOR'
+  return error
+}
+
+/**
+ * Sort keys with the id tie-breaker
+ *
+ * @param {Object[]} keys - Sort keys
+ * @returns {Object[]} Keys ending with id
+ */
+const withId = (keys) => [...keys, { field: 'id', order: keys[keys.length - 1].order }]
+
+/**
+ * Signature of a sort order, stored in cursors
+ *
+ * @param {Object[]} keys - Sort keys
+ * @returns {string} e.g. 'createdAt:desc'
+ */
+const signature = (keys) => keys.map(key => `${key.field}:${key.order}`).join(',')
+
+const flip = (order) => (order === 'asc' ? 'desc' : 'asc')
+
+/**
+ * Prisma orderBy for reading a listing forwards (or backwards)
+ *
+ * Offset pages use the same order so their cursors can continue them.
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {boolean} [backward=false] - Read in reverse
+ * @returns {Object[]} Prisma orderBy
+ */
+export const keysetOrderBy = (keys, backward = false) => withId(keys).map(key => {
+  const order = backward ? flip(key.order) : key.order
+  if (!key.nullable) return { [key.field]: order }
+  return { [key.field]: { sort: order, nulls: backward ? 'first' : 'last' } }
+})
+
+/**
+ * Cursor pointing at a row
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {Object} row - Row with the sort fields and id
+ * @param {boolean} backward - True for a cursor to the rows before it
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (keys, row, backward) => Buffer.from(JSON.stringify({
+  s: signature(keys),
+  v: withId(keys).map(key => row[key.field] ?? null),
+  b: backward ? 1 : 0
+})).toString('base64url')
+
+/**
+ * Read a cursor issued for these sort keys
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} { values, backward }
+ * @throws {Error} INVALID_CURSOR
+ */
+const decodeCursor = (keys, cursor) => {
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+  } catch {
+    throw cursorError('Invalid cursor')
+  }
+
+  const allKeys = withId(keys)
+  if (payload?.s !== signature(keys) || !Array.isArray(payload.v) || payload.v.length !== allKeys.length) {
+    throw cursorError('Cursor does not match this listing or sort order')
+  }
+
+  const values = allKeys.map((key, i) => {
+    const value = payload.v[i]
+    if (value === null && key.nullable) return null
+    if (key.date) {
+      const date = new Date(value)
+      if (typeof value !== 'string' || Number.isNaN(date.getTime())) throw cursorError('Invalid cursor')
+      return date
+    }
+    if (value === null || typeof value === 'object') throw cursorError('Invalid cursor')
+    if (key.values && !key.values.includes(value)) throw cursorError('Invalid cursor')
+    return value
+  })
+
+  return { values, backward: payload.b === 1 }
+}
+
+/**
+ * Condition for rows after a value of one key, in reading order
+ *
+ * @returns {Object|null} Prisma condition, null when no row can follow
+ */
+const afterValue = (key, value, backward) => {
+  const order = backward ? flip(key.order) : key.order
+
+  if (key.values) {
+    const reading = order === 'asc' ? key.values : [...key.values].reverse()
+    const later = reading.slice(reading.indexOf(value) + 1)
+    return later.length ? { [key.field]: { in: later } } : null
+  }
+
+  // Nulls come last reading forwards, first reading backwards
+  if (value === null) {
+    return backward ? { [key.field]: { not: null } } : null
+  }
+  const after = { [key.field]: { [order === 'asc' ? 'gt' : 'lt']: value } }
+  return key.nullable && !backward ? { OR: [after, { [key.field]: null }] } : after
+}
+
+/**
+ * Prisma arguments for one page
+ *
+ * Fetch with these (adding `where` to the listing's own filters), then pass
+ * the rows to keysetPage.
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {string} [cursor] - Cursor from a previous page (none for the first)
+ * @param {number} limit - Page size
+ * @returns {Object} { where, orderBy, take, backward }
+ * @throws {Error} INVALID_CURSOR
+ */
+export const keysetArgs = (keys, cursor, limit) => {
+  if (!cursor) {
+    return { where: {}, orderBy: keysetOrderBy(keys), take: limit + 1, backward: false }
+  }
+
+  const { values, backward } = decodeCursor(keys, cursor)
+  const allKeys = withId(keys)
+
+  // (k1, k2, ..., id) after the cursor: equal on the first keys, after on the next
+  const branches = allKeys
+    .map((key, i) => {
+      const after = afterValue(key, values[i], backward)
+      if (!after) return null
+      const equal = allKeys.slice(0, i).map((previous, j) => ({ [previous.field]: values[j] }))
+      return equal.length ? { AND: [...equal, after] } : after
+    })
+    .filter(Boolean)
+
+  return {
+    where: { OR: branches },
+    orderBy: keysetOrderBy(keys, backward),
+    take: limit + 1,
+    backward
+  }
+}
+
+/**
+ * Cursors for the rows before and after a page
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {Object[]} items - Page rows in listing order
+ * @param {Object} more - { hasNext, hasPrev }
+ * @returns {Object} { nextCursor, prevCursor } (null when there is nothing there)
+ */
+export const pageCursors = (keys, items, { hasNext, hasPrev }) => ({
+  nextCursor: hasNext && items.length ? encodeCursor(keys, items[items.length - 1], false) : null,
+  prevCursor: hasPrev && items.length ? encodeCursor(keys, items[0], true) : null
+})
+
+/**
+ * Turn the rows fetched with keysetArgs into a page
+ *
+ * @param {Object[]} keys - Sort keys
+ * @param {Object[]} rows - Rows fetched with keysetArgs
+ * @param {Object} args - { take, backward } from keysetArgs, plus `cursor`
+ * @returns {Object} { items, pageInfo: { limit, hasNext, hasPrev, nextCursor, prevCursor } }
+ */
+export const keysetPage = (keys, rows, { take, backward, cursor }) => {
+  const limit = take - 1
+  const hasMore = rows.length > limit
+  const items = rows.slice(0, limit)
+  if (backward) items.reverse()
+
+  // Reading backwards, the page we came from is next; forwards, the previous one
+  const hasNext = backward ? true : hasMore
+  const hasPrev = backward ? hasMore : Boolean(cursor)
+
+  return {
+    items,
+    pageInfo: {
+      limit,
+      hasNext,
+      hasPrev,
+      ...pageCursors(keys, items, { hasNext, hasPrev })
+    }
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Device Utilities
+ *
+ * Coarse device classification from a User-Agent header, for analytics only.
+ *
+ * @module utils/device
+ */
+
+/**
+ * Device types reported by detectDeviceType
+ */
+export const DEVICE_TYPES = ['mobile', 'tablet', 'desktop', 'bot']
+
+// Link previewers (Facebook/Messenger, Telegram, WhatsApp...) fetch shared links
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|headless|curl|wget|python-requests/i
+const TABLET_PATTERN = /ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i
+const MOBILE_PATTERN = /mobi|iphone|ipod|android|windows phone|opera mini/i
+
+/**
+ * Classify a User-Agent string
+ *
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} One of DEVICE_TYPES (desktop when unknown)
+ *
+ * @example
+ * detectDeviceType('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) ...') // => 'mobile'
+ */
+export const detectDeviceType = (userAgent = '') => {
+  if (!userAgent || BOT_PATTERN.test(userAgent)) return 'bot'
+  if (TABLET_PATTERN.test(userAgent)) return 'tablet'
+  if (MOBILE_PATTERN.test(userAgent)) return 'mobile'
+  return 'desktop'
+}
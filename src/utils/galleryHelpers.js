@@ -7,15 +7,18 @@
  * @module utils/galleryHelpers
  */
 
+import { keysetOrderBy } from './cursorPagination.js'
+
 /**
  * Build pagination metadata
  * 
  * @param {number} page - Current page number
  * @param {number} limit - Items per page
  * @param {number} total - Total number of items
+ * @param {Object} [cursors] - { nextCursor, prevCursor } to continue with cursor pagination
  * @returns {Object} Pagination metadata
  */
-export const buildPaginationMeta = (page, limit, total) => {
+export const buildPaginationMeta = (page, limit, total, cursors = {}) => {
   const totalPages = Math.ceil(total / limit)
 
   return {
@@ -24,17 +27,31 @@ export const buildPaginationMeta = (page, limit, total) => {
     total,
     totalPages,
     hasNext: page < totalPages,
-    hasPrev: page > 1
+    hasPrev: page > 1,
+    nextCursor: cursors.nextCursor || null,
+    prevCursor: cursors.prevCursor || null
   }
 }
 
 /**
  * Build Prisma where clause for gallery queries
  * 
+ * Values within one list filter are alternatives (any of them matches);
+ * different filters must all match. `tags` follows `tagMode` instead.
+ * 
  * @param {Object} filters - Query filters
  * @param {string} [filters.category] - Filter by category
+ * @param {string[]} [filters.tags] - Tag slugs
+ * @param {string} [filters.tagMode='any'] - 'any' (media with one of the tags) or 'all' (media with every tag)
+ * @param {string[]} [filters.mediaType] - Media types (image, video)
+ * @param {string[]} [filters.photographer] - Photographer names
+ * @param {string[]} [filters.location] - Locations
+ * @param {Date} [filters.dateFrom] - Taken on or after
+ * @param {Date} [filters.dateTo] - Taken on or before
  * @param {boolean} [filters.featured] - Filter by featured status
- * @param {string} [filters.search] - Search term for title/caption/alt
+ * @param {string} [filters.venue] - Filter by event slug
+ * @param {string[]} [filters.searchIds] - Full-text search matches (see searchService.searchGalleryMedia)
+ * @param {string} [filters.status='approved'] - Review state (guest uploads start pending)
  * @param {boolean} [filters.includeDeleted=false] - Include soft-deleted items
  * @returns {Object} Prisma where clause
  */
@@ -46,44 +63,84 @@ export const buildGalleryWhereClause = (filters = {}) => {
     where.deletedAt = null
   }
 
+  where.status = filters.status || 'approved'
+
   // Category filter
   if (filters.category) {
     where.category = filters.category
   }
 
+  // Tag filter: every tag (one relation filter per tag) or any of them
+  if (filters.tags?.length) {
+    if (filters.tagMode === 'all') {
+      where.AND = filters.tags.map(slug => ({ tags: { some: { tag: { slug } } } }))
+    } else {
+      where.tags = { some: { tag: { slug: { in: filters.tags } } } }
+    }
+  }
+
+  // Media type, photographer and location filters
+  for (const field of ['mediaType', 'photographer', 'location']) {
+    if (filters[field]?.length) {
+      where[field] = { in: filters[field] }
+    }
+  }
+
+  // Date taken range
+  if (filters.dateFrom || filters.dateTo) {
+    where.dateTaken = {
+      ...(filters.dateFrom && { gte: filters.dateFrom }),
+      ...(filters.dateTo && { lte: filters.dateTo })
+    }
+  }
+
   // Featured filter
   if (typeof filters.featured === 'boolean') {
     where.featured = filters.featured
   }
 
-  // Search across multiple fields
-  if (filters.search) {
-    where.OR = [
-      { title: { contains: filters.search, mode: 'insensitive' } },
-      { caption: { contains: filters.search, mode: 'insensitive' } },
-      { filename: { contains: filters.search, mode: 'insensitive' } },
-      { alt: { contains: filters.search, mode: 'insensitive' } }
-    ]
+  // Event filter
+  if (filters.venue) {
+    where.venue = filters.venue
+  }
+
+  // Only media matched by a full-text search
+  if (filters.searchIds) {
+    where.id = { in: filters.searchIds }
   }
 
   return where
 }
 
 /**
- * Build Prisma orderBy clause for gallery queries
+ * Build cursor pagination sort keys for gallery queries
  * 
  * @param {string} sortBy - Field to sort by
  * @param {string} sortOrder - Sort direction ('asc' or 'desc')
- * @returns {Object} Prisma orderBy clause
+ * @returns {Object[]} Sort keys (see utils/cursorPagination)
  */
-export const buildGalleryOrderBy = (sortBy = 'createdAt', sortOrder = 'desc') => {
+export const buildGallerySortKeys = (sortBy = 'createdAt', sortOrder = 'desc') => {
   const validSortFields = ['createdAt', 'displayOrder', 'dateTaken', 'updatedAt']
   
   // Default to createdAt if invalid field
   const field = validSortFields.includes(sortBy) ? sortBy : 'createdAt'
   const order = sortOrder === 'asc' ? 'asc' : 'desc'
 
-  return { [field]: order }
+  return [{ field, order, nullable: field === 'dateTaken', date: field !== 'displayOrder' }]
+}
+
+/**
+ * Build Prisma orderBy clause for gallery queries
+ * 
+ * Ties are broken by id and undated media comes last, the same order cursor
+ * pagination uses.
+ * 
+ * @param {string} sortBy - Field to sort by
+ * @param {string} sortOrder - Sort direction ('asc' or 'desc')
+ * @returns {Object[]} Prisma orderBy clause
+ */
+export const buildGalleryOrderBy = (sortBy = 'createdAt', sortOrder = 'desc') => {
+  return keysetOrderBy(buildGallerySortKeys(sortBy, sortOrder))
 }
 
 /**
@@ -113,6 +170,10 @@ export const formatGalleryItem = (item) => {
     location: item.location || null,
     photographer: item.photographer || null,
     dateTaken: item.dateTaken ? item.dateTaken.toISOString() : null,
+    venue: item.venue || null,
+    status: item.status,
+    // Only when the query included tags: { include: { tag: true } }
+    ...(item.tags && { tags: item.tags.map(({ tag }) => ({ slug: tag.slug, name: tag.name })) }),
     createdAt: item.createdAt.toISOString(),
     updatedAt: item.updatedAt.toISOString()
   }
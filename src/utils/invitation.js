@@ -0,0 +1,46 @@
+/**
+ * Invitation Utilities
+ *
+ * Helpers for building guest invitation links.
+ *
+ * @module utils/invitation
+ */
+
+import { randomBytes } from 'crypto'
+
+/**
+ * Default frontend origin used when FRONTEND_URL is not set
+ */
+const DEFAULT_FRONTEND_URL = 'https://ngocquanwd.com'
+
+/**
+ * Invitation tokens are URL-safe base64 (32 characters from 24 random bytes)
+ * or, for guests created before tokens existed, 64 hex characters
+ */
+export const INVITATION_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,64}$/
+
+/**
+ * Generate a new invitation token
+ *
+ * @returns {string} Unguessable URL-safe token
+ */
+export const generateInvitationToken = () => randomBytes(24).toString('base64url')
+
+/**
+ * Build the personalized invitation URL for a guest
+ *
+ * Format: {FRONTEND_URL}/{event.invitationPath || event.slug}/{invitationToken}
+ *
+ * @param {Object} event - Event the guest is invited to
+ * @param {string} token - Guest's invitation token
+ * @returns {string} Invitation URL
+ *
+ * @example
+ * buildInvitationUrl({ slug: 'hanoi', invitationPath: 'hn' }, 'q3Xv...')
+ * // => 'https://ngocquanwd.com/hn/q3Xv...'
+ */
+export const buildInvitationUrl = (event, token) => {
+  const baseUrl = process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL
+  const path = event.invitationPath || event.slug
+  return `${baseUrl}/${path}/${token}`
+}
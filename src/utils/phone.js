@@ -0,0 +1,50 @@
+/**
+ * Phone Number Utilities
+ *
+ * Guests' numbers are typed in however people write them ("0912 345 678",
+ * "+84 912-345-678"); SMS providers want one canonical form.
+ *
+ * @module utils/phone
+ */
+
+/**
+ * Characters allowed in a phone number as entered
+ */
+export const PHONE_INPUT_PATTERN = /^\+?[0-9 ().-]{6,25}$/
+
+/**
+ * Normalize a phone number to +<country code><number>
+ *
+ * Numbers starting with 0 are treated as national numbers of
+ * DEFAULT_PHONE_COUNTRY_CODE (84, Vietnam, unless set).
+ *
+ * @param {string} value - Phone number as entered
+ * @returns {string|null} e.g. "+84912345678", or null if it isn't a plausible number
+ *
+ * @example
+ * normalizePhone('0912 345 678') // => '+84912345678'
+ * normalizePhone('+1 (415) 555-0100') // => '+14155550100'
+ */
+export const normalizePhone = (value) => {
+  if (typeof value !== 'string' || !PHONE_INPUT_PATTERN.test(value.trim())) {
+    return null
+  }
+
+  const trimmed = value.trim()
+  const digits = trimmed.replace(/\D/g, '')
+  const countryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '84'
+
+  let international
+  if (trimmed.startsWith('+')) {
+    international = digits
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2)
+  } else if (digits.startsWith('0')) {
+    international = countryCode + digits.slice(1)
+  } else {
+    international = digits
+  }
+
+  // E.164 allows at most 15 digits
+  return international.length >= 8 && international.length <= 15 ? `+${international}` : null
+}
@@ -7,6 +7,8 @@
  */
 
 import { body, validationResult } from 'express-validator'
+import { assertEventExists } from '../services/eventService.js'
+import { INVITATION_TOKEN_PATTERN } from './invitation.js'
 
 /**
  * Sanitize wishes field to prevent XSS attacks
@@ -34,15 +36,68 @@ export const sanitizeWishes = (wishes) => {
     .trim()
 }
 
+/**
+ * Validation rules for the optional named attendee list
+ * 
+ * Each attendee is { name, attending, guestId?, mealOptionId?,
+ * dietaryRestrictions? }; guestId references the invited guest or a member
+ * of their household, attendees without one are plus-ones. Household,
+ * plus-one and menu rules are enforced by the service.
+ */
+const attendeeRules = [
+  body('attendees')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Danh sách người tham dự phải có từ 1-20 người'),
+
+  body('attendees.*.name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Tên phải từ 2-100 ký tự')
+    .matches(/^[a-zA-ZÀ-ỹ\s'-]+$/)
+    .withMessage('Tên chỉ được chứa chữ cái, dấu cách, dấu gạch ngang và dấu nháy đơn'),
+
+  body('attendees.*.attending')
+    .isBoolean()
+    .withMessage('Xác nhận tham dự là bắt buộc')
+    .toBoolean(),
+
+  body('attendees.*.guestId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Mã khách mời không hợp lệ'),
+
+  body('attendees.*.mealOptionId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Món ăn không hợp lệ'),
+
+  body('attendees.*.dietaryRestrictions')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Ghi chú ăn uống không được vượt quá 300 ký tự')
+    .customSanitizer(sanitizeWishes)
+]
+
 /**
  * Validation rules for RSVP creation
+ * 
+ * guestCount / willAttend are only required when no attendee list is sent;
+ * with attendees they are derived from it.
  */
 export const validateCreateRSVP = [
-  // GuestId - optional UUID
-  body('guestId')
+  // InvitationToken - optional, identifies the guest of a personalized RSVP
+  body('invitationToken')
     .optional()
-    .isUUID()
-    .withMessage('Guest ID must be a valid UUID'),
+    .matches(INVITATION_TOKEN_PATTERN)
+    .withMessage('Liên kết thiệp mời không hợp lệ'),
+
+  // GuestId - no longer accepted: a guest UUID isn't proof of the invitation
+  body('guestId')
+    .not()
+    .exists()
+    .withMessage('Không còn hỗ trợ guestId; vui lòng gửi invitationToken từ liên kết thiệp mời'),
 
   // Name - required if no guestId, 2-100 characters
   body('name')
@@ -52,16 +107,21 @@ export const validateCreateRSVP = [
     .matches(/^[a-zA-ZÀ-ỹ\s'-]+$/)
     .withMessage('Tên chỉ được chứa chữ cái, dấu cách, dấu gạch ngang và dấu nháy đơn'),
 
-  // GuestCount - integer between 1-10
+  // GuestCount - integer between 1-10 (derived when attendees are given)
   body('guestCount')
+    .if(body('attendees').not().exists())
     .isInt({ min: 1, max: 10 })
     .withMessage('Số lượng khách phải từ 1-10'),
 
-  // WillAttend - boolean required
+  // WillAttend - boolean required (derived when attendees are given)
   body('willAttend')
+    .if(body('attendees').not().exists())
     .isBoolean()
     .withMessage('Xác nhận tham dự là bắt buộc'),
 
+  // Attendees - optional named list
+  ...attendeeRules,
+
   // Wishes - optional, 10-500 characters if provided
   body('wishes')
     .optional()
@@ -69,10 +129,10 @@ export const validateCreateRSVP = [
     .withMessage('Lời chúc phải từ 10-500 ký tự nếu được cung cấp')
     .customSanitizer(sanitizeWishes),
 
-  // Venue - must be hue or hanoi
+  // Venue - must be an existing event slug
   body('venue')
-    .isIn(['hue', 'hanoi'])
-    .withMessage('Địa điểm phải là "hue" hoặc "hanoi"'),
+    .custom(assertEventExists)
+    .withMessage('Địa điểm không hợp lệ'),
 
   // Honeypot - must be empty (spam prevention)
   body('honeypot')
@@ -166,11 +226,14 @@ export const validateUpdateRSVP = [
     .withMessage('Lời chúc không được vượt quá 500 ký tự')
     .customSanitizer(sanitizeWishes),
 
-  // Venue - optional, must be hue or hanoi
+  // Venue - optional, must be an existing event slug
   body('venue')
     .optional()
-    .isIn(['hue', 'hanoi'])
-    .withMessage('Địa điểm phải là "hue" hoặc "hanoi"')
+    .custom(assertEventExists)
+    .withMessage('Địa điểm không hợp lệ'),
+
+  // Attendees - optional, replaces the named list
+  ...attendeeRules
 ]
 
 /**
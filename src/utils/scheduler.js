@@ -0,0 +1,105 @@
+/**
+ * Scheduler Utilities
+ *
+ * Minimal in-process scheduling for periodic jobs. Runs in the API process,
+ * so with several instances each one runs the job; use the matching npm
+ * script from an external cron instead when scaling out.
+ *
+ * @module utils/scheduler
+ */
+
+/**
+ * Read the calendar date and hour in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{day: string, hour: number}} e.g. { day: '2026-10-18', hour: 8 }
+ */
+const localDayAndHour = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  )
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) }
+}
+
+/**
+ * Run a task once a day at the given local hour
+ *
+ * Checks every minute; a task still running when the next check comes around
+ * is not started twice. Errors are logged, never thrown.
+ *
+ * @param {string} name - Job name for logs
+ * @param {Object} options - Schedule
+ * @param {number} options.hour - Local hour (0-23)
+ * @param {string} [options.timeZone='Asia/Ho_Chi_Minh'] - IANA timezone
+ * @param {Function} task - Async function to run
+ * @returns {Function} Stops the schedule
+ */
+export const scheduleDaily = (name, { hour, timeZone = 'Asia/Ho_Chi_Minh' }, task) => {
+  let lastRunDay = null
+  let running = false
+
+  const tick = async () => {
+    const now = localDayAndHour(new Date(), timeZone)
+    if (running || now.hour !== hour || now.day === lastRunDay) return
+
+    lastRunDay = now.day
+    running = true
+    try {
+      console.log(`⏰ [Scheduler] Running ${name}`)
+      await task()
+    } catch (error) {
+      console.error(`❌ [Scheduler] ${name} failed:`, error.message)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, 60 * 1000)
+  // Don't keep the process alive just for the schedule
+  timer.unref()
+
+  console.log(`⏰ [Scheduler] ${name} scheduled daily at ${String(hour).padStart(2, '0')}:00 ${timeZone}`)
+  return () => clearInterval(timer)
+}
+
+/**
+ * Run a task repeatedly at a fixed interval
+ *
+ * A run that is still going when the next one is due is not overlapped.
+ * Errors are logged, never thrown.
+ *
+ * @param {string} name - Job name for logs
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} task - Async function to run
+ * @returns {Function} Stops the schedule
+ */
+export const scheduleEvery = (name, intervalMs, task) => {
+  let running = false
+
+  const tick = async () => {
+    if (running) return
+
+    running = true
+    try {
+      await task()
+    } catch (error) {
+      console.error(`❌ [Scheduler] ${name} failed:`, error.message)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs)
+  timer.unref()
+
+  console.log(`⏰ [Scheduler] ${name} runs every ${Math.round(intervalMs / 1000)}s`)
+  return () => clearInterval(timer)
+}
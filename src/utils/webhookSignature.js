@@ -0,0 +1,30 @@
+/**
+ * Webhook Signature Utilities
+ *
+ * Signs outbound webhook payloads so receivers can check they came from us
+ * and weren't replayed. Kept free of database access so it can be tested and
+ * reused on its own.
+ *
+ * @module utils/webhookSignature
+ */
+
+import crypto from 'crypto'
+
+/**
+ * Compute the signature header for a payload
+ *
+ * Receivers recompute HMAC-SHA256(secret, `${t}.${rawBody}`) and compare it
+ * with v1 in constant time; rejecting old timestamps prevents replays.
+ *
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value "t=<timestamp>,v1=<hex signature>"
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')
+  return `t=${timestamp},v1=${signature}`
+}
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCsv, toCsvRow } from '../../src/utils/csv.js'
+
+describe('toCsvRow', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(toCsvRow(['Nguyễn, Văn A', 'say "hi"', 'two\nlines', 'hue']), '"Nguyễn, Văn A","say ""hi""","two\nlines",hue\r\n')
+  })
+
+  it('writes empty cells for null and undefined', () => {
+    assert.equal(toCsvRow(['a', null, undefined, 0]), 'a,,,0\r\n')
+  })
+
+  it('writes dates as ISO 8601', () => {
+    assert.equal(toCsvRow([new Date('2026-10-18T09:00:00Z')]), '2026-10-18T09:00:00.000Z\r\n')
+  })
+
+  it('neutralises formulas', () => {
+    assert.equal(toCsvRow(['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)']), `"'=HYPERLINK(""x"")",'+1,'-2,'@SUM(A1)\r\n`)
+  })
+
+  it('round-trips through parseCsv', () => {
+    const cells = ['Nguyễn, Văn A', 'say "hi"', 'hue']
+    assert.deepEqual(parseCsv(toCsvRow(['name', 'note', 'venue']) + toCsvRow(cells)), [['name', 'note', 'venue'], cells])
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { keysetArgs, keysetOrderBy, keysetPage, pageCursors } from '../../src/utils/cursorPagination.js'
+
+const CREATED_DESC = [{ field: 'createdAt', order: 'desc', date: true }]
+const STATUS_KEYS = [{ field: 'status', order: 'desc', values: ['pending', 'approved', 'pinned'] }]
+
+const row = (id, createdAt) => ({ id, createdAt: new Date(createdAt) })
+
+describe('cursorPagination', () => {
+  it('orders by the sort keys with id as tie-breaker', () => {
+    assert.deepEqual(keysetOrderBy(CREATED_DESC), [{ createdAt: 'desc' }, { id: 'desc' }])
+    assert.deepEqual(keysetOrderBy(CREATED_DESC, true), [{ createdAt: 'asc' }, { id: 'asc' }])
+  })
+
+  it('keeps nulls last whichever way it reads', () => {
+    const keys = [{ field: 'sentAt', order: 'asc', nullable: true }]
+    assert.deepEqual(keysetOrderBy(keys)[0], { sentAt: { sort: 'asc', nulls: 'last' } })
+    assert.deepEqual(keysetOrderBy(keys, true)[0], { sentAt: { sort: 'desc', nulls: 'first' } })
+  })
+
+  it('fetches one extra row for the first page', () => {
+    assert.deepEqual(keysetArgs(CREATED_DESC, undefined, 20), {
+      where: {},
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: 21,
+      backward: false
+    })
+  })
+
+  it('round-trips a next cursor into a keyset condition', () => {
+    const items = [row('b', '2026-10-18T10:00:00Z'), row('a', '2026-10-18T09:00:00Z')]
+    const { nextCursor, prevCursor } = pageCursors(CREATED_DESC, items, { hasNext: true, hasPrev: false })
+    assert.equal(prevCursor, null)
+    assert.match(nextCursor, /^[\w-]+$/)
+
+    const args = keysetArgs(CREATED_DESC, nextCursor, 2)
+    assert.equal(args.backward, false)
+    assert.deepEqual(args.where, {
+      OR: [
+        { createdAt: { lt: new Date('2026-10-18T09:00:00Z') } },
+        { AND: [{ createdAt: new Date('2026-10-18T09:00:00Z') }, { id: { lt: 'a' } }] }
+      ]
+    })
+  })
+
+  it('reads backwards from a previous cursor', () => {
+    const items = [row('b', '2026-10-18T10:00:00Z')]
+    const { prevCursor } = pageCursors(CREATED_DESC, items, { hasNext: false, hasPrev: true })
+
+    const args = keysetArgs(CREATED_DESC, prevCursor, 2)
+    assert.equal(args.backward, true)
+    assert.deepEqual(args.orderBy, [{ createdAt: 'asc' }, { id: 'asc' }])
+    assert.deepEqual(args.where.OR[0], { createdAt: { gt: new Date('2026-10-18T10:00:00Z') } })
+  })
+
+  it('compares enum keys by listing the later values', () => {
+    const { nextCursor } = pageCursors(STATUS_KEYS, [{ id: 'x', status: 'approved' }], { hasNext: true, hasPrev: false })
+    const { where } = keysetArgs(STATUS_KEYS, nextCursor, 10)
+    assert.deepEqual(where.OR[0], { status: { in: ['pending'] } })
+  })
+
+  it('rejects malformed cursors', () => {
+    for (const cursor of ['not-a-cursor', Buffer.from('{"s":1').toString('base64url')]) {
+      assert.throws(() => keysetArgs(CREATED_DESC, cursor, 10), { code: 'INVALID_CURSOR' })
+    }
+  })
+
+  it('rejects cursors issued for another sort order', () => {
+    const { nextCursor } = pageCursors(CREATED_DESC, [row('a', '2026-10-18T09:00:00Z')], { hasNext: true, hasPrev: false })
+    const createdAsc = [{ field: 'createdAt', order: 'asc', date: true }]
+    assert.throws(() => keysetArgs(createdAsc, nextCursor, 10), {
+      code: 'INVALID_CURSOR',
+      message: 'Cursor does not match this listing or sort order'
+    })
+  })
+
+  it('rejects tampered values', () => {
+    const cursor = Buffer.from(JSON.stringify({ s: 'createdAt:desc,id:desc', v: ['yesterday', 'a'], b: 0 })).toString('base64url')
+    assert.throws(() => keysetArgs(CREATED_DESC, cursor, 10), { code: 'INVALID_CURSOR' })
+
+    const status = Buffer.from(JSON.stringify({ s: 'status:desc,id:desc', v: ['deleted', 'a'], b: 0 })).toString('base64url')
+    assert.throws(() => keysetArgs(STATUS_KEYS, status, 10), { code: 'INVALID_CURSOR' })
+  })
+
+  it('builds a page from the rows fetched', () => {
+    const rows = [row('c', '2026-10-18T11:00:00Z'), row('b', '2026-10-18T10:00:00Z'), row('a', '2026-10-18T09:00:00Z')]
+    const page = keysetPage(CREATED_DESC, rows, { take: 3, backward: false })
+
+    assert.deepEqual(page.items.map(item => item.id), ['c', 'b'])
+    assert.equal(page.pageInfo.limit, 2)
+    assert.equal(page.pageInfo.hasNext, true)
+    assert.equal(page.pageInfo.hasPrev, false)
+    assert.equal(page.pageInfo.prevCursor, null)
+    assert.ok(page.pageInfo.nextCursor)
+  })
+
+  it('restores listing order on a backward page', () => {
+    const rows = [row('b', '2026-10-18T10:00:00Z'), row('c', '2026-10-18T11:00:00Z')]
+    const page = keysetPage(CREATED_DESC, rows, { take: 3, backward: true, cursor: 'x' })
+
+    assert.deepEqual(page.items.map(item => item.id), ['c', 'b'])
+    assert.equal(page.pageInfo.hasNext, true)
+    assert.equal(page.pageInfo.hasPrev, false)
+  })
+})
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectDeviceType } from '../../src/utils/device.js'
+
+describe('detectDeviceType', () => {
+  it('recognises phones', () => {
+    assert.equal(detectDeviceType('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148'), 'mobile')
+    assert.equal(detectDeviceType('Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36'), 'mobile')
+  })
+
+  it('recognises tablets, including Android without "Mobile"', () => {
+    assert.equal(detectDeviceType('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15'), 'tablet')
+    assert.equal(detectDeviceType('Mozilla/5.0 (Linux; Android 13; SM-X710) AppleWebKit/537.36 Chrome/120.0 Safari/537.36'), 'tablet')
+  })
+
+  it('falls back to desktop', () => {
+    assert.equal(detectDeviceType('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36'), 'desktop')
+  })
+
+  it('treats link previewers and missing agents as bots', () => {
+    assert.equal(detectDeviceType('facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)'), 'bot')
+    assert.equal(detectDeviceType('WhatsApp/2.23.20.0 A'), 'bot')
+    assert.equal(detectDeviceType('TelegramBot (like TwitterBot)'), 'bot')
+    assert.equal(detectDeviceType(''), 'bot')
+    assert.equal(detectDeviceType(undefined), 'bot')
+  })
+})
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { RSVP_WINDOW_STATUS, getRsvpWindow } from '../../src/services/eventService.js'
+
+const event = {
+  rsvpOpensAt: new Date('2026-09-01T00:00:00Z'),
+  rsvpDeadline: new Date('2026-11-01T00:00:00Z')
+}
+
+describe('getRsvpWindow', () => {
+  it('is open between the bounds', () => {
+    const window = getRsvpWindow(event, { now: new Date('2026-10-18T00:00:00Z') })
+    assert.deepEqual(window, {
+      status: RSVP_WINDOW_STATUS.OPEN,
+      isOpen: true,
+      opensAt: event.rsvpOpensAt,
+      closesAt: event.rsvpDeadline,
+      override: false
+    })
+  })
+
+  it('is not open before rsvpOpensAt', () => {
+    const window = getRsvpWindow(event, { now: new Date('2026-08-31T23:59:59Z') })
+    assert.equal(window.status, RSVP_WINDOW_STATUS.NOT_OPEN)
+    assert.equal(window.isOpen, false)
+  })
+
+  it('closes at the deadline itself', () => {
+    const window = getRsvpWindow(event, { now: event.rsvpDeadline })
+    assert.equal(window.status, RSVP_WINDOW_STATUS.CLOSED)
+  })
+
+  it('treats missing bounds as unbounded', () => {
+    const window = getRsvpWindow({ rsvpOpensAt: null, rsvpDeadline: null }, { now: new Date('2030-01-01T00:00:00Z') })
+    assert.equal(window.isOpen, true)
+    assert.equal(window.opensAt, null)
+    assert.equal(window.closesAt, null)
+  })
+
+  it('keeps the window open for a guest override', () => {
+    const overrideUntil = new Date('2026-11-05T00:00:00Z')
+    const window = getRsvpWindow(event, { now: new Date('2026-11-02T00:00:00Z'), overrideUntil })
+    assert.equal(window.isOpen, true)
+    assert.equal(window.override, true)
+    assert.equal(window.closesAt, overrideUntil)
+  })
+
+  it('ignores an override that has run out', () => {
+    const window = getRsvpWindow(event, {
+      now: new Date('2026-11-06T00:00:00Z'),
+      overrideUntil: new Date('2026-11-05T00:00:00Z')
+    })
+    assert.equal(window.status, RSVP_WINDOW_STATUS.CLOSED)
+    assert.equal(window.override, false)
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildGalleryWhereClause } from '../../src/utils/galleryHelpers.js'
+
+describe('buildGalleryWhereClause', () => {
+  it('only lists approved, non-deleted media by default', () => {
+    assert.deepEqual(buildGalleryWhereClause(), { deletedAt: null, status: 'approved' })
+  })
+
+  it('matches any of the tags by default', () => {
+    const where = buildGalleryWhereClause({ tags: ['family', 'dance'] })
+    assert.deepEqual(where.tags, { some: { tag: { slug: { in: ['family', 'dance'] } } } })
+    assert.equal(where.AND, undefined)
+  })
+
+  it('requires every tag in all mode', () => {
+    const where = buildGalleryWhereClause({ tags: ['family', 'dance'], tagMode: 'all' })
+    assert.deepEqual(where.AND, [
+      { tags: { some: { tag: { slug: 'family' } } } },
+      { tags: { some: { tag: { slug: 'dance' } } } }
+    ])
+    assert.equal(where.tags, undefined)
+  })
+
+  it('ignores an empty tag list', () => {
+    const where = buildGalleryWhereClause({ tags: [], tagMode: 'all' })
+    assert.equal(where.tags, undefined)
+    assert.equal(where.AND, undefined)
+  })
+
+  it('combines list filters as alternatives and filters with each other', () => {
+    const where = buildGalleryWhereClause({
+      mediaType: ['image'],
+      photographer: ['Minh', 'Lan'],
+      venue: 'hue',
+      featured: false,
+      dateFrom: new Date('2026-10-01T00:00:00Z')
+    })
+    assert.deepEqual(where.mediaType, { in: ['image'] })
+    assert.deepEqual(where.photographer, { in: ['Minh', 'Lan'] })
+    assert.equal(where.venue, 'hue')
+    assert.equal(where.featured, false)
+    assert.deepEqual(where.dateTaken, { gte: new Date('2026-10-01T00:00:00Z') })
+  })
+
+  it('limits results to full-text matches', () => {
+    assert.deepEqual(buildGalleryWhereClause({ searchIds: [] }).id, { in: [] })
+  })
+
+  it('can include deleted and pending media for review', () => {
+    const where = buildGalleryWhereClause({ includeDeleted: true, status: 'pending' })
+    assert.equal('deletedAt' in where, false)
+    assert.equal(where.status, 'pending')
+  })
+})
@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import {
+  FEED_CHANNELS,
+  FEED_EVENTS,
+  publishRsvpChange,
+  publishWishChange,
+  subscribe
+} from '../../src/services/liveFeedService.js'
+
+/**
+ * Subscribe a fake client and collect the events written to it
+ */
+const connect = (channel, options) => {
+  const req = new EventEmitter()
+  req.get = () => undefined
+  const events = []
+  const res = {
+    status: () => res,
+    set: () => res,
+    flushHeaders: () => {},
+    write: (chunk) => {
+      const name = chunk.match(/^event: (.+)$/m)?.[1]
+      if (name) events.push({ name, data: JSON.parse(chunk.match(/^data: (.+)$/m)[1]) })
+    },
+    end: () => {}
+  }
+  subscribe(channel, req, res, options)
+  return { events, close: () => req.emit('close') }
+}
+
+const rsvp = (changes = {}) => ({
+  id: 'rsvp-1',
+  guestId: null,
+  name: 'Lan',
+  venue: 'hue',
+  willAttend: true,
+  guestCount: 2,
+  wishes: 'Chúc hai bạn trăm năm hạnh phúc',
+  wishStatus: 'approved',
+  createdAt: new Date('2026-10-18T09:00:00Z'),
+  ...changes
+})
+
+describe('liveFeedService', () => {
+  let wall
+  let admin
+
+  beforeEach(() => {
+    // Heartbeats and the throttled stats refresh must not fire
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout'] })
+    wall = connect(FEED_CHANNELS.WISHES)
+    admin = connect(FEED_CHANNELS.ADMIN, { role: 'owner' })
+  })
+
+  afterEach(() => {
+    wall.close()
+    admin.close()
+    mock.timers.reset()
+  })
+
+  describe('publishWishChange', () => {
+    it('publishes a wish that reaches the wall', () => {
+      publishWishChange(rsvp({ wishStatus: 'pending' }), rsvp())
+      assert.deepEqual(wall.events.map(event => event.name), [FEED_EVENTS.WISH])
+      assert.equal(wall.events[0].data.pinned, false)
+    })
+
+    it('skips wishes that stay off the wall', () => {
+      publishWishChange(null, rsvp({ wishStatus: 'pending' }))
+      publishWishChange(rsvp({ wishStatus: 'pending' }), rsvp({ wishStatus: 'hidden' }))
+      assert.deepEqual(wall.events, [])
+    })
+
+    it('skips updates that leave the wall unchanged', () => {
+      publishWishChange(rsvp(), rsvp({ guestCount: 3 }))
+      assert.deepEqual(wall.events, [])
+    })
+
+    it('removes a hidden wish', () => {
+      publishWishChange(rsvp(), rsvp({ wishStatus: 'hidden' }))
+      assert.deepEqual(wall.events, [{ name: FEED_EVENTS.WISH_REMOVED, data: { id: 'rsvp-1', venue: 'hue' } }])
+    })
+
+    it('moves a wish to another event wall', () => {
+      publishWishChange(rsvp(), rsvp({ venue: 'hanoi' }))
+      assert.deepEqual(wall.events.map(event => event.name), [FEED_EVENTS.WISH_REMOVED, FEED_EVENTS.WISH])
+      assert.equal(wall.events[1].data.venue, 'hanoi')
+    })
+
+    it('removes the wish of a deleted RSVP', () => {
+      assert.doesNotThrow(() => publishWishChange(rsvp(), null))
+      assert.deepEqual(wall.events, [{ name: FEED_EVENTS.WISH_REMOVED, data: { id: 'rsvp-1', venue: 'hue' } }])
+    })
+  })
+
+  describe('publishRsvpChange', () => {
+    it('sends rsvp.deleted for an RSVP whose wish was on the wall', () => {
+      publishRsvpChange(FEED_EVENTS.RSVP_DELETED, rsvp())
+
+      assert.deepEqual(wall.events.map(event => event.name), [FEED_EVENTS.WISH_REMOVED])
+      assert.deepEqual(admin.events.map(event => event.name), [FEED_EVENTS.RSVP_DELETED])
+      assert.equal(admin.events[0].data.id, 'rsvp-1')
+    })
+
+    it('only sends RSVP events to admins with rsvps:read', () => {
+      const viewer = connect(FEED_CHANNELS.ADMIN, { role: 'viewer' })
+      publishRsvpChange(FEED_EVENTS.RSVP_UPDATED, rsvp({ willAttend: false }), rsvp())
+      viewer.close()
+
+      assert.deepEqual(viewer.events, [])
+      assert.deepEqual(admin.events[0].data.previous, { willAttend: true, guestCount: 2 })
+    })
+  })
+})
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PERMISSIONS, ROLE_PERMISSIONS, getRolePermissions, hasPermission } from '../../src/config/permissions.js'
+
+describe('permissions', () => {
+  it('grants the owner every permission', () => {
+    for (const permission of Object.values(PERMISSIONS)) {
+      assert.equal(hasPermission('owner', permission), true, permission)
+    }
+  })
+
+  it('limits photographers to the gallery', () => {
+    assert.equal(hasPermission('photographer', PERMISSIONS.GALLERY_WRITE), true)
+    assert.equal(hasPermission('photographer', PERMISSIONS.GUESTS_READ), false)
+    assert.equal(hasPermission('photographer', PERMISSIONS.GALLERY_DELETE), false)
+  })
+
+  it('lets planners manage guests and RSVPs but not admins', () => {
+    assert.equal(hasPermission('planner', PERMISSIONS.GUESTS_WRITE), true)
+    assert.equal(hasPermission('planner', PERMISSIONS.RSVPS_WRITE), true)
+    assert.equal(hasPermission('planner', PERMISSIONS.ADMINS_MANAGE), false)
+  })
+
+  it('only lets viewers read stats', () => {
+    assert.deepEqual(getRolePermissions('viewer'), [PERMISSIONS.STATS_READ])
+  })
+
+  it('grants nothing to unknown roles', () => {
+    assert.deepEqual(getRolePermissions('intern'), [])
+    assert.equal(hasPermission(undefined, PERMISSIONS.STATS_READ), false)
+  })
+
+  it('only assigns known permissions', () => {
+    const known = new Set(Object.values(PERMISSIONS))
+    for (const [role, permissions] of Object.entries(ROLE_PERMISSIONS)) {
+      for (const permission of permissions) {
+        assert.ok(known.has(permission), `${role}: ${permission}`)
+      }
+    }
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getReminderSchedule } from '../../src/services/reminderService.js'
+
+const event = {
+  rsvpDeadline: new Date('2026-10-20T16:59:00Z'), // 23:59 on the 20th in Hồ Chí Minh City
+  reminderDaysBefore: [7, 2],
+  timezone: 'Asia/Ho_Chi_Minh'
+}
+
+describe('getReminderSchedule', () => {
+  it('counts days in the event timezone, whatever the time', () => {
+    // 00:30 local on the 18th is still the 17th in UTC
+    const schedule = getReminderSchedule(event, new Date('2026-10-17T17:30:00Z'))
+    assert.deepEqual(schedule, { daysLeft: 2, dueToday: true, nextReminderOn: '2026-10-18' })
+  })
+
+  it('points at the next reminder when none is due today', () => {
+    const schedule = getReminderSchedule(event, new Date('2026-10-10T03:00:00Z'))
+    assert.deepEqual(schedule, { daysLeft: 10, dueToday: false, nextReminderOn: '2026-10-13' })
+  })
+
+  it('skips reminders that have already passed', () => {
+    const schedule = getReminderSchedule(event, new Date('2026-10-15T03:00:00Z'))
+    assert.deepEqual(schedule, { daysLeft: 5, dueToday: false, nextReminderOn: '2026-10-18' })
+  })
+
+  it('has no next reminder once the last one has passed', () => {
+    const schedule = getReminderSchedule(event, new Date('2026-10-19T03:00:00Z'))
+    assert.deepEqual(schedule, { daysLeft: 1, dueToday: false, nextReminderOn: null })
+  })
+
+  it('handles events without reminders', () => {
+    const schedule = getReminderSchedule({ ...event, reminderDaysBefore: [] }, new Date('2026-10-18T03:00:00Z'))
+    assert.deepEqual(schedule, { daysLeft: 2, dueToday: false, nextReminderOn: null })
+  })
+})
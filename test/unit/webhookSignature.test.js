@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import { signWebhookPayload } from '../../src/utils/webhookSignature.js'
+
+describe('signWebhookPayload', () => {
+  const body = JSON.stringify({ event: 'rsvp.created', data: { id: 'abc' } })
+
+  it('signs `<timestamp>.<body>` with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex')
+    assert.equal(signWebhookPayload('whsec_test', 1700000000, body), `t=1700000000,v1=${expected}`)
+  })
+
+  it('matches a known signature', () => {
+    assert.equal(
+      signWebhookPayload('secret', 1, '{}'),
+      't=1,v1=1122767b193110cfec322b6f199b599edbf608ed087f2d27afb0b97d99523908'
+    )
+  })
+
+  it('changes with the secret, timestamp and body', () => {
+    const signature = signWebhookPayload('whsec_test', 1700000000, body)
+    assert.notEqual(signWebhookPayload('whsec_other', 1700000000, body), signature)
+    assert.notEqual(signWebhookPayload('whsec_test', 1700000001, body).split('v1=')[1], signature.split('v1=')[1])
+    assert.notEqual(signWebhookPayload('whsec_test', 1700000000, `${body} `), signature)
+  })
+})